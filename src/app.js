@@ -8,6 +8,12 @@ require("dotenv").config();
 const initializeUploadDirectories = require("./utils/initUploads");
 const { errorHandler, notFound } = require("./utils/errorHandler");
 const { testConnection } = require("./config/supabase");
+const { requestContextMiddleware } = require("./utils/requestContext");
+const { startPaymentReconciliationJob } = require("./jobs/paymentReconciliationJob");
+const { startNotificationDeliveryJob } = require("./jobs/notificationDeliveryJob");
+const { startNotificationDigestJob } = require("./jobs/notificationDigestJob");
+const { startSlaEscalationJob } = require("./jobs/slaEscalationJob");
+const { startWebhookDeliveryJob } = require("./jobs/webhookDeliveryJob");
 
 // Import routes
 const authRoutes = require("./routes/authRoutes");
@@ -17,6 +23,15 @@ const bappRoutes = require("./routes/bappRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
 const documentRoutes = require("./routes/documentRoutes");
+const approvalChainRoutes = require("./routes/approvalChainRoutes");
+const verificationRoutes = require("./routes/verificationRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const documentNumberRoutes = require("./routes/documentNumberRoutes");
+const purchaseOrderRoutes = require("./routes/purchaseOrderRoutes");
+const contractRoutes = require("./routes/contractRoutes");
+const invoiceRoutes = require("./routes/invoiceRoutes");
+const slaRoutes = require("./routes/slaRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
 
 const app = express();
 
@@ -35,6 +50,8 @@ const limiter = rateLimit({
   max: 100,
   standardHeaders: true, 
   legacyHeaders: false, 
+  // Gateway callbacks are signed and may arrive in bursts
+  skip: (req) => req.path.startsWith("/payment/webhooks/"),
   message: {
     success: false,
     message: "Terlalu banyak permintaan dari IP ini, silakan coba lagi setelah 15 menit.",
@@ -48,10 +65,22 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
     credentials: true,
+    exposedHeaders: ["Idempotent-Replayed"],
+  })
+);
+app.use(
+  express.json({
+    limit: "10mb",
+    // Webhook signatures are computed over the body exactly as sent
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
-app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+
+// Actor, IP and route for the audit trail
+app.use(requestContextMiddleware);
 app.use("/docs", express.static(path.join(__dirname, "..", "docs")));
 
 // Static files
@@ -75,6 +104,13 @@ app.get("/", (req, res) => {
       notifications: "/api/notifications",
       payment: "/api/payment",
       documents: "/api/documents",
+      approvalChains: "/api/approval-chains",
+      verify: "/api/verify/:code",
+      audit: "/api/audit",
+      documentNumbers: "/api/document-numbers",
+      purchaseOrders: "/api/purchase-orders",
+      contracts: "/api/contracts",
+      invoices: "/api/invoices",
     },
   });
 });
@@ -87,6 +123,18 @@ app.use("/api/bapp", bappRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/payment", paymentRoutes);
 app.use("/api/documents", documentRoutes);
+app.use("/api/approval-chains", approvalChainRoutes);
+app.use("/api/verify", verificationRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/document-numbers", documentNumberRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/contracts", contractRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/sla", slaRoutes);
+app.use("/api/webhooks", webhookRoutes);
+
+// Public verification page opened from the QR code on generated PDFs
+app.use("/verify", limiter, verificationRoutes);
 
 // Error handlers
 app.use(notFound);
@@ -112,6 +160,12 @@ const startServer = async () => {
       console.log(`✅ Connected to Supabase`);
       console.log(`pV Security: Helmet & Rate Limiting Enabled`);
     });
+
+    startPaymentReconciliationJob();
+    startNotificationDeliveryJob();
+    startNotificationDigestJob();
+    startSlaEscalationJob();
+    startWebhookDeliveryJob();
   } catch (err) {
     console.error("❌ Unable to start server:", err);
     process.exit(1);
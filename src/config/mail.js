@@ -0,0 +1,52 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+// Outgoing mail goes through SMTP_HOST. Locally that is the SMTP sink: npm run mock:smtp
+const smtpOptions = () => ({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined,
+  connectionTimeout: parseInt(process.env.SMTP_TIMEOUT_MS, 10) || 10000,
+  greetingTimeout: parseInt(process.env.SMTP_TIMEOUT_MS, 10) || 10000,
+  socketTimeout: parseInt(process.env.SMTP_TIMEOUT_MS, 10) || 10000
+});
+
+let transport = null;
+
+/**
+ * Whether an SMTP server is configured
+ */
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+/**
+ * Get the shared nodemailer transport
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport(smtpOptions());
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport (e.g. one pointed at a test sink)
+ */
+const setMailTransport = (value) => {
+  transport = value;
+};
+
+const getMailFrom = () => process.env.MAIL_FROM || 'BA Digital <no-reply@badigital.local>';
+
+// Base URL of the web app, used for links in emails
+const getAppUrl = () => (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+module.exports = {
+  isMailConfigured,
+  getMailTransport,
+  setMailTransport,
+  getMailFrom,
+  getAppUrl
+};
@@ -0,0 +1,134 @@
+const ApprovalChainRepository = require('../repositories/ApprovalChainRepository');
+const approvalChainService = require('../services/approvalChainService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Map request body to approval_chains columns
+ */
+const toChainRow = (body) => {
+  const row = {};
+  if (body.name !== undefined) row.name = body.name;
+  if (body.documentType !== undefined) row.document_type = body.documentType;
+  if (body.description !== undefined) row.description = body.description;
+  if (body.steps !== undefined) row.steps = approvalChainService.normalizeSteps(body.steps);
+  if (body.minValue !== undefined) row.min_value = body.minValue;
+  if (body.maxValue !== undefined) row.max_value = body.maxValue;
+  if (body.vendorRoles !== undefined) row.vendor_roles = body.vendorRoles;
+  if (body.priority !== undefined) row.priority = body.priority;
+  if (body.isActive !== undefined) row.is_active = body.isActive;
+  return row;
+};
+
+/**
+ * Get all approval chains
+ * @route GET /api/approval-chains
+ * @access Private (Admin)
+ */
+exports.getApprovalChains = asyncHandler(async (req, res) => {
+  const { documentType, isActive } = req.query;
+
+  const filters = {};
+  if (documentType) filters.document_type = documentType;
+  if (isActive !== undefined) filters.is_active = isActive === 'true';
+
+  const { data } = await ApprovalChainRepository.findAll(filters, {
+    order: [['document_type', 'ASC'], ['priority', 'DESC']]
+  });
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Get approval chain by ID
+ * @route GET /api/approval-chains/:id
+ * @access Private (Admin)
+ */
+exports.getApprovalChainById = asyncHandler(async (req, res) => {
+  const chain = await ApprovalChainRepository.findById(req.params.id);
+
+  if (!chain) {
+    return res.status(404).json({ success: false, message: 'Approval chain not found' });
+  }
+
+  res.status(200).json({ success: true, data: chain });
+});
+
+/**
+ * Create approval chain
+ * @route POST /api/approval-chains
+ * @access Private (Admin)
+ */
+exports.createApprovalChain = asyncHandler(async (req, res) => {
+  const errors = approvalChainService.validateChainDefinition(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  const chain = await ApprovalChainRepository.create({
+    ...toChainRow(req.body),
+    created_by: req.user.id
+  });
+
+  res.status(201).json({ success: true, message: 'Approval chain created successfully', data: chain });
+});
+
+/**
+ * Update approval chain
+ * @route PUT /api/approval-chains/:id
+ * @access Private (Admin)
+ */
+exports.updateApprovalChain = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await ApprovalChainRepository.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Approval chain not found' });
+  }
+
+  const errors = approvalChainService.validateChainDefinition({
+    name: existing.name,
+    documentType: existing.document_type,
+    steps: existing.steps,
+    minValue: existing.min_value,
+    maxValue: existing.max_value,
+    ...req.body
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  const chain = await ApprovalChainRepository.update(id, {
+    ...toChainRow(req.body),
+    updated_at: new Date().toISOString()
+  });
+
+  res.status(200).json({ success: true, message: 'Approval chain updated successfully', data: chain });
+});
+
+/**
+ * Deactivate approval chain
+ * Chains are kept so documents already assigned to them keep their history.
+ * @route DELETE /api/approval-chains/:id
+ * @access Private (Admin)
+ */
+exports.deactivateApprovalChain = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await ApprovalChainRepository.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Approval chain not found' });
+  }
+
+  const chain = await ApprovalChainRepository.update(id, {
+    is_active: false,
+    updated_at: new Date().toISOString()
+  });
+
+  res.status(200).json({ success: true, message: 'Approval chain deactivated', data: chain });
+});
+
+module.exports = exports;
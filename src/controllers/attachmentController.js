@@ -67,19 +67,13 @@ exports.uploadBAPBDocument = async (req, res) => {
     await fs.writeFile(filePath, fileBuffer);
 
     // Create attachment record
-    const { data: attachment, error } = await supabaseAdmin
-      .from('bapb_attachments')
-      .insert({
-        bapb_id: id,
-        file_type: fileType,
-        file_path: `/uploads/documents/${uniqueFileName}`,
-        file_name: uniqueFileName,
-        uploaded_by: req.user.id
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const attachment = await BAPBRepository.attachments.create({
+      bapb_id: id,
+      file_type: fileType,
+      file_path: `/uploads/documents/${uniqueFileName}`,
+      file_name: uniqueFileName,
+      uploaded_by: req.user.id
+    });
 
     res.status(201).json({
       success: true,
@@ -188,19 +182,13 @@ exports.uploadBAPPDocument = async (req, res) => {
 
     await fs.writeFile(filePath, fileBuffer);
 
-    const { data: attachment, error } = await supabaseAdmin
-      .from('bapp_attachments')
-      .insert({
-        bapp_id: id,
-        file_type: fileType,
-        file_path: `/uploads/documents/${uniqueFileName}`,
-        file_name: uniqueFileName,
-        uploaded_by: req.user.id
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const attachment = await BAPPRepository.attachments.create({
+      bapp_id: id,
+      file_type: fileType,
+      file_path: `/uploads/documents/${uniqueFileName}`,
+      file_name: uniqueFileName,
+      uploaded_by: req.user.id
+    });
 
     res.status(201).json({
       success: true,
@@ -302,12 +290,7 @@ exports.deleteAttachment = async (req, res) => {
     }
 
     // Delete database record
-    const { error: deleteError } = await supabaseAdmin
-      .from(tableName)
-      .delete()
-      .eq('id', attachmentId);
-
-    if (deleteError) throw deleteError;
+    await (type === 'bapb' ? BAPBRepository : BAPPRepository).attachments.delete(attachmentId);
 
     res.status(200).json({
       success: true,
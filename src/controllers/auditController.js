@@ -0,0 +1,63 @@
+const auditService = require('../services/auditService');
+const moment = require('moment');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Map query string to audit filters
+ */
+const toFilters = (query) => ({
+  entity: query.entity,
+  entityId: query.entityId,
+  actorId: query.userId,
+  action: query.action,
+  dateFrom: query.dateFrom,
+  dateTo: query.dateTo
+});
+
+/**
+ * Query audit log
+ * @route GET /api/audit
+ * @query entity, entityId, userId, action, dateFrom, dateTo, page, limit
+ * @access Private (Admin)
+ */
+exports.getAuditLogs = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const result = await auditService.search(toFilters(req.query), {
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: {
+      total: result.count,
+      page,
+      limit,
+      totalPages: Math.ceil(result.count / limit)
+    }
+  });
+});
+
+/**
+ * Export audit log as CSV
+ * @route GET /api/audit/export
+ * @query entity, entityId, userId, action, dateFrom, dateTo
+ * @access Private (Admin)
+ */
+exports.exportAuditLogs = asyncHandler(async (req, res) => {
+  const fileName = `audit-log-${moment().format('YYYYMMDD-HHmmss')}.csv`;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  try {
+    await auditService.exportCsv(toFilters(req.query), res);
+  } catch (error) {
+    // Headers are already sent - cut the download short so it is not mistaken for a full export
+    console.error('Export audit log error:', error);
+    res.destroy(error);
+  }
+});
@@ -30,7 +30,7 @@ exports.register = async (req, res) => {
     }
 
     // Validate role
-    const validRoles = ['vendor', 'vendor_barang', 'vendor_jasa', 'pic_gudang', 'admin', 'approver'];
+    const validRoles = ['vendor', 'vendor_barang', 'vendor_jasa', 'pic_gudang', 'admin', 'approver', 'finance_maker', 'finance_checker'];
     if (!validRoles.includes(role)) {
       return res.status(400).json({
         success: false,
@@ -1,12 +1,16 @@
 const BAPBRepository = require('../repositories/BAPBRepository');
 const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const approvalChainService = require('../services/approvalChainService');
+const documentStateMachine = require('../services/documentStateMachine');
+const sealService = require('../services/sealService');
 const fs = require('fs');   
 const path = require('path'); 
 
 /**
- * Approve BAPB
+ * Approve BAPB (current step of its approval chain)
  * @route POST /api/bapb/:id/approve
- * @access Private (PIC Gudang, Approver, Admin)
+ * @access Private (Approvers of the current chain step)
  */
 exports.approveBAPB = async (req, res) => {
   try {
@@ -23,24 +27,22 @@ exports.approveBAPB = async (req, res) => {
       });
     }
 
-    // Check status
-    if (!['submitted', 'in_review'].includes(bapb.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'BAPB must be in submitted or in_review status to be approved'
-      });
-    }
+    // Resolve the current approval chain step
+    const chain = await approvalChainService.getChainForDocument('BAPB', bapb);
+    const currentStep = approvalChainService.getCurrentStep(chain, bapb);
 
-    // Check authorization
-    if (!['pic_gudang', 'approver', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to approve BAPB'
-      });
-    }
+    // Document stays in review until the last step approves
+    const nextStep = approvalChainService.getNextStep(chain, currentStep);
+    const action = nextStep ? 'advance' : 'approve';
 
-    // Check if user already approved
-    const hasApproved = await BAPBRepository.hasUserApproved(id, approverId);
+    // Check status, step authorization and signature
+    const { warnings } = documentStateMachine.assertTransition('BAPB', bapb, action, {
+      user: req.user,
+      step: currentStep
+    });
+
+    // Check if user already approved in this submission round
+    const hasApproved = await BAPBRepository.hasUserApproved(id, approverId, bapb.approval_round || 0);
     if (hasApproved) {
       return res.status(400).json({
         success: false,
@@ -48,76 +50,80 @@ exports.approveBAPB = async (req, res) => {
       });
     }
 
-    const { supabaseAdmin } = require('../config/supabase');
-    
-    let signatureWarning = null;
-    
-    try {
-      const { data: existingSignature, error: signatureError } = await supabaseAdmin
-        .from('bapb_attachments')
-        .select('*')
-        .eq('bapb_id', id)
-        .eq('uploaded_by', approverId)
-        .eq('file_type', 'signature')
-        .maybeSingle();
-      
-      console.log('🔍 Signature check result:', {
-        bapb_id: id,
-        uploaded_by: approverId,
-        signatureFound: !!existingSignature,
-        error: signatureError
-      });
-
-      if (signatureError) {
-        console.warn('Error checking signature:', signatureError);
-        signatureWarning = 'Could not verify signature status';
-      } else if (!existingSignature) {
-        console.warn('No signature found for user:', approverId);
-        signatureWarning = 'Approved without signature - please upload signature for complete documentation';
-      }
+    const updateData = nextStep
+      ? { current_step: nextStep.order, approval_chain_id: chain.id }
+      : { approval_chain_id: chain.id };
 
-    } catch (err) {
-      console.error('Unexpected error during signature check:', err);
-      signatureWarning = 'Signature verification failed - proceeding without signature';
+    // Assign PIC if not assigned
+    if (!bapb.pic_gudang_id && req.user.role === 'pic_gudang') {
+      updateData.pic_gudang_id = approverId;
     }
 
-    // Create approval record
-    await BAPBRepository.createApproval({
-      bapb_id: id,
-      approver_id: approverId,
-      action: 'approved',
-      notes
+    await documentStateMachine.transition('BAPB', bapb, action, {
+      user: req.user,
+      step: currentStep,
+      // Approval record is written together with the status change
+      approval: {
+        approver_id: approverId,
+        action: 'approved',
+        notes,
+        step_order: currentStep.order,
+        step_name: currentStep.name,
+        approval_round: bapb.approval_round || 0
+      },
+      data: updateData,
+      reason: notes
     });
 
-    // Update BAPB status and assign PIC if not assigned
-    const updateData = { status: 'approved' };
-    if (!bapb.pic_gudang_id && req.user.role === 'pic_gudang') {
-      updateData.pic_gudang_id = approverId;
+    // Freeze the approved document
+    if (!nextStep) {
+      try {
+        await sealService.sealDocument('BAPB', id, req.user);
+      } catch (sealError) {
+        console.error('Error sealing BAPB:', sealError);
+        warnings.push('BAPB approved but could not be sealed yet - it will be sealed on first download');
+      }
     }
 
-    await BAPBRepository.update(id, updateData);
-
     // Send notification
-    await notificationService.notifyBAPBApproved(bapb, req.user.name);
+    if (nextStep) {
+      const approverIds = await approvalChainService.getStepApproverIds(nextStep);
+      await notificationService.notifyApprovalStepPending('BAPB', bapb, nextStep, approverIds);
+      await webhookService.emit('bapb.approval_step', {
+        document: webhookService.documentData('BAPB', bapb, { status: 'in_review', currentStep: nextStep.order }),
+        approvedStep: { order: currentStep.order, name: currentStep.name },
+        step: { order: nextStep.order, name: nextStep.name },
+        approvedBy: req.user.name
+      });
+    } else {
+      await notificationService.notifyBAPBApproved(bapb, req.user.name);
+      await webhookService.emit('bapb.approved', {
+        document: webhookService.documentData('BAPB', bapb, { status: 'approved' }),
+        approvedBy: req.user.name
+      });
+    }
 
     // Fetch updated BAPB
     const updatedBAPB = await BAPBRepository.findByIdWithRelations(id);
 
     const response = {
       success: true,
-      message: 'BAPB approved successfully',
-      data: updatedBAPB
+      message: nextStep
+        ? `BAPB approved at step "${currentStep.name}", waiting for "${nextStep.name}"`
+        : 'BAPB approved successfully',
+      data: updatedBAPB,
+      approvalProgress: approvalChainService.describeProgress(chain, updatedBAPB)
     };
 
-    // Add warning if signature is missing
-    if (signatureWarning) {
-      response.warning = signatureWarning;
+    // Add warnings (missing signature, sealing failure)
+    if (warnings.length > 0) {
+      response.warning = warnings.join('; ');
     }
 
     res.status(200).json(response);
   } catch (error) {
     console.error('Approve BAPB error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error approving BAPB',
       error: error.message
@@ -128,7 +134,7 @@ exports.approveBAPB = async (req, res) => {
 /**
  * Reject BAPB
  * @route POST /api/bapb/:id/reject
- * @access Private (PIC Gudang, Approver, Admin)
+ * @access Private (Approvers of the current chain step)
  */
 exports.rejectBAPB = async (req, res) => {
   try {
@@ -152,38 +158,37 @@ exports.rejectBAPB = async (req, res) => {
       });
     }
 
-    // Check status
-    if (!['submitted', 'in_review'].includes(bapb.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'BAPB must be in submitted or in_review status to be rejected'
-      });
-    }
-
-    // Check authorization
-    if (!['pic_gudang', 'approver', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to reject BAPB'
-      });
-    }
+    // Check status and authorization against the current chain step
+    const chain = await approvalChainService.getChainForDocument('BAPB', bapb);
+    const currentStep = approvalChainService.getCurrentStep(chain, bapb);
 
-    // Create rejection record
-    await BAPBRepository.createApproval({
-      bapb_id: id,
-      approver_id: approverId,
-      action: 'rejected',
-      notes
+    documentStateMachine.assertTransition('BAPB', bapb, 'reject', {
+      user: req.user,
+      step: currentStep
     });
 
-    // Update BAPB status
-    await BAPBRepository.update(id, {
-      status: 'rejected',
-      rejection_reason: rejectionReason
+    // Record rejection and update BAPB status
+    await documentStateMachine.transition('BAPB', bapb, 'reject', {
+      user: req.user,
+      step: currentStep,
+      approval: {
+        approver_id: approverId,
+        action: 'rejected',
+        notes,
+        step_order: currentStep.order,
+        step_name: currentStep.name,
+        approval_round: bapb.approval_round || 0
+      },
+      data: { rejection_reason: rejectionReason },
+      reason: rejectionReason
     });
 
     // Send notification
     await notificationService.notifyBAPBRejected(bapb, rejectionReason);
+    await webhookService.emit('bapb.rejected', {
+      document: webhookService.documentData('BAPB', bapb, { status: 'rejected' }),
+      reason: rejectionReason
+    });
 
     // Fetch updated BAPB
     const updatedBAPB = await BAPBRepository.findByIdWithRelations(id);
@@ -195,7 +200,7 @@ exports.rejectBAPB = async (req, res) => {
     });
   } catch (error) {
     console.error('Reject BAPB error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error rejecting BAPB',
       error: error.message
@@ -206,7 +211,7 @@ exports.rejectBAPB = async (req, res) => {
 /**
  * Request revision for BAPB
  * @route POST /api/bapb/:id/revision
- * @access Private (PIC Gudang, Approver, Admin)
+ * @access Private (Approvers of the current chain step)
  */
 exports.requestRevisionBAPB = async (req, res) => {
   try {
@@ -230,38 +235,38 @@ exports.requestRevisionBAPB = async (req, res) => {
       });
     }
 
-    // Check status
-    if (!['submitted', 'in_review'].includes(bapb.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'BAPB must be in submitted or in_review status to request revision'
-      });
-    }
-
-    // Check authorization
-    if (!['pic_gudang', 'approver', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to request revision'
-      });
-    }
+    // Check status and authorization against the current chain step
+    const chain = await approvalChainService.getChainForDocument('BAPB', bapb);
+    const currentStep = approvalChainService.getCurrentStep(chain, bapb);
 
-    // Create revision request record
-    await BAPBRepository.createApproval({
-      bapb_id: id,
-      approver_id: approverId,
-      action: 'revision_required',
-      notes
+    documentStateMachine.assertTransition('BAPB', bapb, 'request_revision', {
+      user: req.user,
+      step: currentStep
     });
 
-    // Update BAPB status
-    await BAPBRepository.update(id, {
-      status: 'revision_required',
-      rejection_reason: revisionReason
+    // Record revision request and update BAPB status
+    await documentStateMachine.transition('BAPB', bapb, 'request_revision', {
+      user: req.user,
+      step: currentStep,
+      approval: {
+        approver_id: approverId,
+        action: 'revision_required',
+        notes,
+        step_order: currentStep.order,
+        step_name: currentStep.name,
+        approval_round: bapb.approval_round || 0
+      },
+      // Version under review - the base for "changes since revision"
+      data: { rejection_reason: revisionReason, revision_base_version: bapb.version || null },
+      reason: revisionReason
     });
 
     // Send notification
     await notificationService.notifyBAPBRevisionRequired(bapb, revisionReason);
+    await webhookService.emit('bapb.revision_required', {
+      document: webhookService.documentData('BAPB', bapb, { status: 'revision_required' }),
+      reason: revisionReason
+    });
 
     // Fetch updated BAPB
     const updatedBAPB = await BAPBRepository.findByIdWithRelations(id);
@@ -273,7 +278,7 @@ exports.requestRevisionBAPB = async (req, res) => {
     });
   } catch (error) {
     console.error('Request revision BAPB error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error requesting revision',
       error: error.message
@@ -290,11 +295,22 @@ exports.getBAPBApprovalHistory = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const bapb = await BAPBRepository.findById(id);
+
+    if (!bapb) {
+      return res.status(404).json({
+        success: false,
+        message: 'BAPB not found'
+      });
+    }
+
     const approvals = await BAPBRepository.getApprovalHistory(id);
+    const chain = await approvalChainService.getChainForDocument('BAPB', bapb);
 
     res.status(200).json({
       success: true,
-      data: approvals
+      data: approvals,
+      approvalProgress: approvalChainService.describeProgress(chain, bapb)
     });
   } catch (error) {
     console.error('Get approval history error:', error);
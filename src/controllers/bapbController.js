@@ -1,5 +1,12 @@
 const BAPBRepository = require('../repositories/BAPBRepository');
 const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const approvalChainService = require('../services/approvalChainService');
+const documentStateMachine = require('../services/documentStateMachine');
+const documentVersionService = require('../services/documentVersionService');
+const documentNumberService = require('../services/documentNumberService');
+const procurementService = require('../services/procurementService');
+const slaService = require('../services/slaService');
 
 /**
  * Helper function to check if user can manage BAPB
@@ -26,7 +33,7 @@ const isVendorBarang = (userRole) => {
  */
 exports.createBAPB = async (req, res) => {
   try {
-    const { orderNumber, deliveryDate, items, notes } = req.body;
+    const { orderNumber, deliveryDate, items, notes, totalValue } = req.body;
     const vendorId = req.user.id;
 
     console.log('📥 Received BAPB creation request:', {
@@ -87,16 +94,19 @@ exports.createBAPB = async (req, res) => {
       }
     }
 
-    // Generate BAPB number
-    const bapbNumber = await BAPBRepository.generateBAPBNumber();
+    // Issue BAPB number from the sequence - reserved until the BAPB exists
+    const bapbNumber = await documentNumberService.issue('BAPB', req.user);
     console.log('🔢 Generated BAPB number:', bapbNumber);
 
     // Prepare BAPB data
     const bapbData = {
       bapb_number: bapbNumber,
       vendor_id: vendorId,
-      order_number: orderNumber,
+      // Checked and resolved by validateBAPB
+      purchase_order_id: req.purchaseOrder.id,
+      order_number: req.purchaseOrder.po_number,
       delivery_date: deliveryDate,
+      total_value: totalValue !== undefined ? totalValue : null,
       notes,
       status: 'draft'
     };
@@ -105,7 +115,15 @@ exports.createBAPB = async (req, res) => {
     console.log('📦 Items:', items);
 
     // Create BAPB with items
-    const bapb = await BAPBRepository.createWithItems(bapbData, items);
+    let bapb;
+    try {
+      bapb = await BAPBRepository.createWithItems(bapbData, items);
+    } catch (createError) {
+      await documentNumberService.voidNumber(bapbNumber, `BAPB could not be created: ${createError.message}`, req.user);
+      throw createError;
+    }
+
+    await documentNumberService.assign(bapbNumber, bapb.id);
 
     console.log('✅ BAPB created successfully:', bapb.id);
 
@@ -163,10 +181,11 @@ exports.getAllBAPB = async (req, res) => {
     };
 
     const result = await BAPBRepository.findAllWithRelations(filters, pagination);
+    const data = await slaService.attachSla('BAPB', result.data);
 
     res.status(200).json({
       success: true,
-      data: result.data,
+      data,
       pagination: {
         total: result.count,
         page: parseInt(page),
@@ -210,9 +229,13 @@ exports.getBAPBById = async (req, res) => {
       });
     }
 
+    // Show approvers what changed since they requested revision
+    const changesSinceRevision = await documentVersionService.getChangesSinceRevision('BAPB', bapb);
+
     res.status(200).json({
       success: true,
-      data: bapb
+      data: bapb,
+      changesSinceRevision
     });
   } catch (error) {
     console.error('Get BAPB by ID error:', error);
@@ -232,7 +255,7 @@ exports.getBAPBById = async (req, res) => {
 exports.updateBAPB = async (req, res) => {
   try {
     const { id } = req.params;
-    const { orderNumber, deliveryDate, notes, items } = req.body;
+    const { orderNumber, deliveryDate, notes, items, totalValue } = req.body;
 
     const bapb = await BAPBRepository.findById(id);
 
@@ -251,36 +274,50 @@ exports.updateBAPB = async (req, res) => {
       });
     }
 
-    // Additional validation for vendor type
-    if (!canManageBAPB(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only vendor barang can update BAPB'
-      });
-    }
-
-    // Check status
-    if (!['draft', 'revision_required'].includes(bapb.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot update BAPB that is not in draft or revision status'
-      });
-    }
+    // Check status and vendor type
+    documentStateMachine.assertTransition('BAPB', bapb, 'edit', { user: req.user });
 
     // Prepare update data
     const updateData = {};
-    if (orderNumber) updateData.order_number = orderNumber;
     if (deliveryDate) updateData.delivery_date = deliveryDate;
     if (notes !== undefined) updateData.notes = notes;
+    if (totalValue !== undefined) updateData.total_value = totalValue;
+
+    // Items must keep referencing lines of the BAPB's purchase order
+    let linkedItems = items;
+    const procurement = await procurementService.resolveForUpdate('PO', bapb, {
+      number: orderNumber,
+      items,
+      user: req.user
+    });
 
-    // If was in revision, change to draft
-    if (bapb.status === 'revision_required') {
-      updateData.status = 'draft';
-      updateData.rejection_reason = null;
+    if (procurement) {
+      if (procurement.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: procurement.errors
+        });
+      }
+
+      linkedItems = procurement.items;
+      updateData.purchase_order_id = procurement.record.id;
+      updateData.order_number = procurement.record.po_number;
     }
 
-    // Update BAPB with items
-    const updatedBAPB = await BAPBRepository.updateWithItems(id, updateData, items);
+    // Update BAPB with items - fails with 409 if it was submitted in the meantime
+    let updatedBAPB = await BAPBRepository.updateWithItems(id, updateData, linkedItems, {
+      expected: { status: bapb.status }
+    });
+
+    // If was in revision, change back to draft
+    if (bapb.status === 'revision_required') {
+      await documentStateMachine.transition('BAPB', bapb, 'edit', {
+        user: req.user,
+        data: { rejection_reason: null }
+      });
+      updatedBAPB = await BAPBRepository.findByIdWithRelations(id);
+    }
 
     res.status(200).json({
       success: true,
@@ -289,7 +326,7 @@ exports.updateBAPB = async (req, res) => {
     });
   } catch (error) {
     console.error('Update BAPB error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error updating BAPB',
       error: error.message
@@ -323,31 +360,21 @@ exports.deleteBAPB = async (req, res) => {
       });
     }
 
-    // Additional validation for vendor type
-    if (!canManageBAPB(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only vendor barang can delete BAPB'
-      });
-    }
-
-    // Check status
-    if (bapb.status !== 'draft') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only delete BAPB in draft status'
-      });
-    }
+    // Check status and vendor type
+    documentStateMachine.assertTransition('BAPB', bapb, 'delete', { user: req.user });
 
     await BAPBRepository.delete(id);
 
+    // Deleted drafts keep their number reserved so the gap stays explainable
+    await documentNumberService.voidNumber(bapb.bapb_number, 'Draft deleted', req.user);
+
     res.status(200).json({
       success: true,
       message: 'BAPB deleted successfully'
     });
   } catch (error) {
     console.error('Delete BAPB error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error deleting BAPB',
       error: error.message
@@ -390,58 +417,244 @@ exports.submitBAPB = async (req, res) => {
       });
     }
 
-    // Additional validation for vendor type
-    if (!canManageBAPB(req.user.role)) {
-      return res.status(403).json({
+    // Check status, vendor type and items
+    documentStateMachine.assertTransition('BAPB', bapb, 'submit', { user: req.user });
+
+    console.log('✅ Validation passed, updating status to submitted');
+
+    // Assign approval chain for this submission round
+    const chain = await approvalChainService.resolveChain('BAPB', bapb);
+    const firstStep = chain.steps[0];
+
+    // Every submission is a new immutable version, stored together with the status change
+    const versionNumber = (bapb.version || 0) + 1;
+
+    // Update status
+    await documentStateMachine.transition('BAPB', bapb, 'submit', {
+      user: req.user,
+      data: {
+        approval_chain_id: chain.id,
+        current_step: firstStep.order,
+        approval_round: (bapb.approval_round || 0) + 1,
+        version: versionNumber
+      },
+      version: documentVersionService.buildVersion('BAPB', bapb, versionNumber, req.user)
+    });
+
+    // Send notification to approvers of the first step
+    const approverIds = await approvalChainService.getStepApproverIds(firstStep);
+    await notificationService.notifyBAPBSubmitted(bapb, approverIds);
+    await webhookService.emit('bapb.submitted', {
+      document: webhookService.documentData('BAPB', bapb, { status: 'submitted', currentStep: firstStep.order }),
+      step: { order: firstStep.order, name: firstStep.name }
+    });
+
+    // Fetch updated BAPB
+    const updatedBAPB = await BAPBRepository.findByIdWithRelations(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'BAPB submitted successfully',
+      data: updatedBAPB
+    });
+  } catch (error) {
+    console.error('❌ Submit BAPB error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error submitting BAPB',
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+/**
+ * Get status transition history of a BAPB
+ * @route GET /api/bapb/:id/transitions
+ * @access Private
+ */
+exports.getBAPBTransitions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bapb = await BAPBRepository.findById(id);
+
+    if (!bapb) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied. Only vendor barang can submit BAPB'
+        message: 'BAPB not found'
       });
     }
 
-    // Check status
-    if (!['draft', 'revision_required'].includes(bapb.status)) {
-      return res.status(400).json({
+    if (isVendorBarang(req.user.role) && bapb.vendor_id !== req.user.id) {
+      return res.status(403).json({
         success: false,
-        message: 'Can only submit BAPB in draft or revision status'
+        message: 'Not authorized to view this BAPB'
       });
     }
 
-    // Validate has items
-    if (!bapb.items || bapb.items.length === 0) {
-      console.error('⚠️ BAPB has no items!');
+    const transitions = await documentStateMachine.getHistory('BAPB', id);
+
+    res.status(200).json({
+      success: true,
+      data: transitions
+    });
+  } catch (error) {
+    console.error('Get BAPB transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching status transitions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Load a BAPB and check the user may view it
+ * @returns {object|null} bapb, or null when a response was already sent
+ */
+const findBAPBForViewing = async (req, res, withRelations = false) => {
+  const bapb = withRelations
+    ? await BAPBRepository.findByIdWithRelations(req.params.id)
+    : await BAPBRepository.findById(req.params.id);
+
+  if (!bapb) {
+    res.status(404).json({
+      success: false,
+      message: 'BAPB not found'
+    });
+    return null;
+  }
+
+  if (isVendorBarang(req.user.role) && bapb.vendor_id !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this BAPB'
+    });
+    return null;
+  }
+
+  return bapb;
+};
+
+/**
+ * List submitted versions of a BAPB
+ * @route GET /api/bapb/:id/versions
+ * @access Private
+ */
+exports.getBAPBVersions = async (req, res) => {
+  try {
+    const bapb = await findBAPBForViewing(req, res);
+    if (!bapb) return;
+
+    const versions = await documentVersionService.listVersions('BAPB', bapb.id);
+
+    res.status(200).json({
+      success: true,
+      data: versions,
+      currentVersion: bapb.version || 0
+    });
+  } catch (error) {
+    console.error('Get BAPB versions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single version of a BAPB
+ * @route GET /api/bapb/:id/versions/:version
+ * @access Private
+ */
+exports.getBAPBVersion = async (req, res) => {
+  try {
+    const bapb = await findBAPBForViewing(req, res);
+    if (!bapb) return;
+
+    const version = await documentVersionService.getVersion('BAPB', bapb.id, parseInt(req.params.version));
+
+    res.status(200).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Get BAPB version error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Field-level diff between two versions of a BAPB
+ * @route GET /api/bapb/:id/versions/diff?from=1&to=2
+ * @access Private
+ */
+exports.getBAPBVersionDiff = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
       return res.status(400).json({
         success: false,
-        message: 'BAPB must have at least one item. Please add items before submitting.',
-        debug: {
-          bapbId: bapb.id,
-          itemsFound: bapb.items ? bapb.items.length : 0
-        }
+        message: 'Query parameters from and to (version numbers) are required'
       });
     }
 
-    console.log('✅ Validation passed, updating status to submitted');
+    const bapb = await findBAPBForViewing(req, res);
+    if (!bapb) return;
 
-    // Update status
-    await BAPBRepository.updateStatus(id, 'submitted');
+    const diff = await documentVersionService.diffVersions('BAPB', bapb.id, from, to);
 
-    // Send notification
-    await notificationService.notifyBAPBSubmitted(bapb);
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Get BAPB version diff error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error comparing versions',
+      error: error.message
+    });
+  }
+};
 
-    // Fetch updated BAPB
-    const updatedBAPB = await BAPBRepository.findByIdWithRelations(id);
+/**
+ * Changes made by the vendor since revision was requested
+ * @route GET /api/bapb/:id/changes-since-revision
+ * @access Private
+ */
+exports.getBAPBChangesSinceRevision = async (req, res) => {
+  try {
+    const bapb = await findBAPBForViewing(req, res, true);
+    if (!bapb) return;
+
+    const changes = await documentVersionService.getChangesSinceRevision('BAPB', bapb);
+
+    if (!changes) {
+      return res.status(404).json({
+        success: false,
+        message: 'No revision has been requested for this BAPB'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'BAPB submitted successfully',
-      data: updatedBAPB
+      data: changes
     });
   } catch (error) {
-    console.error('❌ Submit BAPB error:', error);
-    res.status(500).json({
+    console.error('Get BAPB changes since revision error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error submitting BAPB',
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      message: 'Error fetching changes since revision',
+      error: error.message
     });
   }
 };
@@ -1,10 +1,14 @@
 const BAPPRepository = require('../repositories/BAPPRepository');
 const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const approvalChainService = require('../services/approvalChainService');
+const documentStateMachine = require('../services/documentStateMachine');
+const sealService = require('../services/sealService');
 
 /**
- * Approve BAPP
+ * Approve BAPP (current step of its approval chain)
  * @route POST /api/bapp/:id/approve
- * @access Private (Approver, Admin)
+ * @access Private (Approvers of the current chain step)
  */
 exports.approveBAPP = async (req, res) => {
   try {
@@ -21,24 +25,22 @@ exports.approveBAPP = async (req, res) => {
       });
     }
 
-    // Check status
-    if (!['submitted', 'in_review'].includes(bapp.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'BAPP must be in submitted or in_review status to be approved'
-      });
-    }
+    // Resolve the current approval chain step
+    const chain = await approvalChainService.getChainForDocument('BAPP', bapp);
+    const currentStep = approvalChainService.getCurrentStep(chain, bapp);
 
-    // Check authorization
-    if (!['approver', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to approve BAPP'
-      });
-    }
+    // Document stays in review until the last step approves
+    const nextStep = approvalChainService.getNextStep(chain, currentStep);
+    const action = nextStep ? 'advance' : 'approve';
 
-    // Check if user already approved
-    const hasApproved = await BAPPRepository.hasUserApproved(id, approverId);
+    // Check status, step authorization and signature
+    const { warnings } = documentStateMachine.assertTransition('BAPP', bapp, action, {
+      user: req.user,
+      step: currentStep
+    });
+
+    // Check if user already approved in this submission round
+    const hasApproved = await BAPPRepository.hasUserApproved(id, approverId, bapp.approval_round || 0);
     if (hasApproved) {
       return res.status(400).json({
         success: false,
@@ -46,76 +48,80 @@ exports.approveBAPP = async (req, res) => {
       });
     }
 
-    const { supabaseAdmin } = require('../config/supabase');
-    
-    let signatureWarning = null;
-    
-    try {
-      const { data: existingSignature, error: signatureError } = await supabaseAdmin
-        .from('bapp_attachments')
-        .select('*')
-        .eq('bapp_id', id)
-        .eq('uploaded_by', approverId)
-        .eq('file_type', 'signature')
-        .maybeSingle();
-
-      console.log('🔍 BAPP Signature check result:', {
-        bapp_id: id,
-        uploaded_by: approverId,
-        signatureFound: !!existingSignature,
-        error: signatureError
-      });
-
-      if (signatureError) {
-        console.warn('Error checking signature:', signatureError);
-        signatureWarning = 'Could not verify signature status';
-      } else if (!existingSignature) {
-        console.warn(' No signature found for user:', approverId);
-        signatureWarning = 'Approved without signature - please upload signature for complete documentation';
-      }
+    const updateData = nextStep
+      ? { current_step: nextStep.order, approval_chain_id: chain.id }
+      : { approval_chain_id: chain.id };
 
-    } catch (err) {
-      console.error(' Unexpected error during signature check:', err);
-      signatureWarning = 'Signature verification failed - proceeding without signature';
+    // Assign Direksi if not assigned
+    if (!bapp.direksi_pekerjaan_id && req.user.role === 'approver') {
+      updateData.direksi_pekerjaan_id = approverId;
     }
 
-    // Create approval record
-    await BAPPRepository.createApproval({
-      bapp_id: id,
-      approver_id: approverId,
-      action: 'approved',
-      notes
+    await documentStateMachine.transition('BAPP', bapp, action, {
+      user: req.user,
+      step: currentStep,
+      // Approval record is written together with the status change
+      approval: {
+        approver_id: approverId,
+        action: 'approved',
+        notes,
+        step_order: currentStep.order,
+        step_name: currentStep.name,
+        approval_round: bapp.approval_round || 0
+      },
+      data: updateData,
+      reason: notes
     });
 
-    // Update BAPP status and assign Direksi if not assigned
-    const updateData = { status: 'approved' };
-    if (!bapp.direksi_pekerjaan_id && req.user.role === 'approver') {
-      updateData.direksi_pekerjaan_id = approverId;
+    // Freeze the approved document
+    if (!nextStep) {
+      try {
+        await sealService.sealDocument('BAPP', id, req.user);
+      } catch (sealError) {
+        console.error('Error sealing BAPP:', sealError);
+        warnings.push('BAPP approved but could not be sealed yet - it will be sealed on first download');
+      }
     }
 
-    await BAPPRepository.update(id, updateData);
-
     // Send notification
-    await notificationService.notifyBAPPApproved(bapp, req.user.name);
+    if (nextStep) {
+      const approverIds = await approvalChainService.getStepApproverIds(nextStep);
+      await notificationService.notifyApprovalStepPending('BAPP', bapp, nextStep, approverIds);
+      await webhookService.emit('bapp.approval_step', {
+        document: webhookService.documentData('BAPP', bapp, { status: 'in_review', currentStep: nextStep.order }),
+        approvedStep: { order: currentStep.order, name: currentStep.name },
+        step: { order: nextStep.order, name: nextStep.name },
+        approvedBy: req.user.name
+      });
+    } else {
+      await notificationService.notifyBAPPApproved(bapp, req.user.name);
+      await webhookService.emit('bapp.approved', {
+        document: webhookService.documentData('BAPP', bapp, { status: 'approved' }),
+        approvedBy: req.user.name
+      });
+    }
 
     // Fetch updated BAPP
     const updatedBAPP = await BAPPRepository.findByIdWithRelations(id);
 
     const response = {
       success: true,
-      message: 'BAPP approved successfully',
-      data: updatedBAPP
+      message: nextStep
+        ? `BAPP approved at step "${currentStep.name}", waiting for "${nextStep.name}"`
+        : 'BAPP approved successfully',
+      data: updatedBAPP,
+      approvalProgress: approvalChainService.describeProgress(chain, updatedBAPP)
     };
 
-    // Add warning if signature is missing
-    if (signatureWarning) {
-      response.warning = signatureWarning;
+    // Add warnings (missing signature, sealing failure)
+    if (warnings.length > 0) {
+      response.warning = warnings.join('; ');
     }
 
     res.status(200).json(response);
   } catch (error) {
     console.error('Approve BAPP error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error approving BAPP',
       error: error.message
@@ -126,7 +132,7 @@ exports.approveBAPP = async (req, res) => {
 /**
  * Reject BAPP
  * @route POST /api/bapp/:id/reject
- * @access Private (Approver, Admin)
+ * @access Private (Approvers of the current chain step)
  */
 exports.rejectBAPP = async (req, res) => {
   try {
@@ -150,38 +156,37 @@ exports.rejectBAPP = async (req, res) => {
       });
     }
 
-    // Check status
-    if (!['submitted', 'in_review'].includes(bapp.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'BAPP must be in submitted or in_review status to be rejected'
-      });
-    }
-
-    // Check authorization
-    if (!['approver', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to reject BAPP'
-      });
-    }
+    // Check status and authorization against the current chain step
+    const chain = await approvalChainService.getChainForDocument('BAPP', bapp);
+    const currentStep = approvalChainService.getCurrentStep(chain, bapp);
 
-    // Create rejection record
-    await BAPPRepository.createApproval({
-      bapp_id: id,
-      approver_id: approverId,
-      action: 'rejected',
-      notes
+    documentStateMachine.assertTransition('BAPP', bapp, 'reject', {
+      user: req.user,
+      step: currentStep
     });
 
-    // Update BAPP status
-    await BAPPRepository.update(id, {
-      status: 'rejected',
-      rejection_reason: rejectionReason
+    // Record rejection and update BAPP status
+    await documentStateMachine.transition('BAPP', bapp, 'reject', {
+      user: req.user,
+      step: currentStep,
+      approval: {
+        approver_id: approverId,
+        action: 'rejected',
+        notes,
+        step_order: currentStep.order,
+        step_name: currentStep.name,
+        approval_round: bapp.approval_round || 0
+      },
+      data: { rejection_reason: rejectionReason },
+      reason: rejectionReason
     });
 
     // Send notification
     await notificationService.notifyBAPPRejected(bapp, rejectionReason);
+    await webhookService.emit('bapp.rejected', {
+      document: webhookService.documentData('BAPP', bapp, { status: 'rejected' }),
+      reason: rejectionReason
+    });
 
     // Fetch updated BAPP
     const updatedBAPP = await BAPPRepository.findByIdWithRelations(id);
@@ -193,7 +198,7 @@ exports.rejectBAPP = async (req, res) => {
     });
   } catch (error) {
     console.error('Reject BAPP error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error rejecting BAPP',
       error: error.message
@@ -204,7 +209,7 @@ exports.rejectBAPP = async (req, res) => {
 /**
  * Request revision for BAPP
  * @route POST /api/bapp/:id/revision
- * @access Private (Approver, Admin)
+ * @access Private (Approvers of the current chain step)
  */
 exports.requestRevisionBAPP = async (req, res) => {
   try {
@@ -228,38 +233,38 @@ exports.requestRevisionBAPP = async (req, res) => {
       });
     }
 
-    // Check status
-    if (!['submitted', 'in_review'].includes(bapp.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'BAPP must be in submitted or in_review status to request revision'
-      });
-    }
-
-    // Check authorization
-    if (!['approver', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to request revision'
-      });
-    }
+    // Check status and authorization against the current chain step
+    const chain = await approvalChainService.getChainForDocument('BAPP', bapp);
+    const currentStep = approvalChainService.getCurrentStep(chain, bapp);
 
-    // Create revision request record
-    await BAPPRepository.createApproval({
-      bapp_id: id,
-      approver_id: approverId,
-      action: 'revision_required',
-      notes
+    documentStateMachine.assertTransition('BAPP', bapp, 'request_revision', {
+      user: req.user,
+      step: currentStep
     });
 
-    // Update BAPP status
-    await BAPPRepository.update(id, {
-      status: 'revision_required',
-      rejection_reason: revisionReason
+    // Record revision request and update BAPP status
+    await documentStateMachine.transition('BAPP', bapp, 'request_revision', {
+      user: req.user,
+      step: currentStep,
+      approval: {
+        approver_id: approverId,
+        action: 'revision_required',
+        notes,
+        step_order: currentStep.order,
+        step_name: currentStep.name,
+        approval_round: bapp.approval_round || 0
+      },
+      // Version under review - the base for "changes since revision"
+      data: { rejection_reason: revisionReason, revision_base_version: bapp.version || null },
+      reason: revisionReason
     });
 
     // Send notification
     await notificationService.notifyBAPPRevisionRequired(bapp, revisionReason);
+    await webhookService.emit('bapp.revision_required', {
+      document: webhookService.documentData('BAPP', bapp, { status: 'revision_required' }),
+      reason: revisionReason
+    });
 
     // Fetch updated BAPP
     const updatedBAPP = await BAPPRepository.findByIdWithRelations(id);
@@ -271,7 +276,7 @@ exports.requestRevisionBAPP = async (req, res) => {
     });
   } catch (error) {
     console.error('Request revision BAPP error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error requesting revision',
       error: error.message
@@ -288,11 +293,22 @@ exports.getBAPPApprovalHistory = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const bapp = await BAPPRepository.findById(id);
+
+    if (!bapp) {
+      return res.status(404).json({
+        success: false,
+        message: 'BAPP not found'
+      });
+    }
+
     const approvals = await BAPPRepository.getApprovalHistory(id);
+    const chain = await approvalChainService.getChainForDocument('BAPP', bapp);
 
     res.status(200).json({
       success: true,
-      data: approvals
+      data: approvals,
+      approvalProgress: approvalChainService.describeProgress(chain, bapp)
     });
   } catch (error) {
     console.error('Get approval history error:', error);
@@ -1,5 +1,12 @@
 const BAPPRepository = require('../repositories/BAPPRepository');
 const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const approvalChainService = require('../services/approvalChainService');
+const documentStateMachine = require('../services/documentStateMachine');
+const documentVersionService = require('../services/documentVersionService');
+const documentNumberService = require('../services/documentNumberService');
+const procurementService = require('../services/procurementService');
+const slaService = require('../services/slaService');
 
 /**
  * Helper function to check if user can manage BAPP
@@ -34,7 +41,8 @@ exports.createBAPP = async (req, res) => {
       endDate, 
       completionDate, 
       workItems, 
-      notes 
+      notes,
+      totalValue
     } = req.body;
     
     const vendorId = req.user.id;
@@ -107,20 +115,23 @@ exports.createBAPP = async (req, res) => {
       }
     }
 
-    // Generate BAPP number
-    const bappNumber = await BAPPRepository.generateBAPPNumber();
+    // Issue BAPP number from the sequence - reserved until the BAPP exists
+    const bappNumber = await documentNumberService.issue('BAPP', req.user);
     console.log('🔢 Generated BAPP number:', bappNumber);
 
     // Prepare BAPP data
     const bappData = {
       bapp_number: bappNumber,
       vendor_id: vendorId,
-      contract_number: contractNumber,
+      // Checked and resolved by validateBAPP
+      contract_id: req.contract.id,
+      contract_number: req.contract.contract_number,
       project_name: projectName,
       project_location: projectLocation,
       start_date: startDate,
       end_date: endDate,
       completion_date: completionDate,
+      total_value: totalValue !== undefined ? totalValue : null,
       notes,
       status: 'draft'
     };
@@ -129,7 +140,15 @@ exports.createBAPP = async (req, res) => {
     console.log('📦 Work items:', workItems);
 
     // Create BAPP with work items
-    const bapp = await BAPPRepository.createWithWorkItems(bappData, workItems);
+    let bapp;
+    try {
+      bapp = await BAPPRepository.createWithWorkItems(bappData, workItems);
+    } catch (createError) {
+      await documentNumberService.voidNumber(bappNumber, `BAPP could not be created: ${createError.message}`, req.user);
+      throw createError;
+    }
+
+    await documentNumberService.assign(bappNumber, bapp.id);
 
     console.log('✅ BAPP created successfully:', bapp.id);
 
@@ -188,10 +207,11 @@ exports.getAllBAPP = async (req, res) => {
     };
 
     const result = await BAPPRepository.findAllWithRelations(filters, pagination);
+    const data = await slaService.attachSla('BAPP', result.data);
 
     res.status(200).json({
       success: true,
-      data: result.data,
+      data,
       pagination: {
         total: result.count,
         page: parseInt(page),
@@ -235,9 +255,13 @@ exports.getBAPPById = async (req, res) => {
       });
     }
 
+    // Show approvers what changed since they requested revision
+    const changesSinceRevision = await documentVersionService.getChangesSinceRevision('BAPP', bapp);
+
     res.status(200).json({
       success: true,
-      data: bapp
+      data: bapp,
+      changesSinceRevision
     });
   } catch (error) {
     console.error('Get BAPP by ID error:', error);
@@ -265,7 +289,8 @@ exports.updateBAPP = async (req, res) => {
       endDate, 
       completionDate, 
       notes, 
-      workItems 
+      workItems,
+      totalValue
     } = req.body;
 
     const bapp = await BAPPRepository.findById(id);
@@ -285,40 +310,54 @@ exports.updateBAPP = async (req, res) => {
       });
     }
 
-    // Additional validation for vendor type
-    if (!canManageBAPP(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only vendor jasa can update BAPP'
-      });
-    }
-
-    // Check status
-    if (!['draft', 'revision_required'].includes(bapp.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot update BAPP that is not in draft or revision status'
-      });
-    }
+    // Check status and vendor type
+    documentStateMachine.assertTransition('BAPP', bapp, 'edit', { user: req.user });
 
     // Prepare update data
     const updateData = {};
-    if (contractNumber) updateData.contract_number = contractNumber;
     if (projectName) updateData.project_name = projectName;
     if (projectLocation) updateData.project_location = projectLocation;
     if (startDate) updateData.start_date = startDate;
     if (endDate) updateData.end_date = endDate;
     if (completionDate !== undefined) updateData.completion_date = completionDate;
     if (notes !== undefined) updateData.notes = notes;
+    if (totalValue !== undefined) updateData.total_value = totalValue;
+
+    // Items must keep referencing lines of the BAPP's contract
+    let linkedWorkItems = workItems;
+    const procurement = await procurementService.resolveForUpdate('CONTRACT', bapp, {
+      number: contractNumber,
+      items: workItems,
+      user: req.user
+    });
 
-    // If was in revision, change to draft
-    if (bapp.status === 'revision_required') {
-      updateData.status = 'draft';
-      updateData.rejection_reason = null;
+    if (procurement) {
+      if (procurement.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: procurement.errors
+        });
+      }
+
+      linkedWorkItems = procurement.items;
+      updateData.contract_id = procurement.record.id;
+      updateData.contract_number = procurement.record.contract_number;
     }
 
-    // Update BAPP with work items
-    const updatedBAPP = await BAPPRepository.updateWithWorkItems(id, updateData, workItems);
+    // Update BAPP with work items - fails with 409 if it was submitted in the meantime
+    let updatedBAPP = await BAPPRepository.updateWithWorkItems(id, updateData, linkedWorkItems, {
+      expected: { status: bapp.status }
+    });
+
+    // If was in revision, change back to draft
+    if (bapp.status === 'revision_required') {
+      await documentStateMachine.transition('BAPP', bapp, 'edit', {
+        user: req.user,
+        data: { rejection_reason: null }
+      });
+      updatedBAPP = await BAPPRepository.findByIdWithRelations(id);
+    }
 
     res.status(200).json({
       success: true,
@@ -327,7 +366,7 @@ exports.updateBAPP = async (req, res) => {
     });
   } catch (error) {
     console.error('Update BAPP error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error updating BAPP',
       error: error.message
@@ -361,31 +400,21 @@ exports.deleteBAPP = async (req, res) => {
       });
     }
 
-    // Additional validation for vendor type
-    if (!canManageBAPP(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only vendor jasa can delete BAPP'
-      });
-    }
-
-    // Check status
-    if (bapp.status !== 'draft') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only delete BAPP in draft status'
-      });
-    }
+    // Check status and vendor type
+    documentStateMachine.assertTransition('BAPP', bapp, 'delete', { user: req.user });
 
     await BAPPRepository.delete(id);
 
+    // Deleted drafts keep their number reserved so the gap stays explainable
+    await documentNumberService.voidNumber(bapp.bapp_number, 'Draft deleted', req.user);
+
     res.status(200).json({
       success: true,
       message: 'BAPP deleted successfully'
     });
   } catch (error) {
     console.error('Delete BAPP error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error deleting BAPP',
       error: error.message
@@ -428,58 +457,244 @@ exports.submitBAPP = async (req, res) => {
       });
     }
 
-    // Additional validation for vendor type
-    if (!canManageBAPP(req.user.role)) {
-      return res.status(403).json({
+    // Check status, vendor type and work items
+    documentStateMachine.assertTransition('BAPP', bapp, 'submit', { user: req.user });
+
+    console.log('✅ Validation passed, updating status to submitted');
+
+    // Assign approval chain for this submission round
+    const chain = await approvalChainService.resolveChain('BAPP', bapp);
+    const firstStep = chain.steps[0];
+
+    // Every submission is a new immutable version, stored together with the status change
+    const versionNumber = (bapp.version || 0) + 1;
+
+    // Update status
+    await documentStateMachine.transition('BAPP', bapp, 'submit', {
+      user: req.user,
+      data: {
+        approval_chain_id: chain.id,
+        current_step: firstStep.order,
+        approval_round: (bapp.approval_round || 0) + 1,
+        version: versionNumber
+      },
+      version: documentVersionService.buildVersion('BAPP', bapp, versionNumber, req.user)
+    });
+
+    // Send notification to approvers of the first step
+    const approverIds = await approvalChainService.getStepApproverIds(firstStep);
+    await notificationService.notifyBAPPSubmitted(bapp, approverIds);
+    await webhookService.emit('bapp.submitted', {
+      document: webhookService.documentData('BAPP', bapp, { status: 'submitted', currentStep: firstStep.order }),
+      step: { order: firstStep.order, name: firstStep.name }
+    });
+
+    // Fetch updated BAPP
+    const updatedBAPP = await BAPPRepository.findByIdWithRelations(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'BAPP submitted successfully',
+      data: updatedBAPP
+    });
+  } catch (error) {
+    console.error('❌ Submit BAPP error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error submitting BAPP',
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+/**
+ * Get status transition history of a BAPP
+ * @route GET /api/bapp/:id/transitions
+ * @access Private
+ */
+exports.getBAPPTransitions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bapp = await BAPPRepository.findById(id);
+
+    if (!bapp) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied. Only vendor jasa can submit BAPP'
+        message: 'BAPP not found'
       });
     }
 
-    // Check status
-    if (!['draft', 'revision_required'].includes(bapp.status)) {
-      return res.status(400).json({
+    if (isVendorJasa(req.user.role) && bapp.vendor_id !== req.user.id) {
+      return res.status(403).json({
         success: false,
-        message: 'Can only submit BAPP in draft or revision status'
+        message: 'Not authorized to view this BAPP'
       });
     }
 
-    // FIXED: Validate has work items
-    if (!bapp.work_items || bapp.work_items.length === 0) {
-      console.error('⚠️ BAPP has no work items!');
+    const transitions = await documentStateMachine.getHistory('BAPP', id);
+
+    res.status(200).json({
+      success: true,
+      data: transitions
+    });
+  } catch (error) {
+    console.error('Get BAPP transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching status transitions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Load a BAPP and check the user may view it
+ * @returns {object|null} bapp, or null when a response was already sent
+ */
+const findBAPPForViewing = async (req, res, withRelations = false) => {
+  const bapp = withRelations
+    ? await BAPPRepository.findByIdWithRelations(req.params.id)
+    : await BAPPRepository.findById(req.params.id);
+
+  if (!bapp) {
+    res.status(404).json({
+      success: false,
+      message: 'BAPP not found'
+    });
+    return null;
+  }
+
+  if (isVendorJasa(req.user.role) && bapp.vendor_id !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this BAPP'
+    });
+    return null;
+  }
+
+  return bapp;
+};
+
+/**
+ * List submitted versions of a BAPP
+ * @route GET /api/bapp/:id/versions
+ * @access Private
+ */
+exports.getBAPPVersions = async (req, res) => {
+  try {
+    const bapp = await findBAPPForViewing(req, res);
+    if (!bapp) return;
+
+    const versions = await documentVersionService.listVersions('BAPP', bapp.id);
+
+    res.status(200).json({
+      success: true,
+      data: versions,
+      currentVersion: bapp.version || 0
+    });
+  } catch (error) {
+    console.error('Get BAPP versions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single version of a BAPP
+ * @route GET /api/bapp/:id/versions/:version
+ * @access Private
+ */
+exports.getBAPPVersion = async (req, res) => {
+  try {
+    const bapp = await findBAPPForViewing(req, res);
+    if (!bapp) return;
+
+    const version = await documentVersionService.getVersion('BAPP', bapp.id, parseInt(req.params.version));
+
+    res.status(200).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Get BAPP version error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fetching version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Field-level diff between two versions of a BAPP
+ * @route GET /api/bapp/:id/versions/diff?from=1&to=2
+ * @access Private
+ */
+exports.getBAPPVersionDiff = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
       return res.status(400).json({
         success: false,
-        message: 'BAPP must have at least one work item. Please add work items before submitting.',
-        debug: {
-          bappId: bapp.id,
-          workItemsFound: bapp.work_items ? bapp.work_items.length : 0
-        }
+        message: 'Query parameters from and to (version numbers) are required'
       });
     }
 
-    console.log('✅ Validation passed, updating status to submitted');
+    const bapp = await findBAPPForViewing(req, res);
+    if (!bapp) return;
 
-    // Update status
-    await BAPPRepository.updateStatus(id, 'submitted');
+    const diff = await documentVersionService.diffVersions('BAPP', bapp.id, from, to);
 
-    // Send notification
-    await notificationService.notifyBAPPSubmitted(bapp);
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Get BAPP version diff error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error comparing versions',
+      error: error.message
+    });
+  }
+};
 
-    // Fetch updated BAPP
-    const updatedBAPP = await BAPPRepository.findByIdWithRelations(id);
+/**
+ * Changes made by the vendor since revision was requested
+ * @route GET /api/bapp/:id/changes-since-revision
+ * @access Private
+ */
+exports.getBAPPChangesSinceRevision = async (req, res) => {
+  try {
+    const bapp = await findBAPPForViewing(req, res, true);
+    if (!bapp) return;
+
+    const changes = await documentVersionService.getChangesSinceRevision('BAPP', bapp);
+
+    if (!changes) {
+      return res.status(404).json({
+        success: false,
+        message: 'No revision has been requested for this BAPP'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'BAPP submitted successfully',
-      data: updatedBAPP
+      data: changes
     });
   } catch (error) {
-    console.error('❌ Submit BAPP error:', error);
-    res.status(500).json({
+    console.error('Get BAPP changes since revision error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error submitting BAPP',
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      message: 'Error fetching changes since revision',
+      error: error.message
     });
   }
 };
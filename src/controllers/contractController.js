@@ -0,0 +1,125 @@
+const procurementService = require('../services/procurementService');
+const contractPaymentService = require('../services/contractPaymentService');
+const paymentService = require('../services/paymentService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Get contracts (vendors only see their own)
+ * @route GET /api/contracts
+ * @query vendorId, status, search, page, limit
+ * @access Private
+ */
+exports.getContracts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+  const result = await procurementService.list('CONTRACT', {
+    vendor_id: req.query.vendorId,
+    status: req.query.status,
+    search: req.query.search
+  }, {
+    limit,
+    offset: (page - 1) * limit
+  }, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: {
+      total: result.count,
+      page,
+      limit,
+      totalPages: Math.ceil(result.count / limit)
+    }
+  });
+});
+
+/**
+ * Get contract with lines
+ * @route GET /api/contracts/:id
+ * @access Private
+ */
+exports.getContractById = asyncHandler(async (req, res) => {
+  const data = await procurementService.get('CONTRACT', req.params.id, req.user);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Create contract with lines
+ * @route POST /api/contracts
+ * @access Private (Admin)
+ */
+exports.createContract = asyncHandler(async (req, res) => {
+  const data = await procurementService.create('CONTRACT', req.body, req.user);
+
+  res.status(201).json({ success: true, message: 'Contract created successfully', data });
+});
+
+/**
+ * Update contract (lines only while no BAPP references them)
+ * @route PUT /api/contracts/:id
+ * @access Private (Admin)
+ */
+exports.updateContract = asyncHandler(async (req, res) => {
+  const data = await procurementService.update('CONTRACT', req.params.id, req.body);
+
+  res.status(200).json({ success: true, message: 'Contract updated successfully', data });
+});
+
+/**
+ * Delete contract that no BAPP references
+ * @route DELETE /api/contracts/:id
+ * @access Private (Admin)
+ */
+exports.deleteContract = asyncHandler(async (req, res) => {
+  await procurementService.remove('CONTRACT', req.params.id);
+
+  res.status(200).json({ success: true, message: 'Contract deleted successfully' });
+});
+
+/**
+ * Get payment schedule and retention terms of a contract
+ * @route GET /api/contracts/:id/payment-schedule
+ * @access Private
+ */
+exports.getPaymentSchedule = asyncHandler(async (req, res) => {
+  await procurementService.get('CONTRACT', req.params.id, req.user);
+  const data = await contractPaymentService.getSchedule(req.params.id);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Update retention terms and/or replace the payment schedule
+ * @route PUT /api/contracts/:id/payment-schedule
+ * @access Private (Admin)
+ */
+exports.updatePaymentSchedule = asyncHandler(async (req, res) => {
+  const data = await contractPaymentService.updateSchedule(req.params.id, req.body);
+
+  res.status(200).json({ success: true, message: 'Payment schedule updated successfully', data });
+});
+
+/**
+ * Get ledger of termin and retention payments of a contract
+ * @route GET /api/contracts/:id/ledger
+ * @access Private
+ */
+exports.getLedger = asyncHandler(async (req, res) => {
+  const contract = await procurementService.get('CONTRACT', req.params.id, req.user);
+  const data = await contractPaymentService.getLedger(contract);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Pay out retention held on a contract after its maintenance period
+ * @route POST /api/contracts/:id/retention/release
+ * @access Private (Admin)
+ */
+exports.releaseRetention = asyncHandler(async (req, res) => {
+  const result = await paymentService.processRetentionRelease(req.params.id, req.user);
+
+  res.status(200).json(result);
+});
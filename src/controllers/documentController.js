@@ -1,10 +1,30 @@
 const BAPBRepository = require('../repositories/BAPBRepository');
 const BAPPRepository = require('../repositories/BAPPRepository');
 const pdfService = require('../services/pdfService');
+const documentStateMachine = require('../services/documentStateMachine');
+const sealService = require('../services/sealService');
 const { supabaseAdmin } = require('../config/supabase');
-const path = require('path');
 const fs = require('fs').promises;
 
+/**
+ * Resolve the PDF to serve for a document
+ * Approved documents are served from their sealed copy, others are rendered from live data.
+ * @returns {object} { filePath, fileName, temporary }
+ */
+const getDocumentPDF = async (documentType, document, user) => {
+  if (sealService.isSealedStatus(document.status)) {
+    const seal = await sealService.getOrCreateSeal(documentType, document.id, user);
+    return { filePath: sealService.getSealedPdfPath(seal), fileName: seal.file_name, temporary: false };
+  }
+
+  const signatures = pdfService.resolveSignatures(documentType, document);
+  const { filePath, fileName } = documentType === 'BAPB'
+    ? await pdfService.generateBAPBPDF(document, signatures)
+    : await pdfService.generateBAPPPDF(document, signatures);
+
+  return { filePath, fileName, temporary: true };
+};
+
 /**
  * Generate and download BAPB PDF document
  * @route GET /api/documents/bapb/:id/pdf
@@ -32,29 +52,8 @@ exports.generateBAPBPDF = async (req, res) => {
       });
     }
 
-    // Prepare signature paths
-    const signatures = {
-      vendorSignature: null,
-      picGudangSignature: null
-    };
-
-    // Find signatures from attachments
-    if (bapb.attachments && bapb.attachments.length > 0) {
-      bapb.attachments.forEach(attachment => {
-        if (attachment.file_type !== 'signature') return;
-        
-        const fullPath = path.join(__dirname, '../..', attachment.file_path);
-        
-        if (attachment.uploaded_by === bapb.vendor_id) {
-          signatures.vendorSignature = fullPath;
-        } else if (bapb.pic_gudang_id && attachment.uploaded_by === bapb.pic_gudang_id) {
-          signatures.picGudangSignature = fullPath;
-        }
-      });
-    }
-
-    // Generate PDF
-    const { filePath, fileName } = await pdfService.generateBAPBPDF(bapb, signatures);
+    // Sealed copy for approved documents, live render otherwise
+    const { filePath, fileName, temporary } = await getDocumentPDF('BAPB', bapb, req.user);
 
     // Send file as download
     res.download(filePath, fileName, async (err) => {
@@ -69,6 +68,8 @@ exports.generateBAPBPDF = async (req, res) => {
       }
 
       // Clean up temp file after download
+      if (!temporary) return;
+
       try {
         await fs.unlink(filePath);
       } catch (unlinkErr) {
@@ -78,7 +79,7 @@ exports.generateBAPBPDF = async (req, res) => {
 
   } catch (error) {
     console.error('Generate BAPB PDF error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error generating PDF',
       error: error.message
@@ -113,29 +114,8 @@ exports.generateBAPPPDF = async (req, res) => {
       });
     }
 
-    // Prepare signature paths
-    const signatures = {
-      vendorSignature: null,
-      approverSignature: null
-    };
-
-    // Find signatures
-    if (bapp.attachments && bapp.attachments.length > 0) {
-      bapp.attachments.forEach(attachment => {
-        if (attachment.file_type !== 'signature') return;
-        
-        const fullPath = path.join(__dirname, '../..', attachment.file_path);
-        
-        if (attachment.uploaded_by === bapp.vendor_id) {
-          signatures.vendorSignature = fullPath;
-        } else if (bapp.direksi_pekerjaan_id && attachment.uploaded_by === bapp.direksi_pekerjaan_id) {
-          signatures.approverSignature = fullPath;
-        }
-      });
-    }
-
-    // Generate PDF
-    const { filePath, fileName } = await pdfService.generateBAPPPDF(bapp, signatures);
+    // Sealed copy for approved documents, live render otherwise
+    const { filePath, fileName, temporary } = await getDocumentPDF('BAPP', bapp, req.user);
 
     // Send file as download
     res.download(filePath, fileName, async (err) => {
@@ -150,6 +130,8 @@ exports.generateBAPPPDF = async (req, res) => {
       }
 
       // Clean up temp file
+      if (!temporary) return;
+
       try {
         await fs.unlink(filePath);
       } catch (unlinkErr) {
@@ -159,7 +141,7 @@ exports.generateBAPPPDF = async (req, res) => {
 
   } catch (error) {
     console.error('Generate BAPP PDF error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error generating PDF',
       error: error.message
@@ -192,37 +174,26 @@ exports.previewBAPBPDF = async (req, res) => {
       });
     }
 
-    const signatures = { vendorSignature: null, picGudangSignature: null };
-    
-    if (bapb.attachments) {
-      bapb.attachments.forEach(att => {
-        if (att.file_type !== 'signature') return;
-        const fullPath = path.join(__dirname, '../..', att.file_path);
-        if (att.uploaded_by === bapb.vendor_id) signatures.vendorSignature = fullPath;
-        else if (bapb.pic_gudang_id && att.uploaded_by === bapb.pic_gudang_id) signatures.picGudangSignature = fullPath;
-      });
-    }
+    const { filePath, fileName, temporary } = await getDocumentPDF('BAPB', bapb, req.user);
 
-    const { filePath } = await pdfService.generateBAPBPDF(bapb, signatures);
-    
     // Read file as base64
     const pdfBuffer = await fs.readFile(filePath);
     const pdfBase64 = pdfBuffer.toString('base64');
 
     // Clean up
-    await fs.unlink(filePath);
+    if (temporary) await fs.unlink(filePath);
 
     res.status(200).json({
       success: true,
       data: {
         pdf: `data:application/pdf;base64,${pdfBase64}`,
-        fileName: `BAPB-${bapb.bapb_number.replace(/\//g, '-')}.pdf`
+        fileName: temporary ? `BAPB-${bapb.bapb_number.replace(/\//g, '-')}.pdf` : fileName
       }
     });
 
   } catch (error) {
     console.error('Preview BAPB PDF error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error generating preview',
       error: error.message
@@ -255,35 +226,26 @@ exports.previewBAPPPDF = async (req, res) => {
       });
     }
 
-    const signatures = { vendorSignature: null, approverSignature: null };
-    
-    if (bapp.attachments) {
-      bapp.attachments.forEach(att => {
-        if (att.file_type !== 'signature') return;
-        const fullPath = path.join(__dirname, '../..', att.file_path);
-        if (att.uploaded_by === bapp.vendor_id) signatures.vendorSignature = fullPath;
-        else if (bapp.direksi_pekerjaan_id && att.uploaded_by === bapp.direksi_pekerjaan_id) signatures.approverSignature = fullPath;
-      });
-    }
+    const { filePath, fileName, temporary } = await getDocumentPDF('BAPP', bapp, req.user);
 
-    const { filePath } = await pdfService.generateBAPPPDF(bapp, signatures);
-    
+    // Read file as base64
     const pdfBuffer = await fs.readFile(filePath);
     const pdfBase64 = pdfBuffer.toString('base64');
 
-    await fs.unlink(filePath);
+    // Clean up
+    if (temporary) await fs.unlink(filePath);
 
     res.status(200).json({
       success: true,
       data: {
         pdf: `data:application/pdf;base64,${pdfBase64}`,
-        fileName: `BAPP-${bapp.bapp_number.replace(/\//g, '-')}.pdf`
+        fileName: temporary ? `BAPP-${bapp.bapp_number.replace(/\//g, '-')}.pdf` : fileName
       }
     });
 
   } catch (error) {
     console.error('Preview BAPP PDF error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error generating preview',
       error: error.message
@@ -292,7 +254,7 @@ exports.previewBAPPPDF = async (req, res) => {
 };
 
 /**
- * Get all completed (approved) documents (BAPB & BAPP)
+ * Get all completed (approved or paid) documents (BAPB & BAPP)
  * @route GET /api/documents/completed
  * @access Private
  */
@@ -309,7 +271,7 @@ exports.getCompletedDocuments = async (req, res) => {
         vendor:users!bapb_vendor_id_fkey(id, name, email, company),
         items:bapb_items(*)
       `)
-      .eq('status', 'approved')
+      .in('status', ['approved', 'paid'])
       .order('updated_at', { ascending: false });
 
     // Filter by role
@@ -328,7 +290,7 @@ exports.getCompletedDocuments = async (req, res) => {
         vendor:users!bapp_vendor_id_fkey(id, name, email, company),
         work_items:bapp_work_items(*)
       `)
-      .eq('status', 'approved')
+      .in('status', ['approved', 'paid'])
       .order('updated_at', { ascending: false });
 
     if (userRole === 'vendor') {
@@ -404,97 +366,124 @@ exports.downloadCompletedDocument = async (req, res) => {
       });
     }
 
-    // Fetch document based on type
-    let document, signatures;
-
-    if (type === 'BAPB') {
-      document = await BAPBRepository.findByIdWithRelations(id);
-      
-      if (!document) {
-        return res.status(404).json({
-          success: false,
-          message: 'BAPB not found'
-        });
-      }
+    const Repository = type === 'BAPB' ? BAPBRepository : BAPPRepository;
+    const document = await Repository.findByIdWithRelations(id);
 
-      // Check authorization
-      if (req.user.role === 'vendor' && document.vendor_id !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to download this document'
-        });
-      }
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: `${type} not found`
+      });
+    }
 
-      // Get signatures
-      signatures = { vendorSignature: null, picGudangSignature: null };
-      
-      if (document.attachments) {
-        document.attachments.forEach(att => {
-          if (att.file_type !== 'signature') return;
-          const fullPath = path.join(__dirname, '../..', att.file_path);
-          if (att.uploaded_by === document.vendor_id) signatures.vendorSignature = fullPath;
-          else if (document.pic_gudang_id && att.uploaded_by === document.pic_gudang_id) signatures.picGudangSignature = fullPath;
-        });
-      }
+    // Check authorization
+    if (req.user.role === 'vendor' && document.vendor_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this document'
+      });
+    }
 
-      // Generate PDF
-      const { filePath, fileName } = await pdfService.generateBAPBPDF(document, signatures);
+    const { filePath, fileName, temporary } = await getDocumentPDF(type, document, req.user);
 
-      // Send file
-      res.download(filePath, fileName, async (err) => {
-        if (err) console.error('Error sending file:', err);
-        try {
-          await fs.unlink(filePath);
-        } catch (unlinkErr) {
-          console.error('Error deleting temp file:', unlinkErr);
-        }
-      });
+    // Send file
+    res.download(filePath, fileName, async (err) => {
+      if (err) console.error('Error sending file:', err);
+      if (!temporary) return;
 
-    } else { 
-      document = await BAPPRepository.findByIdWithRelations(id);
-      
-      if (!document) {
-        return res.status(404).json({
-          success: false,
-          message: 'BAPP not found'
-        });
+      try {
+        await fs.unlink(filePath);
+      } catch (unlinkErr) {
+        console.error('Error deleting temp file:', unlinkErr);
       }
+    });
 
-      if (req.user.role === 'vendor' && document.vendor_id !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to download this document'
-        });
-      }
+  } catch (error) {
+    console.error('Download document error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error downloading document',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Query document status transition log
+ * @route GET /api/documents/transitions
+ * @query documentType, documentId, actorId, action, toStatus, dateFrom, dateTo, page, limit
+ * @access Private (Admin)
+ */
+exports.getStatusTransitions = async (req, res) => {
+  try {
+    const { documentType, documentId, actorId, action, toStatus, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+
+    const result = await documentStateMachine.searchHistory(
+      { documentType, documentId, actorId, action, toStatus, dateFrom, dateTo },
+      { limit: parseInt(limit), offset: (parseInt(page) - 1) * parseInt(limit) }
+    );
 
-      signatures = { vendorSignature: null, approverSignature: null };
-      
-      if (document.attachments) {
-        document.attachments.forEach(att => {
-          if (att.file_type !== 'signature') return;
-          const fullPath = path.join(__dirname, '../..', att.file_path);
-          if (att.uploaded_by === document.vendor_id) signatures.vendorSignature = fullPath;
-          else if (document.direksi_pekerjaan_id && att.uploaded_by === document.direksi_pekerjaan_id) signatures.approverSignature = fullPath;
-        });
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: {
+        total: result.count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(result.count / limit)
       }
+    });
+  } catch (error) {
+    console.error('Get status transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching status transitions',
+      error: error.message
+    });
+  }
+};
 
-      const { filePath, fileName } = await pdfService.generateBAPPPDF(document, signatures);
+/**
+ * Verify that a PDF matches the sealed copy of an approved document
+ * @route POST /api/documents/:id/verify?type=BAPB|BAPP
+ * @body { fileData } - Base64 encoded PDF (data URL prefix allowed)
+ * @access Private
+ */
+exports.verifyDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+    const { fileData } = req.body;
 
-      res.download(filePath, fileName, async (err) => {
-        if (err) console.error('Error sending file:', err);
-        try {
-          await fs.unlink(filePath);
-        } catch (unlinkErr) {
-          console.error('Error deleting temp file:', unlinkErr);
-        }
+    if (!type || !['BAPB', 'BAPP'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter type (BAPB or BAPP) is required'
       });
     }
 
+    if (!fileData) {
+      return res.status(400).json({
+        success: false,
+        message: 'fileData (base64 PDF) is required'
+      });
+    }
+
+    const pdfBuffer = Buffer.from(fileData.replace(/^data:application\/pdf;base64,/, ''), 'base64');
+    const result = await sealService.verifyPdf(type, id, pdfBuffer);
+
+    res.status(200).json({
+      success: true,
+      message: result.authentic
+        ? 'Document is authentic and unmodified'
+        : 'Document does not match the sealed original',
+      data: result
+    });
   } catch (error) {
-    console.error('Download document error:', error);
-    res.status(500).json({
+    console.error('Verify document error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error downloading document',
+      message: error.statusCode ? error.message : 'Error verifying document',
       error: error.message
     });
   }
@@ -0,0 +1,61 @@
+const documentNumberService = require('../services/documentNumberService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Get number formats of all document types
+ * @route GET /api/document-numbers/formats
+ * @access Private (Admin)
+ */
+exports.getNumberFormats = asyncHandler(async (req, res) => {
+  const data = await documentNumberService.getFormats();
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Change the number format of a document type
+ * @route PUT /api/document-numbers/formats/:documentType
+ * @access Private (Admin)
+ */
+exports.updateNumberFormat = asyncHandler(async (req, res) => {
+  const { template, division } = req.body;
+
+  const data = await documentNumberService.updateFormat(
+    req.params.documentType.toUpperCase(),
+    { template, division },
+    req.user
+  );
+
+  res.status(200).json({ success: true, message: 'Number format updated successfully', data });
+});
+
+/**
+ * Query the number register (issued, assigned and voided numbers)
+ * @route GET /api/document-numbers
+ * @query documentType, period, status, page, limit
+ * @access Private (Admin)
+ */
+exports.getDocumentNumbers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const result = await documentNumberService.search({
+    documentType: req.query.documentType,
+    periodKey: req.query.period,
+    status: req.query.status
+  }, {
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: {
+      total: result.count,
+      page,
+      limit,
+      totalPages: Math.ceil(result.count / limit)
+    }
+  });
+});
@@ -0,0 +1,116 @@
+const invoiceService = require('../services/invoiceService');
+const matchingService = require('../services/matchingService');
+const BAPBRepository = require('../repositories/BAPBRepository');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Get invoices (vendors only see their own)
+ * @route GET /api/invoices
+ * @query bapbId, status, vendorId, page, limit
+ * @access Private
+ */
+exports.getInvoices = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+  const result = await invoiceService.list({
+    bapb_id: req.query.bapbId,
+    status: req.query.status,
+    vendor_id: req.query.vendorId
+  }, {
+    limit,
+    offset: (page - 1) * limit
+  }, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: {
+      total: result.count,
+      page,
+      limit,
+      totalPages: Math.ceil(result.count / limit)
+    }
+  });
+});
+
+/**
+ * Get invoice with lines
+ * @route GET /api/invoices/:id
+ * @access Private
+ */
+exports.getInvoiceById = asyncHandler(async (req, res) => {
+  const data = await invoiceService.get(req.params.id, req.user);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Submit the invoice for a BAPB
+ * @route POST /api/invoices
+ * @access Private (Vendor Barang)
+ */
+exports.submitInvoice = asyncHandler(async (req, res) => {
+  const data = await invoiceService.submit(req.body, req.user);
+
+  res.status(201).json({ success: true, message: 'Invoice submitted successfully', data });
+});
+
+/**
+ * Cancel an unpaid invoice
+ * @route POST /api/invoices/:id/cancel
+ * @access Private (Invoice vendor or Admin)
+ */
+exports.cancelInvoice = asyncHandler(async (req, res) => {
+  const data = await invoiceService.cancel(req.params.id, req.body.reason, req.user);
+
+  res.status(200).json({ success: true, message: 'Invoice cancelled', data });
+});
+
+/**
+ * Three-way matching result of the BAPB an invoice bills for
+ * @route GET /api/invoices/:id/matching
+ * @access Private
+ */
+exports.getInvoiceMatching = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.get(req.params.id, req.user);
+  const bapb = await BAPBRepository.findByIdWithRelations(invoice.bapb_id);
+
+  const data = await matchingService.matchBAPB(bapb);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Get matching tolerances (default, or what applies to a vendor)
+ * @route GET /api/invoices/tolerances
+ * @query vendorId
+ * @access Private (Admin)
+ */
+exports.getTolerances = asyncHandler(async (req, res) => {
+  const data = await matchingService.getTolerances(req.query.vendorId || null);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Set default matching tolerances, or a vendor override when vendorId is given
+ * @route PUT /api/invoices/tolerances
+ * @access Private (Admin)
+ */
+exports.updateTolerances = asyncHandler(async (req, res) => {
+  const data = await matchingService.updateTolerances(req.body, req.user);
+
+  res.status(200).json({ success: true, message: 'Matching tolerances updated', data });
+});
+
+/**
+ * Remove a vendor's tolerance override
+ * @route DELETE /api/invoices/tolerances/:vendorId
+ * @access Private (Admin)
+ */
+exports.deleteVendorTolerances = asyncHandler(async (req, res) => {
+  await matchingService.removeVendorTolerances(req.params.vendorId);
+
+  res.status(200).json({ success: true, message: 'Vendor tolerance override removed' });
+});
@@ -1,7 +1,16 @@
 const notificationService = require('../services/notificationService');
+const notificationChannels = require('../services/notificationChannels');
+const realtimeService = require('../services/realtimeService');
+const documentWatchService = require('../services/documentWatchService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
 const { supabaseAdmin } = require('../config/supabase');
 const { asyncHandler } = require('../utils/errorHandler');
 
+// Keeps proxies from closing an idle stream
+const STREAM_HEARTBEAT_MS = 25000;
+// How long a disconnected EventSource waits before reconnecting
+const STREAM_RETRY_MS = 5000;
+
 /**
  * Get all notifications for current user
  * @route GET /api/notifications
@@ -212,4 +221,166 @@ exports.testNotification = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the email (and other channel) delivery log
+ * @route GET /api/notifications/deliveries
+ * @access Private (Admin)
+ */
+exports.getDeliveries = asyncHandler(async (req, res) => {
+  const { status, userId, notificationId, digestId, channel, page, limit } = req.query;
+
+  const result = await notificationChannels.getDeliveries({
+    status,
+    userId,
+    notificationId,
+    digestId,
+    channel,
+    page,
+    limit
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result.deliveries,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Send a failed or waiting delivery again
+ * @route POST /api/notifications/deliveries/:id/retry
+ * @access Private (Admin)
+ */
+exports.retryDelivery = asyncHandler(async (req, res) => {
+  const delivery = await notificationChannels.retryDelivery(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: delivery.status === 'sent'
+      ? 'Notification delivered'
+      : `Delivery attempt failed: ${delivery.last_error || delivery.status}`,
+    data: delivery
+  });
+});
+
+/**
+ * Stream notifications, unread-count changes and status changes of watched documents (Server-Sent Events)
+ * Events: notification, unread_count, document_status, reset. Reconnecting with Last-Event-ID
+ * (or ?lastEventId=) replays what was missed; 'reset' means it could not and the client should refetch.
+ * @route GET /api/notifications/stream
+ * @access Private
+ */
+exports.stream = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const unreadCount = await notificationService.getUnreadCount(userId);
+
+  const send = ({ id, event, data }) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { events, reset } = realtimeService.replay(userId, lastEventId);
+  const unsubscribe = realtimeService.subscribe(userId, send);
+  if (!unsubscribe) {
+    return res.status(429).json({
+      success: false,
+      message: 'Too many notification streams open for this user'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  if (reset) {
+    send({ event: realtimeService.EVENTS.RESET, data: { message: 'Missed events are no longer available, refetch notifications' } });
+  }
+  events.forEach(send);
+  send({ event: realtimeService.EVENTS.UNREAD_COUNT, data: { unreadCount } });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * Get the documents the current user watches
+ * @route GET /api/notifications/watches
+ * @access Private
+ */
+exports.getWatches = asyncHandler(async (req, res) => {
+  const watches = await documentWatchService.getWatches(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: watches
+  });
+});
+
+/**
+ * Watch a document: its status changes are pushed on the stream
+ * @route POST /api/notifications/watches
+ * @access Private
+ */
+exports.watchDocument = asyncHandler(async (req, res) => {
+  const watch = await documentWatchService.watch(req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Document watched',
+    data: watch
+  });
+});
+
+/**
+ * Stop watching a document
+ * @route DELETE /api/notifications/watches/:id
+ * @access Private
+ */
+exports.unwatchDocument = asyncHandler(async (req, res) => {
+  await documentWatchService.unwatch(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Document no longer watched'
+  });
+});
+
+/**
+ * Get the notification preferences of the current user
+ * @route GET /api/notifications/preferences
+ * @access Private
+ */
+exports.getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationPreferenceService.getPreferences(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: preferences,
+    options: notificationPreferenceService.getOptions()
+  });
+});
+
+/**
+ * Update the notification preferences of the current user
+ * @route PUT /api/notifications/preferences
+ * @access Private
+ */
+exports.updatePreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationPreferenceService.updatePreferences(req.user.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification preferences updated',
+    data: preferences
+  });
+});
+
 module.exports = exports;
\ No newline at end of file
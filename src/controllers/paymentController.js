@@ -1,4 +1,9 @@
 const paymentService = require('../services/paymentService');
+const taxService = require('../services/taxService');
+const paymentBatchService = require('../services/paymentBatchService');
+const paymentRequestService = require('../services/paymentRequestService');
+const bankReconciliationService = require('../services/bankReconciliationService');
+const fs = require('fs').promises;
 const { asyncHandler } = require('../utils/errorHandler');
 
 // Process payment for BAPB
@@ -6,11 +11,12 @@ exports.processBAPBPayment = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { amount, paymentMethod } = req.body;
 
-    if (!amount || amount <= 0) {
-        return res.status(400).json({ success: false, message: 'Valid amount is required' });
+    // Amount defaults to the matched invoice after PPN and PPh withholding
+    if (amount !== undefined && !(amount > 0)) {
+        return res.status(400).json({ success: false, message: 'Amount must be greater than 0' });
     }
 
-    const result = await paymentService.processBAPBPayment(id, { amount, paymentMethod });
+    const result = await paymentService.processBAPBPayment(id, { amount, paymentMethod, processedBy: req.user });
 
     res.status(200).json(result);
 });
@@ -18,13 +24,14 @@ exports.processBAPBPayment = asyncHandler(async (req, res) => {
 // Process payment for BAPP
 exports.processBAPPPayment = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { amount, contractAmount, paymentMethod } = req.body;
+    const { amount, paymentMethod } = req.body;
 
-    if (!contractAmount || contractAmount <= 0) {
-        return res.status(400).json({ success: false, message: 'Contract amount is required' });
+    // Amount defaults to the termin amount after tax and retention
+    if (amount !== undefined && !(amount > 0)) {
+        return res.status(400).json({ success: false, message: 'Amount must be greater than 0' });
     }
 
-    const result = await paymentService.processBAPPPayment(id, { amount, contractAmount, paymentMethod });
+    const result = await paymentService.processBAPPPayment(id, { amount, paymentMethod, processedBy: req.user });
 
     res.status(200).json(result);
 });
@@ -38,11 +45,35 @@ exports.getPaymentLogs = asyncHandler(async (req, res) => {
         return res.status(400).json({ success: false, message: 'Query parameter type (BAPB/BAPP) is required' });
     }
 
-    const logs = await paymentService.getPaymentLogs(type, id);
+    const logs = await paymentService.getPaymentLogs(type, id, req.user);
 
     res.status(200).json({ success: true, data: logs });
 });
 
+// Status callback from a payment gateway - authenticated by its signature, not a user token
+exports.receiveGatewayWebhook = asyncHandler(async (req, res) => {
+    if (!req.rawBody) {
+        return res.status(400).json({ success: false, message: 'JSON body is required' });
+    }
+
+    const result = await paymentService.handleGatewayWebhook(req.params.provider, req.headers, req.rawBody);
+
+    res.status(200).json({ success: true, data: result });
+});
+
+// Poll the gateway for payments stuck in initiated/pending now, instead of waiting for the job
+exports.reconcilePayments = asyncHandler(async (req, res) => {
+    const olderThanMinutes = req.body.olderThanMinutes !== undefined ? parseInt(req.body.olderThanMinutes, 10) : undefined;
+
+    if (olderThanMinutes !== undefined && !(olderThanMinutes >= 0)) {
+        return res.status(400).json({ success: false, message: 'olderThanMinutes must be 0 or more' });
+    }
+
+    const summary = await paymentService.reconcileOpenPayments({ olderThanMinutes });
+
+    res.status(200).json({ success: true, data: summary });
+});
+
 // Check document readiness for payment
 exports.checkPaymentReadiness = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -52,9 +83,290 @@ exports.checkPaymentReadiness = asyncHandler(async (req, res) => {
         return res.status(400).json({ success: false, message: 'Query parameter type (BAPB/BAPP) is required' });
     }
 
-    const readiness = await paymentService.checkPaymentReadiness(type, id);
+    await paymentService.assertDocumentAccess(type, id, req.user);
+
+    const readiness = await paymentService.checkPaymentReadiness(type, id, { amount: req.query.amount });
 
     res.status(200).json({ success: true, data: readiness });
 });
 
+// Current PPN / PPh rates
+exports.getTaxRates = asyncHandler(async (req, res) => {
+    const rates = await taxService.getRates();
+
+    res.status(200).json({ success: true, data: rates });
+});
+
+// Change PPN / PPh rates - applies to payments made from now on
+exports.updateTaxRates = asyncHandler(async (req, res) => {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        return res.status(400).json({ success: false, message: 'At least one rate is required' });
+    }
+
+    const rates = await taxService.updateRates(req.body, req.user);
+
+    res.status(200).json({ success: true, message: 'Tax rates updated', data: rates });
+});
+
+// Download the withholding slip (bukti potong) of a payment
+exports.downloadWithholdingSlip = asyncHandler(async (req, res) => {
+    const { filePath, fileName } = await paymentService.generateWithholdingSlip(req.params.paymentId, req.user);
+
+    res.download(filePath, fileName, async (err) => {
+        if (err) {
+            console.error('Error sending withholding slip:', err);
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, message: 'Error downloading PDF' });
+            }
+        }
+
+        try {
+            await fs.unlink(filePath);
+        } catch (unlinkErr) {
+            console.error('Error deleting temp file:', unlinkErr);
+        }
+    });
+});
+
+// Group payable documents into a batch paid through one bank bulk-transfer file
+exports.createPaymentBatch = asyncHandler(async (req, res) => {
+    const result = await paymentBatchService.createBatch(req.body, req.user);
+
+    res.status(201).json({
+        success: true,
+        message: `Batch created with ${result.items.length} payment(s), ${result.skipped.length} document(s) skipped`,
+        data: result
+    });
+});
+
+// List payment batches
+exports.getPaymentBatches = asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+
+    if (status && !Object.values(paymentBatchService.BATCH_STATUS).includes(status)) {
+        return res.status(400).json({ success: false, message: 'Invalid batch status' });
+    }
+
+    const result = await paymentBatchService.getBatches({ status, page, limit });
+
+    res.status(200).json({ success: true, ...result });
+});
+
+// Get a payment batch with its payments
+exports.getPaymentBatch = asyncHandler(async (req, res) => {
+    const batch = await paymentBatchService.getBatch(req.params.id);
+
+    res.status(200).json({ success: true, data: batch });
+});
+
+// Download the bulk-transfer file of a batch
+exports.exportPaymentBatch = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    const { fileName, contentType, content } = await paymentBatchService.exportBatch(req.params.id, format, req.user);
+
+    res.set('Content-Type', contentType);
+    res.attachment(fileName);
+    res.status(200).send(content);
+});
+
+// Take a payment out of a draft batch
+exports.removePaymentBatchItem = asyncHandler(async (req, res) => {
+    const batch = await paymentBatchService.removeItem(req.params.id, req.params.paymentId, req.user);
+
+    res.status(200).json({ success: true, message: 'Payment removed from batch', data: batch });
+});
+
+// Bank executed the batch - settle its payments
+exports.confirmPaymentBatch = asyncHandler(async (req, res) => {
+    const { failed } = req.body;
+
+    if (failed !== undefined && (!Array.isArray(failed) || failed.some(item => !item?.paymentId))) {
+        return res.status(400).json({ success: false, message: 'failed must be an array of { paymentId, reason }' });
+    }
+
+    const result = await paymentBatchService.confirmBatch(req.params.id, { failed }, req.user);
+
+    res.status(200).json({
+        success: true,
+        message: `Batch confirmed: ${result.settled} payment(s) settled, ${result.failed} rejected`,
+        data: result
+    });
+});
+
+// Cancel a batch that was not confirmed
+exports.cancelPaymentBatch = asyncHandler(async (req, res) => {
+    const batch = await paymentBatchService.cancelBatch(req.params.id, req.user);
+
+    res.status(200).json({ success: true, message: 'Batch cancelled', data: batch });
+});
+
+// Reverse a settled payment - the document can be paid again
+exports.reversePayment = asyncHandler(async (req, res) => {
+    const { reason, refundReference } = req.body;
+
+    if (!reason) {
+        return res.status(400).json({ success: false, message: 'Reversal reason is required' });
+    }
+
+    const result = await paymentService.reversePayment(req.params.paymentId, { reason, refundReference }, req.user);
+
+    const message = result.reversal.status === 'pending'
+        ? 'Reversal submitted - waiting for the gateway to confirm it'
+        : 'Payment reversed';
+
+    res.status(200).json({ success: true, message, data: result });
+});
+
+// Prepare a payment request for finance checkers to release
+exports.createPaymentRequest = asyncHandler(async (req, res) => {
+    const request = await paymentRequestService.createRequest(req.body, req.user);
+
+    res.status(201).json({
+        success: true,
+        message: `Payment request created, ${request.required_approvals} checker approval(s) required`,
+        data: request
+    });
+});
+
+// List payment requests
+exports.getPaymentRequests = asyncHandler(async (req, res) => {
+    const { status, documentType, documentId, page, limit } = req.query;
+
+    if (status && !Object.values(paymentRequestService.REQUEST_STATUS).includes(status)) {
+        return res.status(400).json({ success: false, message: 'Invalid payment request status' });
+    }
+
+    const result = await paymentRequestService.getRequests({ status, documentType, documentId, page, limit });
+
+    res.status(200).json({ success: true, ...result });
+});
+
+// Get a payment request with its steps
+exports.getPaymentRequest = asyncHandler(async (req, res) => {
+    const request = await paymentRequestService.getRequest(req.params.id);
+
+    res.status(200).json({ success: true, data: request });
+});
+
+// Approve a payment request (finance checker)
+exports.approvePaymentRequest = asyncHandler(async (req, res) => {
+    const request = await paymentRequestService.approve(req.params.id, req.body.comment, req.user);
+
+    res.status(200).json({
+        success: true,
+        message: request.status === 'released'
+            ? 'Payment request released'
+            : `Approval recorded (${request.approval_count}/${request.required_approvals})`,
+        data: request
+    });
+});
+
+// Reject a payment request (finance checker)
+exports.rejectPaymentRequest = asyncHandler(async (req, res) => {
+    const request = await paymentRequestService.reject(req.params.id, req.body.reason, req.user);
+
+    res.status(200).json({ success: true, message: 'Payment request rejected', data: request });
+});
+
+// Cancel a payment request that was not executed
+exports.cancelPaymentRequest = asyncHandler(async (req, res) => {
+    const request = await paymentRequestService.cancel(req.params.id, req.body.reason, req.user);
+
+    res.status(200).json({ success: true, message: 'Payment request cancelled', data: request });
+});
+
+// Get payment approval thresholds
+exports.getApprovalThresholds = asyncHandler(async (req, res) => {
+    const thresholds = await paymentRequestService.getThresholds();
+
+    res.status(200).json({ success: true, data: thresholds });
+});
+
+// Replace payment approval thresholds (admin)
+exports.updateApprovalThresholds = asyncHandler(async (req, res) => {
+    const thresholds = await paymentRequestService.updateThresholds(req.body.thresholds, req.user);
+
+    res.status(200).json({ success: true, message: 'Approval thresholds updated', data: thresholds });
+});
+
+// Import a bank statement (CSV or MT940, base64) and auto-match its debits to payments
+exports.importBankStatement = asyncHandler(async (req, res) => {
+    const { fileData, fileName, format, accountNumber } = req.body;
+
+    if (!fileData || !fileName) {
+        return res.status(400).json({ success: false, message: 'File data and file name are required' });
+    }
+
+    const base64Data = fileData.replace(/^data:([A-Za-z-+\/]+);base64,/, '');
+    const result = await bankReconciliationService.importStatement({
+        fileName,
+        content: Buffer.from(base64Data, 'base64'),
+        format,
+        accountNumber
+    }, req.user);
+
+    res.status(201).json({
+        success: true,
+        message: `Statement imported: ${result.matched} line(s) matched, ${result.unmatched} debit line(s) unmatched`,
+        data: result
+    });
+});
+
+// List imported bank statements
+exports.getBankStatements = asyncHandler(async (req, res) => {
+    const result = await bankReconciliationService.getStatements(req.query);
+
+    res.status(200).json({ success: true, ...result });
+});
+
+// Get a bank statement with its lines
+exports.getBankStatement = asyncHandler(async (req, res) => {
+    const statement = await bankReconciliationService.getStatement(req.params.id);
+
+    res.status(200).json({ success: true, data: statement });
+});
+
+// Run auto-matching again, e.g. after payments were recorded late
+exports.autoMatchBankStatement = asyncHandler(async (req, res) => {
+    await bankReconciliationService.getStatement(req.params.id);
+    const result = await bankReconciliationService.autoMatch(req.params.id);
+
+    res.status(200).json({ success: true, data: result });
+});
+
+// Match a statement line to a payment by hand
+exports.matchStatementLine = asyncHandler(async (req, res) => {
+    const { paymentId } = req.body;
+
+    if (!paymentId) {
+        return res.status(400).json({ success: false, message: 'paymentId is required' });
+    }
+
+    const line = await bankReconciliationService.matchLine(req.params.lineId, paymentId, req.user);
+
+    res.status(200).json({ success: true, message: 'Statement line matched', data: line });
+});
+
+// Remove the match of a statement line
+exports.unmatchStatementLine = asyncHandler(async (req, res) => {
+    const line = await bankReconciliationService.unmatchLine(req.params.lineId);
+
+    res.status(200).json({ success: true, message: 'Statement line unmatched', data: line });
+});
+
+// Matched and unmatched statement lines and payments for a period
+exports.getReconciliationReport = asyncHandler(async (req, res) => {
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+        return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD) with from not after to' });
+    }
+
+    const report = await bankReconciliationService.getReport({ from, to });
+
+    res.status(200).json({ success: true, data: report });
+});
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,77 @@
+const procurementService = require('../services/procurementService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Get purchase orders (vendors only see their own)
+ * @route GET /api/purchase-orders
+ * @query vendorId, status, search, page, limit
+ * @access Private
+ */
+exports.getPurchaseOrders = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+  const result = await procurementService.list('PO', {
+    vendor_id: req.query.vendorId,
+    status: req.query.status,
+    search: req.query.search
+  }, {
+    limit,
+    offset: (page - 1) * limit
+  }, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: {
+      total: result.count,
+      page,
+      limit,
+      totalPages: Math.ceil(result.count / limit)
+    }
+  });
+});
+
+/**
+ * Get purchase order with lines
+ * @route GET /api/purchase-orders/:id
+ * @access Private
+ */
+exports.getPurchaseOrderById = asyncHandler(async (req, res) => {
+  const data = await procurementService.get('PO', req.params.id, req.user);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Create purchase order with lines
+ * @route POST /api/purchase-orders
+ * @access Private (Admin)
+ */
+exports.createPurchaseOrder = asyncHandler(async (req, res) => {
+  const data = await procurementService.create('PO', req.body, req.user);
+
+  res.status(201).json({ success: true, message: 'Purchase order created successfully', data });
+});
+
+/**
+ * Update purchase order (lines only while no BAPB references them)
+ * @route PUT /api/purchase-orders/:id
+ * @access Private (Admin)
+ */
+exports.updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const data = await procurementService.update('PO', req.params.id, req.body);
+
+  res.status(200).json({ success: true, message: 'Purchase order updated successfully', data });
+});
+
+/**
+ * Delete purchase order that no BAPB references
+ * @route DELETE /api/purchase-orders/:id
+ * @access Private (Admin)
+ */
+exports.deletePurchaseOrder = asyncHandler(async (req, res) => {
+  await procurementService.remove('PO', req.params.id);
+
+  res.status(200).json({ success: true, message: 'Purchase order deleted successfully' });
+});
@@ -140,19 +140,16 @@ exports.uploadBAPBSignature = async (req, res) => {
     }
 
     // Create attachment record
-    const { data: attachment, error } = await supabaseAdmin
-      .from('bapb_attachments')
-      .insert({
+    let attachment;
+    try {
+      attachment = await BAPBRepository.attachments.create({
         bapb_id: id,
         file_type: 'signature',
         file_path: `/uploads/signatures/${filename}`,
         file_name: filename,
         uploaded_by: userId
-      })
-      .select()
-      .single();
-
-    if (error) {
+      });
+    } catch (error) {
       console.error('❌ Database error:', error);
       // Cleanup file if database insert fails
       await fs.unlink(filePath).catch(() => {});
@@ -374,19 +371,16 @@ exports.uploadBAPPSignature = async (req, res) => {
       });
     }
 
-    const { data: attachment, error } = await supabaseAdmin
-      .from('bapp_attachments')
-      .insert({
+    let attachment;
+    try {
+      attachment = await BAPPRepository.attachments.create({
         bapp_id: id,
         file_type: 'signature',
         file_path: `/uploads/signatures/${filename}`,
         file_name: filename,
         uploaded_by: userId
-      })
-      .select()
-      .single();
-
-    if (error) {
+      });
+    } catch (error) {
       console.error('❌ Database error:', error);
       await fs.unlink(filePath).catch(() => {});
       throw error;
@@ -490,12 +484,7 @@ exports.deleteSignature = async (req, res) => {
     }
 
     // Delete database record
-    const { error: deleteError } = await supabaseAdmin
-      .from(tableName)
-      .delete()
-      .eq('id', attachmentId);
-
-    if (deleteError) throw deleteError;
+    await (type === 'bapb' ? BAPBRepository : BAPPRepository).attachments.delete(attachmentId);
 
     console.log('✅ Signature record deleted from DB');
 
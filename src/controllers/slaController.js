@@ -0,0 +1,194 @@
+const SlaPolicyRepository = require('../repositories/SlaPolicyRepository');
+const slaService = require('../services/slaService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Map request body to sla_policies columns
+ */
+const toPolicyRow = (body) => {
+  const row = {};
+  if (body.documentType !== undefined) row.document_type = body.documentType;
+  if (body.status !== undefined) row.status = body.status;
+  if (body.targetHours !== undefined) row.target_hours = body.targetHours;
+  if (body.reminderBeforeHours !== undefined) row.reminder_before_hours = body.reminderBeforeHours ?? 0;
+  if (body.escalateToRole !== undefined) row.escalate_to_role = body.escalateToRole || null;
+  if (body.isActive !== undefined) row.is_active = body.isActive;
+  return row;
+};
+
+/**
+ * Get SLA policies and the business hours they are counted in
+ * @route GET /api/sla/policies
+ * @access Private (Admin)
+ */
+exports.getPolicies = asyncHandler(async (req, res) => {
+  const { documentType, isActive } = req.query;
+
+  const filters = {};
+  if (documentType) filters.document_type = documentType;
+  if (isActive !== undefined) filters.is_active = isActive === 'true';
+
+  const { data } = await SlaPolicyRepository.findAll(filters, {
+    order: [['document_type', 'ASC'], ['status', 'ASC']]
+  });
+
+  res.status(200).json({
+    success: true,
+    data,
+    businessHours: slaService.getBusinessHours()
+  });
+});
+
+/**
+ * Create SLA policy
+ * @route POST /api/sla/policies
+ * @access Private (Admin)
+ */
+exports.createPolicy = asyncHandler(async (req, res) => {
+  const errors = slaService.validatePolicy(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  const existing = await SlaPolicyRepository.findOne({
+    document_type: req.body.documentType,
+    status: req.body.status
+  });
+
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: `An SLA policy for ${req.body.documentType} in '${req.body.status}' status already exists`,
+      data: existing
+    });
+  }
+
+  const policy = await SlaPolicyRepository.create({
+    ...toPolicyRow(req.body),
+    created_by: req.user.id
+  });
+
+  res.status(201).json({ success: true, message: 'SLA policy created successfully', data: policy });
+});
+
+/**
+ * Update SLA policy
+ * Document type and status identify the policy and cannot change.
+ * @route PUT /api/sla/policies/:id
+ * @access Private (Admin)
+ */
+exports.updatePolicy = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await SlaPolicyRepository.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'SLA policy not found' });
+  }
+
+  const { documentType, status, ...changes } = req.body;
+
+  const errors = slaService.validatePolicy({
+    documentType: existing.document_type,
+    status: existing.status,
+    targetHours: existing.target_hours,
+    reminderBeforeHours: existing.reminder_before_hours,
+    escalateToRole: existing.escalate_to_role,
+    ...changes
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  const policy = await SlaPolicyRepository.update(id, {
+    ...toPolicyRow(changes),
+    updated_at: new Date().toISOString()
+  });
+
+  res.status(200).json({ success: true, message: 'SLA policy updated successfully', data: policy });
+});
+
+/**
+ * Deactivate SLA policy
+ * @route DELETE /api/sla/policies/:id
+ * @access Private (Admin)
+ */
+exports.deactivatePolicy = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await SlaPolicyRepository.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'SLA policy not found' });
+  }
+
+  const policy = await SlaPolicyRepository.update(id, {
+    is_active: false,
+    updated_at: new Date().toISOString()
+  });
+
+  res.status(200).json({ success: true, message: 'SLA policy deactivated', data: policy });
+});
+
+/**
+ * Get holidays of the SLA calendar
+ * @route GET /api/sla/holidays
+ * @access Private (Admin)
+ */
+exports.getHolidays = asyncHandler(async (req, res) => {
+  const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+
+  const data = await SlaPolicyRepository.findHolidays(`${year}-01-01`, `${year}-12-31`);
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * Add a holiday to the SLA calendar
+ * @route POST /api/sla/holidays
+ * @access Private (Admin)
+ */
+exports.createHoliday = asyncHandler(async (req, res) => {
+  const errors = slaService.validateHoliday(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  const existing = await SlaPolicyRepository.holidays.findOne({ holiday_date: req.body.date });
+
+  if (existing) {
+    return res.status(409).json({ success: false, message: `${req.body.date} is already a holiday`, data: existing });
+  }
+
+  const holiday = await SlaPolicyRepository.holidays.create({
+    holiday_date: req.body.date,
+    name: String(req.body.name).trim(),
+    created_by: req.user.id
+  });
+
+  res.status(201).json({ success: true, message: 'Holiday added successfully', data: holiday });
+});
+
+/**
+ * Remove a holiday from the SLA calendar
+ * @route DELETE /api/sla/holidays/:id
+ * @access Private (Admin)
+ */
+exports.deleteHoliday = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await SlaPolicyRepository.holidays.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Holiday not found' });
+  }
+
+  await SlaPolicyRepository.holidays.delete(id);
+
+  res.status(200).json({ success: true, message: 'Holiday removed' });
+});
+
+module.exports = exports;
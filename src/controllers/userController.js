@@ -1,4 +1,6 @@
 const UserRepository = require('../repositories/UserRepository');
+const taxService = require('../services/taxService');
+const vendorBankAccountService = require('../services/vendorBankAccountService');
 
 /**
  * Get all users (admin only)
@@ -94,20 +96,29 @@ exports.getUserById = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { name, phone, company } = req.body;
+    const { name, phone, company, locale } = req.body;
 
     // Validate at least one field is provided
-    if (!name && phone === undefined && company === undefined) {
+    if (!name && phone === undefined && company === undefined && locale === undefined) {
       return res.status(400).json({
         success: false,
         message: 'Please provide at least one field to update'
       });
     }
 
+    // Language of notification emails
+    if (locale !== undefined && !['id', 'en'].includes(locale)) {
+      return res.status(400).json({
+        success: false,
+        message: "locale must be 'id' or 'en'"
+      });
+    }
+
     const profileData = {};
     if (name) profileData.name = name;
     if (phone !== undefined) profileData.phone = phone;
     if (company !== undefined) profileData.company = company;
+    if (locale !== undefined) profileData.locale = locale;
 
     const updatedUser = await UserRepository.updateProfile(userId, profileData);
 
@@ -147,7 +158,7 @@ exports.updateUser = async (req, res) => {
 
     // Validate role if provided
     if (role) {
-      const validRoles = ['vendor', 'pic_gudang', 'admin', 'approver'];
+      const validRoles = ['vendor', 'pic_gudang', 'admin', 'approver', 'finance_maker', 'finance_checker'];
       if (!validRoles.includes(role)) {
         return res.status(400).json({
           success: false,
@@ -298,7 +309,7 @@ exports.getUsersByRole = async (req, res) => {
   try {
     const { role } = req.params;
 
-    const validRoles = ['vendor', 'pic_gudang', 'admin', 'approver'];
+    const validRoles = ['vendor', 'pic_gudang', 'admin', 'approver', 'finance_maker', 'finance_checker'];
     if (!validRoles.includes(role)) {
       return res.status(400).json({
         success: false,
@@ -377,4 +388,311 @@ exports.getUserStatistics = async (req, res) => {
       error: error.message
     });
   }
+};
+
+/**
+ * Get the tax profile of a vendor (PKP status, NPWP, supply type)
+ * @route GET /api/users/:id/tax-profile
+ * @access Private (Admin, or the vendor itself)
+ */
+exports.getTaxProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'admin' && req.user.id !== id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this tax profile'
+      });
+    }
+
+    const profile = await taxService.getVendorProfile(id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Get tax profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace the tax profile of a vendor
+ * @route PUT /api/users/:id/tax-profile
+ * @access Private (Admin)
+ */
+exports.updateTaxProfile = async (req, res) => {
+  try {
+    const profile = await taxService.updateVendorProfile(req.params.id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax profile updated successfully',
+      data: profile
+    });
+  } catch (error) {
+    console.error('Update tax profile error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating tax profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get vendor bank accounts waiting for approval
+ * @route GET /api/users/bank-accounts/pending
+ * @access Private (Admin)
+ */
+exports.getPendingBankAccounts = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await vendorBankAccountService.getPendingApprovals({ page, limit });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get pending bank accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pending bank accounts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get bank accounts of a vendor, primary first
+ * @route GET /api/users/:id/bank-accounts
+ * @access Private (Admin or the vendor)
+ */
+exports.getBankAccounts = async (req, res) => {
+  try {
+    const accounts = await vendorBankAccountService.getAccounts(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    console.error('Get bank accounts error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching bank accounts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a bank account of a vendor
+ * @route GET /api/users/:id/bank-accounts/:accountId
+ * @access Private (Admin or the vendor)
+ */
+exports.getBankAccount = async (req, res) => {
+  try {
+    const account = await vendorBankAccountService.getAccount(req.params.id, req.params.accountId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    console.error('Get bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching bank account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a bank account - verified with the bank, then waits for admin approval
+ * @route POST /api/users/:id/bank-accounts
+ * @access Private (Admin or the vendor)
+ */
+exports.createBankAccount = async (req, res) => {
+  try {
+    const account = await vendorBankAccountService.createAccount(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bank account added and waiting for approval',
+      data: account
+    });
+  } catch (error) {
+    console.error('Create bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error adding bank account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a bank account - it needs admin approval again
+ * @route PUT /api/users/:id/bank-accounts/:accountId
+ * @access Private (Admin or the vendor)
+ */
+exports.updateBankAccount = async (req, res) => {
+  try {
+    const account = await vendorBankAccountService.updateAccount(req.params.id, req.params.accountId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank account updated and waiting for approval',
+      data: account
+    });
+  } catch (error) {
+    console.error('Update bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating bank account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a bank account
+ * @route DELETE /api/users/:id/bank-accounts/:accountId
+ * @access Private (Admin or the vendor)
+ */
+exports.deleteBankAccount = async (req, res) => {
+  try {
+    await vendorBankAccountService.deleteAccount(req.params.id, req.params.accountId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank account removed'
+    });
+  } catch (error) {
+    console.error('Delete bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error removing bank account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Make a bank account the one payments go to
+ * @route POST /api/users/:id/bank-accounts/:accountId/primary
+ * @access Private (Admin or the vendor)
+ */
+exports.setPrimaryBankAccount = async (req, res) => {
+  try {
+    const account = await vendorBankAccountService.setPrimary(req.params.id, req.params.accountId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Primary bank account changed',
+      data: account
+    });
+  } catch (error) {
+    console.error('Set primary bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error changing primary bank account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check a bank account holder name with the bank again
+ * @route POST /api/users/:id/bank-accounts/:accountId/verify
+ * @access Private (Admin or the vendor)
+ */
+exports.verifyBankAccount = async (req, res) => {
+  try {
+    const account = await vendorBankAccountService.verifyAccount(req.params.id, req.params.accountId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Bank account verification: ${account.verification_status}`,
+      data: account
+    });
+  } catch (error) {
+    console.error('Verify bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying bank account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve a verified bank account for payments
+ * The body names what the admin reviewed: { accountNumber, updatedAt } of the account
+ * @route POST /api/users/:id/bank-accounts/:accountId/approve
+ * @access Private (Admin)
+ */
+exports.approveBankAccount = async (req, res) => {
+  try {
+    const { accountNumber, updatedAt } = req.body || {};
+    const account = await vendorBankAccountService.approveAccount(
+      req.params.id,
+      req.params.accountId,
+      { accountNumber, updatedAt },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank account approved',
+      data: account
+    });
+  } catch (error) {
+    console.error('Approve bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error approving bank account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reject a bank account
+ * @route POST /api/users/:id/bank-accounts/:accountId/reject
+ * @access Private (Admin)
+ */
+exports.rejectBankAccount = async (req, res) => {
+  try {
+    const account = await vendorBankAccountService.rejectAccount(req.params.id, req.params.accountId, req.body.reason, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank account rejected',
+      data: account
+    });
+  } catch (error) {
+    console.error('Reject bank account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error rejecting bank account',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
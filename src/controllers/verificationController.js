@@ -0,0 +1,78 @@
+const verificationService = require('../services/verificationService');
+const pdfService = require('../services/pdfService');
+const moment = require('moment');
+const { asyncHandler } = require('../utils/errorHandler');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => value ? `${moment(value).format('DD MMMM YYYY HH:mm')} WIB` : '-';
+
+/**
+ * Render the public verification page opened from the PDF QR code
+ */
+const renderPage = (view) => {
+  const body = view
+    ? `
+      <p class="badge ok">Dokumen terdaftar di BA Digital</p>
+      <table>
+        <tr><th>Jenis</th><td>${escapeHtml(view.documentType)}</td></tr>
+        <tr><th>Nomor</th><td>${escapeHtml(view.documentNumber)}</td></tr>
+        <tr><th>Kode Verifikasi</th><td>${escapeHtml(view.verificationCode)}</td></tr>
+        <tr><th>Vendor</th><td>${escapeHtml(view.vendor.company || view.vendor.name || '-')}</td></tr>
+        <tr><th>Status</th><td>${escapeHtml(pdfService.getStatusLabel(view.status))}</td></tr>
+        <tr><th>Disegel</th><td>${view.seal ? formatDate(view.seal.sealedAt) : 'Belum'}</td></tr>
+      </table>
+      <h2>Persetujuan</h2>
+      <ul>${view.approvals.map(a => `<li>${escapeHtml(a.step || a.role)} &mdash; ${escapeHtml(a.approver)} (${escapeHtml(a.action)}, ${formatDate(a.at)})</li>`).join('') || '<li>-</li>'}</ul>
+      <h2>Penandatangan</h2>
+      <ul>${view.signers.map(s => `<li>${escapeHtml(s.name)} (${formatDate(s.signedAt)})</li>`).join('') || '<li>-</li>'}</ul>
+      ${view.seal ? `<p class="hash">SHA-256 PDF: ${escapeHtml(view.seal.pdfHash)}</p>` : ''}`
+    : '<p class="badge fail">Kode verifikasi tidak ditemukan. Dokumen ini tidak terdaftar di BA Digital.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Verifikasi Dokumen - BA Digital</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; max-width: 640px; margin: 32px auto; padding: 0 16px; color: #111827; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E5E7EB; }
+    th { width: 40%; color: #6B7280; font-weight: normal; }
+    .badge { padding: 10px 12px; border-radius: 6px; }
+    .ok { background: #DCFCE7; color: #166534; }
+    .fail { background: #FEE2E2; color: #991B1B; }
+    .hash { font-size: 12px; color: #6B7280; word-break: break-all; }
+  </style>
+</head>
+<body>
+  <h1>Verifikasi Dokumen</h1>
+  ${body}
+</body>
+</html>`;
+};
+
+/**
+ * Verify a document by its printed verification code
+ * Returns an HTML page for browsers (QR scan) and JSON for API clients.
+ * @route GET /verify/:code
+ * @route GET /api/verify/:code
+ * @access Public
+ */
+exports.verifyDocumentCode = asyncHandler(async (req, res) => {
+  const view = await verificationService.verifyCode(req.params.code);
+  const statusCode = view ? 200 : 404;
+
+  res.status(statusCode).format({
+    html: () => res.send(renderPage(view)),
+    default: () => res.json(view
+      ? { success: true, data: view }
+      : { success: false, message: 'Verification code not found' })
+  });
+});
@@ -0,0 +1,213 @@
+const WebhookSubscriptionRepository = require('../repositories/WebhookSubscriptionRepository');
+const webhookService = require('../services/webhookService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Map request body to webhook_subscriptions columns
+ */
+const toSubscriptionRow = (body) => {
+  const row = {};
+  if (body.name !== undefined) row.name = String(body.name).trim();
+  if (body.url !== undefined) row.url = body.url;
+  if (body.events !== undefined) row.events = [...new Set(body.events)];
+  if (body.description !== undefined) row.description = body.description;
+  if (body.isActive !== undefined) row.is_active = body.isActive;
+  return row;
+};
+
+/**
+ * Get the events subscriptions can filter on
+ * @route GET /api/webhooks/events
+ * @access Private (Admin)
+ */
+exports.getEventTypes = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: webhookService.EVENTS });
+});
+
+/**
+ * Get all webhook subscriptions
+ * @route GET /api/webhooks
+ * @access Private (Admin)
+ */
+exports.getSubscriptions = asyncHandler(async (req, res) => {
+  const filters = {};
+  if (req.query.isActive !== undefined) filters.is_active = req.query.isActive === 'true';
+
+  const { data } = await WebhookSubscriptionRepository.findAll(filters, { order: [['created_at', 'ASC']] });
+
+  res.status(200).json({ success: true, data: data.map(subscription => webhookService.toApi(subscription)) });
+});
+
+/**
+ * Get webhook subscription by ID
+ * @route GET /api/webhooks/:id
+ * @access Private (Admin)
+ */
+exports.getSubscriptionById = asyncHandler(async (req, res) => {
+  const subscription = await WebhookSubscriptionRepository.findById(req.params.id);
+
+  if (!subscription) {
+    return res.status(404).json({ success: false, message: 'Webhook subscription not found' });
+  }
+
+  res.status(200).json({ success: true, data: webhookService.toApi(subscription) });
+});
+
+/**
+ * Create webhook subscription
+ * The signing secret is only returned here and when it is rotated.
+ * @route POST /api/webhooks
+ * @access Private (Admin)
+ */
+exports.createSubscription = asyncHandler(async (req, res) => {
+  const errors = webhookService.validateSubscription(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  const subscription = await WebhookSubscriptionRepository.create({
+    ...toSubscriptionRow(req.body),
+    secret: req.body.secret || webhookService.generateSecret(),
+    created_by: req.user.id
+  });
+
+  res.status(201).json({ success: true, message: 'Webhook subscription created successfully', data: subscription });
+});
+
+/**
+ * Update webhook subscription
+ * @route PUT /api/webhooks/:id
+ * @access Private (Admin)
+ */
+exports.updateSubscription = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await WebhookSubscriptionRepository.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Webhook subscription not found' });
+  }
+
+  // The secret only changes through rotate-secret
+  const { secret, ...changes } = req.body;
+
+  const errors = webhookService.validateSubscription({
+    name: existing.name,
+    url: existing.url,
+    events: existing.events,
+    ...changes
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+  }
+
+  const subscription = await WebhookSubscriptionRepository.update(id, {
+    ...toSubscriptionRow(changes),
+    updated_at: new Date().toISOString()
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook subscription updated successfully',
+    data: webhookService.toApi(subscription)
+  });
+});
+
+/**
+ * Deactivate webhook subscription
+ * Subscriptions are kept so their delivery log stays available.
+ * @route DELETE /api/webhooks/:id
+ * @access Private (Admin)
+ */
+exports.deactivateSubscription = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await WebhookSubscriptionRepository.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Webhook subscription not found' });
+  }
+
+  const subscription = await WebhookSubscriptionRepository.update(id, {
+    is_active: false,
+    updated_at: new Date().toISOString()
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook subscription deactivated',
+    data: webhookService.toApi(subscription)
+  });
+});
+
+/**
+ * Replace the signing secret of a subscription
+ * @route POST /api/webhooks/:id/rotate-secret
+ * @access Private (Admin)
+ */
+exports.rotateSecret = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await WebhookSubscriptionRepository.findById(id);
+
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Webhook subscription not found' });
+  }
+
+  const subscription = await WebhookSubscriptionRepository.update(id, {
+    secret: webhookService.generateSecret(),
+    updated_at: new Date().toISOString()
+  });
+
+  res.status(200).json({ success: true, message: 'Webhook secret rotated', data: subscription });
+});
+
+/**
+ * Get the webhook delivery log
+ * @route GET /api/webhooks/deliveries
+ * @access Private (Admin)
+ */
+exports.getDeliveries = asyncHandler(async (req, res) => {
+  const { subscriptionId, eventId, eventType, status, page, limit } = req.query;
+
+  const { deliveries, pagination } = await webhookService.getDeliveries({
+    subscriptionId,
+    eventId,
+    eventType,
+    status,
+    page,
+    limit
+  });
+
+  res.status(200).json({ success: true, data: deliveries, pagination });
+});
+
+/**
+ * Get a webhook delivery with its payload and the receiver's response
+ * @route GET /api/webhooks/deliveries/:id
+ * @access Private (Admin)
+ */
+exports.getDeliveryById = asyncHandler(async (req, res) => {
+  const delivery = await webhookService.getDelivery(req.params.id);
+
+  res.status(200).json({ success: true, data: delivery });
+});
+
+/**
+ * Send a webhook delivery again
+ * @route POST /api/webhooks/deliveries/:id/redeliver
+ * @access Private (Admin)
+ */
+exports.redeliver = asyncHandler(async (req, res) => {
+  const delivery = await webhookService.redeliver(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: delivery.status === 'delivered' ? 'Webhook redelivered' : 'Webhook redelivery failed, it will be retried',
+    data: delivery
+  });
+});
+
+module.exports = exports;
@@ -0,0 +1,60 @@
+require('dotenv').config();
+const notificationChannels = require('../services/notificationChannels');
+
+// NOTIFICATION_DELIVERY_INTERVAL_MINUTES=0 turns the job off
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+let timer = null;
+let running = false;
+
+/**
+ * Retry notification deliveries (email) whose next attempt is due
+ * Runs are skipped while the previous one is still going.
+ * @returns {object|null} summary per channel, null when skipped
+ */
+const runNotificationDelivery = async (options = {}) => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const summary = await notificationChannels.retryDueDeliveries(options);
+
+    if (Object.values(summary).some(channel => channel.checked > 0)) {
+      console.log(`📧 Notification delivery: ${JSON.stringify(summary)}`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('Notification delivery failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start retrying on an interval
+ */
+const startNotificationDeliveryJob = () => {
+  const minutes = parseInt(process.env.NOTIFICATION_DELIVERY_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES, 10);
+  if (timer || !(minutes > 0)) return;
+
+  timer = setInterval(runNotificationDelivery, minutes * 60 * 1000);
+  // Do not keep the process alive just for this job
+  timer.unref();
+};
+
+const stopNotificationDeliveryJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// One-off run: npm run jobs:deliver-notifications
+if (require.main === module) {
+  runNotificationDelivery().then(summary => process.exit(summary ? 0 : 1));
+}
+
+module.exports = {
+  runNotificationDelivery,
+  startNotificationDeliveryJob,
+  stopNotificationDeliveryJob
+};
@@ -0,0 +1,60 @@
+require('dotenv').config();
+const notificationDigestService = require('../services/notificationDigestService');
+
+// NOTIFICATION_DIGEST_INTERVAL_MINUTES=0 turns the job off
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let timer = null;
+let running = false;
+
+/**
+ * Send daily/weekly notification digests that are due
+ * Runs are skipped while the previous one is still going.
+ * @returns {object|null} summary of the run, null when skipped
+ */
+const runNotificationDigest = async () => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const summary = await notificationDigestService.sendDueDigests();
+
+    if (summary.checked > 0) {
+      console.log(`🗞️ Notification digests: ${JSON.stringify(summary)}`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('Notification digests failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start checking for due digests on an interval
+ */
+const startNotificationDigestJob = () => {
+  const minutes = parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES, 10);
+  if (timer || !(minutes > 0)) return;
+
+  timer = setInterval(runNotificationDigest, minutes * 60 * 1000);
+  // Do not keep the process alive just for this job
+  timer.unref();
+};
+
+const stopNotificationDigestJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// One-off run: npm run jobs:send-digests
+if (require.main === module) {
+  runNotificationDigest().then(summary => process.exit(summary ? 0 : 1));
+}
+
+module.exports = {
+  runNotificationDigest,
+  startNotificationDigestJob,
+  stopNotificationDigestJob
+};
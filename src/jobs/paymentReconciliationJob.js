@@ -0,0 +1,63 @@
+require('dotenv').config();
+const paymentService = require('../services/paymentService');
+
+// PAYMENT_RECONCILIATION_INTERVAL_MINUTES=0 turns the job off
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+let timer = null;
+let running = false;
+
+/**
+ * Poll gateways for payments stuck in 'initiated' or 'pending'
+ * Runs are skipped while the previous one is still going.
+ * @returns {object|null} summary of the run, null when skipped
+ */
+const runPaymentReconciliation = async (options = {}) => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const summary = await paymentService.reconcileOpenPayments({
+      olderThanMinutes: parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, 10) || undefined,
+      ...options
+    });
+
+    if (summary.checked > 0) {
+      console.log(`💳 Payment reconciliation: ${JSON.stringify(summary)}`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('Payment reconciliation failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start polling on an interval
+ */
+const startPaymentReconciliationJob = () => {
+  const minutes = parseInt(process.env.PAYMENT_RECONCILIATION_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES, 10);
+  if (timer || !(minutes > 0)) return;
+
+  timer = setInterval(runPaymentReconciliation, minutes * 60 * 1000);
+  // Do not keep the process alive just for this job
+  timer.unref();
+};
+
+const stopPaymentReconciliationJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// One-off run: npm run jobs:reconcile-payments
+if (require.main === module) {
+  runPaymentReconciliation().then(summary => process.exit(summary ? 0 : 1));
+}
+
+module.exports = {
+  runPaymentReconciliation,
+  startPaymentReconciliationJob,
+  stopPaymentReconciliationJob
+};
@@ -0,0 +1,60 @@
+require('dotenv').config();
+const slaService = require('../services/slaService');
+
+// SLA_CHECK_INTERVAL_MINUTES=0 turns the job off
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let timer = null;
+let running = false;
+
+/**
+ * Send SLA reminders and escalate documents past their SLA
+ * Runs are skipped while the previous one is still going.
+ * @returns {object|null} summary of the run, null when skipped
+ */
+const runSlaEscalation = async () => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const summary = await slaService.runChecks();
+
+    if (summary.reminded > 0 || summary.escalated > 0 || summary.failed > 0) {
+      console.log(`⏱️ SLA checks: ${JSON.stringify(summary)}`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('SLA checks failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start checking SLAs on an interval
+ */
+const startSlaEscalationJob = () => {
+  const minutes = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES, 10);
+  if (timer || !(minutes > 0)) return;
+
+  timer = setInterval(runSlaEscalation, minutes * 60 * 1000);
+  // Do not keep the process alive just for this job
+  timer.unref();
+};
+
+const stopSlaEscalationJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// One-off run: npm run jobs:check-slas
+if (require.main === module) {
+  runSlaEscalation().then(summary => process.exit(summary ? 0 : 1));
+}
+
+module.exports = {
+  runSlaEscalation,
+  startSlaEscalationJob,
+  stopSlaEscalationJob
+};
@@ -0,0 +1,60 @@
+require('dotenv').config();
+const webhookService = require('../services/webhookService');
+
+// WEBHOOK_DELIVERY_INTERVAL_MINUTES=0 turns the job off
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+let timer = null;
+let running = false;
+
+/**
+ * Retry webhook deliveries whose next attempt is due
+ * Runs are skipped while the previous one is still going.
+ * @returns {object|null} summary of the run, null when skipped
+ */
+const runWebhookDelivery = async (options = {}) => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const summary = await webhookService.retryDue(options);
+
+    if (summary.checked > 0) {
+      console.log(`🪝 Webhook delivery: ${JSON.stringify(summary)}`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('Webhook delivery failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start retrying on an interval
+ */
+const startWebhookDeliveryJob = () => {
+  const minutes = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES, 10);
+  if (timer || !(minutes > 0)) return;
+
+  timer = setInterval(runWebhookDelivery, minutes * 60 * 1000);
+  // Do not keep the process alive just for this job
+  timer.unref();
+};
+
+const stopWebhookDeliveryJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// One-off run: npm run jobs:deliver-webhooks
+if (require.main === module) {
+  runWebhookDelivery().then(summary => process.exit(summary ? 0 : 1));
+}
+
+module.exports = {
+  runWebhookDelivery,
+  startWebhookDeliveryJob,
+  stopWebhookDeliveryJob
+};
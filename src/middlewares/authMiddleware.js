@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const UserRepository = require('../repositories/UserRepository');
+const { setUser } = require('../utils/requestContext');
 
 /**
  * Protect routes - verify JWT token
@@ -45,6 +46,7 @@ exports.protect = async (req, res, next) => {
 
       // Attach user to request
       req.user = user;
+      setUser(user);
       next();
     } catch (error) {
       return res.status(401).json({
@@ -119,6 +121,7 @@ exports.optionalAuth = async (req, res, next) => {
         
         if (user && user.is_active) {
           req.user = user;
+          setUser(user);
         }
       } catch (error) {
         // Token invalid, continue without user
@@ -129,4 +132,16 @@ exports.optionalAuth = async (req, res, next) => {
   } catch (error) {
     next();
   }
+};
+
+/**
+ * Accept the token as ?access_token= for clients that cannot send headers (browser EventSource)
+ * Only for routes that need it: tokens in URLs end up in access logs.
+ * @middleware
+ */
+exports.allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const IdempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+
+// How long a key can be replayed
+const KEY_TTL_HOURS = 24;
+// A key still processing after this long was left by a process that died - well above the longest
+// request: a payment attempt holds its document lock for 2 minutes at most
+const PROCESSING_TIMEOUT_MINUTES = 10;
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Idempotency-Key support - must run after protect
+ * The first request with a key is processed and its response stored. Repeating the same request with
+ * the same key replays the stored response (Idempotent-Replayed: true) instead of running it again.
+ * Conflicts (409) and server errors (5xx) are not stored, so the request can be retried with the same key;
+ * neither are responses sent other than as JSON, or not sent at all.
+ * A key left processing by a process that died is taken over after PROCESSING_TIMEOUT_MINUTES.
+ * Requests without the header are processed as usual.
+ * @middleware
+ */
+exports.idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (key.trim().length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const requestHash = hashRequest(req);
+
+  const claimKey = () => IdempotencyKeyRepository.create({
+    idempotency_key: key,
+    user_id: req.user.id,
+    method: req.method,
+    path: req.originalUrl,
+    request_hash: requestHash,
+    status: 'processing',
+    expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  });
+
+  try {
+    let record;
+    try {
+      record = await claimKey();
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+
+      const existing = await IdempotencyKeyRepository.findForUser(req.user.id, key);
+
+      if (existing && new Date(existing.expires_at) < new Date()) {
+        // Expired - forget it and let the client retry as a new request
+        await IdempotencyKeyRepository.delete(existing.id);
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key has expired. Please retry the request.'
+        });
+      }
+
+      if (!existing || existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      if (new Date(existing.created_at) < new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000)) {
+        // Abandoned - take it over. A retry racing us for it loses the insert and is told it is being processed.
+        await IdempotencyKeyRepository.delete(existing.id);
+        record = await claimKey().catch(claimError => {
+          if (claimError.code !== '23505') throw claimError;
+          return null;
+        });
+      }
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    }
+
+    // Free the key when the handler ends without a JSON response - it sent a file, or never answered
+    let settled = false;
+    res.on('close', () => {
+      if (settled) return;
+      settled = true;
+      IdempotencyKeyRepository.delete(record.id)
+        .catch(error => console.error(`Error releasing Idempotency-Key ${key}:`, error));
+    });
+
+    // Store the response before sending it, so a retry right after it sees the completed key.
+    // A conflict such as a payment already in progress is temporary: the retry has to run again.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (settled) return json(body);
+      settled = true;
+
+      const statusCode = res.statusCode;
+      const store = statusCode < 500 && statusCode !== 409
+        ? IdempotencyKeyRepository.update(record.id, {
+          status: 'completed',
+          response_status: statusCode,
+          response_body: body,
+          completed_at: new Date().toISOString()
+        })
+        : IdempotencyKeyRepository.delete(record.id);
+
+      store
+        .catch(error => console.error(`Error storing response for Idempotency-Key ${key}:`, error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
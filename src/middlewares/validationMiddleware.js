@@ -1,3 +1,5 @@
+const procurementService = require('../services/procurementService');
+
 // Validate email format
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -34,7 +36,7 @@ exports.validateRegistration = (req, res, next) => {
   }
 
   // Hanya vendor_barang, vendor_jasa, pic_gudang, admin, approver
-  const validRoles = ['vendor_barang', 'vendor_jasa', 'pic_gudang', 'admin', 'approver'];
+  const validRoles = ['vendor_barang', 'vendor_jasa', 'pic_gudang', 'admin', 'approver', 'finance_maker', 'finance_checker'];
   if (!role || !validRoles.includes(role)) {
     errors.push(`Role must be one of: ${validRoles.join(', ')}`);
   }
@@ -75,7 +77,8 @@ exports.validateLogin = (req, res, next) => {
 };
 
 // BAPB creation validation
-exports.validateBAPB = (req, res, next) => {
+// Also checks the referenced purchase order and links items to its lines
+exports.validateBAPB = async (req, res, next) => {
   const { orderNumber, deliveryDate, items } = req.body;
   const errors = [];
 
@@ -109,6 +112,23 @@ exports.validateBAPB = (req, res, next) => {
     });
   }
 
+  if (errors.length === 0) {
+    try {
+      const { record, items: linkedItems, errors: poErrors } = await procurementService.resolveForDocument('PO', {
+        number: orderNumber,
+        vendorId: req.user.id,
+        items,
+        user: req.user
+      });
+
+      errors.push(...poErrors);
+      req.purchaseOrder = record;
+      req.body.items = linkedItems;
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -121,7 +141,8 @@ exports.validateBAPB = (req, res, next) => {
 };
 
 // BAPP creation validation
-exports.validateBAPP = (req, res, next) => {
+// Also checks the referenced contract and links work items to its lines
+exports.validateBAPP = async (req, res, next) => {
   const { contractNumber, projectName, projectLocation, startDate, endDate, workItems } = req.body;
   const errors = [];
 
@@ -175,6 +196,23 @@ exports.validateBAPP = (req, res, next) => {
     });
   }
 
+  if (errors.length === 0) {
+    try {
+      const { record, items: linkedItems, errors: contractErrors } = await procurementService.resolveForDocument('CONTRACT', {
+        number: contractNumber,
+        vendorId: req.user.id,
+        items: workItems,
+        user: req.user
+      });
+
+      errors.push(...contractErrors);
+      req.contract = record;
+      req.body.workItems = linkedItems;
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -198,6 +236,22 @@ exports.validateUUIDParam = (paramName = 'id') => {
       });
     }
     
+    next();
+  };
+};
+
+// UUID body field validation
+exports.validateUUIDBody = (fieldName) => {
+  return (req, res, next) => {
+    const uuid = req.body && req.body[fieldName];
+
+    if (!uuid || !isValidUUID(String(uuid))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${fieldName} format`
+      });
+    }
+
     next();
   };
 };
\ No newline at end of file
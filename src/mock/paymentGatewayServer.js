@@ -0,0 +1,316 @@
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Local mock of the payout gateway used by HttpPaymentGateway
+ *
+ * Payment API
+ *   POST /v1/payments                       { reference, amount, currency, beneficiary, description, metadata }
+ *   GET  /v1/payments/:reference
+ *   POST /v1/payments/:reference/reversals  { reference, amount, reason } - reverse a succeeded payment
+ *
+ * Account inquiry API (used by HttpBankInquiry)
+ *   POST /v1/account-inquiries              { bank_code, account_number } - 404 for accounts it does not know
+ *
+ * Scripting (not part of the real API)
+ *   POST   /__scenarios                     { outcomes: [outcome, ...], default: outcome } - queue outcomes for the next payments
+ *   GET    /__scenarios                     queued outcomes and the default
+ *   DELETE /__scenarios                     clear the queue and stored payments, default back to success
+ *   POST   /__payments/:reference/resolve   { status: 'succeeded' | 'failed' | 'reversed', errorCode, errorMessage, notify }
+ *                                           - move a payment on; notify: false skips the webhook
+ *   POST   /__accounts                      { accounts: [{ bankCode, accountNumber, accountName }] } - register accounts
+ *   GET    /__accounts                      registered accounts
+ *   DELETE /__accounts                      forget registered accounts
+ *
+ * An outcome is 'success', 'failed', 'pending' or 'timeout', or an object
+ *   { outcome, errorCode, errorMessage, delayMs }
+ * 'timeout' stores the payment as pending and answers only after delayMs (default 30s), so the client gives up first.
+ * A single request can also pick its outcome with the X-Mock-Outcome header.
+ * An account inquiry can name the holder with the X-Mock-Account-Name header instead of a registered account.
+ *
+ * When a webhook URL is configured (MOCK_GATEWAY_WEBHOOK_URL), every settled, failed or reversed payment is
+ * posted there as { id, type: 'payment.updated', data: payment }, signed like HttpPaymentGateway expects
+ * with PAYMENT_WEBHOOK_SECRET.
+ */
+
+const OUTCOMES = ['success', 'failed', 'pending', 'timeout'];
+const DEFAULT_TIMEOUT_DELAY_MS = 30000;
+
+const normalizeOutcome = (value) => {
+  const outcome = typeof value === 'string' ? { outcome: value } : { ...value };
+  if (!OUTCOMES.includes(outcome.outcome)) {
+    throw new Error(`Unknown outcome "${outcome.outcome}". Use one of: ${OUTCOMES.join(', ')}`);
+  }
+  return outcome;
+};
+
+/**
+ * @param {object} options - { webhookUrl, webhookSecret }
+ */
+const createMockGatewayApp = (options = {}) => {
+  const webhookUrl = options.webhookUrl ?? process.env.MOCK_GATEWAY_WEBHOOK_URL ?? null;
+  const webhookSecret = options.webhookSecret ?? process.env.PAYMENT_WEBHOOK_SECRET ?? null;
+
+  const app = express();
+  app.use(express.json());
+
+  const state = {
+    queue: [],
+    defaultOutcome: { outcome: 'success' },
+    payments: new Map(),
+    accounts: new Map(),
+    reversals: new Map()
+  };
+
+  const accountKey = (bankCode, accountNumber) => `${String(bankCode).toUpperCase()}:${accountNumber}`;
+
+  const nextOutcome = (req) => {
+    if (req.get('X-Mock-Outcome')) return normalizeOutcome(req.get('X-Mock-Outcome'));
+    return state.queue.shift() || state.defaultOutcome;
+  };
+
+  // Fire and forget, like a real gateway the mock does not wait for our answer
+  const sendWebhook = (payment) => {
+    if (!webhookUrl || !webhookSecret) return;
+
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: 'payment.updated',
+      data: payment
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+
+    fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Gateway-Timestamp': String(timestamp),
+        'X-Gateway-Signature': signature
+      },
+      body
+    }).catch(error => console.error(`Mock gateway webhook for ${payment.reference} failed:`, error.message));
+  };
+
+  const settlementDate = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    return date.toISOString().slice(0, 10);
+  };
+
+  app.post('/v1/payments', async (req, res) => {
+    const { reference, amount, currency = 'IDR', beneficiary, description, metadata } = req.body || {};
+
+    if (!reference || !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ error: { code: 'INVALID_REQUEST', message: 'reference and a positive amount are required' } });
+    }
+
+    // Same reference is the same payment - answer with what we already have
+    if (state.payments.has(reference)) {
+      return res.status(200).json(state.payments.get(reference));
+    }
+
+    let outcome;
+    try {
+      outcome = nextOutcome(req);
+    } catch (error) {
+      return res.status(400).json({ error: { code: 'INVALID_OUTCOME', message: error.message } });
+    }
+
+    const now = new Date().toISOString();
+    const payment = {
+      id: `MGW-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      reference,
+      amount: parseFloat(amount),
+      currency,
+      beneficiary: beneficiary || null,
+      description: description || null,
+      metadata: metadata || {},
+      status: 'pending',
+      error: null,
+      estimated_settlement: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    if (outcome.outcome === 'success') {
+      payment.status = 'succeeded';
+      payment.estimated_settlement = settlementDate();
+    } else if (outcome.outcome === 'failed') {
+      payment.status = 'failed';
+      payment.error = {
+        code: outcome.errorCode || 'PAYMENT_FAILED',
+        message: outcome.errorMessage || 'Payment rejected by beneficiary bank'
+      };
+    }
+
+    state.payments.set(reference, payment);
+
+    const delayMs = outcome.delayMs ?? (outcome.outcome === 'timeout' ? DEFAULT_TIMEOUT_DELAY_MS : 0);
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    if (!res.headersSent && !req.socket.destroyed) {
+      res.status(payment.status === 'pending' ? 202 : 201).json(payment);
+    }
+
+    if (payment.status !== 'pending') sendWebhook(payment);
+  });
+
+  app.get('/v1/payments/:reference', (req, res) => {
+    const payment = state.payments.get(req.params.reference);
+    if (!payment) {
+      return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Payment not found' } });
+    }
+    res.json(payment);
+  });
+
+  app.post('/v1/payments/:reference/reversals', (req, res) => {
+    const { reference, amount, reason } = req.body || {};
+    const payment = state.payments.get(req.params.reference);
+
+    if (!reference) {
+      return res.status(400).json({ error: { code: 'INVALID_REQUEST', message: 'reference is required' } });
+    }
+
+    // Same reversal reference is the same reversal
+    if (state.reversals.has(reference)) {
+      return res.status(200).json(state.reversals.get(reference));
+    }
+
+    if (!payment) {
+      return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Payment not found' } });
+    }
+
+    if (payment.status !== 'succeeded') {
+      return res.status(409).json({ error: { code: 'NOT_REVERSIBLE', message: `Payment is ${payment.status}` } });
+    }
+
+    if (amount !== undefined && parseFloat(amount) !== payment.amount) {
+      return res.status(400).json({ error: { code: 'INVALID_AMOUNT', message: 'Only the full amount can be reversed' } });
+    }
+
+    const now = new Date().toISOString();
+    const reversal = {
+      id: `MGR-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      reference,
+      payment_reference: payment.reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      reason: reason || null,
+      status: 'succeeded',
+      created_at: now,
+      updated_at: now
+    };
+    state.reversals.set(reference, reversal);
+
+    payment.status = 'reversed';
+    payment.updated_at = now;
+
+    res.status(201).json(reversal);
+
+    sendWebhook(payment);
+  });
+
+  app.post('/v1/account-inquiries', (req, res) => {
+    const { bank_code: bankCode, account_number: accountNumber } = req.body || {};
+
+    if (!bankCode || !accountNumber) {
+      return res.status(400).json({ error: { code: 'INVALID_REQUEST', message: 'bank_code and account_number are required' } });
+    }
+
+    const id = `INQ-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const accountName = req.get('X-Mock-Account-Name') || state.accounts.get(accountKey(bankCode, accountNumber));
+
+    if (!accountName) {
+      return res.status(404).json({ id, error: { code: 'ACCOUNT_NOT_FOUND', message: 'Account not found at the bank' } });
+    }
+
+    res.json({ id, bank_code: bankCode, account_number: accountNumber, account_name: accountName });
+  });
+
+  app.post('/__accounts', (req, res) => {
+    const accounts = req.body.accounts || [];
+    if (!Array.isArray(accounts) || accounts.some(account => !account?.bankCode || !account?.accountNumber || !account?.accountName)) {
+      return res.status(400).json({ error: { code: 'INVALID_ACCOUNTS', message: 'accounts need bankCode, accountNumber and accountName' } });
+    }
+
+    accounts.forEach(account => state.accounts.set(accountKey(account.bankCode, account.accountNumber), account.accountName));
+    res.json({ accounts: Object.fromEntries(state.accounts) });
+  });
+
+  app.get('/__accounts', (req, res) => {
+    res.json({ accounts: Object.fromEntries(state.accounts) });
+  });
+
+  app.delete('/__accounts', (req, res) => {
+    state.accounts.clear();
+    res.json({ accounts: {} });
+  });
+
+  app.post('/__scenarios', (req, res) => {
+    try {
+      const outcomes = (req.body.outcomes || []).map(normalizeOutcome);
+      state.queue.push(...outcomes);
+      if (req.body.default) state.defaultOutcome = normalizeOutcome(req.body.default);
+    } catch (error) {
+      return res.status(400).json({ error: { code: 'INVALID_OUTCOME', message: error.message } });
+    }
+
+    res.json({ queue: state.queue, default: state.defaultOutcome });
+  });
+
+  app.get('/__scenarios', (req, res) => {
+    res.json({ queue: state.queue, default: state.defaultOutcome });
+  });
+
+  app.delete('/__scenarios', (req, res) => {
+    state.queue = [];
+    state.defaultOutcome = { outcome: 'success' };
+    state.payments.clear();
+    state.reversals.clear();
+    res.json({ queue: state.queue, default: state.defaultOutcome });
+  });
+
+  app.post('/__payments/:reference/resolve', (req, res) => {
+    const payment = state.payments.get(req.params.reference);
+    if (!payment) {
+      return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Payment not found' } });
+    }
+
+    const status = req.body.status || 'succeeded';
+    if (!['succeeded', 'failed', 'reversed'].includes(status)) {
+      return res.status(400).json({ error: { code: 'INVALID_STATUS', message: "status must be 'succeeded', 'failed' or 'reversed'" } });
+    }
+
+    payment.status = status;
+    payment.updated_at = new Date().toISOString();
+    if (status === 'succeeded') {
+      payment.error = null;
+      payment.estimated_settlement = settlementDate();
+    } else if (status === 'reversed') {
+      payment.error = req.body.errorCode ? { code: req.body.errorCode, message: req.body.errorMessage || null } : null;
+    } else {
+      payment.error = {
+        code: req.body.errorCode || 'PAYMENT_FAILED',
+        message: req.body.errorMessage || 'Payment rejected by beneficiary bank'
+      };
+    }
+
+    res.json(payment);
+
+    if (req.body.notify !== false) sendWebhook(payment);
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = process.env.MOCK_GATEWAY_PORT || 4010;
+  createMockGatewayApp().listen(port, () => {
+    console.log(`💳 Mock payment gateway listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = createMockGatewayApp;
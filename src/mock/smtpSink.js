@@ -0,0 +1,235 @@
+const net = require('net');
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Local SMTP server that accepts every message and keeps it in memory, so notification emails
+ * can be sent and inspected without an external mail service.
+ *
+ * SMTP (point SMTP_HOST/SMTP_PORT here, default port 2525)
+ *   EHLO/HELO, AUTH PLAIN/LOGIN (any credentials), MAIL, RCPT, DATA, RSET, NOOP, QUIT. No TLS.
+ *
+ * Inspection over HTTP (default port 2526)
+ *   GET    /messages            received messages, newest last ({ to } query filters on a recipient)
+ *   GET    /messages/:id        one message including the raw source
+ *   DELETE /messages            forget received messages and queued failures
+ *   POST   /__failures          { replies: [{ code, message }] } - reject the next messages with these replies
+ *                               (4xx is temporary, 5xx permanent)
+ */
+
+const DEFAULT_SMTP_PORT = 2525;
+const DEFAULT_HTTP_PORT = 2526;
+const HOSTNAME = 'smtp-sink.local';
+
+// =?charset?B|Q?text?= encoded words, as used in Subject headers with non-ASCII text
+const decodeEncodedWords = (value) => value.replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=\s*/g, (match, charset, encoding, text) => {
+  const buffer = encoding.toUpperCase() === 'B'
+    ? Buffer.from(text, 'base64')
+    : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'binary');
+  return buffer.toString(/utf-?8/i.test(charset) ? 'utf8' : 'latin1');
+});
+
+const parseHeaders = (raw) => {
+  const head = raw.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+  return head.split(/\r?\n/).reduce((headers, line) => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = decodeEncodedWords(line.slice(index + 1).trim());
+    return headers;
+  }, {});
+};
+
+const parseAddress = (argument) => {
+  const match = /<([^>]*)>/.exec(argument);
+  return (match ? match[1] : argument.split(/\s/)[0]).trim();
+};
+
+/**
+ * @returns {object} { server, app, messages, listen(port), close(), clear(), failNext(replies) }
+ */
+const createSmtpSink = () => {
+  const state = {
+    messages: [],
+    failures: []
+  };
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+    socket.setEncoding('utf8');
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let session = { from: null, to: [] };
+    let buffer = '';
+    let mode = 'command';
+    let data = [];
+
+    const finishMessage = () => {
+      const failure = state.failures.shift();
+      if (failure) {
+        reply(`${failure.code} ${failure.message || (failure.code >= 500 ? 'Message rejected' : 'Try again later')}`);
+      } else {
+        const raw = data.map(line => (line.startsWith('..') ? line.slice(1) : line)).join('\r\n');
+        const headers = parseHeaders(raw);
+        const id = crypto.randomBytes(6).toString('hex');
+
+        state.messages.push({
+          id,
+          from: session.from,
+          to: session.to,
+          subject: headers.subject || null,
+          messageId: headers['message-id'] || null,
+          headers,
+          raw,
+          receivedAt: new Date().toISOString()
+        });
+        reply(`250 2.0.0 Ok: queued as ${id}`);
+      }
+
+      session = { from: null, to: [] };
+      data = [];
+      mode = 'command';
+    };
+
+    const handleCommand = (line) => {
+      if (mode === 'auth-login-user') {
+        mode = 'auth-login-pass';
+        return reply('334 UGFzc3dvcmQ6');
+      }
+      if (mode === 'auth-login-pass' || mode === 'auth-plain') {
+        mode = 'command';
+        return reply('235 2.7.0 Authentication successful');
+      }
+
+      const [verb, ...rest] = line.split(' ');
+      const argument = rest.join(' ');
+
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          return socket.write(`250-${HOSTNAME}\r\n250-AUTH PLAIN LOGIN\r\n250-SIZE 10485760\r\n250 8BITMIME\r\n`);
+        case 'HELO':
+          return reply(`250 ${HOSTNAME}`);
+        case 'AUTH': {
+          const [mechanism, initial] = argument.split(' ');
+          if (/^PLAIN$/i.test(mechanism)) {
+            if (initial) return reply('235 2.7.0 Authentication successful');
+            mode = 'auth-plain';
+            return reply('334 ');
+          }
+          if (/^LOGIN$/i.test(mechanism)) {
+            mode = 'auth-login-user';
+            return reply('334 VXNlcm5hbWU6');
+          }
+          return reply('504 5.5.4 Unrecognized authentication type');
+        }
+        case 'MAIL':
+          session = { from: parseAddress(argument.replace(/^FROM:/i, '')), to: [] };
+          return reply('250 2.1.0 Ok');
+        case 'RCPT':
+          if (session.from === null) return reply('503 5.5.1 Need MAIL command');
+          session.to.push(parseAddress(argument.replace(/^TO:/i, '')));
+          return reply('250 2.1.5 Ok');
+        case 'DATA':
+          if (session.to.length === 0) return reply('503 5.5.1 Need RCPT command');
+          mode = 'data';
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          session = { from: null, to: [] };
+          return reply('250 2.0.0 Ok');
+        case 'NOOP':
+          return reply('250 2.0.0 Ok');
+        case 'QUIT':
+          reply('221 2.0.0 Bye');
+          return socket.end();
+        default:
+          return reply('502 5.5.2 Command not implemented');
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (mode === 'data') {
+          if (line === '.') finishMessage();
+          else data.push(line);
+        } else {
+          handleCommand(line);
+        }
+      }
+    });
+
+    reply(`220 ${HOSTNAME} ESMTP sink`);
+  });
+
+  const clear = () => {
+    state.messages.length = 0;
+    state.failures.length = 0;
+  };
+
+  const failNext = (replies) => {
+    state.failures.push(...replies.map(item => (typeof item === 'number' ? { code: item } : item)));
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/messages', (req, res) => {
+    const list = req.query.to
+      ? state.messages.filter(message => message.to.includes(req.query.to))
+      : state.messages;
+    res.json(list.map(({ raw, ...message }) => message));
+  });
+
+  app.get('/messages/:id', (req, res) => {
+    const message = state.messages.find(item => item.id === req.params.id);
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+    res.json(message);
+  });
+
+  app.delete('/messages', (req, res) => {
+    clear();
+    res.status(204).end();
+  });
+
+  app.post('/__failures', (req, res) => {
+    const replies = req.body?.replies;
+    if (!Array.isArray(replies) || replies.some(item => !(Number(item.code ?? item) >= 400))) {
+      return res.status(400).json({ error: 'replies must be a list of { code, message } with 4xx or 5xx codes' });
+    }
+    failNext(replies);
+    res.json({ queued: state.failures.length });
+  });
+
+  return {
+    server,
+    app,
+    messages: state.messages,
+    clear,
+    failNext,
+    listen: (port = 0) => new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    })
+  };
+};
+
+if (require.main === module) {
+  const sink = createSmtpSink();
+  const smtpPort = process.env.MOCK_SMTP_PORT || DEFAULT_SMTP_PORT;
+  const httpPort = process.env.MOCK_SMTP_HTTP_PORT || DEFAULT_HTTP_PORT;
+
+  sink.listen(smtpPort).then(() => {
+    console.log(`📧 SMTP sink listening on smtp://localhost:${smtpPort}`);
+  });
+  sink.app.listen(httpPort, () => {
+    console.log(`📬 SMTP sink messages at http://localhost:${httpPort}/messages`);
+  });
+}
+
+module.exports = createSmtpSink;
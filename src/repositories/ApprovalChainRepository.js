@@ -0,0 +1,33 @@
+const BaseRepository = require('./BaseRepository');
+
+class ApprovalChainRepository extends BaseRepository {
+  constructor() {
+    super('approval_chains');
+  }
+
+  /**
+   * Find active chains for a document type, highest priority first
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @returns {array}
+   */
+  async findActiveByDocumentType(documentType) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select('*')
+        .eq('document_type', documentType)
+        .eq('is_active', true)
+        .order('priority', { ascending: false })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      console.error('Error finding active approval chains:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ApprovalChainRepository();
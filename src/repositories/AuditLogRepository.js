@@ -0,0 +1,80 @@
+const BaseRepository = require('./BaseRepository');
+
+class AuditLogRepository extends BaseRepository {
+  constructor() {
+    super('audit_logs');
+    // Writing audit entries must not produce audit entries
+    this.auditable = false;
+  }
+
+  /**
+   * Build filtered query
+   * @private
+   */
+  _buildSearchQuery(filters, select, options = {}) {
+    let query = this.db.from(this.tableName).select(select, options);
+
+    if (filters.entity) query = query.eq('entity', filters.entity);
+    if (filters.entityId) query = query.eq('entity_id', filters.entityId);
+    if (filters.actorId) query = query.eq('actor_id', filters.actorId);
+    if (filters.action) query = query.eq('action', filters.action);
+    if (filters.dateFrom) query = query.gte('created_at', filters.dateFrom);
+    if (filters.dateTo) query = query.lte('created_at', filters.dateTo);
+
+    return query;
+  }
+
+  /**
+   * Query audit log with filters and pagination
+   * @param {object} filters - entity, entityId, actorId, action, dateFrom, dateTo
+   * @param {object} pagination - limit, offset
+   * @returns {object} { data, count }
+   */
+  async search(filters = {}, pagination = {}) {
+    try {
+      const limit = pagination.limit || 20;
+      const offset = pagination.offset || 0;
+
+      const { data, error, count } = await this._buildSearchQuery(filters, '*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+
+      return { data, count };
+    } catch (error) {
+      console.error('Error searching audit logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over all matching entries in batches (oldest first), for exports
+   * @param {object} filters
+   * @param {number} batchSize
+   */
+  async *iterate(filters = {}, batchSize = 1000) {
+    let offset = 0;
+
+    while (true) {
+      const { data, error } = await this._buildSearchQuery(filters, '*')
+        .order('id', { ascending: true })
+        .range(offset, offset + batchSize - 1);
+
+      if (error) {
+        console.error('Error iterating audit logs:', error);
+        throw error;
+      }
+
+      if (!data || data.length === 0) return;
+
+      yield data;
+
+      if (data.length < batchSize) return;
+      offset += batchSize;
+    }
+  }
+}
+
+module.exports = new AuditLogRepository();
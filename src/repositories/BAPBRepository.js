@@ -3,6 +3,10 @@ const BaseRepository = require("./BaseRepository");
 class BAPBRepository extends BaseRepository {
   constructor() {
     super("bapb");
+    // Child tables go through BaseRepository so their writes are audited too
+    this.items = new BaseRepository("bapb_items");
+    this.attachments = new BaseRepository("bapb_attachments");
+    this.approvals = new BaseRepository("bapb_approvals");
   }
 
   /**
@@ -84,50 +88,30 @@ class BAPBRepository extends BaseRepository {
 
   /**
    * Create BAPB with items
-   * FIXED: Properly map field names and ensure items are created
+   * BAPB and items are inserted in one transaction - a failing item leaves no BAPB behind.
    */
   async createWithItems(bapbData, items = []) {
     try {
       console.log("📝 Creating BAPB with data:", JSON.stringify(bapbData, null, 2));
       console.log("📦 Items to create:", JSON.stringify(items, null, 2));
 
-      // Create BAPB first
-      const bapb = await this.create(bapbData);
-      console.log("✅ BAPB created:", bapb.id);
-
-      // Create items if provided
-      if (items && items.length > 0) {
-        // Map field names from camelCase to snake_case for database
-        const itemsToCreate = items.map((item) => ({
-          bapb_id: bapb.id,
-          item_name: item.itemName || item.item_name,
-          quantity_ordered: item.quantityOrdered || item.quantity_ordered,
-          quantity_received: item.quantityReceived || item.quantity_received,
-          unit: item.unit,
-          condition: item.condition,
-          notes: item.notes || null,
-        }));
-
-        console.log("💾 Inserting items:", JSON.stringify(itemsToCreate, null, 2));
-
-        const { data: createdItems, error: itemsError } = await this.db.from("bapb_items").insert(itemsToCreate).select();
-
-        if (itemsError) {
-          console.error("❌ Error creating items:", itemsError);
-          // Rollback: delete the BAPB if items creation failed
-          await this.delete(bapb.id);
-          throw new Error(`Failed to create BAPB items: ${itemsError.message}`);
-        }
-
-        console.log("✅ Items created successfully:", createdItems.length);
-      } else {
+      if (!items || items.length === 0) {
         console.warn("⚠️ No items provided for BAPB");
       }
 
+      const result = await this.callFunction("create_document_with_children", {
+        p_document_type: "BAPB",
+        p_document: bapbData,
+        p_children: this._mapItems(items || []),
+      });
+
+      console.log("✅ BAPB created:", result.document.id, "with", result.children.length, "items");
+
+      await this._audit("create", [[null, result.document]]);
+      await this.items._audit("create", result.children.map((item) => [null, item]));
+
       // Return BAPB with items
-      const result = await this.findByIdWithRelations(bapb.id);
-      console.log("📋 Final BAPB with items:", JSON.stringify(result, null, 2));
-      return result;
+      return await this.findByIdWithRelations(result.document.id);
     } catch (error) {
       console.error("❌ Error creating BAPB with items:", error);
       throw error;
@@ -136,47 +120,29 @@ class BAPBRepository extends BaseRepository {
 
   /**
    * Update BAPB with items
-   * FIXED: Properly handle field name mapping
+   * Header and item replacement happen in one transaction.
+   * @param {string} id
+   * @param {object} bapbData - Header changes
+   * @param {array|null} items - New item list, null keeps the current items
+   * @param {object} options - { expected: column values the row must still have, e.g. { status } }
    */
-  async updateWithItems(id, bapbData, items = null) {
+  async updateWithItems(id, bapbData, items = null, options = {}) {
     try {
       console.log("📝 Updating BAPB:", id);
       console.log("📦 Update data:", JSON.stringify(bapbData, null, 2));
       console.log("📦 New items:", items ? JSON.stringify(items, null, 2) : "No items update");
 
-      // Update BAPB
-      await this.update(id, bapbData);
-
-      // Update items if provided
-      if (items !== null && Array.isArray(items)) {
-        // Delete old items
-        const { error: deleteError } = await this.db.from("bapb_items").delete().eq("bapb_id", id);
-
-        if (deleteError) {
-          console.error("❌ Error deleting old items:", deleteError);
-          throw deleteError;
-        }
+      const result = await this.callFunction("update_document_with_children", {
+        p_document_type: "BAPB",
+        p_document_id: id,
+        p_changes: bapbData,
+        p_children: Array.isArray(items) ? this._mapItems(items) : null,
+        p_expected: options.expected || null,
+      });
 
-        // Insert new items
-        if (items.length > 0) {
-          const itemsToCreate = items.map((item) => ({
-            bapb_id: id,
-            item_name: item.itemName || item.item_name,
-            quantity_ordered: item.quantityOrdered || item.quantity_ordered,
-            quantity_received: item.quantityReceived || item.quantity_received,
-            unit: item.unit,
-            condition: item.condition,
-            notes: item.notes || null,
-          }));
-
-          const { error: insertError } = await this.db.from("bapb_items").insert(itemsToCreate);
-
-          if (insertError) {
-            console.error("❌ Error inserting new items:", insertError);
-            throw insertError;
-          }
-        }
-      }
+      await this._audit("update", [[result.before, result.after]]);
+      await this.items._audit("delete", result.removed_children.map((item) => [item, null]));
+      await this.items._audit("create", result.added_children.map((item) => [null, item]));
 
       // Return updated BAPB with items
       return await this.findByIdWithRelations(id);
@@ -186,6 +152,22 @@ class BAPBRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Map request items (camelCase or snake_case) to bapb_items columns
+   * @private
+   */
+  _mapItems(items) {
+    return items.map((item) => ({
+      item_name: item.itemName || item.item_name,
+      quantity_ordered: item.quantityOrdered || item.quantity_ordered,
+      quantity_received: item.quantityReceived || item.quantity_received,
+      unit: item.unit,
+      condition: item.condition,
+      notes: item.notes || null,
+      purchase_order_line_id: item.purchaseOrderLineId || item.purchase_order_line_id || null,
+    }));
+  }
+
   /**
    * Update BAPB status
    */
@@ -201,50 +183,6 @@ class BAPBRepository extends BaseRepository {
     return await this.findOne({ bapb_number: bapbNumber });
   }
 
-  /**
-   * Generate BAPB number
-   * FIXED: Better error handling and counting
-   */
-  async generateBAPBNumber() {
-    try {
-      const date = new Date();
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, "0");
-
-      // Count BAPBs in current month
-      const startOfMonth = new Date(year, date.getMonth(), 1).toISOString();
-      const endOfMonth = new Date(year, date.getMonth() + 1, 0, 23, 59, 59).toISOString();
-
-      const { count, error } = await this.db.from(this.tableName).select("*", { count: "exact", head: true }).gte("created_at", startOfMonth).lte("created_at", endOfMonth);
-
-      if (error) {
-        console.error("Error counting BAPBs:", error);
-        throw error;
-      }
-
-      const sequence = String((count || 0) + 1).padStart(4, "0");
-      return `BAPB/${year}/${month}/${sequence}`;
-    } catch (error) {
-      console.error("Error generating BAPB number:", error);
-      throw error;
-    }
-  }
-
-  /**
-   * Create approval record
-   */
-  async createApproval(approvalData) {
-    try {
-      const { data, error } = await this.db.from("bapb_approvals").insert(approvalData).select().single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error("Error creating approval:", error);
-      throw error;
-    }
-  }
-
   /**
    * Get approval history
    */
@@ -271,19 +209,57 @@ class BAPBRepository extends BaseRepository {
 
   /**
    * Check if user already approved
+   * @param {string} bapbId
+   * @param {string} approverId
+   * @param {number} approvalRound - Only look at approvals of this submission round
    */
-  async hasUserApproved(bapbId, approverId) {
+  async hasUserApproved(bapbId, approverId, approvalRound = null) {
     try {
-      const { data, error } = await this.db.from("bapb_approvals").select("id").eq("bapb_id", bapbId).eq("approver_id", approverId).eq("action", "approved").single();
+      let query = this.db.from("bapb_approvals").select("id").eq("bapb_id", bapbId).eq("approver_id", approverId).eq("action", "approved");
 
-      if (error && error.code !== "PGRST116") throw error;
-      return !!data;
+      if (approvalRound !== null) query = query.eq("approval_round", approvalRound);
+
+      const { data, error } = await query.limit(1);
+
+      if (error) throw error;
+      return data.length > 0;
     } catch (error) {
       console.error("Error checking approval:", error);
       throw error;
     }
   }
 
+  /**
+   * Received quantity per purchase order line over the BAPBs of a purchase order
+   * @param {string} purchaseOrderId
+   * @param {object} options - { statuses: only BAPBs in these statuses, excludeBapbId }
+   * @returns {object} { [purchase_order_line_id]: quantity }
+   */
+  async getReceivedQuantities(purchaseOrderId, options = {}) {
+    try {
+      let query = this.db
+        .from("bapb_items")
+        .select("purchase_order_line_id, quantity_received, bapb:bapb!inner(id, status, purchase_order_id)")
+        .eq("bapb.purchase_order_id", purchaseOrderId)
+        .not("purchase_order_line_id", "is", null);
+
+      if (options.statuses) query = query.in("bapb.status", options.statuses);
+      if (options.excludeBapbId) query = query.neq("bapb_id", options.excludeBapbId);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.reduce((totals, item) => {
+        totals[item.purchase_order_line_id] = (totals[item.purchase_order_line_id] || 0) + parseFloat(item.quantity_received || 0);
+        return totals;
+      }, {});
+    } catch (error) {
+      console.error("Error getting received quantities:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get BAPB statistics by vendor
    */
@@ -3,6 +3,10 @@ const BaseRepository = require('./BaseRepository');
 class BAPPRepository extends BaseRepository {
   constructor() {
     super('bapp');
+    // Child tables go through BaseRepository so their writes are audited too
+    this.workItems = new BaseRepository('bapp_work_items');
+    this.attachments = new BaseRepository('bapp_attachments');
+    this.approvals = new BaseRepository('bapp_approvals');
   }
 
   /**
@@ -85,60 +89,35 @@ class BAPPRepository extends BaseRepository {
   }
 
   /**
-   * Create BAPP with work items - FIXED VERSION
+   * Create BAPP with work items
+   * BAPP and work items are inserted in one transaction - a failing work item leaves no BAPP behind.
    */
   async createWithWorkItems(bappData, workItems = []) {
     try {
       console.log('📝 Creating BAPP with data:', JSON.stringify(bappData, null, 2));
       console.log('📦 Work items to create:', JSON.stringify(workItems, null, 2));
 
-      // Calculate total progress from work items
-      const totalProgress = this._calculateTotalProgress(workItems);
+      if (!workItems || workItems.length === 0) {
+        console.warn('⚠️ No work items provided for BAPP');
+      }
 
-      // Create BAPP first
-      const bapp = await this.create({
-        ...bappData,
-        total_progress: totalProgress
+      const result = await this.callFunction('create_document_with_children', {
+        p_document_type: 'BAPP',
+        p_document: {
+          ...bappData,
+          // Calculate total progress from work items
+          total_progress: this._calculateTotalProgress(workItems)
+        },
+        p_children: this._mapWorkItems(workItems || [])
       });
 
-      console.log('✅ BAPP created:', bapp.id);
-
-      // Create work items if provided
-      if (workItems && workItems.length > 0) {
-        // FIXED: Map field names from camelCase to snake_case for database
-        const itemsToCreate = workItems.map(item => ({
-          bapp_id: bapp.id,
-          work_item_name: item.workItemName || item.work_item_name,
-          planned_progress: item.plannedProgress || item.planned_progress || 0,
-          actual_progress: item.actualProgress || item.actual_progress || 0,
-          unit: item.unit,
-          quality: item.quality || 'acceptable',
-          notes: item.notes || null
-        }));
-
-        console.log('💾 Inserting work items:', JSON.stringify(itemsToCreate, null, 2));
-
-        const { data: createdItems, error: itemsError } = await this.db
-          .from('bapp_work_items')
-          .insert(itemsToCreate)
-          .select();
-
-        if (itemsError) {
-          console.error('❌ Error creating work items:', itemsError);
-          // Rollback: delete the BAPP if items creation failed
-          await this.delete(bapp.id);
-          throw new Error(`Failed to create BAPP work items: ${itemsError.message}`);
-        }
+      console.log('✅ BAPP created:', result.document.id, 'with', result.children.length, 'work items');
 
-        console.log('✅ Work items created successfully:', createdItems.length);
-      } else {
-        console.warn('⚠️ No work items provided for BAPP');
-      }
+      await this._audit('create', [[null, result.document]]);
+      await this.workItems._audit('create', result.children.map(item => [null, item]));
 
       // Return BAPP with work items
-      const result = await this.findByIdWithRelations(bapp.id);
-      console.log('📋 Final BAPP with items:', JSON.stringify(result, null, 2));
-      return result;
+      return await this.findByIdWithRelations(result.document.id);
     } catch (error) {
       console.error('❌ Error creating BAPP with work items:', error);
       throw error;
@@ -146,57 +125,37 @@ class BAPPRepository extends BaseRepository {
   }
 
   /**
-   * Update BAPP with work items - FIXED VERSION
+   * Update BAPP with work items
+   * Header and work item replacement happen in one transaction.
+   * @param {string} id
+   * @param {object} bappData - Header changes
+   * @param {array|null} workItems - New work item list, null keeps the current work items
+   * @param {object} options - { expected: column values the row must still have, e.g. { status } }
    */
-  async updateWithWorkItems(id, bappData, workItems = null) {
+  async updateWithWorkItems(id, bappData, workItems = null, options = {}) {
     try {
       console.log('📝 Updating BAPP:', id);
       console.log('📦 Update data:', JSON.stringify(bappData, null, 2));
       console.log('📦 New work items:', workItems ? JSON.stringify(workItems, null, 2) : 'No items update');
 
-      let updateData = { ...bappData };
+      const updateData = { ...bappData };
 
       // Recalculate total progress if work items are provided
-      if (workItems !== null && Array.isArray(workItems)) {
+      if (Array.isArray(workItems)) {
         updateData.total_progress = this._calculateTotalProgress(workItems);
-
-        // Delete old work items
-        const { error: deleteError } = await this.db
-          .from('bapp_work_items')
-          .delete()
-          .eq('bapp_id', id);
-
-        if (deleteError) {
-          console.error('❌ Error deleting old work items:', deleteError);
-          throw deleteError;
-        }
-
-        // Insert new work items
-        if (workItems.length > 0) {
-          // FIXED: Map field names correctly
-          const itemsToCreate = workItems.map(item => ({
-            bapp_id: id,
-            work_item_name: item.workItemName || item.work_item_name,
-            planned_progress: item.plannedProgress || item.planned_progress || 0,
-            actual_progress: item.actualProgress || item.actual_progress || 0,
-            unit: item.unit,
-            quality: item.quality || 'acceptable',
-            notes: item.notes || null
-          }));
-
-          const { error: insertError } = await this.db
-            .from('bapp_work_items')
-            .insert(itemsToCreate);
-
-          if (insertError) {
-            console.error('❌ Error inserting new work items:', insertError);
-            throw insertError;
-          }
-        }
       }
 
-      // Update BAPP
-      await this.update(id, updateData);
+      const result = await this.callFunction('update_document_with_children', {
+        p_document_type: 'BAPP',
+        p_document_id: id,
+        p_changes: updateData,
+        p_children: Array.isArray(workItems) ? this._mapWorkItems(workItems) : null,
+        p_expected: options.expected || null
+      });
+
+      await this._audit('update', [[result.before, result.after]]);
+      await this.workItems._audit('delete', result.removed_children.map(item => [item, null]));
+      await this.workItems._audit('create', result.added_children.map(item => [null, item]));
 
       // Return updated BAPP with work items
       return await this.findByIdWithRelations(id);
@@ -221,57 +180,6 @@ class BAPPRepository extends BaseRepository {
     return await this.findOne({ bapp_number: bappNumber });
   }
 
-  /**
-   * Generate BAPP number - FIXED VERSION
-   */
-  async generateBAPPNumber() {
-    try {
-      const date = new Date();
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-
-      // Count BAPPs in current month
-      const startOfMonth = new Date(year, date.getMonth(), 1).toISOString();
-      const endOfMonth = new Date(year, date.getMonth() + 1, 0, 23, 59, 59).toISOString();
-
-      const { count, error } = await this.db
-        .from(this.tableName)
-        .select('*', { count: 'exact', head: true })
-        .gte('created_at', startOfMonth)
-        .lte('created_at', endOfMonth);
-
-      if (error) {
-        console.error('Error counting BAPPs:', error);
-        throw error;
-      }
-
-      const sequence = String((count || 0) + 1).padStart(4, '0');
-      return `BAPP/${year}/${month}/${sequence}`;
-    } catch (error) {
-      console.error('Error generating BAPP number:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Create approval record
-   */
-  async createApproval(approvalData) {
-    try {
-      const { data, error } = await this.db
-        .from('bapp_approvals')
-        .insert(approvalData)
-        .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error creating approval:', error);
-      throw error;
-    }
-  }
-
   /**
    * Get approval history
    */
@@ -296,19 +204,25 @@ class BAPPRepository extends BaseRepository {
 
   /**
    * Check if user already approved
+   * @param {string} bappId
+   * @param {string} approverId
+   * @param {number} approvalRound - Only look at approvals of this submission round
    */
-  async hasUserApproved(bappId, approverId) {
+  async hasUserApproved(bappId, approverId, approvalRound = null) {
     try {
-      const { data, error } = await this.db
+      let query = this.db
         .from('bapp_approvals')
         .select('id')
         .eq('bapp_id', bappId)
         .eq('approver_id', approverId)
-        .eq('action', 'approved')
-        .single();
+        .eq('action', 'approved');
+
+      if (approvalRound !== null) query = query.eq('approval_round', approvalRound);
 
-      if (error && error.code !== 'PGRST116') throw error;
-      return !!data;
+      const { data, error } = await query.limit(1);
+
+      if (error) throw error;
+      return data.length > 0;
     } catch (error) {
       console.error('Error checking approval:', error);
       throw error;
@@ -419,6 +333,22 @@ class BAPPRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Map request work items (camelCase or snake_case) to bapp_work_items columns
+   * @private
+   */
+  _mapWorkItems(workItems) {
+    return workItems.map(item => ({
+      work_item_name: item.workItemName || item.work_item_name,
+      planned_progress: item.plannedProgress || item.planned_progress || 0,
+      actual_progress: item.actualProgress || item.actual_progress || 0,
+      unit: item.unit,
+      quality: item.quality || 'acceptable',
+      notes: item.notes || null,
+      contract_line_id: item.contractLineId || item.contract_line_id || null
+    }));
+  }
+
   /**
    * Calculate total progress from work items (private)
    */
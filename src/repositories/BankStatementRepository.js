@@ -0,0 +1,66 @@
+const BaseRepository = require('./BaseRepository');
+
+class BankStatementRepository extends BaseRepository {
+  constructor() {
+    super('bank_statements');
+    this.lines = new BaseRepository('bank_statement_lines');
+  }
+
+  /**
+   * Find a statement by the hash of its file
+   * @param {string} fileHash
+   * @returns {object|null}
+   */
+  async findByHash(fileHash) {
+    return await this.findOne({ file_hash: fileHash });
+  }
+
+  /**
+   * Get the lines of a statement in file order
+   * @param {string} statementId
+   * @returns {array}
+   */
+  async findLines(statementId) {
+    const { data } = await this.lines.findAll(
+      { statement_id: statementId },
+      { order: [['line_number', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Get statement lines with a value date in a range, oldest first
+   * @param {object} range - { from, to } as YYYY-MM-DD, inclusive
+   * @returns {array}
+   */
+  async findLinesBetween({ from, to }) {
+    const { data } = await this.lines.findAll(
+      { value_date: { $gte: from, $lte: to } },
+      { order: [['value_date', 'ASC'], ['line_number', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Get the lines matched to any of the given payments
+   * @param {array} paymentIds
+   * @returns {array}
+   */
+  async findLinesByPayments(paymentIds) {
+    if (paymentIds.length === 0) return [];
+
+    const { data } = await this.lines.findAll({ payment_log_id: paymentIds }, { order: [['value_date', 'ASC']] });
+    return data;
+  }
+
+  /**
+   * Set the payment of a line only while the line is unmatched
+   * @returns {object|null} updated line, null when it was matched in the meantime
+   */
+  async matchLine(lineId, data) {
+    const [row] = await this.lines.updateMany({ id: lineId, payment_log_id: null }, data);
+    return row || null;
+  }
+}
+
+module.exports = new BankStatementRepository();
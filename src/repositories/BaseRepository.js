@@ -1,4 +1,11 @@
 const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../utils/errorHandler');
+
+// Postgres error codes raised by the document write functions
+const FUNCTION_ERRORS = {
+  '40001': 409, // row changed since the caller read it
+  'P0002': 404  // row not found
+};
 
 /**
  * Base Repository Pattern untuk Supabase
@@ -8,6 +15,8 @@ class BaseRepository {
   constructor(tableName) {
     this.tableName = tableName;
     this.db = supabaseAdmin;
+    // Mutations are written to audit_logs unless a repository opts out
+    this.auditable = true;
   }
 
   /**
@@ -85,6 +94,32 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Iterate over all matching records in batches, in id order
+   * Reads past the API's row cap; each batch starts after the last id of the previous one,
+   * so rows leaving the filter in the meantime do not make the scan skip others.
+   * @param {object} filters - Where conditions (without id)
+   * @param {number} batchSize
+   * @param {object} options - Query options (select)
+   */
+  async *iterate(filters = {}, batchSize = 500, options = {}) {
+    let lastId = null;
+
+    while (true) {
+      const { data } = await this.findAll(
+        lastId ? { ...filters, id: { $gt: lastId } } : filters,
+        { ...options, order: [['id', 'ASC']], limit: batchSize }
+      );
+
+      if (!data || data.length === 0) return;
+
+      yield data;
+
+      if (data.length < batchSize) return;
+      lastId = data[data.length - 1].id;
+    }
+  }
+
   /**
    * Find one record by filters
    * @param {object} filters - Where conditions
@@ -133,6 +168,8 @@ class BaseRepository {
 
       if (error) throw error;
 
+      await this._audit('create', [[null, result]]);
+
       return result;
     } catch (error) {
       console.error(`Error in create (${this.tableName}):`, error);
@@ -151,6 +188,8 @@ class BaseRepository {
 
       if (error) throw error;
 
+      await this._audit('create', data.map(row => [null, row]));
+
       return data;
     } catch (error) {
       console.error(`Error in bulkCreate (${this.tableName}):`, error);
@@ -167,6 +206,8 @@ class BaseRepository {
    */
   async update(id, data, options = {}) {
     try {
+      const [before] = await this._snapshotForAudit({ id });
+
       const { data: result, error } = await this.db
         .from(this.tableName)
         .update(data)
@@ -176,6 +217,9 @@ class BaseRepository {
 
       if (error) throw error;
 
+      // result may be a partial select - merge so the audit entry holds the full row
+      await this._audit('update', [[before || null, { ...before, ...result }]]);
+
       return result;
     } catch (error) {
       console.error(`Error in update (${this.tableName}):`, error);
@@ -191,6 +235,8 @@ class BaseRepository {
    */
   async updateMany(filters, data) {
     try {
+      const before = await this._snapshotForAudit(filters);
+
       let query = this.db.from(this.tableName).update(data);
 
       query = this._applyFilters(query, filters);
@@ -199,6 +245,9 @@ class BaseRepository {
 
       if (error) throw error;
 
+      const beforeById = new Map(before.map(row => [row.id, row]));
+      await this._audit('update', result.map(row => [beforeById.get(row.id) || null, row]));
+
       return result;
     } catch (error) {
       console.error(`Error in updateMany (${this.tableName}):`, error);
@@ -213,10 +262,14 @@ class BaseRepository {
    */
   async delete(id) {
     try {
+      const before = await this._snapshotForAudit({ id });
+
       const { error } = await this.db.from(this.tableName).delete().eq('id', id);
 
       if (error) throw error;
 
+      await this._audit('delete', before.map(row => [row, null]));
+
       return true;
     } catch (error) {
       console.error(`Error in delete (${this.tableName}):`, error);
@@ -239,6 +292,8 @@ class BaseRepository {
 
       if (error) throw error;
 
+      await this._audit('delete', (data || []).map(row => [row, null]));
+
       return count || data?.length || 0;
     } catch (error) {
       console.error(`Error in deleteMany (${this.tableName}):`, error);
@@ -280,6 +335,40 @@ class BaseRepository {
 
   // ==================== HELPER METHODS ====================
 
+  /**
+   * Read the rows a mutation is about to touch, for the audit "before" image
+   * @private
+   */
+  async _snapshotForAudit(filters) {
+    if (!this.auditable) return [];
+
+    try {
+      const query = this._applyFilters(this.db.from(this.tableName).select('*'), filters);
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      console.error(`Error reading audit snapshot (${this.tableName}):`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Write audit entries for a mutation
+   * @param {string} action - create, update or delete
+   * @param {array} pairs - [[before, after], ...]
+   * @private
+   */
+  async _audit(action, pairs) {
+    if (!this.auditable || pairs.length === 0) return;
+
+    // Required lazily: auditService depends on a repository built on this class
+    const auditService = require('../services/auditService');
+    await auditService.record(this.tableName, action, pairs);
+  }
+
   /**
    * Apply filters to query
    * @private
@@ -318,6 +407,33 @@ class BaseRepository {
     return query;
   }
 
+  /**
+   * Call a Postgres function - the whole function runs in one transaction
+   * @param {string} functionName
+   * @param {object} params - Named function arguments
+   * @returns {any}
+   */
+  async callFunction(functionName, params = {}) {
+    try {
+      const { data, error } = await this.db.rpc(functionName, params);
+
+      if (error) {
+        if (FUNCTION_ERRORS[error.code]) {
+          throw new AppError(
+            error.code === '40001' ? `${error.message}. Please reload and try again.` : error.message,
+            FUNCTION_ERRORS[error.code]
+          );
+        }
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error(`Error in callFunction (${functionName}):`, error);
+      throw error;
+    }
+  }
+
   /**
    * Execute raw query (use with caution)
    * @param {string} query - SQL query
@@ -0,0 +1,157 @@
+const BaseRepository = require('./BaseRepository');
+
+class ContractRepository extends BaseRepository {
+  constructor() {
+    super('contracts');
+    this.lines = new BaseRepository('contract_lines');
+    this.paymentTerms = new BaseRepository('contract_payment_terms');
+  }
+
+  /**
+   * Get the payment schedule of a contract, in term order
+   * @param {string} contractId
+   * @returns {array}
+   */
+  async findPaymentTerms(contractId) {
+    const { data } = await this.paymentTerms.findAll(
+      { contract_id: contractId },
+      { order: [['term_number', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Find contract by ID with vendor and lines
+   */
+  async findByIdWithLines(id) {
+    return await this._findOneWithLines('id', id);
+  }
+
+  /**
+   * Find contract by contract number with vendor and lines
+   */
+  async findByNumberWithLines(contractNumber) {
+    return await this._findOneWithLines('contract_number', contractNumber);
+  }
+
+  /**
+   * Find all contracts with pagination and filters
+   * @param {object} filters - vendor_id, status, search (contract number)
+   * @param {object} pagination - limit, offset
+   * @returns {object} { data, count }
+   */
+  async findAllWithVendor(filters = {}, pagination = {}) {
+    try {
+      let query = this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          vendor:users!contracts_vendor_id_fkey(id, name, email, company)
+        `, { count: 'exact' });
+
+      if (filters.vendor_id) query = query.eq('vendor_id', filters.vendor_id);
+      if (filters.status) query = query.eq('status', filters.status);
+      if (filters.search) query = query.ilike('contract_number', `%${filters.search}%`);
+
+      const limit = pagination.limit || 10;
+      const offset = pagination.offset || 0;
+
+      query = query
+        .order('start_date', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return { data, count };
+    } catch (error) {
+      console.error('Error finding contracts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create contract with lines in one transaction
+   */
+  async createWithLines(contractData, lines) {
+    const result = await this.callFunction('create_document_with_children', {
+      p_document_type: 'CONTRACT',
+      p_document: contractData,
+      p_children: lines
+    });
+
+    await this._audit('create', [[null, result.document]]);
+    await this.lines._audit('create', result.children.map(line => [null, line]));
+
+    return await this.findByIdWithLines(result.document.id);
+  }
+
+  /**
+   * Update contract, replacing its lines when given, in one transaction
+   * @param {array|null} lines - null keeps the current lines
+   */
+  async updateWithLines(id, contractData, lines = null) {
+    const result = await this.callFunction('update_document_with_children', {
+      p_document_type: 'CONTRACT',
+      p_document_id: id,
+      p_changes: contractData,
+      p_children: lines
+    });
+
+    await this._audit('update', [[result.before, result.after]]);
+    await this.lines._audit('delete', result.removed_children.map(line => [line, null]));
+    await this.lines._audit('create', result.added_children.map(line => [null, line]));
+
+    return await this.findByIdWithLines(id);
+  }
+
+  /**
+   * Count BAPPs that reference a contract
+   */
+  async countReferencingDocuments(id) {
+    try {
+      const { count, error } = await this.db
+        .from('bapp')
+        .select('id', { count: 'exact', head: true })
+        .eq('contract_id', id);
+
+      if (error) throw error;
+
+      return count || 0;
+    } catch (error) {
+      console.error('Error counting BAPPs of contract:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _findOneWithLines(column, value) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          vendor:users!contracts_vendor_id_fkey(id, name, email, company, phone),
+          lines:contract_lines(*)
+        `)
+        .eq(column, value)
+        .order('line_number', { referencedTable: 'lines', ascending: true })
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error finding contract with lines:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ContractRepository();
@@ -0,0 +1,79 @@
+const BaseRepository = require('./BaseRepository');
+
+class DocumentNumberRepository extends BaseRepository {
+  constructor() {
+    super('document_numbers');
+    this.formats = new BaseRepository('document_number_formats');
+  }
+
+  /**
+   * Atomically take the next sequence value of a counter
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} periodKey - '2026-10', '2026' or 'ALL'
+   * @returns {number}
+   */
+  async nextSequence(documentType, periodKey) {
+    return await this.callFunction('next_document_sequence', {
+      p_document_type: documentType,
+      p_period_key: periodKey
+    });
+  }
+
+  /**
+   * Get the register entry of a number
+   * @returns {object|null}
+   */
+  async findByNumber(documentNumber) {
+    return await this.findOne({ document_number: documentNumber });
+  }
+
+  /**
+   * Get the number format of a document type
+   * @returns {object|null}
+   */
+  async findFormat(documentType) {
+    return await this.formats.findOne({ document_type: documentType });
+  }
+
+  /**
+   * Query the number register with filters and pagination
+   * @param {object} filters - documentType, periodKey, status
+   * @param {object} pagination - limit, offset
+   * @returns {object} { data, count }
+   */
+  async search(filters = {}, pagination = {}) {
+    try {
+      let query = this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          issuer:users!document_numbers_issued_by_fkey(id, name, email, role),
+          voider:users!document_numbers_voided_by_fkey(id, name, email, role)
+        `, { count: 'exact' });
+
+      if (filters.documentType) query = query.eq('document_type', filters.documentType);
+      if (filters.periodKey) query = query.eq('period_key', filters.periodKey);
+      if (filters.status) query = query.eq('status', filters.status);
+
+      const limit = pagination.limit || 50;
+      const offset = pagination.offset || 0;
+
+      query = query
+        .order('document_type', { ascending: true })
+        .order('period_key', { ascending: false })
+        .order('sequence', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return { data, count };
+    } catch (error) {
+      console.error('Error searching document numbers:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DocumentNumberRepository();
@@ -0,0 +1,19 @@
+const BaseRepository = require('./BaseRepository');
+
+class DocumentSealRepository extends BaseRepository {
+  constructor() {
+    super('document_seals');
+  }
+
+  /**
+   * Find seal of a document
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @returns {object|null}
+   */
+  async findByDocument(documentType, documentId) {
+    return await this.findOne({ document_type: documentType, document_id: documentId });
+  }
+}
+
+module.exports = new DocumentSealRepository();
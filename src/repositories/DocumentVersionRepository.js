@@ -0,0 +1,48 @@
+const BaseRepository = require('./BaseRepository');
+
+class DocumentVersionRepository extends BaseRepository {
+  constructor() {
+    super('document_versions');
+  }
+
+  /**
+   * List versions of a document without their content, oldest first
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @returns {array}
+   */
+  async findByDocument(documentType, documentId) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select(`
+          id, document_type, document_id, version_number, snapshot_hash, created_at,
+          creator:users(id, name, email, role)
+        `)
+        .eq('document_type', documentType)
+        .eq('document_id', documentId)
+        .order('version_number', { ascending: true });
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error finding document versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single version with content
+   * @returns {object|null}
+   */
+  async findVersion(documentType, documentId, versionNumber) {
+    return await this.findOne({
+      document_type: documentType,
+      document_id: documentId,
+      version_number: versionNumber
+    });
+  }
+}
+
+module.exports = new DocumentVersionRepository();
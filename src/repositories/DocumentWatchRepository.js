@@ -0,0 +1,33 @@
+const BaseRepository = require('./BaseRepository');
+
+class DocumentWatchRepository extends BaseRepository {
+  constructor() {
+    super('document_watches');
+  }
+
+  /**
+   * Get the documents a user watches, newest first
+   * @param {string} userId
+   * @returns {array}
+   */
+  async findByUser(userId) {
+    const { data } = await this.findAll({ user_id: userId }, { order: [['created_at', 'DESC']] });
+    return data;
+  }
+
+  /**
+   * Get the users watching a document
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @returns {array} user ids
+   */
+  async findWatcherIds(documentType, documentId) {
+    const { data } = await this.findAll(
+      { document_type: documentType, document_id: documentId },
+      { select: 'user_id' }
+    );
+    return data.map(row => row.user_id);
+  }
+}
+
+module.exports = new DocumentWatchRepository();
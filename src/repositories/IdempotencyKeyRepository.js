@@ -0,0 +1,21 @@
+const BaseRepository = require('./BaseRepository');
+
+class IdempotencyKeyRepository extends BaseRepository {
+  constructor() {
+    super('idempotency_keys');
+    // Stored responses are a cache of other writes, which are audited themselves
+    this.auditable = false;
+  }
+
+  /**
+   * Find the stored request of a user's key
+   * @param {string} userId
+   * @param {string} key
+   * @returns {object|null}
+   */
+  async findForUser(userId, key) {
+    return await this.findOne({ user_id: userId, idempotency_key: key });
+  }
+}
+
+module.exports = new IdempotencyKeyRepository();
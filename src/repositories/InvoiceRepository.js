@@ -0,0 +1,103 @@
+const BaseRepository = require('./BaseRepository');
+
+class InvoiceRepository extends BaseRepository {
+  constructor() {
+    super('invoices');
+    this.lines = new BaseRepository('invoice_lines');
+  }
+
+  /**
+   * Find invoice by ID with vendor, BAPB and lines
+   */
+  async findByIdWithLines(id) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          vendor:users!invoices_vendor_id_fkey(id, name, email, company),
+          bapb:bapb(id, bapb_number, status, order_number),
+          lines:invoice_lines(*)
+        `)
+        .eq('id', id)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error finding invoice with lines:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the live (not cancelled) invoice of a BAPB
+   * @returns {object|null}
+   */
+  async findActiveForBAPB(bapbId) {
+    return await this.findOne(
+      { bapb_id: bapbId, status: { $ne: 'cancelled' } },
+      { select: '*, lines:invoice_lines(*)' }
+    );
+  }
+
+  /**
+   * Find all invoices with pagination and filters
+   * @param {object} filters - vendor_id, bapb_id, status
+   * @param {object} pagination - limit, offset
+   * @returns {object} { data, count }
+   */
+  async findAllWithVendor(filters = {}, pagination = {}) {
+    try {
+      let query = this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          vendor:users!invoices_vendor_id_fkey(id, name, email, company),
+          bapb:bapb(id, bapb_number, status)
+        `, { count: 'exact' });
+
+      if (filters.vendor_id) query = query.eq('vendor_id', filters.vendor_id);
+      if (filters.bapb_id) query = query.eq('bapb_id', filters.bapb_id);
+      if (filters.status) query = query.eq('status', filters.status);
+
+      const limit = pagination.limit || 10;
+      const offset = pagination.offset || 0;
+
+      query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return { data, count };
+    } catch (error) {
+      console.error('Error finding invoices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create invoice with lines in one transaction
+   */
+  async createWithLines(invoiceData, lines) {
+    const result = await this.callFunction('create_document_with_children', {
+      p_document_type: 'INVOICE',
+      p_document: invoiceData,
+      p_children: lines
+    });
+
+    await this._audit('create', [[null, result.document]]);
+    await this.lines._audit('create', result.children.map(line => [null, line]));
+
+    return await this.findByIdWithLines(result.document.id);
+  }
+}
+
+module.exports = new InvoiceRepository();
@@ -0,0 +1,25 @@
+const BaseRepository = require('./BaseRepository');
+
+class MatchingToleranceRepository extends BaseRepository {
+  constructor() {
+    super('matching_tolerances');
+  }
+
+  /**
+   * Get the default tolerances (row without vendor)
+   * @returns {object|null}
+   */
+  async findDefault() {
+    return await this.findOne({ vendor_id: null });
+  }
+
+  /**
+   * Get the tolerance override of a vendor
+   * @returns {object|null}
+   */
+  async findForVendor(vendorId) {
+    return await this.findOne({ vendor_id: vendorId });
+  }
+}
+
+module.exports = new MatchingToleranceRepository();
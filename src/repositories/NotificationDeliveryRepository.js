@@ -0,0 +1,64 @@
+const BaseRepository = require('./BaseRepository');
+
+class NotificationDeliveryRepository extends BaseRepository {
+  constructor() {
+    super('notification_deliveries');
+    // Delivery attempts are a log themselves; auditing every retry would only add noise
+    this.auditable = false;
+  }
+
+  /**
+   * Get deliveries that are due for a (re)try, oldest first
+   * Deliveries stuck in 'sending' since before staleBefore are included: the process sending them went away.
+   * @param {string} now - ISO timestamp
+   * @param {string} staleBefore - ISO timestamp
+   * @param {number} limit
+   * @returns {array}
+   */
+  async findDue(now, staleBefore, limit) {
+    const [pending, stale] = await Promise.all([
+      this.findAll({ status: 'pending', next_attempt_at: { $lte: now } }, { order: [['next_attempt_at', 'ASC']], limit }),
+      this.findAll({ status: 'sending', updated_at: { $lt: staleBefore } }, { order: [['updated_at', 'ASC']], limit })
+    ]);
+
+    return [...stale.data, ...pending.data].slice(0, limit);
+  }
+
+  /**
+   * Update a delivery only if nobody touched it since it was read
+   * @param {object} delivery - Row as read by the caller
+   * @param {object} data
+   * @returns {object|null} updated row, null when another worker got there first
+   */
+  async updateIfUnchanged(delivery, data) {
+    const [row] = await this.updateMany(
+      { id: delivery.id, status: delivery.status, updated_at: delivery.updated_at },
+      data
+    );
+    return row || null;
+  }
+
+  /**
+   * Get the delivery log, newest first
+   * @param {object} filters - { status, userId, notificationId, digestId, channel }
+   * @param {object} options - { limit, offset }
+   * @returns {object} { data, count }
+   */
+  async findDeliveries(filters = {}, { limit, offset } = {}) {
+    const where = {};
+    if (filters.status) where.status = filters.status;
+    if (filters.userId) where.user_id = filters.userId;
+    if (filters.notificationId) where.notification_id = filters.notificationId;
+    if (filters.digestId) where.digest_id = filters.digestId;
+    if (filters.channel) where.channel = filters.channel;
+
+    return await this.findAll(where, {
+      order: [['created_at', 'DESC']],
+      limit,
+      offset,
+      select: 'id, notification_id, digest_id, user_id, channel, recipient, locale, subject, status, attempts, last_error, message_id, next_attempt_at, sent_at, created_at, updated_at'
+    });
+  }
+}
+
+module.exports = new NotificationDeliveryRepository();
@@ -0,0 +1,46 @@
+const BaseRepository = require('./BaseRepository');
+
+class NotificationDigestRepository extends BaseRepository {
+  constructor() {
+    super('notification_digests');
+    this.notifications = new BaseRepository('notifications');
+    // Notification rows are not audited elsewhere either
+    this.notifications.auditable = false;
+  }
+
+  /**
+   * Hold notifications back for the next digest of their recipient
+   * @param {array} notificationIds
+   */
+  async markPending(notificationIds) {
+    if (notificationIds.length === 0) return [];
+    return await this.notifications.updateMany({ id: notificationIds }, { digest_pending: true });
+  }
+
+  /**
+   * Get the notifications held for a user's digest, oldest first
+   * @param {string} userId
+   * @returns {array}
+   */
+  async findPendingNotifications(userId) {
+    const { data } = await this.notifications.findAll(
+      { user_id: userId, digest_pending: true },
+      { order: [['created_at', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Mark held notifications as carried by a digest
+   * @param {array} notificationIds
+   * @param {string} digestId
+   */
+  async attachNotifications(notificationIds, digestId) {
+    return await this.notifications.updateMany(
+      { id: notificationIds, digest_pending: true },
+      { digest_pending: false, digest_id: digestId }
+    );
+  }
+}
+
+module.exports = new NotificationDigestRepository();
@@ -0,0 +1,76 @@
+const BaseRepository = require('./BaseRepository');
+
+class NotificationPreferenceRepository extends BaseRepository {
+  constructor() {
+    super('notification_preferences');
+  }
+
+  /**
+   * Get the preferences of a user
+   * @param {string} userId
+   * @returns {object|null} null when the user kept the defaults
+   */
+  async findByUser(userId) {
+    return await this.findOne({ user_id: userId });
+  }
+
+  /**
+   * Get the preferences of several users
+   * @param {array} userIds
+   * @returns {Map} userId -> row, users with defaults are missing
+   */
+  async findByUsers(userIds) {
+    if (userIds.length === 0) return new Map();
+
+    const { data } = await this.findAll({ user_id: userIds }, { order: [['user_id', 'ASC']] });
+    return new Map(data.map(row => [row.user_id, row]));
+  }
+
+  /**
+   * Create or update the preferences of a user
+   * @param {string} userId
+   * @param {object} data - Columns to set
+   * @returns {object} saved row
+   */
+  async save(userId, data) {
+    const [updated] = await this.updateMany({ user_id: userId }, { ...data, updated_at: new Date().toISOString() });
+    if (updated) return updated;
+
+    try {
+      return await this.create({ user_id: userId, ...data });
+    } catch (error) {
+      // Created concurrently
+      if (error.code !== '23505') throw error;
+      const [row] = await this.updateMany({ user_id: userId }, { ...data, updated_at: new Date().toISOString() });
+      return row;
+    }
+  }
+
+  /**
+   * Record that a user's digest went out, unless another run already did
+   * @param {object} preferences - Row as read by the caller
+   * @param {string} sentAt - ISO timestamp
+   * @returns {object|null} updated row, null when another run got there first
+   */
+  async claimDigest(preferences, sentAt) {
+    const [row] = await this.updateMany(
+      { user_id: preferences.user_id, last_digest_at: preferences.last_digest_at },
+      { last_digest_at: sentAt }
+    );
+    return row || null;
+  }
+
+  /**
+   * Get the preferences of users that receive digests
+   * @returns {array}
+   */
+  async findDigestSubscribers() {
+    const { data } = await this.findAll(
+      { digest_frequency: ['daily', 'weekly'] },
+      { order: [['user_id', 'ASC']] }
+    );
+    return data;
+  }
+}
+
+module.exports = new NotificationPreferenceRepository();
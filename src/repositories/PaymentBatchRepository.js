@@ -0,0 +1,22 @@
+const BaseRepository = require('./BaseRepository');
+
+class PaymentBatchRepository extends BaseRepository {
+  constructor() {
+    super('payment_batches');
+  }
+
+  /**
+   * Update a batch only while it still has one of the given statuses
+   * Two finance users confirming or cancelling the same batch at once cannot both succeed.
+   * @param {string} id
+   * @param {array} statuses - Statuses the batch may have
+   * @param {object} data
+   * @returns {object|null} updated row, null when the batch had moved on
+   */
+  async updateIfStatus(id, statuses, data) {
+    const [row] = await this.updateMany({ id, status: statuses }, data);
+    return row || null;
+  }
+}
+
+module.exports = new PaymentBatchRepository();
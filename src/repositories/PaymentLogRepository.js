@@ -0,0 +1,220 @@
+const BaseRepository = require('./BaseRepository');
+
+// Payments the gateway has not finished yet
+const OPEN_STATUSES = ['initiated', 'pending'];
+
+// Exclusive upper bound for a YYYY-MM-DD range end on timestamp columns
+const nextDay = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+};
+
+class PaymentLogRepository extends BaseRepository {
+  constructor() {
+    super('payment_logs');
+    this.webhookEvents = new BaseRepository('payment_webhook_events');
+  }
+
+  /**
+   * Get payment logs of a document, newest first
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @returns {array}
+   */
+  async findByDocument(documentType, documentId) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          vendor:users!payment_logs_vendor_id_fkey(id, name, company, email)
+        `)
+        .eq('document_type', documentType)
+        .eq('document_id', documentId)
+        .order('processed_at', { ascending: false });
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error finding payment logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all payments made under a contract (termins and retention release), oldest first
+   * @param {string} contractId
+   * @returns {array}
+   */
+  async findByContract(contractId) {
+    const { data } = await this.findAll(
+      { contract_id: contractId },
+      { order: [['processed_at', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Find a payment by the reference we sent to the gateway
+   * @param {string} reference
+   * @returns {object|null}
+   */
+  async findByGatewayReference(reference) {
+    return await this.findOne({ gateway_reference: reference });
+  }
+
+  /**
+   * Open payments whose status has not changed since a cutoff, least recently checked first
+   * @param {object} options - { before: ISO timestamp, limit }
+   * @returns {array}
+   */
+  async findStaleOpen({ before, limit = 50 }) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select('*')
+        .in('status', OPEN_STATUSES)
+        .not('gateway_reference', 'is', null)
+        // Batch payments go out through a bank file and are settled when finance confirms the batch
+        .is('batch_id', null)
+        .lt('status_updated_at', before)
+        .order('last_checked_at', { ascending: true, nullsFirst: true })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error finding open payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reversals still waiting for the gateway whose status has not changed since a cutoff, least recently checked first
+   * They carry no gateway_reference of their own - the reversal reference is in metadata.reversalReference.
+   * @param {object} options - { before: ISO timestamp, limit }
+   * @returns {array}
+   */
+  async findStaleOpenReversals({ before, limit = 50 }) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select('*')
+        .eq('payment_type', 'reversal')
+        .eq('status', 'pending')
+        .lt('status_updated_at', before)
+        .order('last_checked_at', { ascending: true, nullsFirst: true })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error finding open reversals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the payment lock of a document
+   * @param {string} documentType
+   * @param {string} documentId
+   * @param {object} options - { token, lockedBy, ttlSeconds }
+   * @returns {boolean} false while another attempt holds the lock
+   */
+  async acquireDocumentLock(documentType, documentId, { token, lockedBy = null, ttlSeconds }) {
+    return await this.callFunction('acquire_payment_lock', {
+      p_document_type: documentType,
+      p_document_id: documentId,
+      p_token: token,
+      p_locked_by: lockedBy,
+      p_ttl_seconds: ttlSeconds
+    });
+  }
+
+  /**
+   * Release a payment lock taken with the same token
+   * @returns {boolean} false when the lock had expired and was taken over
+   */
+  async releaseDocumentLock(documentType, documentId, token) {
+    return await this.callFunction('release_payment_lock', {
+      p_document_type: documentType,
+      p_document_id: documentId,
+      p_token: token
+    });
+  }
+
+  /**
+   * Check whether a document already has a settled payment
+   * @param {string} documentType
+   * @param {string} documentId
+   * @returns {boolean}
+   */
+  async hasSettledPayment(documentType, documentId) {
+    return await this.exists({
+      document_type: documentType,
+      document_id: documentId,
+      status: 'settled'
+    });
+  }
+
+  /**
+   * Get the payment of a document that is not finished yet - at the gateway or queued in a batch
+   * Reversals waiting for the gateway are not payments of the document.
+   * @param {string} documentType
+   * @param {string} documentId
+   * @returns {object|null}
+   */
+  async findOpenPayment(documentType, documentId) {
+    return await this.findOne({
+      document_type: documentType,
+      document_id: documentId,
+      status: OPEN_STATUSES,
+      payment_type: { $ne: 'reversal' }
+    });
+  }
+
+  /**
+   * Get the reversal of a payment that is waiting for the gateway
+   * @param {string} paymentId
+   * @returns {object|null}
+   */
+  async findOpenReversal(paymentId) {
+    return await this.findOne({ reversal_of: paymentId, status: 'pending' });
+  }
+
+  /**
+   * Payments that may show up on a bank statement: live payments processed in a date range
+   * @param {object} range - { from, to } as YYYY-MM-DD, inclusive
+   * @returns {array}
+   */
+  async findReconcilable({ from, to }) {
+    const { data } = await this.findAll(
+      {
+        status: ['initiated', 'pending', 'settled'],
+        payment_type: { $ne: 'reversal' },
+        processed_at: { $gte: from, $lt: nextDay(to) }
+      },
+      { order: [['processed_at', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Get the payments of a batch, oldest first
+   * @param {string} batchId
+   * @returns {array}
+   */
+  async findByBatch(batchId) {
+    const { data } = await this.findAll(
+      { batch_id: batchId },
+      { order: [['processed_at', 'ASC']] }
+    );
+    return data;
+  }
+}
+
+module.exports = new PaymentLogRepository();
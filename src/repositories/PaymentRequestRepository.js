@@ -0,0 +1,116 @@
+const BaseRepository = require('./BaseRepository');
+
+// Requests that still block another request for the same document
+const OPEN_STATUSES = ['pending_approval', 'released'];
+
+class PaymentRequestRepository extends BaseRepository {
+  constructor() {
+    super('payment_requests');
+    this.actions = new BaseRepository('payment_request_actions');
+    this.thresholds = new BaseRepository('payment_approval_thresholds');
+  }
+
+  /**
+   * Get the open request of a document
+   * @param {string} documentType - 'BAPB', 'BAPP' or 'CONTRACT'
+   * @param {string} documentId
+   * @returns {object|null}
+   */
+  async findOpenForDocument(documentType, documentId) {
+    return await this.findOne({
+      document_type: documentType,
+      document_id: documentId,
+      status: OPEN_STATUSES
+    });
+  }
+
+  /**
+   * Get the released request of a document - the one a payment may be sent for
+   * @returns {object|null}
+   */
+  async findReleasedForDocument(documentType, documentId) {
+    return await this.findOne({
+      document_type: documentType,
+      document_id: documentId,
+      status: 'released'
+    });
+  }
+
+  /**
+   * Get released requests of the given document types, oldest first
+   * @param {array} documentTypes
+   * @param {number} limit
+   * @returns {array}
+   */
+  async findReleased(documentTypes, limit) {
+    const { data } = await this.findAll(
+      { status: 'released', document_type: documentTypes },
+      { order: [['released_at', 'ASC']], limit }
+    );
+    return data;
+  }
+
+  /**
+   * Get the steps taken on a request, oldest first
+   * @param {string} requestId
+   * @returns {array}
+   */
+  async findActions(requestId) {
+    try {
+      const { data, error } = await this.db
+        .from('payment_request_actions')
+        .select(`
+          *,
+          actor:users!payment_request_actions_actor_id_fkey(id, name, role)
+        `)
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error finding payment request actions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count checker approvals of a request
+   */
+  async countApprovals(requestId) {
+    return await this.actions.count({ request_id: requestId, action: 'approved' });
+  }
+
+  /**
+   * Update a request only while it still has one of the given statuses
+   * @param {string} id
+   * @param {array} statuses - Statuses the request may have
+   * @param {object} data
+   * @returns {object|null} updated row, null when the request had moved on
+   */
+  async updateIfStatus(id, statuses, data) {
+    const [row] = await this.updateMany({ id, status: statuses }, data);
+    return row || null;
+  }
+
+  /**
+   * Get approval thresholds, lowest amount first
+   * @returns {array}
+   */
+  async findThresholds() {
+    const { data } = await this.thresholds.findAll({}, { order: [['min_amount', 'ASC']] });
+    return data;
+  }
+
+  /**
+   * Replace all approval thresholds
+   * @param {array} rows - { min_amount, required_approvals, updated_by }
+   */
+  async replaceThresholds(rows) {
+    await this.thresholds.deleteMany({ min_amount: { $gte: 0 } });
+    return await this.thresholds.bulkCreate(rows);
+  }
+}
+
+module.exports = new PaymentRequestRepository();
@@ -0,0 +1,143 @@
+const BaseRepository = require('./BaseRepository');
+
+class PurchaseOrderRepository extends BaseRepository {
+  constructor() {
+    super('purchase_orders');
+    this.lines = new BaseRepository('purchase_order_lines');
+  }
+
+  /**
+   * Find purchase order by ID with vendor and lines
+   */
+  async findByIdWithLines(id) {
+    return await this._findOneWithLines('id', id);
+  }
+
+  /**
+   * Find purchase order by PO number with vendor and lines
+   */
+  async findByNumberWithLines(poNumber) {
+    return await this._findOneWithLines('po_number', poNumber);
+  }
+
+  /**
+   * Find all purchase orders with pagination and filters
+   * @param {object} filters - vendor_id, status, search (PO number)
+   * @param {object} pagination - limit, offset
+   * @returns {object} { data, count }
+   */
+  async findAllWithVendor(filters = {}, pagination = {}) {
+    try {
+      let query = this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          vendor:users!purchase_orders_vendor_id_fkey(id, name, email, company)
+        `, { count: 'exact' });
+
+      if (filters.vendor_id) query = query.eq('vendor_id', filters.vendor_id);
+      if (filters.status) query = query.eq('status', filters.status);
+      if (filters.search) query = query.ilike('po_number', `%${filters.search}%`);
+
+      const limit = pagination.limit || 10;
+      const offset = pagination.offset || 0;
+
+      query = query
+        .order('order_date', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return { data, count };
+    } catch (error) {
+      console.error('Error finding purchase orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create purchase order with lines in one transaction
+   */
+  async createWithLines(poData, lines) {
+    const result = await this.callFunction('create_document_with_children', {
+      p_document_type: 'PO',
+      p_document: poData,
+      p_children: lines
+    });
+
+    await this._audit('create', [[null, result.document]]);
+    await this.lines._audit('create', result.children.map(line => [null, line]));
+
+    return await this.findByIdWithLines(result.document.id);
+  }
+
+  /**
+   * Update purchase order, replacing its lines when given, in one transaction
+   * @param {array|null} lines - null keeps the current lines
+   */
+  async updateWithLines(id, poData, lines = null) {
+    const result = await this.callFunction('update_document_with_children', {
+      p_document_type: 'PO',
+      p_document_id: id,
+      p_changes: poData,
+      p_children: lines
+    });
+
+    await this._audit('update', [[result.before, result.after]]);
+    await this.lines._audit('delete', result.removed_children.map(line => [line, null]));
+    await this.lines._audit('create', result.added_children.map(line => [null, line]));
+
+    return await this.findByIdWithLines(id);
+  }
+
+  /**
+   * Count BAPBs that reference a purchase order
+   */
+  async countReferencingDocuments(id) {
+    try {
+      const { count, error } = await this.db
+        .from('bapb')
+        .select('id', { count: 'exact', head: true })
+        .eq('purchase_order_id', id);
+
+      if (error) throw error;
+
+      return count || 0;
+    } catch (error) {
+      console.error('Error counting BAPBs of purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _findOneWithLines(column, value) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          vendor:users!purchase_orders_vendor_id_fkey(id, name, email, company, phone),
+          lines:purchase_order_lines(*)
+        `)
+        .eq(column, value)
+        .order('line_number', { referencedTable: 'lines', ascending: true })
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error finding purchase order with lines:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PurchaseOrderRepository();
@@ -0,0 +1,70 @@
+const BaseRepository = require('./BaseRepository');
+
+class SlaPolicyRepository extends BaseRepository {
+  constructor() {
+    super('sla_policies');
+    this.holidays = new BaseRepository('sla_holidays');
+    this.events = new BaseRepository('sla_events');
+    // Reminder/escalation log, written by the scheduler
+    this.events.auditable = false;
+  }
+
+  /**
+   * Get the active policies
+   * @param {string} documentType - Optional, 'BAPB' or 'BAPP'
+   * @returns {array}
+   */
+  async findActive(documentType = null) {
+    const filters = { is_active: true };
+    if (documentType) filters.document_type = documentType;
+
+    const { data } = await this.findAll(filters, { order: [['document_type', 'ASC'], ['status', 'ASC']] });
+    return data;
+  }
+
+  /**
+   * Get the holidays between two dates, inclusive
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {array}
+   */
+  async findHolidays(from, to) {
+    const { data } = await this.holidays.findAll(
+      { holiday_date: { $gte: from, $lte: to } },
+      { order: [['holiday_date', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Get the reminders and escalations sent for documents
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {array} documentIds
+   * @returns {array}
+   */
+  async findEvents(documentType, documentIds) {
+    if (documentIds.length === 0) return [];
+
+    const events = [];
+    for await (const batch of this.events.iterate({ document_type: documentType, document_id: documentIds })) {
+      events.push(...batch);
+    }
+    return events.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Record a reminder or escalation, unless one was already recorded for the same stay in the status
+   * @param {object} event - sla_events columns
+   * @returns {object|null} created row, null when it was sent before
+   */
+  async recordEvent(event) {
+    try {
+      return await this.events.create(event);
+    } catch (error) {
+      if (error.code === '23505') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = new SlaPolicyRepository();
@@ -0,0 +1,102 @@
+const BaseRepository = require('./BaseRepository');
+
+class StatusTransitionRepository extends BaseRepository {
+  constructor() {
+    super('document_status_transitions');
+  }
+
+  /**
+   * Get transition log for a single document, oldest first
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @returns {array}
+   */
+  async findByDocument(documentType, documentId) {
+    try {
+      const { data, error } = await this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          actor:users(id, name, email, role)
+        `)
+        .eq('document_type', documentType)
+        .eq('document_id', documentId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error finding document transitions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Query transition log with filters and pagination
+   * @param {object} filters - documentType, documentId, actorId, action, toStatus, dateFrom, dateTo
+   * @param {object} pagination - limit, offset
+   * @returns {object} { data, count }
+   */
+  async search(filters = {}, pagination = {}) {
+    try {
+      let query = this.db
+        .from(this.tableName)
+        .select(`
+          *,
+          actor:users(id, name, email, role)
+        `, { count: 'exact' });
+
+      if (filters.documentType) query = query.eq('document_type', filters.documentType);
+      if (filters.documentId) query = query.eq('document_id', filters.documentId);
+      if (filters.actorId) query = query.eq('actor_id', filters.actorId);
+      if (filters.action) query = query.eq('action', filters.action);
+      if (filters.toStatus) query = query.eq('to_status', filters.toStatus);
+      if (filters.dateFrom) query = query.gte('created_at', filters.dateFrom);
+      if (filters.dateTo) query = query.lte('created_at', filters.dateTo);
+
+      const limit = pagination.limit || 20;
+      const offset = pagination.offset || 0;
+
+      query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return { data, count };
+    } catch (error) {
+      console.error('Error searching document transitions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest transition of each of several documents
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {array} documentIds
+   * @returns {Map} documentId -> transition, documents without transitions are missing
+   */
+  async findLatestByDocuments(documentType, documentIds) {
+    if (documentIds.length === 0) return new Map();
+
+    const latest = new Map();
+    const rows = this.iterate(
+      { document_type: documentType, document_id: documentIds },
+      1000,
+      { select: 'id, document_id, action, from_status, to_status, created_at' }
+    );
+
+    for await (const batch of rows) {
+      batch.forEach(row => {
+        const current = latest.get(row.document_id);
+        if (!current || new Date(row.created_at) > new Date(current.created_at)) latest.set(row.document_id, row);
+      });
+    }
+    return latest;
+  }
+}
+
+module.exports = new StatusTransitionRepository();
@@ -0,0 +1,41 @@
+const BaseRepository = require('./BaseRepository');
+
+class TaxRepository extends BaseRepository {
+  constructor() {
+    super('tax_rates');
+    this.vendorProfiles = new BaseRepository('vendor_tax_profiles');
+  }
+
+  /**
+   * Get all rates keyed by code
+   * @returns {object} { PPN: row, PPH23: row, ... }
+   */
+  async findRates() {
+    const { data } = await this.findAll({}, { order: [['code', 'ASC']] });
+    return Object.fromEntries(data.map(row => [row.code, row]));
+  }
+
+  /**
+   * Get the tax profile of a vendor
+   * @param {string} vendorId
+   * @returns {object|null}
+   */
+  async findVendorProfile(vendorId) {
+    return await this.vendorProfiles.findOne({ vendor_id: vendorId });
+  }
+
+  /**
+   * Create or replace the tax profile of a vendor
+   */
+  async saveVendorProfile(vendorId, data) {
+    const existing = await this.findVendorProfile(vendorId);
+
+    if (existing) {
+      return await this.vendorProfiles.update(existing.id, data);
+    }
+
+    return await this.vendorProfiles.create({ vendor_id: vendorId, ...data });
+  }
+}
+
+module.exports = new TaxRepository();
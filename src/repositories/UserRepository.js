@@ -218,7 +218,7 @@ class UserRepository extends BaseRepository {
     try {
       const { data, error } = await this.db
         .from(this.tableName)
-        .select('id, email, name, role, phone, company, is_active, created_at, updated_at')
+        .select('id, email, name, role, phone, company, locale, is_active, created_at, updated_at')
         .eq('id', userId)
         .single();
 
@@ -243,7 +243,7 @@ class UserRepository extends BaseRepository {
   async updateProfile(userId, profileData) {
     try {
       // Only allow updating specific fields
-      const allowedFields = ['name', 'phone', 'company'];
+      const allowedFields = ['name', 'phone', 'company', 'locale'];
       const updateData = {};
 
       allowedFields.forEach(field => {
@@ -256,16 +256,9 @@ class UserRepository extends BaseRepository {
         throw new Error('No valid fields to update');
       }
 
-      const { data, error } = await this.db
-        .from(this.tableName)
-        .update(updateData)
-        .eq('id', userId)
-        .select('id, email, name, role, phone, company, is_active')
-        .single();
-
-      if (error) throw error;
-
-      return data;
+      return await this.update(userId, updateData, {
+        select: 'id, email, name, role, phone, company, locale, is_active'
+      });
     } catch (error) {
       console.error('Error updating user profile:', error);
       throw error;
@@ -305,7 +298,7 @@ class UserRepository extends BaseRepository {
 
   async _countByRole() {
     try {
-      const roles = ['vendor', 'pic_gudang', 'admin', 'approver'];
+      const roles = ['vendor', 'pic_gudang', 'admin', 'approver', 'finance_maker', 'finance_checker'];
       const counts = {};
 
       for (const role of roles) {
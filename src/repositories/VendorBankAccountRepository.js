@@ -0,0 +1,60 @@
+const BaseRepository = require('./BaseRepository');
+
+class VendorBankAccountRepository extends BaseRepository {
+  constructor() {
+    super('vendor_bank_accounts');
+  }
+
+  /**
+   * Get the accounts of a vendor, primary first
+   * @param {string} vendorId
+   * @returns {array}
+   */
+  async findByVendor(vendorId) {
+    const { data } = await this.findAll(
+      { vendor_id: vendorId },
+      { order: [['is_primary', 'DESC'], ['created_at', 'ASC']] }
+    );
+    return data;
+  }
+
+  /**
+   * Get an account of a vendor
+   * @returns {object|null}
+   */
+  async findForVendor(vendorId, accountId) {
+    return await this.findOne({ id: accountId, vendor_id: vendorId });
+  }
+
+  /**
+   * Get the account payments to a vendor go to: primary and approved
+   * @param {string} vendorId
+   * @returns {object|null}
+   */
+  async findPayoutAccount(vendorId) {
+    return await this.findOne({ vendor_id: vendorId, is_primary: true, approval_status: 'approved' });
+  }
+
+  /**
+   * Get accounts waiting for admin approval, oldest first
+   * @param {object} options - { limit, offset }
+   * @returns {object} { data, count }
+   */
+  async findPendingApproval({ limit, offset } = {}) {
+    return await this.findAll(
+      { approval_status: 'pending' },
+      { order: [['created_at', 'ASC']], limit, offset }
+    );
+  }
+
+  /**
+   * Make an account the only primary one of its vendor
+   * @returns {object} updated account
+   */
+  async setPrimary(vendorId, accountId) {
+    await this.updateMany({ vendor_id: vendorId, is_primary: true, id: { $ne: accountId } }, { is_primary: false });
+    return await this.update(accountId, { is_primary: true, updated_at: new Date().toISOString() });
+  }
+}
+
+module.exports = new VendorBankAccountRepository();
@@ -0,0 +1,78 @@
+const BaseRepository = require('./BaseRepository');
+
+class WebhookDeliveryRepository extends BaseRepository {
+  constructor() {
+    super('webhook_deliveries');
+    // Delivery attempts are a log themselves; auditing every retry would only add noise
+    this.auditable = false;
+  }
+
+  /**
+   * Get a delivery with the event it carries and its subscription
+   * @param {string} id
+   * @returns {object|null}
+   */
+  async findByIdWithEvent(id) {
+    return await this.findById(id, {
+      select: `
+        *,
+        event:webhook_events(id, event_type, payload, created_at),
+        subscription:webhook_subscriptions(id, name, url, secret, is_active)
+      `
+    });
+  }
+
+  /**
+   * Get deliveries that are due for a (re)try, oldest first
+   * Deliveries stuck in 'sending' since before staleBefore are included: the process sending them went away.
+   * @param {string} now - ISO timestamp
+   * @param {string} staleBefore - ISO timestamp
+   * @param {number} limit
+   * @returns {array}
+   */
+  async findDue(now, staleBefore, limit) {
+    const [pending, stale] = await Promise.all([
+      this.findAll({ status: 'pending', next_attempt_at: { $lte: now } }, { order: [['next_attempt_at', 'ASC']], limit }),
+      this.findAll({ status: 'sending', updated_at: { $lt: staleBefore } }, { order: [['updated_at', 'ASC']], limit })
+    ]);
+
+    return [...stale.data, ...pending.data].slice(0, limit);
+  }
+
+  /**
+   * Update a delivery only if nobody touched it since it was read
+   * @param {object} delivery - Row as read by the caller
+   * @param {object} data
+   * @returns {object|null} updated row, null when another worker got there first
+   */
+  async updateIfUnchanged(delivery, data) {
+    const [row] = await this.updateMany(
+      { id: delivery.id, status: delivery.status, updated_at: delivery.updated_at },
+      data
+    );
+    return row || null;
+  }
+
+  /**
+   * Get the delivery log, newest first
+   * @param {object} filters - { subscriptionId, eventId, eventType, status }
+   * @param {object} options - { limit, offset }
+   * @returns {object} { data, count }
+   */
+  async findDeliveries(filters = {}, { limit, offset } = {}) {
+    const where = {};
+    if (filters.subscriptionId) where.subscription_id = filters.subscriptionId;
+    if (filters.eventId) where.event_id = filters.eventId;
+    if (filters.eventType) where.event_type = filters.eventType;
+    if (filters.status) where.status = filters.status;
+
+    return await this.findAll(where, {
+      order: [['created_at', 'DESC']],
+      limit,
+      offset,
+      select: 'id, event_id, subscription_id, event_type, url, status, attempts, response_status, duration_ms, last_error, next_attempt_at, delivered_at, created_at, updated_at'
+    });
+  }
+}
+
+module.exports = new WebhookDeliveryRepository();
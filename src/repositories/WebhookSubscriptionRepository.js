@@ -0,0 +1,21 @@
+const BaseRepository = require('./BaseRepository');
+
+class WebhookSubscriptionRepository extends BaseRepository {
+  constructor() {
+    super('webhook_subscriptions');
+    this.events = new BaseRepository('webhook_events');
+    // Emitted events are a log themselves
+    this.events.auditable = false;
+  }
+
+  /**
+   * Get the active subscriptions
+   * @returns {array}
+   */
+  async findActive() {
+    const { data } = await this.findAll({ is_active: true }, { order: [['created_at', 'ASC']] });
+    return data;
+  }
+}
+
+module.exports = new WebhookSubscriptionRepository();
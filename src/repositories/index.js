@@ -1,9 +1,51 @@
 const UserRepository = require('./UserRepository');
 const BAPBRepository = require('./BAPBRepository');
 const BAPPRepository = require('./BAPPRepository');
+const ApprovalChainRepository = require('./ApprovalChainRepository');
+const PaymentLogRepository = require('./PaymentLogRepository');
+const AuditLogRepository = require('./AuditLogRepository');
+const DocumentNumberRepository = require('./DocumentNumberRepository');
+const PurchaseOrderRepository = require('./PurchaseOrderRepository');
+const ContractRepository = require('./ContractRepository');
+const InvoiceRepository = require('./InvoiceRepository');
+const MatchingToleranceRepository = require('./MatchingToleranceRepository');
+const IdempotencyKeyRepository = require('./IdempotencyKeyRepository');
+const TaxRepository = require('./TaxRepository');
+const PaymentBatchRepository = require('./PaymentBatchRepository');
+const BankStatementRepository = require('./BankStatementRepository');
+const PaymentRequestRepository = require('./PaymentRequestRepository');
+const VendorBankAccountRepository = require('./VendorBankAccountRepository');
+const NotificationDeliveryRepository = require('./NotificationDeliveryRepository');
+const DocumentWatchRepository = require('./DocumentWatchRepository');
+const NotificationPreferenceRepository = require('./NotificationPreferenceRepository');
+const NotificationDigestRepository = require('./NotificationDigestRepository');
+const SlaPolicyRepository = require('./SlaPolicyRepository');
+const WebhookSubscriptionRepository = require('./WebhookSubscriptionRepository');
+const WebhookDeliveryRepository = require('./WebhookDeliveryRepository');
 
 module.exports = {
   UserRepository,
   BAPBRepository,
-  BAPPRepository
-};
\ No newline at end of file
+  BAPPRepository,
+  ApprovalChainRepository,
+  PaymentLogRepository,
+  AuditLogRepository,
+  DocumentNumberRepository,
+  PurchaseOrderRepository,
+  ContractRepository,
+  InvoiceRepository,
+  MatchingToleranceRepository,
+  IdempotencyKeyRepository,
+  TaxRepository,
+  PaymentBatchRepository,
+  BankStatementRepository,
+  PaymentRequestRepository,
+  VendorBankAccountRepository,
+  NotificationDeliveryRepository,
+  DocumentWatchRepository,
+  NotificationPreferenceRepository,
+  NotificationDigestRepository,
+  SlaPolicyRepository,
+  WebhookSubscriptionRepository,
+  WebhookDeliveryRepository
+};
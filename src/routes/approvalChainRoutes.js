@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const approvalChainController = require('../controllers/approvalChainController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+
+/**
+ * @route   GET /api/approval-chains
+ * @desc    Get all approval chain definitions
+ * @query   documentType, isActive
+ * @access  Private (Admin)
+ */
+router.get('/', protect, authorize('admin'), approvalChainController.getApprovalChains);
+
+/**
+ * @route   POST /api/approval-chains
+ * @desc    Create approval chain definition
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), approvalChainController.createApprovalChain);
+
+/**
+ * @route   GET /api/approval-chains/:id
+ * @desc    Get approval chain definition
+ * @access  Private (Admin)
+ */
+router.get('/:id', protect, authorize('admin'), validateUUIDParam('id'), approvalChainController.getApprovalChainById);
+
+/**
+ * @route   PUT /api/approval-chains/:id
+ * @desc    Update approval chain definition
+ * @access  Private (Admin)
+ */
+router.put('/:id', protect, authorize('admin'), validateUUIDParam('id'), approvalChainController.updateApprovalChain);
+
+/**
+ * @route   DELETE /api/approval-chains/:id
+ * @desc    Deactivate approval chain definition
+ * @access  Private (Admin)
+ */
+router.delete('/:id', protect, authorize('admin'), validateUUIDParam('id'), approvalChainController.deactivateApprovalChain);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+/**
+ * @route   GET /api/audit
+ * @desc    Query audit log
+ * @query   entity, entityId, userId, action, dateFrom, dateTo, page, limit
+ * @access  Private (Admin)
+ */
+router.get('/', protect, authorize('admin'), auditController.getAuditLogs);
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Export audit log as CSV
+ * @query   entity, entityId, userId, action, dateFrom, dateTo
+ * @access  Private (Admin)
+ */
+router.get('/export', protect, authorize('admin'), auditController.exportAuditLogs);
+
+module.exports = router;
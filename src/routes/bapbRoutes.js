@@ -22,11 +22,17 @@ router.get('/validate-access', protect, bapbController.validateBAPBAccess);
 
 
 // ==================== BAPB APPROVAL ROUTES ====================
+// Role checks are done per approval chain step in the controller
 
-router.post('/:id/approve', protect, authorize('pic_gudang', 'approver', 'admin'), validateUUIDParam('id'), bapbApprovalController.approveBAPB);
-router.post('/:id/reject', protect, authorize('pic_gudang', 'approver', 'admin'), validateUUIDParam('id'), bapbApprovalController.rejectBAPB);
-router.post('/:id/revision', protect, authorize('pic_gudang', 'approver', 'admin'), validateUUIDParam('id'), bapbApprovalController.requestRevisionBAPB);
+router.post('/:id/approve', protect, validateUUIDParam('id'), bapbApprovalController.approveBAPB);
+router.post('/:id/reject', protect, validateUUIDParam('id'), bapbApprovalController.rejectBAPB);
+router.post('/:id/revision', protect, validateUUIDParam('id'), bapbApprovalController.requestRevisionBAPB);
 router.get('/:id/approvals', protect, validateUUIDParam('id'), bapbApprovalController.getBAPBApprovalHistory);
+router.get('/:id/transitions', protect, validateUUIDParam('id'), bapbController.getBAPBTransitions);
+router.get('/:id/versions', protect, validateUUIDParam('id'), bapbController.getBAPBVersions);
+router.get('/:id/versions/diff', protect, validateUUIDParam('id'), bapbController.getBAPBVersionDiff);
+router.get('/:id/versions/:version', protect, validateUUIDParam('id'), bapbController.getBAPBVersion);
+router.get('/:id/changes-since-revision', protect, validateUUIDParam('id'), bapbController.getBAPBChangesSinceRevision);
 
 // ==================== BAPB SIGNATURE ROUTES  ====================
 
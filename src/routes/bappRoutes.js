@@ -34,11 +34,17 @@ router.delete('/:id', protect, authorize('vendor_jasa', 'vendor', 'admin'), vali
 router.post('/:id/submit', protect, authorize('vendor_jasa', 'vendor', 'admin'), validateUUIDParam('id'), bappController.submitBAPP);
 
 // ==================== BAPP APPROVAL ROUTES ====================
+// Role checks are done per approval chain step in the controller
 
-router.post('/:id/approve', protect, authorize('approver', 'admin'), validateUUIDParam('id'), bappApprovalController.approveBAPP);
-router.post('/:id/reject', protect, authorize('approver', 'admin'), validateUUIDParam('id'), bappApprovalController.rejectBAPP);
-router.post('/:id/revision', protect, authorize('approver', 'admin'), validateUUIDParam('id'), bappApprovalController.requestRevisionBAPP);
+router.post('/:id/approve', protect, validateUUIDParam('id'), bappApprovalController.approveBAPP);
+router.post('/:id/reject', protect, validateUUIDParam('id'), bappApprovalController.rejectBAPP);
+router.post('/:id/revision', protect, validateUUIDParam('id'), bappApprovalController.requestRevisionBAPP);
 router.get('/:id/approvals', protect, validateUUIDParam('id'), bappApprovalController.getBAPPApprovalHistory);
+router.get('/:id/transitions', protect, validateUUIDParam('id'), bappController.getBAPPTransitions);
+router.get('/:id/versions', protect, validateUUIDParam('id'), bappController.getBAPPVersions);
+router.get('/:id/versions/diff', protect, validateUUIDParam('id'), bappController.getBAPPVersionDiff);
+router.get('/:id/versions/:version', protect, validateUUIDParam('id'), bappController.getBAPPVersion);
+router.get('/:id/changes-since-revision', protect, validateUUIDParam('id'), bappController.getBAPPChangesSinceRevision);
 
 // ==================== BAPP SIGNATURE ROUTES ====================
 
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const contractController = require('../controllers/contractController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+
+/**
+ * @route   GET /api/contracts
+ * @desc    Get contracts (vendors only see their own)
+ * @query   vendorId, status, search, page, limit
+ * @access  Private
+ */
+router.get('/', protect, contractController.getContracts);
+
+/**
+ * @route   POST /api/contracts
+ * @desc    Create contract with lines
+ * @body    contractNumber, vendorId, projectName, projectLocation, startDate, endDate, currency, notes,
+ *          lines [{ lineNumber, workItemName, quantity, unit, unitPrice, notes }]
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), contractController.createContract);
+
+/**
+ * @route   GET /api/contracts/:id
+ * @desc    Get contract with lines
+ * @access  Private
+ */
+router.get('/:id', protect, validateUUIDParam('id'), contractController.getContractById);
+
+/**
+ * @route   PUT /api/contracts/:id
+ * @desc    Update contract (lines only while no BAPP references them)
+ * @access  Private (Admin)
+ */
+router.put('/:id', protect, authorize('admin'), validateUUIDParam('id'), contractController.updateContract);
+
+/**
+ * @route   DELETE /api/contracts/:id
+ * @desc    Delete contract that no BAPP references
+ * @access  Private (Admin)
+ */
+router.delete('/:id', protect, authorize('admin'), validateUUIDParam('id'), contractController.deleteContract);
+
+/**
+ * @route   GET /api/contracts/:id/payment-schedule
+ * @desc    Get termin schedule and retention terms of a contract
+ * @access  Private
+ */
+router.get('/:id/payment-schedule', protect, validateUUIDParam('id'), contractController.getPaymentSchedule);
+
+/**
+ * @route   PUT /api/contracts/:id/payment-schedule
+ * @desc    Update retention terms and/or replace the termin schedule (applies to termins paid from now on)
+ * @body    retentionPercent, maintenancePeriodDays, terms [{ name, progressPercent }] - last term at 100
+ * @access  Private (Admin)
+ */
+router.put('/:id/payment-schedule', protect, authorize('admin'), validateUUIDParam('id'), contractController.updatePaymentSchedule);
+
+/**
+ * @route   GET /api/contracts/:id/ledger
+ * @desc    Termin and retention payments of a contract with totals and retention release status
+ * @access  Private
+ */
+router.get('/:id/ledger', protect, validateUUIDParam('id'), contractController.getLedger);
+
+/**
+ * @route   POST /api/contracts/:id/retention/release
+ * @desc    Pay out the retention held on a contract once its last termin is paid and its maintenance period is over.
+ *          Needs a CONTRACT payment request released by finance checkers.
+ *          Accepts an Idempotency-Key header like the payment routes.
+ * @access  Private (Admin/Finance maker)
+ */
+router.post('/:id/retention/release', protect, authorize('admin', 'finance_maker'), validateUUIDParam('id'), idempotency, contractController.releaseRetention);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const documentNumberController = require('../controllers/documentNumberController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+/**
+ * @route   GET /api/document-numbers
+ * @desc    Query the document number register
+ * @query   documentType, period, status, page, limit
+ * @access  Private (Admin)
+ */
+router.get('/', protect, authorize('admin'), documentNumberController.getDocumentNumbers);
+
+/**
+ * @route   GET /api/document-numbers/formats
+ * @desc    Get number formats of BAPB and BAPP
+ * @access  Private (Admin)
+ */
+router.get('/formats', protect, authorize('admin'), documentNumberController.getNumberFormats);
+
+/**
+ * @route   PUT /api/document-numbers/formats/:documentType
+ * @desc    Change the number format of BAPB or BAPP
+ * @body    template (e.g. {TYPE}/{DIVISION}/{YYYY}/{MM}/{SEQ:4}), division
+ * @access  Private (Admin)
+ */
+router.put('/formats/:documentType', protect, authorize('admin'), documentNumberController.updateNumberFormat);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const documentController = require('../controllers/documentController');
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, authorize } = require('../middlewares/authMiddleware');
 const { validateUUIDParam } = require('../middlewares/validationMiddleware');
 
 // ==================== BAPB Document Routes ====================
@@ -45,6 +45,13 @@ router.get('/bapp/:id/preview', protect, validateUUIDParam('id'), documentContro
  */
 router.get('/completed', protect, documentController.getCompletedDocuments);
 
+/**
+ * @route   GET /api/documents/transitions
+ * @desc    Query BAPB/BAPP status transition log
+ * @access  Private (Admin)
+ */
+router.get('/transitions', protect, authorize('admin'), documentController.getStatusTransitions);
+
 /**
  * @route   GET /api/documents/:id/download?type=BAPB|BAPP
  * @desc    Download completed document by ID
@@ -52,6 +59,13 @@ router.get('/completed', protect, documentController.getCompletedDocuments);
  */
 router.get('/:id/download', protect, validateUUIDParam('id'), documentController.downloadCompletedDocument);
 
+/**
+ * @route   POST /api/documents/:id/verify?type=BAPB|BAPP
+ * @desc    Verify a downloaded PDF against the sealed approved document
+ * @access  Private
+ */
+router.post('/:id/verify', protect, validateUUIDParam('id'), documentController.verifyDocument);
+
 
 
 module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { protect, authorize, authorizeVendorType } = require('../middlewares/authMiddleware');
+const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+
+/**
+ * @route   GET /api/invoices/tolerances
+ * @desc    Get three-way matching tolerances (default, or what applies to a vendor)
+ * @query   vendorId
+ * @access  Private (Admin)
+ */
+router.get('/tolerances', protect, authorize('admin'), invoiceController.getTolerances);
+
+/**
+ * @route   PUT /api/invoices/tolerances
+ * @desc    Set default tolerances, or a vendor override when vendorId is given
+ * @body    vendorId, quantityPercent, pricePercent, amountPercent, amountAbsolute
+ * @access  Private (Admin)
+ */
+router.put('/tolerances', protect, authorize('admin'), invoiceController.updateTolerances);
+
+/**
+ * @route   DELETE /api/invoices/tolerances/:vendorId
+ * @desc    Remove a vendor's tolerance override
+ * @access  Private (Admin)
+ */
+router.delete('/tolerances/:vendorId', protect, authorize('admin'), validateUUIDParam('vendorId'), invoiceController.deleteVendorTolerances);
+
+/**
+ * @route   GET /api/invoices
+ * @desc    Get invoices (vendors only see their own)
+ * @query   bapbId, status, vendorId, page, limit
+ * @access  Private
+ */
+router.get('/', protect, invoiceController.getInvoices);
+
+/**
+ * @route   POST /api/invoices
+ * @desc    Submit the invoice for a BAPB
+ * @body    bapbId, invoiceNumber, invoiceDate, dueDate, taxAmount, notes,
+ *          lines [{ lineNumber, quantity, unitPrice, description }]
+ * @access  Private (Vendor Barang)
+ */
+router.post('/', protect, authorizeVendorType('barang'), invoiceController.submitInvoice);
+
+/**
+ * @route   GET /api/invoices/:id
+ * @desc    Get invoice with lines
+ * @access  Private
+ */
+router.get('/:id', protect, validateUUIDParam('id'), invoiceController.getInvoiceById);
+
+/**
+ * @route   GET /api/invoices/:id/matching
+ * @desc    Three-way matching result (purchase order / BAPB receipt / invoice)
+ * @access  Private
+ */
+router.get('/:id/matching', protect, validateUUIDParam('id'), invoiceController.getInvoiceMatching);
+
+/**
+ * @route   POST /api/invoices/:id/cancel
+ * @desc    Cancel an unpaid invoice
+ * @access  Private (Invoice vendor or Admin)
+ */
+router.post('/:id/cancel', protect, validateUUIDParam('id'), invoiceController.cancelInvoice);
+
+module.exports = router;
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
-const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+const { protect, authorize, allowQueryToken } = require('../middlewares/authMiddleware');
+const { validateUUIDParam, validateUUIDBody } = require('../middlewares/validationMiddleware');
 
 /**
  * @route   GET /api/notifications
@@ -12,6 +12,55 @@ const { validateUUIDParam } = require('../middlewares/validationMiddleware');
  */
 router.get('/', protect, notificationController.getMyNotifications);
 
+/**
+ * @route   GET /api/notifications/stream
+ * @desc    Server-Sent Events stream: notification, unread_count, document_status and reset events.
+ *          Send Last-Event-ID (or ?lastEventId=) when reconnecting to get missed events.
+ *          Browsers' EventSource can pass the token as ?access_token=
+ * @access  Private
+ */
+router.get('/stream', allowQueryToken, protect, notificationController.stream);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Notification preferences of the current user, with the values they can take
+ * @access  Private
+ */
+router.get('/preferences', protect, notificationController.getPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update notification preferences - fields left out keep their value.
+ *          Urgent notifications ignore quiet hours and digests.
+ * @body    channels: { types: { <type>: ['in_app', 'email'] }, priorities: { <priority>: [...] } },
+ *          quietHours: { start: 'HH:MM', end: 'HH:MM' } | null, timezone,
+ *          digest: { frequency: 'off' | 'daily' | 'weekly', hour, weekday, priorities }
+ * @access  Private
+ */
+router.put('/preferences', protect, notificationController.updatePreferences);
+
+/**
+ * @route   GET /api/notifications/watches
+ * @desc    Documents the current user watches
+ * @access  Private
+ */
+router.get('/watches', protect, notificationController.getWatches);
+
+/**
+ * @route   POST /api/notifications/watches
+ * @desc    Watch a document - its status changes are pushed on the stream
+ * @body    documentType ('BAPB' | 'BAPP'), documentId
+ * @access  Private
+ */
+router.post('/watches', protect, validateUUIDBody('documentId'), notificationController.watchDocument);
+
+/**
+ * @route   DELETE /api/notifications/watches/:id
+ * @desc    Stop watching a document
+ * @access  Private
+ */
+router.delete('/watches/:id', protect, validateUUIDParam('id'), notificationController.unwatchDocument);
+
 /**
  * @route   GET /api/notifications/unread-count
  * @desc    Get unread notification count
@@ -47,6 +96,21 @@ router.delete('/clear-read', protect, notificationController.clearReadNotificati
  */
 router.post('/test', protect, authorize('admin'), notificationController.testNotification);
 
+/**
+ * @route   GET /api/notifications/deliveries
+ * @desc    Delivery log of notifications sent outside the app (email)
+ * @query   status, userId, notificationId, digestId, channel, page, limit
+ * @access  Private (Admin only)
+ */
+router.get('/deliveries', protect, authorize('admin'), notificationController.getDeliveries);
+
+/**
+ * @route   POST /api/notifications/deliveries/:id/retry
+ * @desc    Send a failed or waiting delivery again right away
+ * @access  Private (Admin only)
+ */
+router.post('/deliveries/:id/retry', protect, authorize('admin'), validateUUIDParam('id'), notificationController.retryDelivery);
+
 /**
  * @route   GET /api/notifications/:id
  * @desc    Get single notification by ID
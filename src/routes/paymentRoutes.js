@@ -3,53 +3,300 @@ const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const { protect, authorize } = require('../middlewares/authMiddleware');
 const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+
+// Send payments once finance checkers released them
+const PAYMENT_EXECUTORS = ['admin', 'finance_maker'];
+// Follow up payments: requests, reconciliation
+const FINANCE_ROLES = ['admin', 'finance_maker', 'finance_checker'];
+const VENDOR_ROLES = ['vendor', 'vendor_barang', 'vendor_jasa'];
 
 // ==================== BAPB Payment Routes ====================
 
 /**
  * @route   POST /api/payment/bapb/:id/process
- * @desc    Process payment for approved BAPB (Simulation)
- * @access  Private (Admin/Finance role)
+ * @desc    Process payment for approved BAPB through the payment gateway - blocked unless finance checkers
+ *          released a payment request for it and three-way matching passes.
+ *          Pays the invoice with PPN, less the PPh withheld per the vendor's tax profile.
+ *          Send an Idempotency-Key header to make retries safe: a repeated request replays the first response.
+ * @access  Private (Admin/Finance maker)
  */
-router.post('/bapb/:id/process', protect, authorize('admin'), validateUUIDParam('id'), paymentController.processBAPBPayment);
+router.post('/bapb/:id/process', protect, authorize(...PAYMENT_EXECUTORS), validateUUIDParam('id'), idempotency, paymentController.processBAPBPayment);
 
 /**
  * @route   GET /api/payment/bapb/:id/logs?type=BAPB
- * @desc    Get payment logs for BAPB
- * @access  Private
+ * @desc    Get payment logs for BAPB, with bank account numbers masked
+ * @access  Private (Finance, Admin, vendors: own BAPB only)
  */
-router.get('/bapb/:id/logs', protect, validateUUIDParam('id'), paymentController.getPaymentLogs);
+router.get('/bapb/:id/logs', protect, authorize(...FINANCE_ROLES, ...VENDOR_ROLES), validateUUIDParam('id'), paymentController.getPaymentLogs);
 
 /**
- * @route   GET /api/payment/bapb/:id/readiness?type=BAPB
- * @desc    Check if BAPB is ready for payment
- * @access  Private
+ * @route   GET /api/payment/bapb/:id/readiness?type=BAPB&amount=
+ * @desc    Check if BAPB is ready for payment, including three-way matching with its invoice
+ * @access  Private (Finance, Admin, vendors: own BAPB only)
  */
-router.get('/bapb/:id/readiness', protect, validateUUIDParam('id'), paymentController.checkPaymentReadiness);
+router.get('/bapb/:id/readiness', protect, authorize(...FINANCE_ROLES, ...VENDOR_ROLES), validateUUIDParam('id'), paymentController.checkPaymentReadiness);
 
 
 // ==================== BAPP Payment Routes ====================
 
 /**
  * @route   POST /api/payment/bapp/:id/process
- * @desc    Process payment for approved BAPP (Simulation)
- * @access  Private (Admin/Finance role)
+ * @desc    Pay the next termin of an approved BAPP through the payment gateway: progress since the
+ *          last termin of its contract, plus PPN, minus PPh withholding and retention.
+ *          Blocked unless finance checkers released a payment request for it.
+ *          Send an Idempotency-Key header to make retries safe: a repeated request replays the first response.
+ * @access  Private (Admin/Finance maker)
  */
-router.post('/bapp/:id/process', protect, authorize('admin'), validateUUIDParam('id'), paymentController.processBAPPPayment);
+router.post('/bapp/:id/process', protect, authorize(...PAYMENT_EXECUTORS), validateUUIDParam('id'), idempotency, paymentController.processBAPPPayment);
 
 /**
  * @route   GET /api/payment/bapp/:id/logs?type=BAPP
- * @desc    Get payment logs for BAPP
- * @access  Private
+ * @desc    Get payment logs for BAPP, with bank account numbers masked
+ * @access  Private (Finance, Admin, vendors: own BAPP only)
+ */
+router.get('/bapp/:id/logs', protect, authorize(...FINANCE_ROLES, ...VENDOR_ROLES), validateUUIDParam('id'), paymentController.getPaymentLogs);
+
+/**
+ * @route   GET /api/payment/bapp/:id/readiness?type=BAPP&amount=
+ * @desc    Check if BAPP is ready for payment, including the termin it would pay
+ * @access  Private (Finance, Admin, vendors: own BAPP only)
+ */
+router.get('/bapp/:id/readiness', protect, authorize(...FINANCE_ROLES, ...VENDOR_ROLES), validateUUIDParam('id'), paymentController.checkPaymentReadiness);
+
+
+// ==================== Payment Request Routes (maker-checker) ====================
+
+/**
+ * @route   POST /api/payment/requests
+ * @desc    Prepare a payment request for a payable document. The amount is fixed from readiness
+ *          (BAPB/BAPP) or the retention held (CONTRACT); checkers needed depend on the amount thresholds.
+ * @body    { documentType: BAPB/BAPP/CONTRACT, documentId, paymentMethod, notes }
+ * @access  Private (Finance maker)
+ */
+router.post('/requests', protect, authorize('finance_maker'), idempotency, paymentController.createPaymentRequest);
+
+/**
+ * @route   GET /api/payment/requests
+ * @desc    List payment requests
+ * @query   status (pending_approval/released/executed/rejected/cancelled), documentType, documentId, page, limit
+ * @access  Private (Admin/Finance)
+ */
+router.get('/requests', protect, authorize(...FINANCE_ROLES), paymentController.getPaymentRequests);
+
+/**
+ * @route   GET /api/payment/requests/:id
+ * @desc    Get a payment request with every step taken on it
+ * @access  Private (Admin/Finance)
+ */
+router.get('/requests/:id', protect, authorize(...FINANCE_ROLES), validateUUIDParam('id'), paymentController.getPaymentRequest);
+
+/**
+ * @route   POST /api/payment/requests/:id/approve
+ * @desc    Approve a payment request - released once it has the approvals its amount requires.
+ *          The maker cannot approve their own request.
+ * @body    { comment }
+ * @access  Private (Finance checker)
+ */
+router.post('/requests/:id/approve', protect, authorize('finance_checker'), validateUUIDParam('id'), paymentController.approvePaymentRequest);
+
+/**
+ * @route   POST /api/payment/requests/:id/reject
+ * @desc    Reject a pending payment request
+ * @body    { reason }
+ * @access  Private (Finance checker)
+ */
+router.post('/requests/:id/reject', protect, authorize('finance_checker'), validateUUIDParam('id'), paymentController.rejectPaymentRequest);
+
+/**
+ * @route   POST /api/payment/requests/:id/cancel
+ * @desc    Cancel a payment request that was not executed
+ * @body    { reason }
+ * @access  Private (Maker of the request/Admin)
+ */
+router.post('/requests/:id/cancel', protect, authorize('admin', 'finance_maker'), validateUUIDParam('id'), paymentController.cancelPaymentRequest);
+
+/**
+ * @route   GET /api/payment/approval-thresholds
+ * @desc    Checker approvals required per payment amount
+ * @access  Private (Admin/Finance)
+ */
+router.get('/approval-thresholds', protect, authorize(...FINANCE_ROLES), paymentController.getApprovalThresholds);
+
+/**
+ * @route   PUT /api/payment/approval-thresholds
+ * @desc    Replace the approval thresholds (applies to new requests)
+ * @body    { thresholds: [{ minAmount, requiredApprovals }] } - one must start at 0
+ * @access  Private (Admin)
+ */
+router.put('/approval-thresholds', protect, authorize('admin'), paymentController.updateApprovalThresholds);
+
+
+// ==================== Payment Batch Routes ====================
+
+/**
+ * @route   POST /api/payment/batches
+ * @desc    Create a batch of payments for internet banking bulk upload. Each document passes the same
+ *          readiness checks as a single payment; documents that fail them are skipped and reported.
+ * @body    { documents: [{ documentType, documentId }] (default: all BAPB/BAPP with a released payment request), paymentDate, notes }
+ * @access  Private (Admin/Finance maker)
+ */
+router.post('/batches', protect, authorize(...PAYMENT_EXECUTORS), idempotency, paymentController.createPaymentBatch);
+
+/**
+ * @route   GET /api/payment/batches
+ * @desc    List payment batches
+ * @query   status (draft/exported/confirmed/cancelled), page, limit
+ * @access  Private (Admin/Finance maker)
+ */
+router.get('/batches', protect, authorize(...PAYMENT_EXECUTORS), paymentController.getPaymentBatches);
+
+/**
+ * @route   GET /api/payment/batches/:id
+ * @desc    Get a payment batch with its payments
+ * @access  Private (Admin/Finance maker)
+ */
+router.get('/batches/:id', protect, authorize(...PAYMENT_EXECUTORS), validateUUIDParam('id'), paymentController.getPaymentBatch);
+
+/**
+ * @route   GET /api/payment/batches/:id/export
+ * @desc    Download the bulk-transfer file of a batch and mark it exported
+ * @query   format - csv (default) or fixed_width
+ * @access  Private (Admin/Finance maker)
+ */
+router.get('/batches/:id/export', protect, authorize(...PAYMENT_EXECUTORS), validateUUIDParam('id'), paymentController.exportPaymentBatch);
+
+/**
+ * @route   DELETE /api/payment/batches/:id/items/:paymentId
+ * @desc    Take a payment out of a draft batch
+ * @access  Private (Admin/Finance maker)
+ */
+router.delete('/batches/:id/items/:paymentId', protect, authorize(...PAYMENT_EXECUTORS), validateUUIDParam('id'), validateUUIDParam('paymentId'), paymentController.removePaymentBatchItem);
+
+/**
+ * @route   POST /api/payment/batches/:id/confirm
+ * @desc    Confirm the bank executed an exported batch: its payments settle and the documents become paid
+ * @body    { failed: [{ paymentId, reason }] } - transfers the bank rejected
+ * @access  Private (Admin/Finance maker)
  */
-router.get('/bapp/:id/logs', protect, validateUUIDParam('id'), paymentController.getPaymentLogs);
+router.post('/batches/:id/confirm', protect, authorize(...PAYMENT_EXECUTORS), validateUUIDParam('id'), idempotency, paymentController.confirmPaymentBatch);
 
 /**
- * @route   GET /api/payment/bapp/:id/readiness?type=BAPP
- * @desc    Check if BAPP is ready for payment
+ * @route   POST /api/payment/batches/:id/cancel
+ * @desc    Cancel a batch that was not confirmed - its documents can be paid again
+ * @access  Private (Admin/Finance maker)
+ */
+router.post('/batches/:id/cancel', protect, authorize(...PAYMENT_EXECUTORS), validateUUIDParam('id'), paymentController.cancelPaymentBatch);
+
+
+// ==================== Bank Reconciliation Routes ====================
+
+/**
+ * @route   POST /api/payment/bank-statements
+ * @desc    Import a bank statement and auto-match its debit lines to payments by amount, date and reference
+ * @body    { fileName, fileData (base64), format: csv/mt940 (detected when omitted), accountNumber }
+ * @access  Private (Admin/Finance)
+ */
+router.post('/bank-statements', protect, authorize(...FINANCE_ROLES), paymentController.importBankStatement);
+
+/**
+ * @route   GET /api/payment/bank-statements
+ * @desc    List imported bank statements
+ * @query   page, limit
+ * @access  Private (Admin/Finance)
+ */
+router.get('/bank-statements', protect, authorize(...FINANCE_ROLES), paymentController.getBankStatements);
+
+/**
+ * @route   GET /api/payment/bank-statements/:id
+ * @desc    Get a bank statement with its lines and their matches
+ * @access  Private (Admin/Finance)
+ */
+router.get('/bank-statements/:id', protect, authorize(...FINANCE_ROLES), validateUUIDParam('id'), paymentController.getBankStatement);
+
+/**
+ * @route   POST /api/payment/bank-statements/:id/auto-match
+ * @desc    Auto-match the statement's unmatched debit lines again
+ * @access  Private (Admin/Finance)
+ */
+router.post('/bank-statements/:id/auto-match', protect, authorize(...FINANCE_ROLES), validateUUIDParam('id'), paymentController.autoMatchBankStatement);
+
+/**
+ * @route   POST /api/payment/bank-statement-lines/:lineId/match
+ * @desc    Match a statement line to a payment by hand
+ * @body    { paymentId }
+ * @access  Private (Admin/Finance)
+ */
+router.post('/bank-statement-lines/:lineId/match', protect, authorize(...FINANCE_ROLES), validateUUIDParam('lineId'), paymentController.matchStatementLine);
+
+/**
+ * @route   POST /api/payment/bank-statement-lines/:lineId/unmatch
+ * @desc    Remove the match of a statement line
+ * @access  Private (Admin/Finance)
+ */
+router.post('/bank-statement-lines/:lineId/unmatch', protect, authorize(...FINANCE_ROLES), validateUUIDParam('lineId'), paymentController.unmatchStatementLine);
+
+/**
+ * @route   GET /api/payment/reconciliation
+ * @desc    Reconciliation report: matched lines, statement debits without a payment and settled payments
+ *          not seen on any statement
+ * @query   from, to (YYYY-MM-DD, default: last 30 days)
+ * @access  Private (Admin/Finance)
+ */
+router.get('/reconciliation', protect, authorize(...FINANCE_ROLES), paymentController.getReconciliationReport);
+
+
+// ==================== Tax Routes ====================
+
+/**
+ * @route   GET /api/payment/tax-rates
+ * @desc    Current PPN / PPh rates in percent
  * @access  Private
  */
-router.get('/bapp/:id/readiness', protect, validateUUIDParam('id'), paymentController.checkPaymentReadiness);
+router.get('/tax-rates', protect, paymentController.getTaxRates);
+
+/**
+ * @route   PUT /api/payment/tax-rates
+ * @desc    Update PPN / PPh rates, applied to payments made from now on
+ * @body    { PPN, PPH23, PPH23_NO_NPWP, PPH4_2_CONSTRUCTION } - percentages, all optional
+ * @access  Private (Admin)
+ */
+router.put('/tax-rates', protect, authorize('admin'), paymentController.updateTaxRates);
+
+/**
+ * @route   POST /api/payment/logs/:paymentId/reverse
+ * @desc    Reverse a settled payment through its gateway, or record the refund of a bank file payment.
+ *          Writes a linked reversal log entry, puts the document back to approved and notifies the vendor.
+ *          A reversal the gateway has not confirmed stays pending until its callback or the reconciliation job.
+ * @body    { reason, refundReference (bank file payments: bank reference of the returned transfer) }
+ * @access  Private (Admin)
+ */
+router.post('/logs/:paymentId/reverse', protect, authorize('admin'), validateUUIDParam('paymentId'), idempotency, paymentController.reversePayment);
+
+/**
+ * @route   GET /api/payment/logs/:paymentId/withholding-slip
+ * @desc    Download the withholding slip (bukti potong PPh 23 / PPh 4(2)) of a settled payment
+ * @access  Private (Finance, Admin, vendors: own payments only)
+ */
+router.get('/logs/:paymentId/withholding-slip', protect, authorize(...FINANCE_ROLES, ...VENDOR_ROLES), validateUUIDParam('paymentId'), paymentController.downloadWithholdingSlip);
+
+
+// ==================== Gateway Lifecycle Routes ====================
+
+/**
+ * @route   POST /api/payment/webhooks/:provider
+ * @desc    Payment status callback from a gateway (pending -> settled/failed, settled -> reversed)
+ * @access  Public (HMAC signature in X-Gateway-Timestamp / X-Gateway-Signature)
+ */
+router.post('/webhooks/:provider', paymentController.receiveGatewayWebhook);
+
+/**
+ * @route   POST /api/payment/reconcile
+ * @desc    Poll the gateway for payments still initiated/pending
+ * @body    { olderThanMinutes } - only payments whose status has not changed for this long (default 15)
+ * @access  Private (Admin)
+ */
+router.post('/reconcile', protect, authorize('admin'), paymentController.reconcilePayments);
 
 
 module.exports = router;
\ No newline at end of file
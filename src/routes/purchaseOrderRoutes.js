@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+
+/**
+ * @route   GET /api/purchase-orders
+ * @desc    Get purchase orders (vendors only see their own)
+ * @query   vendorId, status, search, page, limit
+ * @access  Private
+ */
+router.get('/', protect, purchaseOrderController.getPurchaseOrders);
+
+/**
+ * @route   POST /api/purchase-orders
+ * @desc    Create purchase order with lines
+ * @body    poNumber, vendorId, orderDate, deliveryDueDate, currency, notes,
+ *          lines [{ lineNumber, itemName, quantity, unit, unitPrice, notes }]
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), purchaseOrderController.createPurchaseOrder);
+
+/**
+ * @route   GET /api/purchase-orders/:id
+ * @desc    Get purchase order with lines
+ * @access  Private
+ */
+router.get('/:id', protect, validateUUIDParam('id'), purchaseOrderController.getPurchaseOrderById);
+
+/**
+ * @route   PUT /api/purchase-orders/:id
+ * @desc    Update purchase order (lines only while no BAPB references them)
+ * @access  Private (Admin)
+ */
+router.put('/:id', protect, authorize('admin'), validateUUIDParam('id'), purchaseOrderController.updatePurchaseOrder);
+
+/**
+ * @route   DELETE /api/purchase-orders/:id
+ * @desc    Delete purchase order that no BAPB references
+ * @access  Private (Admin)
+ */
+router.delete('/:id', protect, authorize('admin'), validateUUIDParam('id'), purchaseOrderController.deletePurchaseOrder);
+
+module.exports = router;
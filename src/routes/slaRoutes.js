@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const slaController = require('../controllers/slaController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+
+/**
+ * @route   GET /api/sla/policies
+ * @desc    Get SLA policies and the business hours they are counted in
+ * @query   documentType, isActive
+ * @access  Private (Admin)
+ */
+router.get('/policies', protect, authorize('admin'), slaController.getPolicies);
+
+/**
+ * @route   POST /api/sla/policies
+ * @desc    Create SLA policy for a document type and status
+ * @body    documentType, status, targetHours, reminderBeforeHours, escalateToRole
+ * @access  Private (Admin)
+ */
+router.post('/policies', protect, authorize('admin'), slaController.createPolicy);
+
+/**
+ * @route   PUT /api/sla/policies/:id
+ * @desc    Update SLA policy
+ * @body    targetHours, reminderBeforeHours, escalateToRole, isActive
+ * @access  Private (Admin)
+ */
+router.put('/policies/:id', protect, authorize('admin'), validateUUIDParam('id'), slaController.updatePolicy);
+
+/**
+ * @route   DELETE /api/sla/policies/:id
+ * @desc    Deactivate SLA policy
+ * @access  Private (Admin)
+ */
+router.delete('/policies/:id', protect, authorize('admin'), validateUUIDParam('id'), slaController.deactivatePolicy);
+
+/**
+ * @route   GET /api/sla/holidays
+ * @desc    Get holidays of the SLA calendar
+ * @query   year (default: current year)
+ * @access  Private (Admin)
+ */
+router.get('/holidays', protect, authorize('admin'), slaController.getHolidays);
+
+/**
+ * @route   POST /api/sla/holidays
+ * @desc    Add a holiday to the SLA calendar
+ * @body    date (YYYY-MM-DD), name
+ * @access  Private (Admin)
+ */
+router.post('/holidays', protect, authorize('admin'), slaController.createHoliday);
+
+/**
+ * @route   DELETE /api/sla/holidays/:id
+ * @desc    Remove a holiday from the SLA calendar
+ * @access  Private (Admin)
+ */
+router.delete('/holidays/:id', protect, authorize('admin'), validateUUIDParam('id'), slaController.deleteHoliday);
+
+module.exports = router;
@@ -10,9 +10,26 @@ router.put('/change-password', protect, userController.changePassword);
 
 // ==================== Admin User Management Routes ====================
 router.get('/', protect, authorize('admin'), userController.getAllUsers);
+router.get('/bank-accounts/pending', protect, authorize('admin'), userController.getPendingBankAccounts);
 router.get('/role/:role', protect, userController.getUsersByRole);
 router.get('/:id', protect, validateUUIDParam('id'), userController.getUserById);
 router.put('/:id', protect, authorize('admin'), validateUUIDParam('id'), userController.updateUser);
 router.delete('/:id', protect, authorize('admin'), validateUUIDParam('id'), userController.deleteUser);
 
+// ==================== Vendor Tax Profile Routes ====================
+router.get('/:id/tax-profile', protect, validateUUIDParam('id'), userController.getTaxProfile);
+router.put('/:id/tax-profile', protect, authorize('admin'), validateUUIDParam('id'), userController.updateTaxProfile);
+
+// ==================== Vendor Bank Account Routes ====================
+// Vendors manage their own accounts; payments use the primary account once an admin approved it
+router.get('/:id/bank-accounts', protect, validateUUIDParam('id'), userController.getBankAccounts);
+router.post('/:id/bank-accounts', protect, validateUUIDParam('id'), userController.createBankAccount);
+router.get('/:id/bank-accounts/:accountId', protect, validateUUIDParam('id'), validateUUIDParam('accountId'), userController.getBankAccount);
+router.put('/:id/bank-accounts/:accountId', protect, validateUUIDParam('id'), validateUUIDParam('accountId'), userController.updateBankAccount);
+router.delete('/:id/bank-accounts/:accountId', protect, validateUUIDParam('id'), validateUUIDParam('accountId'), userController.deleteBankAccount);
+router.post('/:id/bank-accounts/:accountId/primary', protect, validateUUIDParam('id'), validateUUIDParam('accountId'), userController.setPrimaryBankAccount);
+router.post('/:id/bank-accounts/:accountId/verify', protect, validateUUIDParam('id'), validateUUIDParam('accountId'), userController.verifyBankAccount);
+router.post('/:id/bank-accounts/:accountId/approve', protect, authorize('admin'), validateUUIDParam('id'), validateUUIDParam('accountId'), userController.approveBankAccount);
+router.post('/:id/bank-accounts/:accountId/reject', protect, authorize('admin'), validateUUIDParam('id'), validateUUIDParam('accountId'), userController.rejectBankAccount);
+
 module.exports = router;
\ No newline at end of file
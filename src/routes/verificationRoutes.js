@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const verificationController = require('../controllers/verificationController');
+
+/**
+ * @route   GET /verify/:code, GET /api/verify/:code
+ * @desc    Public verification of a BAPB/BAPP by the code printed on its PDF
+ * @access  Public
+ */
+router.get('/:code', verificationController.verifyDocumentCode);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { validateUUIDParam } = require('../middlewares/validationMiddleware');
+
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    Get the event types subscriptions can filter on
+ * @access  Private (Admin)
+ */
+router.get('/events', protect, authorize('admin'), webhookController.getEventTypes);
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Get the webhook delivery log
+ * @query   subscriptionId, eventId, eventType, status, page, limit
+ * @access  Private (Admin)
+ */
+router.get('/deliveries', protect, authorize('admin'), webhookController.getDeliveries);
+
+/**
+ * @route   GET /api/webhooks/deliveries/:id
+ * @desc    Get a webhook delivery with its payload and the receiver's response
+ * @access  Private (Admin)
+ */
+router.get('/deliveries/:id', protect, authorize('admin'), validateUUIDParam('id'), webhookController.getDeliveryById);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:id/redeliver
+ * @desc    Send a webhook delivery again, with a fresh set of attempts
+ * @access  Private (Admin)
+ */
+router.post('/deliveries/:id/redeliver', protect, authorize('admin'), validateUUIDParam('id'), webhookController.redeliver);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get all webhook subscriptions
+ * @query   isActive
+ * @access  Private (Admin)
+ */
+router.get('/', protect, authorize('admin'), webhookController.getSubscriptions);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create webhook subscription (the response holds the signing secret)
+ * @body    name, url, events (e.g. ["bapb.approved", "payment.*"]), description, secret (optional)
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), webhookController.createSubscription);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get webhook subscription
+ * @access  Private (Admin)
+ */
+router.get('/:id', protect, authorize('admin'), validateUUIDParam('id'), webhookController.getSubscriptionById);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update webhook subscription
+ * @body    name, url, events, description, isActive
+ * @access  Private (Admin)
+ */
+router.put('/:id', protect, authorize('admin'), validateUUIDParam('id'), webhookController.updateSubscription);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Deactivate webhook subscription
+ * @access  Private (Admin)
+ */
+router.delete('/:id', protect, authorize('admin'), validateUUIDParam('id'), webhookController.deactivateSubscription);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret (the response holds the new secret)
+ * @access  Private (Admin)
+ */
+router.post('/:id/rotate-secret', protect, authorize('admin'), validateUUIDParam('id'), webhookController.rotateSecret);
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const { supabaseAdmin } = require('../config/supabase');
+const ApprovalChainRepository = require('../repositories/ApprovalChainRepository');
+const UserRepository = require('../repositories/UserRepository');
+
+// Fallback chains used when no stored chain matches a document.
+// These mirror the single-step approval that existed before chains were configurable.
+const DEFAULT_CHAINS = {
+  BAPB: {
+    id: null,
+    name: 'Default BAPB Approval',
+    document_type: 'BAPB',
+    steps: [{ order: 1, name: 'Pemeriksaan Barang', roles: ['pic_gudang', 'approver', 'admin'], userIds: [] }]
+  },
+  BAPP: {
+    id: null,
+    name: 'Default BAPP Approval',
+    document_type: 'BAPP',
+    steps: [{ order: 1, name: 'Pemeriksaan Pekerjaan', roles: ['approver', 'admin'], userIds: [] }]
+  }
+};
+
+class ApprovalChainService {
+  /**
+   * Normalize and sort chain steps by order
+   */
+  normalizeSteps(steps = []) {
+    return steps
+      .map((step, index) => ({
+        order: parseInt(step.order, 10) || index + 1,
+        name: step.name || `Step ${index + 1}`,
+        roles: Array.isArray(step.roles) ? step.roles : [],
+        userIds: Array.isArray(step.userIds) ? step.userIds : []
+      }))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Validate chain definition, returns list of error messages
+   */
+  validateChainDefinition(chainData) {
+    const errors = [];
+
+    if (!chainData.name || chainData.name.trim().length === 0) {
+      errors.push('Chain name is required');
+    }
+
+    if (!['BAPB', 'BAPP'].includes(chainData.documentType)) {
+      errors.push('Document type must be BAPB or BAPP');
+    }
+
+    if (!Array.isArray(chainData.steps) || chainData.steps.length === 0) {
+      errors.push('At least one approval step is required');
+    } else {
+      chainData.steps.forEach((step, index) => {
+        const hasRoles = Array.isArray(step.roles) && step.roles.length > 0;
+        const hasUsers = Array.isArray(step.userIds) && step.userIds.length > 0;
+        if (!hasRoles && !hasUsers) {
+          errors.push(`Step ${index + 1}: roles or userIds is required`);
+        }
+      });
+    }
+
+    if (
+      chainData.minValue !== undefined && chainData.minValue !== null &&
+      chainData.maxValue !== undefined && chainData.maxValue !== null &&
+      Number(chainData.maxValue) < Number(chainData.minValue)
+    ) {
+      errors.push('Max value must be greater than or equal to min value');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check whether a stored chain applies to a document
+   */
+  matchesDocument(chain, document, vendorRole) {
+    const value = document.total_value !== null && document.total_value !== undefined
+      ? Number(document.total_value)
+      : null;
+
+    if (chain.min_value !== null && chain.min_value !== undefined) {
+      if (value === null || value < Number(chain.min_value)) return false;
+    }
+
+    if (chain.max_value !== null && chain.max_value !== undefined) {
+      if (value === null || value > Number(chain.max_value)) return false;
+    }
+
+    if (Array.isArray(chain.vendor_roles) && chain.vendor_roles.length > 0) {
+      if (!vendorRole || !chain.vendor_roles.includes(vendorRole)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolve which chain should be used for a document
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - BAPB/BAPP row
+   * @returns {object} chain with normalized steps
+   */
+  async resolveChain(documentType, document) {
+    const chains = await ApprovalChainRepository.findActiveByDocumentType(documentType);
+
+    let vendorRole = document.vendor?.role;
+    if (!vendorRole && document.vendor_id) {
+      const vendor = await UserRepository.findById(document.vendor_id);
+      vendorRole = vendor?.role;
+    }
+
+    const chain = chains.find(c => this.matchesDocument(c, document, vendorRole)) || DEFAULT_CHAINS[documentType];
+
+    return { ...chain, steps: this.normalizeSteps(chain.steps) };
+  }
+
+  /**
+   * Get the chain assigned to a document, resolving one if none was assigned yet
+   */
+  async getChainForDocument(documentType, document) {
+    if (document.approval_chain_id) {
+      const chain = await ApprovalChainRepository.findById(document.approval_chain_id);
+      if (chain) {
+        return { ...chain, steps: this.normalizeSteps(chain.steps) };
+      }
+    }
+
+    return await this.resolveChain(documentType, document);
+  }
+
+  /**
+   * Get the step a document is currently waiting on
+   */
+  getCurrentStep(chain, document) {
+    const currentOrder = document.current_step || 1;
+    return chain.steps.find(step => step.order >= currentOrder) || chain.steps[chain.steps.length - 1];
+  }
+
+  /**
+   * Get the step following the given one, or null if it is the last step
+   */
+  getNextStep(chain, step) {
+    return chain.steps.find(s => s.order > step.order) || null;
+  }
+
+  /**
+   * Check whether a user may act on a step
+   */
+  canActOnStep(step, user) {
+    if (!step || !user) return false;
+    return step.userIds.includes(user.id) || step.roles.includes(user.role);
+  }
+
+  /**
+   * Get active user IDs that can act on a step
+   */
+  async getStepApproverIds(step) {
+    const ids = new Set(step.userIds);
+
+    if (step.roles.length > 0) {
+      const { data, error } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .in('role', step.roles)
+        .eq('is_active', true);
+
+      if (error) throw error;
+
+      (data || []).forEach(u => ids.add(u.id));
+    }
+
+    return Array.from(ids);
+  }
+
+  /**
+   * Build the chain progress summary attached to API responses
+   */
+  describeProgress(chain, document) {
+    const currentStep = this.getCurrentStep(chain, document);
+    const finished = document.status === 'approved';
+
+    return {
+      chainId: chain.id,
+      chainName: chain.name,
+      totalSteps: chain.steps.length,
+      currentStep: finished ? null : currentStep,
+      steps: chain.steps.map(step => ({
+        ...step,
+        status: finished || step.order < currentStep.order
+          ? 'approved'
+          : step.order === currentStep.order ? 'pending' : 'waiting'
+      }))
+    };
+  }
+}
+
+module.exports = new ApprovalChainService();
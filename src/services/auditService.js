@@ -0,0 +1,114 @@
+const AuditLogRepository = require('../repositories/AuditLogRepository');
+const { getContext } = require('../utils/requestContext');
+const { diffRecords } = require('../utils/diff');
+const { escapeCell } = require('../utils/csv');
+
+// Column values never written to the audit log
+const SENSITIVE_FIELD_PATTERN = /password|token|secret/i;
+
+// Columns maintained by the database that would only add noise to diffs
+const IGNORED_FIELDS = ['updated_at'];
+
+const CSV_COLUMNS = [
+  { header: 'id', value: row => row.id },
+  { header: 'timestamp', value: row => row.created_at },
+  { header: 'entity', value: row => row.entity },
+  { header: 'entity_id', value: row => row.entity_id },
+  { header: 'action', value: row => row.action },
+  { header: 'actor_id', value: row => row.actor_id },
+  { header: 'actor_email', value: row => row.actor_email },
+  { header: 'actor_role', value: row => row.actor_role },
+  { header: 'ip_address', value: row => row.ip_address },
+  { header: 'http_method', value: row => row.http_method },
+  { header: 'route', value: row => row.route },
+  { header: 'changes', value: row => row.changes }
+];
+
+class AuditService {
+  /**
+   * Replace sensitive column values
+   * @param {object} record - Row, or a diff when isDiff is set
+   * @private
+   */
+  _redact(record, isDiff = false) {
+    if (!record) return null;
+
+    const mask = (value) => value === null || value === undefined ? value : '[REDACTED]';
+
+    return Object.fromEntries(
+      Object.entries(record).map(([key, value]) => {
+        if (!SENSITIVE_FIELD_PATTERN.test(key)) return [key, value];
+        return [key, isDiff ? { from: mask(value.from), to: mask(value.to) } : mask(value)];
+      })
+    );
+  }
+
+  /**
+   * Record mutations of one table
+   * Failures are logged and swallowed - the mutation itself has already happened.
+   * @param {string} entity - Table name
+   * @param {string} action - create, update or delete
+   * @param {array} pairs - [[before, after], ...]
+   */
+  async record(entity, action, pairs) {
+    try {
+      const context = getContext() || {};
+      const actor = context.user || null;
+
+      const entries = pairs
+        .map(([before, after]) => {
+          // Diff before redacting so a changed password still shows up as a changed field
+          const changes = this._redact(diffRecords(before, after, { ignore: IGNORED_FIELDS }), true);
+
+          return {
+            entity,
+            entity_id: String(after?.id ?? before?.id ?? '') || null,
+            action,
+            actor_id: actor?.id || null,
+            actor_email: actor?.email || null,
+            actor_role: actor?.role || (context.route ? 'anonymous' : 'system'),
+            ip_address: context.ip || null,
+            http_method: context.method || null,
+            route: context.route || null,
+            user_agent: context.userAgent || null,
+            before_data: this._redact(before),
+            after_data: this._redact(after),
+            changes
+          };
+        })
+        // Updates that did not change anything are not worth an entry
+        .filter(entry => entry.action !== 'update' || Object.keys(entry.changes).length > 0);
+
+      if (entries.length === 0) return;
+
+      await AuditLogRepository.bulkCreate(entries);
+    } catch (error) {
+      console.error(`Error writing audit log (${entity} ${action}):`, error);
+    }
+  }
+
+  /**
+   * Query the audit log
+   */
+  async search(filters = {}, pagination = {}) {
+    return await AuditLogRepository.search(filters, pagination);
+  }
+
+  /**
+   * Stream matching entries as CSV
+   * @param {object} filters
+   * @param {Writable} stream - e.g. express response
+   */
+  async exportCsv(filters, stream) {
+    stream.write(CSV_COLUMNS.map(column => escapeCell(column.header)).join(',') + '\r\n');
+
+    for await (const batch of AuditLogRepository.iterate(filters)) {
+      const lines = batch.map(row => CSV_COLUMNS.map(column => escapeCell(column.value(row))).join(','));
+      stream.write(lines.join('\r\n') + '\r\n');
+    }
+
+    stream.end();
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,155 @@
+const moment = require('moment');
+const { AppError } = require('../utils/errorHandler');
+const { escapeCell } = require('../utils/csv');
+
+// Debit account the transfers are paid from - a file without it would be rejected by the bank
+const getSourceAccount = () => {
+  const missing = ['COMPANY_BANK_CODE', 'COMPANY_BANK_ACCOUNT'].filter(name => !process.env[name]?.trim());
+  if (missing.length > 0) {
+    throw new AppError(`Company bank account is not configured. Set ${missing.join(', ')}.`, 500);
+  }
+
+  return {
+    bankCode: process.env.COMPANY_BANK_CODE.trim(),
+    accountNumber: process.env.COMPANY_BANK_ACCOUNT.trim(),
+    name: process.env.COMPANY_NAME || 'BA Digital System'
+  };
+};
+
+// Bank upload tools reject anything beyond plain ASCII in names and remarks
+const sanitize = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[^A-Za-z0-9 .,\-/]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toUpperCase();
+
+const alpha = (value, width) => sanitize(value).slice(0, width).padEnd(width, ' ');
+
+// Digits only, zero-padded; a value that does not fit is an error rather than a cut-off number
+const numeric = (value, width, field) => {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  if (digits.length > width) {
+    throw new AppError(`${field} '${value}' does not fit the ${width}-digit field of the bank file`, 422);
+  }
+  return digits.padStart(width, '0');
+};
+
+// Amount in cents without separator
+const cents = (amount, width, field) => {
+  const value = Math.round(parseFloat(amount) * 100);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new AppError(`${field} '${amount}' is not a valid amount for the bank file`, 422);
+  }
+  return numeric(value, width, field);
+};
+
+/**
+ * Generic CSV - one transfer per row, with a header row
+ */
+const buildCsv = (batch, items) => {
+  const rows = [[
+    'no', 'value_date', 'beneficiary_bank_code', 'beneficiary_bank_name', 'beneficiary_account',
+    'beneficiary_name', 'amount', 'currency', 'reference', 'remark'
+  ]];
+
+  items.forEach((item, index) => rows.push([
+    index + 1,
+    batch.payment_date,
+    item.beneficiary.bankCode,
+    item.beneficiary.bankName,
+    item.beneficiary.accountNumber,
+    item.beneficiary.accountName,
+    parseFloat(item.amount).toFixed(2),
+    'IDR',
+    item.reference,
+    sanitize(`${item.documentNumber}`)
+  ]));
+
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Fixed-width bulk transfer file - 150-character records, CRLF line ends
+ *
+ * Header  H | batch number 20 | value date YYYYMMDD 8 | debit bank code 10 | debit account 20 |
+ *           company name 40 | item count 6 | total in cents 18 | filler
+ * Detail  D | sequence 6 | bank code 10 | account number 20 | account name 40 | amount in cents 18 |
+ *           currency 3 | reference 30 | remark 21 | filler
+ * Trailer T | item count 6 | total in cents 18 | filler
+ *
+ * Text fields are upper-case, left-aligned and space-padded; numbers are zero-padded.
+ */
+const RECORD_LENGTH = 150;
+
+const buildFixedWidth = (batch, items) => {
+  const source = getSourceAccount();
+  const total = items.reduce((sum, item) => sum + parseFloat(item.amount), 0);
+  const record = (fields) => fields.join('').padEnd(RECORD_LENGTH, ' ').slice(0, RECORD_LENGTH);
+
+  const lines = [
+    record([
+      'H',
+      alpha(batch.batch_number, 20),
+      moment(batch.payment_date).format('YYYYMMDD'),
+      alpha(source.bankCode, 10),
+      numeric(source.accountNumber, 20, 'Company account number'),
+      alpha(source.name, 40),
+      numeric(items.length, 6, 'Item count'),
+      cents(total, 18, 'Batch total')
+    ]),
+    ...items.map((item, index) => record([
+      'D',
+      numeric(index + 1, 6, 'Sequence'),
+      alpha(item.beneficiary.bankCode, 10),
+      numeric(item.beneficiary.accountNumber, 20, `Account number of ${item.documentNumber}`),
+      alpha(item.beneficiary.accountName, 40),
+      cents(item.amount, 18, `Amount of ${item.documentNumber}`),
+      'IDR',
+      alpha(item.reference, 30),
+      alpha(item.documentNumber, 21)
+    ])),
+    record([
+      'T',
+      numeric(items.length, 6, 'Item count'),
+      cents(total, 18, 'Batch total')
+    ])
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+const FORMATS = {
+  csv: { build: buildCsv, extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  fixed_width: { build: buildFixedWidth, extension: 'txt', contentType: 'text/plain; charset=us-ascii' }
+};
+
+class BankFileService {
+  constructor() {
+    this.FORMATS = Object.keys(FORMATS);
+  }
+
+  /**
+   * Build a bulk-transfer file for a batch
+   * @param {string} format - 'csv' or 'fixed_width'
+   * @param {object} batch - payment_batches row
+   * @param {array} items - { amount, reference, documentNumber, beneficiary: { bankCode, bankName, accountNumber, accountName } }
+   * @returns {object} { fileName, contentType, content }
+   * @throws {AppError} 400 on unknown format, 422 when a number does not fit its field,
+   *                   500 when the company bank account is not configured
+   */
+  build(format, batch, items) {
+    const definition = FORMATS[format];
+    if (!definition) {
+      throw new AppError(`Unknown export format. Must be one of: ${this.FORMATS.join(', ')}`, 400);
+    }
+
+    return {
+      fileName: `${batch.batch_number.replace(/\//g, '-')}.${definition.extension}`,
+      contentType: definition.contentType,
+      content: definition.build(batch, items)
+    };
+  }
+}
+
+module.exports = new BankFileService();
@@ -0,0 +1,44 @@
+/**
+ * Bank account inquiry adapter interface
+ * Looks up who holds an account before money is sent to it. Every provider returns the same shape:
+ *   {
+ *     status: 'found' | 'not_found' | 'failed',
+ *     accountName,          // holder name as registered at the bank (found only)
+ *     reference,            // provider inquiry id
+ *     errorCode, errorMessage,
+ *     provider,             // provider name
+ *     raw                   // provider response as received
+ *   }
+ */
+class BankInquiry {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Look up the holder of an account
+   * @param {object} account - { bankCode, accountNumber }
+   * @returns {object} normalized result
+   */
+  async inquire(account) {
+    throw new Error(`${this.name} bank inquiry does not implement inquire`);
+  }
+
+  /**
+   * Build a normalized result
+   * @protected
+   */
+  _result(fields) {
+    return {
+      status: fields.status,
+      accountName: fields.accountName || null,
+      reference: fields.reference || null,
+      errorCode: fields.errorCode || null,
+      errorMessage: fields.errorMessage || null,
+      provider: this.name,
+      raw: fields.raw || null
+    };
+  }
+}
+
+module.exports = BankInquiry;
@@ -0,0 +1,75 @@
+const BankInquiry = require('./BankInquiry');
+
+/**
+ * Inquiry speaking the JSON API of the bundled mock gateway (src/mock/paymentGatewayServer.js)
+ *   POST /v1/account-inquiries   { bank_code, account_number } -> { id, bank_code, account_number, account_name }
+ * 404 means the bank does not know the account.
+ */
+class HttpBankInquiry extends BankInquiry {
+  /**
+   * @param {object} options - { baseUrl, apiKey, timeoutMs }
+   */
+  constructor({ baseUrl, apiKey = null, timeoutMs = 10000 }) {
+    super('http');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async inquire({ bankCode, accountNumber }) {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    let response;
+    let body = null;
+    try {
+      response = await fetch(`${this.baseUrl}/v1/account-inquiries`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ bank_code: bankCode, account_number: accountNumber }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      const text = await response.text();
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch (error) {
+        body = null;
+      }
+    } catch (error) {
+      return this._result({
+        status: 'failed',
+        errorCode: error.name === 'TimeoutError' ? 'INQUIRY_TIMEOUT' : 'INQUIRY_UNREACHABLE',
+        errorMessage: error.message
+      });
+    }
+
+    if (response.status === 404) {
+      return this._result({
+        status: 'not_found',
+        reference: body?.id,
+        errorCode: body?.error?.code || 'ACCOUNT_NOT_FOUND',
+        errorMessage: body?.error?.message || 'Account not found at the bank',
+        raw: body
+      });
+    }
+
+    if (!response.ok || !body?.account_name) {
+      return this._result({
+        status: 'failed',
+        errorCode: body?.error?.code || 'INQUIRY_ERROR',
+        errorMessage: body?.error?.message || `Inquiry responded with HTTP ${response.status}`,
+        raw: body
+      });
+    }
+
+    return this._result({
+      status: 'found',
+      accountName: body.account_name,
+      reference: body.id,
+      raw: body
+    });
+  }
+}
+
+module.exports = HttpBankInquiry;
@@ -0,0 +1,42 @@
+const HttpBankInquiry = require('./HttpBankInquiry');
+
+const DEFAULT_PROVIDER = () => process.env.BANK_INQUIRY_PROVIDER || 'http';
+
+// BANK_INQUIRY_PROVIDER -> adapter factory. Add real banks here.
+const PROVIDERS = {
+  http: () => new HttpBankInquiry({
+    baseUrl: process.env.BANK_INQUIRY_URL || process.env.PAYMENT_GATEWAY_URL || `http://localhost:${process.env.MOCK_GATEWAY_PORT || 4010}`,
+    apiKey: process.env.BANK_INQUIRY_API_KEY || process.env.PAYMENT_GATEWAY_API_KEY || null,
+    timeoutMs: parseInt(process.env.BANK_INQUIRY_TIMEOUT_MS, 10) || 10000
+  })
+};
+
+const adapters = {};
+
+/**
+ * Get the bank inquiry adapter
+ * @param {string} provider - Defaults to BANK_INQUIRY_PROVIDER
+ * @returns {BankInquiry}
+ */
+const getBankInquiry = (provider = DEFAULT_PROVIDER()) => {
+  if (adapters[provider]) return adapters[provider];
+
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, provider)) {
+    throw new Error(`Unknown bank inquiry provider "${provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  adapters[provider] = PROVIDERS[provider]();
+  return adapters[provider];
+};
+
+/**
+ * Replace the adapter of a provider (e.g. with an in-memory one when testing)
+ */
+const setBankInquiry = (adapter, provider = DEFAULT_PROVIDER()) => {
+  adapters[provider] = adapter;
+};
+
+module.exports = {
+  getBankInquiry,
+  setBankInquiry
+};
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const BankStatementRepository = require('../repositories/BankStatementRepository');
+const PaymentLogRepository = require('../repositories/PaymentLogRepository');
+const bankStatementParser = require('./bankStatementParser');
+const { AppError } = require('../utils/errorHandler');
+
+// A statement line may be booked this many days before/after the payment was recorded
+const MATCH_WINDOW_DAYS = 3;
+
+// Largest statement accepted, in lines
+const MAX_STATEMENT_LINES = 5000;
+
+const sameAmount = (a, b) => Math.abs(parseFloat(a) - parseFloat(b)) < 0.01;
+
+const daysApart = (date, timestamp) =>
+  Math.abs(moment(date, 'YYYY-MM-DD').diff(moment(moment(timestamp).format('YYYY-MM-DD'), 'YYYY-MM-DD'), 'days'));
+
+// Date the money should have left: settlement if known, otherwise when it was sent
+const paymentDate = (log) => log.settled_at || log.processed_at;
+
+class BankReconciliationService {
+  /**
+   * Map a statement line to the API shape
+   * @private
+   */
+  _toLine(line) {
+    return {
+      id: line.id,
+      statementId: line.statement_id,
+      lineNumber: line.line_number,
+      valueDate: line.value_date,
+      amount: parseFloat(line.amount),
+      direction: line.direction,
+      reference: line.reference,
+      description: line.description,
+      paymentId: line.payment_log_id,
+      matchType: line.match_type,
+      matchedBy: line.matched_by,
+      matchedAt: line.matched_at
+    };
+  }
+
+  /**
+   * Map a payment to the short shape used in reconciliation results
+   * @private
+   */
+  _toPayment(log) {
+    return {
+      id: log.id,
+      documentType: log.document_type,
+      documentNumber: log.document_number,
+      vendorId: log.vendor_id,
+      amount: parseFloat(log.amount),
+      status: log.status,
+      gatewayReference: log.gateway_reference,
+      transactionId: log.transaction_id,
+      processedAt: log.processed_at,
+      settledAt: log.settled_at
+    };
+  }
+
+  /**
+   * Find the payment a debit line pays, if it can be told apart from the others
+   * Amount must be equal. A line naming the payment's reference or transaction ID matches it directly;
+   * otherwise the line matches when exactly one payment of that amount falls within the date window.
+   * @private
+   * @param {object} line - bank_statement_lines row
+   * @param {array} candidates - Unmatched payments
+   * @returns {object|null}
+   */
+  _findMatch(line, candidates) {
+    const sameAmountCandidates = candidates.filter(log => sameAmount(log.amount, line.amount));
+    const text = `${line.reference || ''} ${line.description || ''}`.toUpperCase();
+
+    const byReference = sameAmountCandidates.filter(log =>
+      [log.gateway_reference, log.transaction_id]
+        .filter(reference => reference && reference.length >= 6)
+        .some(reference => text.includes(reference.toUpperCase())));
+
+    if (byReference.length === 1) return byReference[0];
+    if (byReference.length > 1) return null;
+
+    const byDate = sameAmountCandidates.filter(log => daysApart(line.value_date, paymentDate(log)) <= MATCH_WINDOW_DAYS);
+    return byDate.length === 1 ? byDate[0] : null;
+  }
+
+  /**
+   * Try to match the unmatched debit lines of a statement to payments
+   * @param {string} statementId
+   * @returns {object} { matched, unmatched }
+   */
+  async autoMatch(statementId) {
+    const lines = (await BankStatementRepository.findLines(statementId))
+      .filter(line => line.direction === 'debit' && !line.payment_log_id);
+
+    if (lines.length === 0) return { matched: 0, unmatched: 0 };
+
+    const dates = lines.map(line => line.value_date).sort();
+    const payments = await PaymentLogRepository.findReconcilable({
+      from: moment(dates[0]).subtract(MATCH_WINDOW_DAYS, 'days').format('YYYY-MM-DD'),
+      to: moment(dates[dates.length - 1]).add(MATCH_WINDOW_DAYS, 'days').format('YYYY-MM-DD')
+    });
+
+    const taken = new Set((await BankStatementRepository.findLinesByPayments(payments.map(log => log.id)))
+      .map(line => line.payment_log_id));
+    let candidates = payments.filter(log => !taken.has(log.id));
+
+    let matched = 0;
+    for (const line of lines) {
+      const payment = this._findMatch(line, candidates);
+      if (!payment) continue;
+
+      try {
+        const updated = await BankStatementRepository.matchLine(line.id, {
+          payment_log_id: payment.id,
+          match_type: 'auto',
+          matched_at: new Date().toISOString()
+        });
+
+        if (updated) {
+          matched += 1;
+          candidates = candidates.filter(log => log.id !== payment.id);
+        }
+      } catch (error) {
+        // Payment matched by a parallel import or a manual match - leave the line for later
+        if (error.code !== '23505') throw error;
+        candidates = candidates.filter(log => log.id !== payment.id);
+      }
+    }
+
+    return { matched, unmatched: lines.length - matched };
+  }
+
+  /**
+   * Import a bank statement file and auto-match its debit lines
+   * @param {object} file - { fileName, content: Buffer, format: 'csv' | 'mt940' (detected when omitted), accountNumber }
+   * @param {object} user - Finance user uploading the statement
+   * @returns {object} { statement, matched, unmatched }
+   * @throws {AppError} 400 unreadable file, 409 already imported
+   */
+  async importStatement(file, user) {
+    const text = file.content.toString('utf8').replace(/^\uFEFF/, '');
+    const format = file.format || bankStatementParser.detectFormat(file.fileName, text);
+    const parsed = bankStatementParser.parse(format, text);
+
+    if (parsed.lines.length > MAX_STATEMENT_LINES) {
+      throw new AppError(`A statement can have at most ${MAX_STATEMENT_LINES} lines - split the file`, 400);
+    }
+
+    const fileHash = crypto.createHash('sha256').update(file.content).digest('hex');
+    const existing = await BankStatementRepository.findByHash(fileHash);
+    if (existing) {
+      throw new AppError(`This statement was already imported on ${moment(existing.created_at).format('YYYY-MM-DD HH:mm')}`, 409);
+    }
+
+    let statement;
+    try {
+      statement = await BankStatementRepository.create({
+        format,
+        file_name: file.fileName,
+        file_hash: fileHash,
+        account_number: parsed.accountNumber || file.accountNumber || null,
+        statement_reference: parsed.statementReference,
+        currency: parsed.currency,
+        period_start: parsed.periodStart,
+        period_end: parsed.periodEnd,
+        opening_balance: parsed.openingBalance,
+        closing_balance: parsed.closingBalance,
+        line_count: parsed.lines.length,
+        uploaded_by: user.id
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new AppError('This statement was already imported', 409);
+      }
+      throw error;
+    }
+
+    await BankStatementRepository.lines.bulkCreate(parsed.lines.map(line => ({
+      statement_id: statement.id,
+      line_number: line.lineNumber,
+      value_date: line.valueDate,
+      amount: line.amount,
+      direction: line.direction,
+      reference: line.reference ? line.reference.slice(0, 100) : null,
+      description: line.description
+    })));
+
+    const result = await this.autoMatch(statement.id);
+
+    return { statement, ...result };
+  }
+
+  /**
+   * List imported statements, newest first
+   */
+  async getStatements({ page = 1, limit = 10 } = {}) {
+    const result = await BankStatementRepository.findAll({}, {
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    return {
+      data: result.data,
+      pagination: {
+        total: result.count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(result.count / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a statement with its lines
+   * @throws {AppError} 404 unknown statement
+   */
+  async getStatement(statementId) {
+    const statement = await BankStatementRepository.findById(statementId);
+    if (!statement) {
+      throw new AppError('Bank statement not found', 404);
+    }
+
+    const lines = await BankStatementRepository.findLines(statement.id);
+
+    return { ...statement, lines: lines.map(line => this._toLine(line)) };
+  }
+
+  /**
+   * Match a statement line to a payment by hand
+   * @param {string} lineId
+   * @param {string} paymentId
+   * @param {object} user - Finance user
+   * @returns {object} matched line
+   * @throws {AppError} 404 unknown line/payment, 409 line or payment already matched, 400 not a payment
+   */
+  async matchLine(lineId, paymentId, user) {
+    const line = await BankStatementRepository.lines.findById(lineId);
+    if (!line) {
+      throw new AppError('Statement line not found', 404);
+    }
+
+    if (line.direction !== 'debit') {
+      throw new AppError('Only debit lines can be matched to payments', 400);
+    }
+
+    if (line.payment_log_id) {
+      throw new AppError('Statement line is already matched - unmatch it first', 409);
+    }
+
+    const payment = await PaymentLogRepository.findById(paymentId);
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    if (['failed', 'reversed'].includes(payment.status)) {
+      throw new AppError(`Cannot match a ${payment.status} payment`, 400);
+    }
+
+    let updated;
+    try {
+      updated = await BankStatementRepository.matchLine(line.id, {
+        payment_log_id: payment.id,
+        match_type: 'manual',
+        matched_by: user.id,
+        matched_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new AppError('Payment is already matched to another statement line', 409);
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      throw new AppError('Statement line was matched in the meantime', 409);
+    }
+
+    return this._toLine(updated);
+  }
+
+  /**
+   * Remove the match of a statement line
+   * @throws {AppError} 404 unknown line, 409 line not matched
+   */
+  async unmatchLine(lineId) {
+    const line = await BankStatementRepository.lines.findById(lineId);
+    if (!line) {
+      throw new AppError('Statement line not found', 404);
+    }
+
+    if (!line.payment_log_id) {
+      throw new AppError('Statement line is not matched', 409);
+    }
+
+    const updated = await BankStatementRepository.lines.update(line.id, {
+      payment_log_id: null,
+      match_type: null,
+      matched_by: null,
+      matched_at: null
+    });
+
+    return this._toLine(updated);
+  }
+
+  /**
+   * Reconciliation report for a date range
+   * - matched: statement lines with their payment; flagged when the payment is not settled in our records
+   * - unmatchedLines: debits on the statement that no payment explains
+   * - unmatchedPayments: payments sent in the range and recorded as settled that no statement line confirms
+   * @param {object} range - { from, to } as YYYY-MM-DD
+   */
+  async getReport({ from, to }) {
+    const lines = await BankStatementRepository.findLinesBetween({ from, to });
+    const settledInRange = (await PaymentLogRepository.findReconcilable({ from, to }))
+      .filter(log => log.status === 'settled');
+
+    const matchedLines = lines.filter(line => line.payment_log_id);
+    const matchedPaymentIds = matchedLines.map(line => line.payment_log_id);
+
+    // Matched payments may fall outside the range, and settled payments may be matched to lines outside it
+    const [linkedPayments, linesOfSettled] = await Promise.all([
+      Promise.all(matchedPaymentIds.map(id => PaymentLogRepository.findById(id))),
+      BankStatementRepository.findLinesByPayments(settledInRange.map(log => log.id))
+    ]);
+    const paymentsById = new Map(linkedPayments.filter(Boolean).map(log => [log.id, log]));
+    const confirmed = new Set(linesOfSettled.map(line => line.payment_log_id));
+
+    const matched = matchedLines.map(line => {
+      const payment = paymentsById.get(line.payment_log_id);
+      const issues = [];
+
+      if (!payment) issues.push('Payment no longer exists');
+      else {
+        if (payment.status !== 'settled') issues.push(`Payment is ${payment.status} in our records`);
+        if (!sameAmount(payment.amount, line.amount)) issues.push(`Amount differs from the payment (${parseFloat(payment.amount)})`);
+      }
+
+      return { line: this._toLine(line), payment: payment ? this._toPayment(payment) : null, issues };
+    });
+
+    const unmatchedLines = lines.filter(line => line.direction === 'debit' && !line.payment_log_id);
+    const unmatchedPayments = settledInRange.filter(log => !confirmed.has(log.id));
+    const sum = (list, field) => Math.round(list.reduce((total, row) => total + parseFloat(row[field]), 0) * 100) / 100;
+
+    return {
+      period: { from, to },
+      summary: {
+        debitLines: lines.filter(line => line.direction === 'debit').length,
+        matched: matched.length,
+        matchedWithIssues: matched.filter(item => item.issues.length > 0).length,
+        unmatchedLines: unmatchedLines.length,
+        unmatchedLinesAmount: sum(unmatchedLines, 'amount'),
+        settledPayments: settledInRange.length,
+        unmatchedPayments: unmatchedPayments.length,
+        unmatchedPaymentsAmount: sum(unmatchedPayments, 'amount')
+      },
+      matched,
+      unmatchedLines: unmatchedLines.map(line => this._toLine(line)),
+      unmatchedPayments: unmatchedPayments.map(log => this._toPayment(log))
+    };
+  }
+}
+
+module.exports = new BankReconciliationService();
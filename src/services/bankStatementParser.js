@@ -0,0 +1,323 @@
+const moment = require('moment');
+const { AppError } = require('../utils/errorHandler');
+
+const FORMATS = ['csv', 'mt940'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse an amount written as 1,090,000.50 / 1.090.000,50 / 1090000,50 / -500000
+ * The last separator followed by one or two digits is the decimal separator.
+ * @returns {number|null}
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).replace(/[^\d.,-]/g, '');
+  if (text === '' || text === '-') return null;
+
+  const decimal = text.match(/[.,](\d{1,2})$/);
+  if (decimal) {
+    text = `${text.slice(0, -decimal[0].length).replace(/[.,]/g, '')}.${decimal[1]}`;
+  } else {
+    text = text.replace(/[.,]/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : round2(amount);
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD/MM/YY', 'YYYYMMDD'];
+
+const parseDate = (value) => {
+  const date = moment(String(value || '').trim(), DATE_FORMATS, true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+};
+
+// Split one CSV record, honouring quoted cells
+const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Accepted header names per field, lower case
+const CSV_COLUMNS = {
+  date: ['date', 'value_date', 'value date', 'tanggal', 'tgl'],
+  description: ['description', 'keterangan', 'remark', 'narrative'],
+  reference: ['reference', 'ref', 'no_ref', 'no. ref', 'transaction_id'],
+  debit: ['debit', 'debet', 'db'],
+  credit: ['credit', 'kredit', 'cr'],
+  amount: ['amount', 'jumlah', 'mutasi'],
+  type: ['type', 'dc', 'd/c', 'db/cr']
+};
+
+/**
+ * CSV statement with a header row: date plus either debit/credit columns or a signed amount
+ * (or an amount with a DB/CR type column). ';' is accepted as delimiter.
+ */
+const parseCsv = (text) => {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (rows.length < 2) {
+    throw new AppError('CSV statement needs a header row and at least one transaction', 400);
+  }
+
+  const delimiter = rows[0].split(';').length > rows[0].split(',').length ? ';' : ',';
+  const header = splitCsvLine(rows[0], delimiter).map(name => name.toLowerCase());
+  const column = (field) => header.findIndex(name => CSV_COLUMNS[field].includes(name));
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(field => [field, column(field)]));
+
+  if (columns.date < 0 || (columns.amount < 0 && columns.debit < 0 && columns.credit < 0)) {
+    throw new AppError('CSV statement needs a date column and debit/credit or amount columns', 400);
+  }
+
+  const errors = [];
+  const lines = [];
+
+  rows.slice(1).forEach((row, index) => {
+    const cells = splitCsvLine(row, delimiter);
+    const cell = (field) => (columns[field] >= 0 ? cells[columns[field]] : undefined);
+    const rowNumber = index + 2;
+
+    const valueDate = parseDate(cell('date'));
+    if (!valueDate) {
+      errors.push(`Row ${rowNumber}: invalid date "${cell('date') ?? ''}"`);
+      return;
+    }
+
+    let amount;
+    let direction;
+    const debit = parseAmount(cell('debit'));
+    const credit = parseAmount(cell('credit'));
+
+    if (debit) {
+      amount = Math.abs(debit);
+      direction = 'debit';
+    } else if (credit) {
+      amount = Math.abs(credit);
+      direction = 'credit';
+    } else {
+      const signed = parseAmount(cell('amount'));
+      if (signed === null) {
+        errors.push(`Row ${rowNumber}: no amount`);
+        return;
+      }
+
+      const type = String(cell('type') || '').trim().toUpperCase();
+      amount = Math.abs(signed);
+      direction = ['D', 'DB', 'DEBIT', 'DEBET'].includes(type) || (!type && signed < 0) ? 'debit' : 'credit';
+    }
+
+    lines.push({
+      lineNumber: lines.length + 1,
+      valueDate,
+      amount,
+      direction,
+      reference: cell('reference') || null,
+      description: cell('description') || null
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new AppError(`Invalid CSV statement: ${errors.slice(0, 10).join('; ')}`, 400);
+  }
+
+  const dates = lines.map(line => line.valueDate).sort();
+
+  return {
+    accountNumber: null,
+    statementReference: null,
+    currency: 'IDR',
+    periodStart: dates[0] || null,
+    periodEnd: dates[dates.length - 1] || null,
+    openingBalance: null,
+    closingBalance: null,
+    lines
+  };
+};
+
+// :61: value date, optional entry date, mark (D/C/RD/RC), optional funds code, amount, type, references
+const MT940_LINE = /^(\d{6})(\d{4})?(R?[DC])([A-Z])?(\d+,\d{0,2})([A-Z][A-Z0-9]{3})(.*?)(?:\/\/(.*))?$/;
+// :60F: / :62F: - mark, date, currency, amount
+const MT940_BALANCE = /^([DC])(\d{6})([A-Z]{3})(\d+,\d{0,2})$/;
+
+const mtDate = (yymmdd) => moment(yymmdd, 'YYMMDD', true).format('YYYY-MM-DD');
+const mtAmount = (value) => round2(parseFloat(value.replace(',', '.')));
+const mtBalance = (value) => {
+  const match = value.match(MT940_BALANCE);
+  if (!match) return null;
+  return { date: mtDate(match[2]), currency: match[3], amount: (match[1] === 'D' ? -1 : 1) * mtAmount(match[4]) };
+};
+
+/**
+ * SWIFT MT940 customer statement
+ * Tags are collected with their continuation lines; :86: adds details to the :61: before it.
+ */
+const parseMt940 = (text) => {
+  const fields = [];
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trimEnd();
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2] });
+    } else if (fields.length > 0 && line !== '' && line !== '-' && !line.startsWith('{') && !line.startsWith('-}')) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+
+  if (!fields.some(field => field.tag === '61') && !fields.some(field => field.tag === '60F')) {
+    throw new AppError('Not an MT940 statement: no :60F: or :61: fields', 400);
+  }
+
+  const statement = {
+    accountNumber: null,
+    statementReference: null,
+    currency: 'IDR',
+    periodStart: null,
+    periodEnd: null,
+    openingBalance: null,
+    closingBalance: null,
+    lines: []
+  };
+  const errors = [];
+
+  fields.forEach(({ tag, value }) => {
+    switch (tag) {
+      case '20':
+        statement.statementReference = value.trim();
+        break;
+      case '25':
+        statement.accountNumber = value.trim().split('/').pop();
+        break;
+      case '28C':
+        statement.statementReference = [statement.statementReference, value.trim()].filter(Boolean).join('/');
+        break;
+      case '60F':
+      case '60M': {
+        const balance = mtBalance(value.trim());
+        if (balance && statement.openingBalance === null) {
+          statement.openingBalance = balance.amount;
+          statement.currency = balance.currency;
+          statement.periodStart = balance.date;
+        }
+        break;
+      }
+      case '62F':
+      case '62M': {
+        const balance = mtBalance(value.trim());
+        if (balance) {
+          statement.closingBalance = balance.amount;
+          statement.periodEnd = balance.date;
+        }
+        break;
+      }
+      case '61': {
+        const [first, ...supplementary] = value.split('\n');
+        const match = first.trim().match(MT940_LINE);
+        if (!match) {
+          errors.push(`Invalid :61: line "${first.trim()}"`);
+          break;
+        }
+
+        // RD reverses a debit (money back in), RC reverses a credit
+        const mark = match[3];
+        const customerReference = match[7].trim();
+        statement.lines.push({
+          lineNumber: statement.lines.length + 1,
+          valueDate: mtDate(match[1]),
+          amount: mtAmount(match[5]),
+          direction: mark === 'D' || mark === 'RC' ? 'debit' : 'credit',
+          reference: customerReference && customerReference !== 'NONREF' ? customerReference : (match[8] || '').trim() || null,
+          description: supplementary.join(' ').trim() || null
+        });
+        break;
+      }
+      case '86': {
+        const last = statement.lines[statement.lines.length - 1];
+        if (last) {
+          last.description = [last.description, value.replace(/\n/g, ' ').trim()].filter(Boolean).join(' ');
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new AppError(`Invalid MT940 statement: ${errors.slice(0, 10).join('; ')}`, 400);
+  }
+
+  const dates = statement.lines.map(line => line.valueDate).sort();
+  statement.periodStart = statement.periodStart || dates[0] || null;
+  statement.periodEnd = statement.periodEnd || dates[dates.length - 1] || null;
+
+  return statement;
+};
+
+class BankStatementParser {
+  constructor() {
+    this.FORMATS = FORMATS;
+  }
+
+  /**
+   * Guess the format from the file name, falling back to the content
+   */
+  detectFormat(fileName, text) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    if (extension === 'csv') return 'csv';
+    if (['sta', 'mt940', '940'].includes(extension)) return 'mt940';
+    return /^:20:/m.test(text) && /^:61:/m.test(text) ? 'mt940' : 'csv';
+  }
+
+  /**
+   * Parse a statement file
+   * @param {string} format - 'csv' or 'mt940'
+   * @param {string} text - File content
+   * @returns {object} { accountNumber, statementReference, currency, periodStart, periodEnd,
+   *                     openingBalance, closingBalance, lines: [{ lineNumber, valueDate, amount, direction,
+   *                     reference, description }] }
+   * @throws {AppError} 400 on unknown format or unreadable content
+   */
+  parse(format, text) {
+    if (!FORMATS.includes(format)) {
+      throw new AppError(`Unknown statement format. Must be one of: ${FORMATS.join(', ')}`, 400);
+    }
+
+    const statement = format === 'csv' ? parseCsv(text) : parseMt940(text);
+
+    if (statement.lines.length === 0) {
+      throw new AppError('Statement has no transactions', 400);
+    }
+
+    return statement;
+  }
+}
+
+module.exports = new BankStatementParser();
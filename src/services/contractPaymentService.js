@@ -0,0 +1,329 @@
+const ContractRepository = require('../repositories/ContractRepository');
+const PaymentLogRepository = require('../repositories/PaymentLogRepository');
+const { AppError } = require('../utils/errorHandler');
+
+// Payments that count as claimed - failed and reversed attempts do not
+const LIVE_STATUSES = ['initiated', 'pending', 'settled'];
+const IN_FLIGHT_STATUSES = ['initiated', 'pending'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class ContractPaymentService {
+  /**
+   * Get a contract or fail
+   * @private
+   */
+  async _getContract(contractId) {
+    const contract = await ContractRepository.findById(contractId);
+    if (!contract) {
+      throw new AppError('Contract not found', 404);
+    }
+    return contract;
+  }
+
+  /**
+   * Date from which retention can be released: contract end date plus the maintenance period
+   * @private
+   */
+  _maintenanceEndDate(contract) {
+    const date = new Date(contract.end_date);
+    date.setDate(date.getDate() + (contract.maintenance_period_days || 0));
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Map schedule rows to the API shape
+   * @private
+   */
+  _toSchedule(contract, terms) {
+    return {
+      contractId: contract.id,
+      contractNumber: contract.contract_number,
+      contractValue: parseFloat(contract.contract_value),
+      retentionPercent: parseFloat(contract.retention_percent || 0),
+      maintenancePeriodDays: contract.maintenance_period_days || 0,
+      maintenanceEndDate: this._maintenanceEndDate(contract),
+      terms: terms.map(term => ({
+        termNumber: term.term_number,
+        name: term.name,
+        progressPercent: parseFloat(term.progress_percent)
+      }))
+    };
+  }
+
+  /**
+   * Get the payment schedule and retention terms of a contract
+   */
+  async getSchedule(contractId) {
+    const contract = await this._getContract(contractId);
+    return this._toSchedule(contract, await ContractRepository.findPaymentTerms(contractId));
+  }
+
+  /**
+   * Validate a schedule update, returns list of error messages
+   * Terms must have increasing progress and the last one must reach 100%, so the whole contract can be paid.
+   */
+  validateSchedule(body) {
+    const errors = [];
+
+    if (body.retentionPercent !== undefined) {
+      const value = parseFloat(body.retentionPercent);
+      if (isNaN(value) || value < 0 || value >= 100) errors.push('retentionPercent must be between 0 and 100');
+    }
+
+    if (body.maintenancePeriodDays !== undefined) {
+      const value = Number(body.maintenancePeriodDays);
+      if (!Number.isInteger(value) || value < 0) errors.push('maintenancePeriodDays must be a whole number of 0 or more');
+    }
+
+    if (body.terms !== undefined) {
+      if (!Array.isArray(body.terms)) {
+        errors.push('terms must be an array');
+      } else if (body.terms.length > 0) {
+        let previous = 0;
+        body.terms.forEach((term, index) => {
+          const progress = parseFloat(term.progressPercent);
+          if (isNaN(progress) || progress <= previous || progress > 100) {
+            errors.push(`Term ${index + 1}: progressPercent must be above ${previous} and at most 100`);
+          } else {
+            previous = progress;
+          }
+        });
+
+        if (previous !== 100) errors.push('The last term must be at 100% progress');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Update retention terms and/or replace the payment schedule
+   * Changes apply to termins paid from now on; what was paid stays as it was.
+   * @param {object} body - { retentionPercent, maintenancePeriodDays, terms: [{ name, progressPercent }] }
+   * @throws {AppError} 400 invalid schedule, 404 unknown contract
+   */
+  async updateSchedule(contractId, body) {
+    const errors = this.validateSchedule(body);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const contract = await this._getContract(contractId);
+
+    const changes = {};
+    if (body.retentionPercent !== undefined) changes.retention_percent = parseFloat(body.retentionPercent);
+    if (body.maintenancePeriodDays !== undefined) changes.maintenance_period_days = Number(body.maintenancePeriodDays);
+
+    if (Object.keys(changes).length > 0) {
+      await ContractRepository.update(contract.id, { ...changes, updated_at: new Date().toISOString() });
+    }
+
+    if (body.terms !== undefined) {
+      await ContractRepository.paymentTerms.deleteMany({ contract_id: contract.id });
+
+      if (body.terms.length > 0) {
+        await ContractRepository.paymentTerms.bulkCreate(body.terms.map((term, index) => ({
+          contract_id: contract.id,
+          term_number: index + 1,
+          name: term.name ? String(term.name).trim() : `Termin ${index + 1}`,
+          progress_percent: parseFloat(term.progressPercent)
+        })));
+      }
+    }
+
+    return await this.getSchedule(contract.id);
+  }
+
+  /**
+   * Totals over a contract's payments
+   * @private
+   */
+  _summarize(contract, logs) {
+    const live = logs.filter(log => LIVE_STATUSES.includes(log.status));
+    const settled = logs.filter(log => log.status === 'settled');
+    const termins = (list) => list.filter(log => log.payment_type === 'termin');
+    const releases = (list) => list.filter(log => log.payment_type === 'retention_release');
+    const sum = (list, field) => round2(list.reduce((total, log) => total + parseFloat(log[field] || 0), 0));
+    const maxProgress = (list) => list.reduce((max, log) => Math.max(max, parseFloat(log.progress_to || 0)), 0);
+
+    const retentionDeducted = sum(termins(settled), 'retention_amount');
+    const retentionReleased = sum(releases(settled), 'amount');
+    const progressClaimed = maxProgress(termins(live));
+
+    return {
+      contractValue: parseFloat(contract.contract_value),
+      progressPaid: maxProgress(termins(settled)),
+      progressClaimed,
+      grossPaid: sum(termins(settled), 'gross_amount'),
+      retentionDeducted,
+      retentionReleased,
+      retentionHeld: round2(retentionDeducted - retentionReleased),
+      netPaid: sum(settled, 'amount'),
+      inFlightAmount: sum(logs.filter(log => IN_FLIGHT_STATUSES.includes(log.status)), 'amount'),
+      remainingGross: round2(parseFloat(contract.contract_value) * (100 - progressClaimed) / 100)
+    };
+  }
+
+  /**
+   * Work out the termin an approved BAPP pays: the progress since the last claimed termin,
+   * capped at the highest schedule term reached, minus retention
+   * @param {object} bapp - BAPP row (contract_id, total_progress)
+   * @returns {object} { blockers, contractId, termNumber, termName, progressFrom, progressTo,
+   *                     grossAmount, retentionPercent, retentionAmount, netAmount }
+   */
+  async calculateTermin(bapp) {
+    const blockers = [];
+
+    if (!bapp.contract_id) {
+      blockers.push('BAPP is not linked to a contract');
+      return { blockers };
+    }
+
+    const contract = await ContractRepository.findById(bapp.contract_id);
+    if (!contract) {
+      blockers.push('Contract of this BAPP no longer exists');
+      return { blockers };
+    }
+
+    const [terms, logs] = await Promise.all([
+      ContractRepository.findPaymentTerms(contract.id),
+      PaymentLogRepository.findByContract(contract.id)
+    ]);
+
+    const liveTermins = logs.filter(log => log.payment_type === 'termin' && LIVE_STATUSES.includes(log.status));
+    const progressFrom = liveTermins.reduce((max, log) => Math.max(max, parseFloat(log.progress_to || 0)), 0);
+    const progress = Math.min(parseFloat(bapp.total_progress || 0), 100);
+
+    let progressTo = progress;
+    let termNumber = liveTermins.length + 1;
+    let termName = `Termin ${termNumber}`;
+
+    if (terms.length > 0) {
+      const reached = terms.filter(term => parseFloat(term.progress_percent) <= progress + 1e-9);
+      const term = reached[reached.length - 1];
+
+      progressTo = term ? parseFloat(term.progress_percent) : 0;
+      if (term) {
+        termNumber = term.term_number;
+        termName = term.name;
+      }
+
+      if (progressTo <= progressFrom + 1e-9) {
+        const next = terms.find(candidate => parseFloat(candidate.progress_percent) > progressFrom + 1e-9);
+        blockers.push(next
+          ? `Progress ${progress}% has not reached the next termin (${next.name} at ${parseFloat(next.progress_percent)}%)`
+          : 'All termins of this contract have been paid');
+      }
+    } else if (progressTo <= progressFrom + 1e-9) {
+      blockers.push(`Progress ${progress}% is not above the ${progressFrom}% already paid for this contract`);
+    }
+
+    const retentionPercent = parseFloat(contract.retention_percent || 0);
+    const grossAmount = blockers.length === 0
+      ? round2(parseFloat(contract.contract_value) * (progressTo - progressFrom) / 100)
+      : 0;
+    const retentionAmount = round2(grossAmount * retentionPercent / 100);
+
+    return {
+      blockers,
+      contractId: contract.id,
+      contractNumber: contract.contract_number,
+      termNumber,
+      termName,
+      progressFrom,
+      progressTo,
+      grossAmount,
+      retentionPercent,
+      retentionAmount,
+      netAmount: round2(grossAmount - retentionAmount)
+    };
+  }
+
+  /**
+   * Check whether the retention held on a contract can be paid out
+   * Retention is released once, after the last termin: until then termins still add to what is held.
+   * @returns {object} { ready, blockers, amount, releasableFrom, contract }
+   */
+  async checkRetentionRelease(contractId) {
+    const contract = await this._getContract(contractId);
+    const logs = await PaymentLogRepository.findByContract(contract.id);
+    const totals = this._summarize(contract, logs);
+    const releasableFrom = this._maintenanceEndDate(contract);
+    const blockers = [];
+
+    if (new Date().toISOString().slice(0, 10) < releasableFrom) {
+      blockers.push(`Maintenance period runs until ${releasableFrom}`);
+    }
+
+    if (logs.some(log => IN_FLIGHT_STATUSES.includes(log.status))) {
+      blockers.push('Payments of this contract are still in progress');
+    }
+
+    if (logs.some(log => log.payment_type === 'retention_release' && LIVE_STATUSES.includes(log.status))) {
+      blockers.push('Retention has already been released');
+    } else if (totals.progressPaid < 100 - 1e-9) {
+      blockers.push(`Termins are paid up to ${totals.progressPaid}% of the contract - retention is released after the last termin`);
+    } else if (totals.retentionHeld <= 0) {
+      blockers.push('No retention is held on this contract');
+    }
+
+    return {
+      ready: blockers.length === 0,
+      blockers,
+      amount: totals.retentionHeld,
+      releasableFrom,
+      contract
+    };
+  }
+
+  /**
+   * Ledger of a contract: every termin, retention and reversal payment with running totals
+   * @param {object} contract - Contract row
+   */
+  async getLedger(contract) {
+    const logs = await PaymentLogRepository.findByContract(contract.id);
+    const release = await this.checkRetentionRelease(contract.id);
+
+    return {
+      contract: {
+        id: contract.id,
+        contractNumber: contract.contract_number,
+        projectName: contract.project_name,
+        status: contract.status,
+        contractValue: parseFloat(contract.contract_value),
+        retentionPercent: parseFloat(contract.retention_percent || 0),
+        maintenanceEndDate: release.releasableFrom
+      },
+      entries: logs.map(log => ({
+        paymentId: log.id,
+        paymentType: log.payment_type,
+        reversalOf: log.reversal_of || null,
+        documentType: log.document_type,
+        documentId: log.document_id,
+        documentNumber: log.document_number,
+        termNumber: log.metadata?.termNumber ?? null,
+        termName: log.metadata?.termName ?? null,
+        progressFrom: log.progress_from !== null ? parseFloat(log.progress_from) : null,
+        progressTo: log.progress_to !== null ? parseFloat(log.progress_to) : null,
+        grossAmount: parseFloat(log.gross_amount ?? log.amount),
+        retentionAmount: parseFloat(log.retention_amount || 0),
+        ppnAmount: parseFloat(log.ppn_amount || 0),
+        pphAmount: parseFloat(log.pph_amount || 0),
+        netAmount: parseFloat(log.amount),
+        status: log.status,
+        processedAt: log.processed_at,
+        settledAt: log.settled_at
+      })),
+      totals: this._summarize(contract, logs),
+      retentionRelease: {
+        ready: release.ready,
+        blockers: release.blockers,
+        amount: release.amount,
+        releasableFrom: release.releasableFrom
+      }
+    };
+  }
+}
+
+module.exports = new ContractPaymentService();
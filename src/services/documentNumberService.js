@@ -0,0 +1,245 @@
+const DocumentNumberRepository = require('../repositories/DocumentNumberRepository');
+const { AppError } = require('../utils/errorHandler');
+
+const DOCUMENT_TYPES = ['BAPB', 'BAPP'];
+
+// Used when a document type has no stored format - the format numbers had before it was configurable
+const DEFAULT_TEMPLATE = '{TYPE}/{YYYY}/{MM}/{SEQ:4}';
+
+// {TYPE}, {DIVISION}, {YYYY}, {YY}, {MM}, {SEQ} or {SEQ:n} (zero-padded to n digits)
+const PLACEHOLDER_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const PLACEHOLDERS = ['TYPE', 'DIVISION', 'YYYY', 'YY', 'MM', 'SEQ'];
+
+// A rendered number can collide with an older one after a template change - skip ahead this many times
+const MAX_ISSUE_ATTEMPTS = 5;
+
+class DocumentNumberService {
+  /**
+   * Validate a number template, returns list of error messages
+   * @param {string} template
+   * @param {string|null} division
+   * @returns {array}
+   */
+  validateTemplate(template, division = null) {
+    const errors = [];
+
+    if (!template || typeof template !== 'string' || template.trim().length === 0) {
+      return ['Template is required'];
+    }
+
+    const placeholders = [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+    placeholders
+      .filter(name => !PLACEHOLDERS.includes(name))
+      .forEach(name => errors.push(`Unknown placeholder {${name}}`));
+
+    if (placeholders.filter(name => name === 'SEQ').length !== 1) {
+      errors.push('Template must contain {SEQ} exactly once');
+    }
+
+    if (placeholders.includes('MM') && !placeholders.includes('YYYY') && !placeholders.includes('YY')) {
+      errors.push('{MM} requires {YYYY} or {YY} - monthly numbers would repeat every year');
+    }
+
+    if (placeholders.includes('DIVISION') && !division) {
+      errors.push('Division is required when the template contains {DIVISION}');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Counter period of a template: monthly with {MM}, yearly with {YYYY}/{YY}, never reset otherwise
+   * @param {string} template
+   * @param {Date} date
+   * @returns {string} '2026-10', '2026' or 'ALL'
+   */
+  getPeriodKey(template, date = new Date()) {
+    const year = String(date.getFullYear());
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+
+    if (template.includes('{MM}')) return `${year}-${month}`;
+    if (template.includes('{YYYY}') || template.includes('{YY}')) return year;
+    return 'ALL';
+  }
+
+  /**
+   * Render a document number
+   * @param {object} format - { template, division }
+   * @param {string} documentType
+   * @param {number} sequence
+   * @param {Date} date
+   * @returns {string}
+   */
+  render(format, documentType, sequence, date = new Date()) {
+    const year = String(date.getFullYear());
+
+    const values = {
+      TYPE: documentType,
+      DIVISION: format.division || '',
+      YYYY: year,
+      YY: year.slice(-2),
+      MM: String(date.getMonth() + 1).padStart(2, '0')
+    };
+
+    return format.template.replace(PLACEHOLDER_PATTERN, (match, name, width) =>
+      name === 'SEQ'
+        ? String(sequence).padStart(parseInt(width, 10) || 0, '0')
+        : values[name] ?? match
+    );
+  }
+
+  /**
+   * Get the number format of a document type
+   * @returns {object} { documentType, template, division, example }
+   */
+  async getFormat(documentType) {
+    this._assertDocumentType(documentType);
+
+    const stored = await DocumentNumberRepository.findFormat(documentType);
+    const format = stored || { template: DEFAULT_TEMPLATE, division: null };
+
+    return {
+      documentType,
+      template: format.template,
+      division: format.division,
+      example: this.render(format, documentType, 1),
+      updatedAt: stored?.updated_at || null
+    };
+  }
+
+  /**
+   * Get the number formats of all document types
+   */
+  async getFormats() {
+    return await Promise.all(DOCUMENT_TYPES.map(documentType => this.getFormat(documentType)));
+  }
+
+  /**
+   * Change the number format of a document type
+   * Counters are per period, so numbers issued under the old format are not affected.
+   * @throws {AppError} 400 on invalid templates
+   */
+  async updateFormat(documentType, { template, division = null }, user) {
+    this._assertDocumentType(documentType);
+
+    const errors = this.validateTemplate(template, division);
+    if (errors.length > 0) {
+      throw new AppError(`Invalid number format: ${errors.join('; ')}`, 400);
+    }
+
+    const row = {
+      template: template.trim(),
+      division: division || null,
+      updated_by: user?.id || null,
+      updated_at: new Date().toISOString()
+    };
+
+    const stored = await DocumentNumberRepository.findFormat(documentType);
+    if (stored) {
+      await DocumentNumberRepository.formats.update(stored.id, row);
+    } else {
+      await DocumentNumberRepository.formats.create({ document_type: documentType, ...row });
+    }
+
+    return await this.getFormat(documentType);
+  }
+
+  /**
+   * Issue the next number of a document type
+   * The number is registered as 'reserved' until assign() links it to the created document.
+   * @param {string} documentType
+   * @param {object} user
+   * @returns {string}
+   */
+  async issue(documentType, user = null) {
+    this._assertDocumentType(documentType);
+
+    const stored = await DocumentNumberRepository.findFormat(documentType);
+    const format = stored || { template: DEFAULT_TEMPLATE, division: null };
+
+    const date = new Date();
+    const periodKey = this.getPeriodKey(format.template, date);
+
+    for (let attempt = 1; attempt <= MAX_ISSUE_ATTEMPTS; attempt++) {
+      const sequence = await DocumentNumberRepository.nextSequence(documentType, periodKey);
+      const documentNumber = this.render(format, documentType, sequence, date);
+
+      try {
+        await DocumentNumberRepository.create({
+          document_type: documentType,
+          document_number: documentNumber,
+          period_key: periodKey,
+          sequence,
+          status: 'reserved',
+          issued_by: user?.id || null
+        });
+
+        return documentNumber;
+      } catch (error) {
+        // Unique violation: the number already exists - take the next sequence value
+        if (error.code !== '23505') throw error;
+        console.warn(`⚠️ ${documentType} number ${documentNumber} already issued, skipping`);
+      }
+    }
+
+    throw new AppError(`Could not issue a unique ${documentType} number - check the number format`, 500);
+  }
+
+  /**
+   * Link an issued number to the document that uses it
+   */
+  async assign(documentNumber, documentId) {
+    const entry = await DocumentNumberRepository.findByNumber(documentNumber);
+    if (!entry) return null;
+
+    return await DocumentNumberRepository.update(entry.id, {
+      status: 'assigned',
+      document_id: documentId,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Void a number - it stays in the register and is never issued again
+   * Voiding is best-effort: the document change that caused it has already happened.
+   * @param {string} documentNumber
+   * @param {string} reason
+   * @param {object} user
+   */
+  async voidNumber(documentNumber, reason, user = null) {
+    try {
+      const entry = await DocumentNumberRepository.findByNumber(documentNumber);
+      if (!entry || entry.status === 'voided') return entry;
+
+      return await DocumentNumberRepository.update(entry.id, {
+        status: 'voided',
+        void_reason: reason,
+        voided_by: user?.id || null,
+        voided_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Error voiding document number ${documentNumber}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Query the number register
+   */
+  async search(filters = {}, pagination = {}) {
+    return await DocumentNumberRepository.search(filters, pagination);
+  }
+
+  /**
+   * @private
+   */
+  _assertDocumentType(documentType) {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw new AppError(`Unknown document type: ${documentType}`, 400);
+    }
+  }
+}
+
+module.exports = new DocumentNumberService();
@@ -0,0 +1,293 @@
+const BAPBRepository = require('../repositories/BAPBRepository');
+const BAPPRepository = require('../repositories/BAPPRepository');
+const StatusTransitionRepository = require('../repositories/StatusTransitionRepository');
+const DocumentVersionRepository = require('../repositories/DocumentVersionRepository');
+const approvalChainService = require('./approvalChainService');
+const realtimeService = require('./realtimeService');
+const { AppError } = require('../utils/errorHandler');
+
+const STATUS = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  IN_REVIEW: 'in_review',
+  REVISION_REQUIRED: 'revision_required',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PAID: 'paid'
+};
+
+const DOCUMENT_CONFIG = {
+  BAPB: {
+    repository: BAPBRepository,
+    vendorRoles: ['vendor_barang', 'vendor', 'admin'],
+    childrenField: 'items',
+    childrenLabel: 'item'
+  },
+  BAPP: {
+    repository: BAPPRepository,
+    vendorRoles: ['vendor_jasa', 'vendor', 'admin'],
+    childrenField: 'work_items',
+    childrenLabel: 'work item'
+  }
+};
+
+// ==================== GUARDS ====================
+// Guards receive the document (with relations when needed) and the transition context.
+// 'error' guards block the transition, 'warning' guards let it through with a warning.
+
+const hasChildren = {
+  name: 'has_children',
+  severity: 'error',
+  check: (document, ctx) => {
+    const children = document[ctx.config.childrenField];
+    return Array.isArray(children) && children.length > 0;
+  },
+  message: (document, ctx) =>
+    `${ctx.documentType} must have at least one ${ctx.config.childrenLabel}. Please add ${ctx.config.childrenLabel}s before submitting.`
+};
+
+const hasActorSignature = {
+  name: 'has_signature',
+  severity: 'warning',
+  check: (document, ctx) =>
+    (document.attachments || []).some(att => att.file_type === 'signature' && att.uploaded_by === ctx.user?.id),
+  message: () => 'Approved without signature - please upload signature for complete documentation'
+};
+
+// ==================== AUTHORIZATION ====================
+
+const vendorRoles = (document, ctx) => ctx.config.vendorRoles.includes(ctx.user?.role);
+const currentStepApprovers = (document, ctx) => approvalChainService.canActOnStep(ctx.step, ctx.user);
+const paymentOperators = (document, ctx) => ['admin', 'finance_maker'].includes(ctx.user?.role);
+const paymentReversers = (document, ctx) => ['admin'].includes(ctx.user?.role);
+
+// ==================== TRANSITIONS ====================
+// 'to: null' marks actions that are checked by the engine but do not change status (e.g. delete).
+
+const TRANSITIONS = {
+  edit: {
+    from: [STATUS.DRAFT, STATUS.REVISION_REQUIRED],
+    to: STATUS.DRAFT,
+    authorize: vendorRoles,
+    guards: []
+  },
+  delete: {
+    from: [STATUS.DRAFT],
+    to: null,
+    authorize: vendorRoles,
+    guards: []
+  },
+  submit: {
+    from: [STATUS.DRAFT, STATUS.REVISION_REQUIRED],
+    to: STATUS.SUBMITTED,
+    authorize: vendorRoles,
+    guards: [hasChildren]
+  },
+  advance: {
+    from: [STATUS.SUBMITTED, STATUS.IN_REVIEW],
+    to: STATUS.IN_REVIEW,
+    authorize: currentStepApprovers,
+    guards: [hasActorSignature]
+  },
+  approve: {
+    from: [STATUS.SUBMITTED, STATUS.IN_REVIEW],
+    to: STATUS.APPROVED,
+    authorize: currentStepApprovers,
+    guards: [hasActorSignature]
+  },
+  reject: {
+    from: [STATUS.SUBMITTED, STATUS.IN_REVIEW],
+    to: STATUS.REJECTED,
+    authorize: currentStepApprovers,
+    guards: []
+  },
+  request_revision: {
+    from: [STATUS.SUBMITTED, STATUS.IN_REVIEW],
+    to: STATUS.REVISION_REQUIRED,
+    authorize: currentStepApprovers,
+    guards: []
+  },
+  pay: {
+    from: [STATUS.APPROVED],
+    to: STATUS.PAID,
+    authorize: paymentOperators,
+    guards: []
+  },
+  // The payment was pulled back - the document can be paid again
+  reverse_payment: {
+    from: [STATUS.PAID],
+    to: STATUS.APPROVED,
+    authorize: paymentReversers,
+    guards: []
+  }
+};
+
+class DocumentStateMachine {
+  constructor() {
+    this.STATUS = STATUS;
+    this.TRANSITIONS = TRANSITIONS;
+  }
+
+  /**
+   * Get per-document-type configuration
+   * @private
+   */
+  _getConfig(documentType) {
+    const config = DOCUMENT_CONFIG[documentType];
+    if (!config) {
+      throw new AppError(`Unknown document type: ${documentType}`, 400);
+    }
+    return config;
+  }
+
+  /**
+   * Validate a transition without performing it
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - Current document row
+   * @param {string} action - Transition name (submit, approve, ...)
+   * @param {object} ctx - { user, step, system }
+   * @returns {object} { transition, from, to, warnings }
+   * @throws {AppError} 409 on illegal moves or failed guards, 403 on unauthorized actors
+   */
+  assertTransition(documentType, document, action, ctx = {}) {
+    const config = this._getConfig(documentType);
+    const transition = TRANSITIONS[action];
+
+    if (!transition) {
+      throw new AppError(`Unknown transition: ${action}`, 400);
+    }
+
+    if (!transition.from.includes(document.status)) {
+      throw new AppError(
+        `Cannot ${action.replaceAll('_', ' ')} ${documentType} in '${document.status}' status. Allowed from: ${transition.from.join(', ')}`,
+        409
+      );
+    }
+
+    const guardCtx = { ...ctx, documentType, config };
+
+    if (!ctx.system && !transition.authorize(document, guardCtx)) {
+      throw new AppError(`Role '${ctx.user?.role}' is not authorized to ${action.replaceAll('_', ' ')} this ${documentType}`, 403);
+    }
+
+    const warnings = [];
+
+    for (const guard of transition.guards) {
+      if (guard.check(document, guardCtx)) continue;
+
+      const message = guard.message(document, guardCtx);
+      if (guard.severity === 'warning') {
+        warnings.push(message);
+      } else {
+        throw new AppError(message, 409);
+      }
+    }
+
+    return { transition, from: document.status, to: transition.to, warnings };
+  }
+
+  /**
+   * Check whether a transition is currently allowed
+   * @returns {boolean}
+   */
+  can(documentType, document, action, ctx = {}) {
+    try {
+      this.assertTransition(documentType, document, action, ctx);
+      return true;
+    } catch (error) {
+      if (error.isOperational) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * List actions a user can currently perform on a document
+   * @returns {array}
+   */
+  getAvailableActions(documentType, document, ctx = {}) {
+    return Object.keys(TRANSITIONS).filter(action => this.can(documentType, document, action, ctx));
+  }
+
+  /**
+   * Perform a status transition, persist it and write the transition log
+   * Status change, approval record, version snapshot and transition log are written in one transaction,
+   * and only if the document is still in the status (and step) it was read in.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - Current document row
+   * @param {string} action - Transition name
+   * @param {object} options - { user, step, system, data, reason, metadata, approval,
+   *                            version: document_versions row to store (see documentVersionService.buildVersion) }
+   * @returns {object} { document, from, to, warnings, approval, version }
+   * @throws {AppError} 409 when the document was changed concurrently
+   */
+  async transition(documentType, document, action, options = {}) {
+    const { data = {}, reason = null, metadata = {}, approval = null, version = null, ...ctx } = options;
+    const config = this._getConfig(documentType);
+
+    const { from, to, warnings } = this.assertTransition(documentType, document, action, ctx);
+
+    if (to === null) {
+      return { document, from, to, warnings };
+    }
+
+    const expected = { status: from };
+    if (ctx.step) expected.current_step = document.current_step ?? null;
+
+    const result = await config.repository.callFunction('apply_document_transition', {
+      p_document_type: documentType,
+      p_document_id: document.id,
+      p_expected: expected,
+      p_changes: { ...data, status: to },
+      p_transition: {
+        action,
+        actor_id: ctx.user?.id || null,
+        actor_role: ctx.user?.role || 'system',
+        reason,
+        metadata: ctx.step ? { ...metadata, stepOrder: ctx.step.order, stepName: ctx.step.name } : metadata
+      },
+      p_approval: approval,
+      p_version: version
+    });
+
+    await this._auditTransition(config, result);
+
+    console.log(`🔁 ${documentType} ${document.id}: ${from} → ${to} (${action})`);
+
+    // Vendor and watchers with an open stream see the change right away
+    realtimeService.publishDocumentStatus(documentType, result.after, { from, to, action, actorId: ctx.user?.id || null });
+
+    return { document: result.after, from, to, warnings, approval: result.approval, version: result.version };
+  }
+
+  /**
+   * Write audit entries for the rows touched by a transition
+   * @private
+   */
+  async _auditTransition(config, result) {
+    await config.repository._audit('update', [[result.before, result.after]]);
+    if (result.approval) {
+      await config.repository.approvals._audit('create', [[null, result.approval]]);
+    }
+    await StatusTransitionRepository._audit('create', [[null, result.transition]]);
+    if (result.version) {
+      await DocumentVersionRepository._audit('create', [[null, result.version]]);
+    }
+  }
+
+  /**
+   * Get transition history of a document
+   */
+  async getHistory(documentType, documentId) {
+    this._getConfig(documentType);
+    return await StatusTransitionRepository.findByDocument(documentType, documentId);
+  }
+
+  /**
+   * Query the transition log
+   */
+  async searchHistory(filters = {}, pagination = {}) {
+    return await StatusTransitionRepository.search(filters, pagination);
+  }
+}
+
+module.exports = new DocumentStateMachine();
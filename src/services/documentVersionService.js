@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const DocumentVersionRepository = require('../repositories/DocumentVersionRepository');
+const { canonicalStringify } = require('../utils/canonicalJson');
+const { diffRecords, diffCollections } = require('../utils/diff');
+const { AppError } = require('../utils/errorHandler');
+
+const VERSION_CONFIG = {
+  BAPB: {
+    childrenField: 'items',
+    childNameField: 'item_name'
+  },
+  BAPP: {
+    childrenField: 'work_items',
+    childNameField: 'work_item_name'
+  }
+};
+
+// Workflow and bookkeeping columns - they change on every submission and are not content
+const HEADER_EXCLUDED_FIELDS = [
+  'id', 'status', 'version', 'revision_base_version', 'current_step', 'approval_round',
+  'approval_chain_id', 'rejection_reason', 'verification_code', 'created_at', 'updated_at'
+];
+
+// Child rows are deleted and re-inserted on every edit, so ids and timestamps are meaningless
+const CHILD_EXCLUDED_FIELDS = ['id', 'bapb_id', 'bapp_id', 'created_at', 'updated_at'];
+
+class DocumentVersionService {
+  /**
+   * @private
+   */
+  _getConfig(documentType) {
+    const config = VERSION_CONFIG[documentType];
+    if (!config) {
+      throw new AppError(`Unknown document type: ${documentType}`, 400);
+    }
+    return config;
+  }
+
+  /**
+   * Content part of a document row (relations and workflow fields removed)
+   * @private
+   */
+  _extractHeader(document) {
+    return Object.fromEntries(
+      Object.entries(document).filter(([key, value]) =>
+        !HEADER_EXCLUDED_FIELDS.includes(key) && (value === null || typeof value !== 'object' || value instanceof Date)
+      )
+    );
+  }
+
+  /**
+   * @private
+   */
+  _extractChildren(document, config) {
+    return (document[config.childrenField] || []).map(child =>
+      Object.fromEntries(Object.entries(child).filter(([key]) => !CHILD_EXCLUDED_FIELDS.includes(key)))
+    );
+  }
+
+  /**
+   * Child rows have no stable id - match them by name, numbering duplicates in order
+   * @private
+   */
+  _childKey(config) {
+    return (rows) => {
+      const seen = {};
+      return rows.map(row => {
+        const name = String(row[config.childNameField] || '').trim().toLowerCase();
+        seen[name] = (seen[name] || 0) + 1;
+        return `${name}#${seen[name]}`;
+      });
+    };
+  }
+
+  /**
+   * Build the content snapshot of a document
+   * @param {string} documentType
+   * @param {object} document - Document with child relation loaded
+   * @returns {object} { header, items }
+   */
+  buildSnapshot(documentType, document) {
+    const config = this._getConfig(documentType);
+    return {
+      header: this._extractHeader(document),
+      items: this._extractChildren(document, config)
+    };
+  }
+
+  /**
+   * Build the immutable version row of a document
+   * Stored by the submit transition, in the same transaction that bumps the document's version counter.
+   * @param {string} documentType
+   * @param {object} document - Document with child relation loaded
+   * @param {number} versionNumber
+   * @param {object} user
+   * @returns {object} document_versions row without document type and id
+   */
+  buildVersion(documentType, document, versionNumber, user = null) {
+    const snapshot = this.buildSnapshot(documentType, document);
+
+    return {
+      version_number: versionNumber,
+      header: snapshot.header,
+      items: snapshot.items,
+      snapshot_hash: crypto.createHash('sha256').update(canonicalStringify(snapshot)).digest('hex'),
+      created_by: user?.id || null
+    };
+  }
+
+  /**
+   * List versions of a document
+   */
+  async listVersions(documentType, documentId) {
+    this._getConfig(documentType);
+    return await DocumentVersionRepository.findByDocument(documentType, documentId);
+  }
+
+  /**
+   * Get a single version
+   * @throws {AppError} 404 when the version does not exist
+   */
+  async getVersion(documentType, documentId, versionNumber) {
+    this._getConfig(documentType);
+
+    const version = await DocumentVersionRepository.findVersion(documentType, documentId, versionNumber);
+    if (!version) {
+      throw new AppError(`${documentType} version ${versionNumber} not found`, 404);
+    }
+
+    return version;
+  }
+
+  /**
+   * Field-level diff between two snapshots
+   * @param {string} documentType
+   * @param {object} from - { header, items }
+   * @param {object} to - { header, items }
+   * @returns {object} { header: { field: { from, to } }, items: { added, removed, changed } }
+   */
+  diffSnapshots(documentType, from, to) {
+    const config = this._getConfig(documentType);
+    const keysOf = this._childKey(config);
+
+    const fromKeys = keysOf(from.items || []);
+    const toKeys = keysOf(to.items || []);
+    const fromRows = (from.items || []).map((row, index) => ({ ...row, _key: fromKeys[index] }));
+    const toRows = (to.items || []).map((row, index) => ({ ...row, _key: toKeys[index] }));
+
+    const items = diffCollections(fromRows, toRows, {
+      key: row => row._key,
+      ignore: ['_key']
+    });
+
+    const strip = ({ _key, ...row }) => row;
+
+    return {
+      header: diffRecords(from.header, to.header),
+      items: {
+        added: items.added.map(strip),
+        removed: items.removed.map(strip),
+        changed: items.changed.map(change => ({
+          name: change.after[config.childNameField],
+          changes: change.changes
+        }))
+      }
+    };
+  }
+
+  /**
+   * Diff between two stored versions
+   */
+  async diffVersions(documentType, documentId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(documentType, documentId, fromVersion),
+      this.getVersion(documentType, documentId, toVersion)
+    ]);
+
+    return {
+      fromVersion: from.version_number,
+      toVersion: to.version_number,
+      ...this.diffSnapshots(documentType, from, to)
+    };
+  }
+
+  /**
+   * What the vendor changed since an approver requested revision
+   * Compares the version that was under review with the latest submission,
+   * or with the live draft while the vendor is still editing.
+   * @param {string} documentType
+   * @param {object} document - Document with child relation loaded
+   * @returns {object|null} null when no revision was ever requested
+   */
+  async getChangesSinceRevision(documentType, document) {
+    if (!document.revision_base_version) return null;
+
+    const base = await this.getVersion(documentType, document.id, document.revision_base_version);
+    const resubmitted = (document.version || 0) > document.revision_base_version;
+
+    const target = resubmitted
+      ? await this.getVersion(documentType, document.id, document.version)
+      : this.buildSnapshot(documentType, document);
+
+    return {
+      fromVersion: base.version_number,
+      toVersion: resubmitted ? target.version_number : null,
+      comparedWith: resubmitted ? 'resubmission' : 'current_draft',
+      ...this.diffSnapshots(documentType, base, target)
+    };
+  }
+}
+
+module.exports = new DocumentVersionService();
@@ -0,0 +1,93 @@
+const BAPBRepository = require('../repositories/BAPBRepository');
+const BAPPRepository = require('../repositories/BAPPRepository');
+const DocumentWatchRepository = require('../repositories/DocumentWatchRepository');
+const { AppError } = require('../utils/errorHandler');
+
+const INTERNAL_ROLES = ['admin', 'pic_gudang', 'approver', 'finance_maker', 'finance_checker'];
+
+const REPOSITORIES = {
+  BAPB: BAPBRepository,
+  BAPP: BAPPRepository
+};
+
+const toWatch = (row) => ({
+  id: row.id,
+  documentType: row.document_type,
+  documentId: row.document_id,
+  createdAt: row.created_at
+});
+
+class DocumentWatchService {
+  /**
+   * Get a document the user may watch
+   * @private
+   * @throws {AppError} 400 unknown type, 404 unknown document, 403 other vendor's document
+   */
+  async _getDocument(documentType, documentId, user) {
+    const repository = REPOSITORIES[documentType];
+    if (!repository) {
+      throw new AppError(`documentType must be one of: ${Object.keys(REPOSITORIES).join(', ')}`, 400);
+    }
+
+    const document = await repository.findById(documentId);
+    if (!document) {
+      throw new AppError(`${documentType} not found`, 404);
+    }
+
+    if (!INTERNAL_ROLES.includes(user.role) && document.vendor_id !== user.id) {
+      throw new AppError(`Not authorized to watch this ${documentType}`, 403);
+    }
+
+    return document;
+  }
+
+  /**
+   * Get the documents the user watches
+   */
+  async getWatches(user) {
+    const watches = await DocumentWatchRepository.findByUser(user.id);
+    return watches.map(toWatch);
+  }
+
+  /**
+   * Start watching a document; watching it again returns the existing watch
+   * @param {object} body - { documentType, documentId }
+   */
+  async watch(body, user) {
+    const documentType = String(body.documentType || '').toUpperCase();
+    if (!body.documentId) {
+      throw new AppError('documentId is required', 400);
+    }
+
+    await this._getDocument(documentType, body.documentId, user);
+
+    const filters = { user_id: user.id, document_type: documentType, document_id: body.documentId };
+    let watch = await DocumentWatchRepository.findOne(filters);
+    if (!watch) {
+      try {
+        watch = await DocumentWatchRepository.create(filters);
+      } catch (error) {
+        // Watched concurrently
+        if (error.code !== '23505') throw error;
+        watch = await DocumentWatchRepository.findOne(filters);
+      }
+    }
+
+    return toWatch(watch);
+  }
+
+  /**
+   * Stop watching a document
+   * @throws {AppError} 404 when the watch is not the user's
+   */
+  async unwatch(watchId, user) {
+    const watch = await DocumentWatchRepository.findOne({ id: watchId, user_id: user.id });
+    if (!watch) {
+      throw new AppError('Watch not found', 404);
+    }
+
+    await DocumentWatchRepository.delete(watch.id);
+  }
+}
+
+module.exports = new DocumentWatchService();
@@ -0,0 +1,200 @@
+const InvoiceRepository = require('../repositories/InvoiceRepository');
+const BAPBRepository = require('../repositories/BAPBRepository');
+const PurchaseOrderRepository = require('../repositories/PurchaseOrderRepository');
+const { AppError } = require('../utils/errorHandler');
+
+// A receipt can be invoiced once it was submitted, and until it is paid
+const INVOICEABLE_STATUSES = ['submitted', 'in_review', 'approved'];
+
+// Roles that see every invoice - vendors only see their own
+const INTERNAL_ROLES = ['admin', 'pic_gudang', 'approver', 'finance_maker', 'finance_checker'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  /**
+   * Validate an invoice submission, returns list of error messages
+   */
+  validateSubmission(body) {
+    const errors = [];
+
+    if (!body.bapbId) errors.push('bapbId is required');
+    if (!body.invoiceNumber || String(body.invoiceNumber).trim().length === 0) errors.push('invoiceNumber is required');
+
+    if (!body.invoiceDate || isNaN(new Date(body.invoiceDate).getTime())) {
+      errors.push('Valid invoiceDate is required');
+    }
+    if (body.dueDate && isNaN(new Date(body.dueDate).getTime())) {
+      errors.push('Invalid dueDate format');
+    }
+    if (body.taxAmount !== undefined && !(parseFloat(body.taxAmount) >= 0)) {
+      errors.push('taxAmount must be 0 or more');
+    }
+
+    if (!Array.isArray(body.lines) || body.lines.length === 0) {
+      errors.push('At least one invoice line is required');
+    } else {
+      body.lines.forEach((line, index) => {
+        if (!parseInt(line.lineNumber, 10)) errors.push(`Line ${index + 1}: lineNumber of the purchase order line is required`);
+        if (!(parseFloat(line.quantity) >= 0)) errors.push(`Line ${index + 1}: quantity must be 0 or more`);
+        if (!(parseFloat(line.unitPrice) >= 0)) errors.push(`Line ${index + 1}: unitPrice must be 0 or more`);
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Submit the vendor invoice for a BAPB
+   * @param {object} body - { bapbId, invoiceNumber, invoiceDate, dueDate, taxAmount, notes,
+   *                          lines: [{ lineNumber, quantity, unitPrice, description }] }
+   * @throws {AppError} 400 invalid input, 403 other vendor's BAPB, 404 missing BAPB, 409 already invoiced
+   */
+  async submit(body, user) {
+    const errors = this.validateSubmission(body);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const bapb = await BAPBRepository.findById(body.bapbId);
+    if (!bapb) {
+      throw new AppError('BAPB not found', 404);
+    }
+
+    if (user.role !== 'admin' && bapb.vendor_id !== user.id) {
+      throw new AppError('Not authorized to invoice this BAPB', 403);
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(bapb.status)) {
+      throw new AppError(`BAPB in '${bapb.status}' status cannot be invoiced`, 409);
+    }
+
+    if (!bapb.purchase_order_id) {
+      throw new AppError('BAPB is not linked to a purchase order', 409);
+    }
+
+    if (await InvoiceRepository.findActiveForBAPB(bapb.id)) {
+      throw new AppError('BAPB already has an invoice - cancel it before submitting a new one', 409);
+    }
+
+    const purchaseOrder = await PurchaseOrderRepository.findByIdWithLines(bapb.purchase_order_id);
+    const poLines = new Map((purchaseOrder?.lines || []).map(line => [Number(line.line_number), line]));
+
+    const lines = body.lines.map((line, index) => {
+      const poLine = poLines.get(parseInt(line.lineNumber, 10));
+      if (!poLine) {
+        throw new AppError(`Line ${index + 1}: purchase order has no line ${line.lineNumber}`, 400);
+      }
+
+      const quantity = parseFloat(line.quantity);
+      const unitPrice = parseFloat(line.unitPrice);
+
+      return {
+        purchase_order_line_id: poLine.id,
+        description: line.description || poLine.item_name,
+        quantity,
+        unit_price: unitPrice,
+        line_total: round2(quantity * unitPrice)
+      };
+    });
+
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.line_total, 0));
+    const taxAmount = round2(parseFloat(body.taxAmount) || 0);
+
+    try {
+      return await InvoiceRepository.createWithLines({
+        invoice_number: String(body.invoiceNumber).trim(),
+        vendor_id: bapb.vendor_id,
+        bapb_id: bapb.id,
+        purchase_order_id: bapb.purchase_order_id,
+        invoice_date: body.invoiceDate,
+        due_date: body.dueDate || null,
+        currency: purchaseOrder.currency,
+        subtotal,
+        tax_amount: taxAmount,
+        total_amount: round2(subtotal + taxAmount),
+        notes: body.notes || null,
+        submitted_by: user.id
+      }, lines);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new AppError(`Invoice number ${body.invoiceNumber} was already used`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List invoices visible to a user
+   */
+  async list(filters, pagination, user) {
+    const scoped = { ...filters };
+    if (!INTERNAL_ROLES.includes(user.role)) scoped.vendor_id = user.id;
+
+    return await InvoiceRepository.findAllWithVendor(scoped, pagination);
+  }
+
+  /**
+   * Get an invoice with lines
+   * @throws {AppError} 404 when missing, 403 for other vendors' invoices
+   */
+  async get(id, user) {
+    const invoice = await InvoiceRepository.findByIdWithLines(id);
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+
+    if (!INTERNAL_ROLES.includes(user.role) && invoice.vendor_id !== user.id) {
+      throw new AppError('Not authorized to view this invoice', 403);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Cancel an unpaid invoice so a corrected one can be submitted
+   * @throws {AppError} 409 when already paid or cancelled
+   */
+  async cancel(id, reason, user) {
+    const invoice = await this.get(id, user);
+
+    if (user.role !== 'admin' && invoice.vendor_id !== user.id) {
+      throw new AppError('Not authorized to cancel this invoice', 403);
+    }
+
+    if (invoice.status !== 'submitted') {
+      throw new AppError(`Invoice in '${invoice.status}' status cannot be cancelled`, 409);
+    }
+
+    await InvoiceRepository.update(id, {
+      status: 'cancelled',
+      notes: reason ? [invoice.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n') : invoice.notes,
+      updated_at: new Date().toISOString()
+    });
+
+    return await InvoiceRepository.findByIdWithLines(id);
+  }
+
+  /**
+   * Mark the invoice of a BAPB as paid
+   */
+  async markPaid(invoiceId) {
+    return await InvoiceRepository.update(invoiceId, {
+      status: 'paid',
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Put a paid invoice back to submitted after its payment was reversed
+   */
+  async markUnpaid(invoiceId) {
+    const [invoice] = await InvoiceRepository.updateMany({ id: invoiceId, status: 'paid' }, {
+      status: 'submitted',
+      updated_at: new Date().toISOString()
+    });
+    return invoice || null;
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,259 @@
+const BAPBRepository = require('../repositories/BAPBRepository');
+const PurchaseOrderRepository = require('../repositories/PurchaseOrderRepository');
+const InvoiceRepository = require('../repositories/InvoiceRepository');
+const MatchingToleranceRepository = require('../repositories/MatchingToleranceRepository');
+const { AppError } = require('../utils/errorHandler');
+
+// Used when no tolerance row exists at all: exact match, Rp 1.000 rounding slack on the total
+const DEFAULT_TOLERANCES = {
+  quantityPercent: 0,
+  pricePercent: 0,
+  amountPercent: 0,
+  amountAbsolute: 1000
+};
+
+// Earlier receipts of the same PO that count towards the ordered quantity
+const COUNTED_RECEIPT_STATUSES = ['submitted', 'in_review', 'approved', 'paid'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const exceeds = (actual, expected, percent) => Math.abs(actual - expected) > Math.abs(expected) * percent / 100 + 1e-9;
+
+class MatchingService {
+  /**
+   * Map a matching_tolerances row to the API shape
+   * @private
+   */
+  _toTolerances(row) {
+    if (!row) return { ...DEFAULT_TOLERANCES, source: 'built-in' };
+
+    return {
+      quantityPercent: parseFloat(row.quantity_percent),
+      pricePercent: parseFloat(row.price_percent),
+      amountPercent: parseFloat(row.amount_percent),
+      amountAbsolute: parseFloat(row.amount_absolute),
+      source: row.vendor_id ? 'vendor' : 'default'
+    };
+  }
+
+  /**
+   * Tolerances that apply to a vendor (vendor override, else default)
+   */
+  async getTolerances(vendorId = null) {
+    const override = vendorId ? await MatchingToleranceRepository.findForVendor(vendorId) : null;
+    return this._toTolerances(override || await MatchingToleranceRepository.findDefault());
+  }
+
+  /**
+   * Set the default tolerances, or a vendor's override
+   * @param {object} body - { vendorId, quantityPercent, pricePercent, amountPercent, amountAbsolute }
+   * @throws {AppError} 400 on negative or non-numeric values
+   */
+  async updateTolerances(body, user) {
+    const fields = {
+      quantityPercent: 'quantity_percent',
+      pricePercent: 'price_percent',
+      amountPercent: 'amount_percent',
+      amountAbsolute: 'amount_absolute'
+    };
+
+    const row = { updated_by: user?.id || null, updated_at: new Date().toISOString() };
+
+    for (const [field, column] of Object.entries(fields)) {
+      if (body[field] === undefined) continue;
+
+      const value = parseFloat(body[field]);
+      if (isNaN(value) || value < 0) {
+        throw new AppError(`${field} must be a number of 0 or more`, 400);
+      }
+      row[column] = value;
+    }
+
+    const vendorId = body.vendorId || null;
+    const existing = vendorId
+      ? await MatchingToleranceRepository.findForVendor(vendorId)
+      : await MatchingToleranceRepository.findDefault();
+
+    if (existing) {
+      await MatchingToleranceRepository.update(existing.id, row);
+    } else {
+      await MatchingToleranceRepository.create({ vendor_id: vendorId, ...row });
+    }
+
+    return await this.getTolerances(vendorId);
+  }
+
+  /**
+   * Remove a vendor's override so the default applies again
+   */
+  async removeVendorTolerances(vendorId) {
+    const existing = await MatchingToleranceRepository.findForVendor(vendorId);
+    if (!existing) {
+      throw new AppError('Vendor has no tolerance override', 404);
+    }
+
+    await MatchingToleranceRepository.delete(existing.id);
+  }
+
+  /**
+   * Three-way match of a BAPB: purchase order lines, received quantities and the vendor invoice
+   * @param {object} bapb - BAPB with items loaded
+   * @returns {object} { matched, blockers, tolerances, lines, totals, invoice, purchaseOrder }
+   */
+  async matchBAPB(bapb) {
+    const tolerances = await this.getTolerances(bapb.vendor_id);
+    const blockers = [];
+
+    const result = (extra = {}) => ({
+      matched: blockers.length === 0,
+      blockers,
+      tolerances,
+      lines: [],
+      totals: null,
+      invoice: null,
+      purchaseOrder: null,
+      ...extra
+    });
+
+    if (!bapb.purchase_order_id) {
+      blockers.push('BAPB is not linked to a purchase order');
+      return result();
+    }
+
+    const [purchaseOrder, invoice, receivedElsewhere] = await Promise.all([
+      PurchaseOrderRepository.findByIdWithLines(bapb.purchase_order_id),
+      InvoiceRepository.findActiveForBAPB(bapb.id),
+      BAPBRepository.getReceivedQuantities(bapb.purchase_order_id, {
+        statuses: COUNTED_RECEIPT_STATUSES,
+        excludeBapbId: bapb.id
+      })
+    ]);
+
+    if (!purchaseOrder) {
+      blockers.push('Purchase order of this BAPB no longer exists');
+      return result();
+    }
+
+    if (!invoice) {
+      blockers.push('No invoice has been submitted for this BAPB');
+    }
+
+    const poLines = new Map(purchaseOrder.lines.map(line => [line.id, line]));
+    const received = {};
+    (bapb.items || []).forEach(item => {
+      if (!item.purchase_order_line_id) {
+        blockers.push(`Item "${item.item_name}" does not reference a purchase order line`);
+        return;
+      }
+      received[item.purchase_order_line_id] = (received[item.purchase_order_line_id] || 0) + parseFloat(item.quantity_received || 0);
+    });
+
+    const invoiced = {};
+    (invoice?.lines || []).forEach(line => {
+      const entry = invoiced[line.purchase_order_line_id] || { quantity: 0, amount: 0 };
+      entry.quantity += parseFloat(line.quantity);
+      entry.amount += parseFloat(line.line_total);
+      invoiced[line.purchase_order_line_id] = entry;
+    });
+
+    const lineIds = [...new Set([...Object.keys(received), ...Object.keys(invoiced)])];
+
+    const lines = lineIds.map(lineId => {
+      const poLine = poLines.get(lineId);
+      const issues = [];
+
+      if (!poLine) {
+        issues.push('Line is not on the purchase order');
+        return { purchaseOrderLineId: lineId, issues };
+      }
+
+      const ordered = parseFloat(poLine.quantity);
+      const poUnitPrice = parseFloat(poLine.unit_price);
+      const receivedQuantity = received[lineId] || 0;
+      const receivedToDate = (receivedElsewhere[lineId] || 0) + receivedQuantity;
+      const invoicedLine = invoiced[lineId];
+      const invoicedQuantity = invoicedLine?.quantity || 0;
+      const invoiceUnitPrice = invoicedLine && invoicedLine.quantity > 0
+        ? round2(invoicedLine.amount / invoicedLine.quantity)
+        : null;
+
+      // Receipt vs order
+      if (receivedToDate > ordered * (1 + tolerances.quantityPercent / 100) + 1e-9) {
+        issues.push(`Received ${receivedToDate} ${poLine.unit} in total, ordered ${ordered}`);
+      }
+
+      if (invoice) {
+        // Invoice vs receipt
+        if (!invoicedLine) {
+          issues.push('Received but not invoiced');
+        } else if (!received[lineId]) {
+          issues.push('Invoiced but not received on this BAPB');
+        } else if (exceeds(invoicedQuantity, receivedQuantity, tolerances.quantityPercent)) {
+          issues.push(`Invoiced quantity ${invoicedQuantity} does not match received quantity ${receivedQuantity}`);
+        }
+
+        // Invoice vs order price
+        if (invoiceUnitPrice !== null && exceeds(invoiceUnitPrice, poUnitPrice, tolerances.pricePercent)) {
+          issues.push(`Invoiced unit price ${invoiceUnitPrice} does not match PO unit price ${poUnitPrice}`);
+        }
+      }
+
+      return {
+        purchaseOrderLineId: lineId,
+        lineNumber: poLine.line_number,
+        itemName: poLine.item_name,
+        unit: poLine.unit,
+        ordered,
+        receivedToDate,
+        received: receivedQuantity,
+        invoiced: invoicedQuantity,
+        poUnitPrice,
+        invoiceUnitPrice,
+        issues
+      };
+    }).sort((a, b) => (a.lineNumber || 0) - (b.lineNumber || 0));
+
+    lines
+      .filter(line => line.issues.length > 0)
+      .forEach(line => blockers.push(...line.issues.map(issue => `Line ${line.lineNumber ?? '?'} (${line.itemName ?? line.purchaseOrderLineId}): ${issue}`)));
+
+    // Invoice total vs value of what was received at PO prices
+    let totals = null;
+    if (invoice) {
+      const expected = round2(lines.reduce((sum, line) => sum + (line.received || 0) * (line.poUnitPrice || 0), 0));
+      const subtotal = parseFloat(invoice.subtotal);
+      const difference = round2(subtotal - expected);
+      const allowed = Math.max(Math.abs(expected) * tolerances.amountPercent / 100, tolerances.amountAbsolute);
+
+      if (Math.abs(difference) > allowed + 1e-9) {
+        blockers.push(`Invoice subtotal ${subtotal} differs from the received value ${expected} by ${difference} (allowed ${round2(allowed)})`);
+      }
+
+      totals = {
+        expectedSubtotal: expected,
+        invoiceSubtotal: subtotal,
+        difference,
+        allowedDifference: round2(allowed),
+        taxAmount: parseFloat(invoice.tax_amount),
+        invoiceTotal: parseFloat(invoice.total_amount)
+      };
+    }
+
+    return result({
+      lines,
+      totals,
+      invoice: invoice ? {
+        id: invoice.id,
+        invoiceNumber: invoice.invoice_number,
+        totalAmount: parseFloat(invoice.total_amount),
+        status: invoice.status
+      } : null,
+      purchaseOrder: {
+        id: purchaseOrder.id,
+        poNumber: purchaseOrder.po_number,
+        status: purchaseOrder.status
+      }
+    });
+  }
+}
+
+module.exports = new MatchingService();
@@ -0,0 +1,169 @@
+const UserRepository = require('../../repositories/UserRepository');
+const NotificationDeliveryRepository = require('../../repositories/NotificationDeliveryRepository');
+const { isMailConfigured, getMailTransport, getMailFrom } = require('../../config/mail');
+const { renderEmail } = require('./emailTemplates');
+
+const CHANNEL = 'email';
+
+// Attempts before a delivery is given up on
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_EMAIL_MAX_ATTEMPTS, 10) || 5;
+// Wait before the first retry; doubles after every failed attempt, capped at MAX_RETRY_DELAY_MS
+const BASE_RETRY_DELAY_MS = (parseInt(process.env.NOTIFICATION_EMAIL_RETRY_SECONDS, 10) || 60) * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A delivery left in 'sending' this long belonged to a process that went away
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+/**
+ * Delay before the next attempt after the given number of failed attempts
+ */
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+/**
+ * SMTP 5xx replies are permanent (unknown mailbox, rejected content): retrying will not help
+ */
+const isPermanentError = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+class EmailChannel {
+  constructor() {
+    this.name = CHANNEL;
+  }
+
+  /**
+   * Whether email can be sent at all
+   */
+  isEnabled() {
+    return isMailConfigured();
+  }
+
+  /**
+   * Render a notification for its recipient, log the delivery and try to send it
+   * @param {object} notification - notifications row
+   * @param {object} options - { notBefore } - hold the email until then (quiet hours)
+   * @returns {object|null} delivery row, null when the recipient cannot get email
+   */
+  async deliver(notification, { notBefore = null } = {}) {
+    const user = await UserRepository.findById(notification.user_id, { select: 'id, email, locale, is_active' });
+    if (!user || !user.email || user.is_active === false) return null;
+
+    return await this._queue({ notification_id: notification.id }, user, renderEmail(notification, user.locale), notBefore);
+  }
+
+  /**
+   * Log and send a rendered digest email
+   * @param {object} digest - notification_digests row
+   * @param {object} user - Recipient (id, email)
+   * @param {object} email - Rendered email
+   * @returns {object|null} delivery row
+   */
+  async deliverDigest(digest, user, email) {
+    return await this._queue({ digest_id: digest.id }, user, email);
+  }
+
+  /**
+   * Log a delivery and send it now, unless it is held until later
+   * @private
+   */
+  async _queue(subject, user, email, notBefore = null) {
+    let delivery;
+    try {
+      delivery = await NotificationDeliveryRepository.create({
+        ...subject,
+        user_id: user.id,
+        channel: CHANNEL,
+        recipient: user.email,
+        locale: email.locale,
+        subject: email.subject,
+        text_body: email.text,
+        html_body: email.html,
+        status: 'pending',
+        next_attempt_at: (notBefore || new Date()).toISOString()
+      });
+    } catch (error) {
+      // Already queued
+      if (error.code === '23505') return null;
+      throw error;
+    }
+
+    // Held deliveries are sent by the delivery job once they are due
+    if (notBefore && notBefore.getTime() > Date.now()) return delivery;
+
+    return await this.attempt(delivery);
+  }
+
+  /**
+   * Send a logged delivery once; on failure schedule a retry with backoff or give up
+   * @param {object} delivery - notification_deliveries row
+   * @returns {object} delivery row after the attempt (unchanged when another worker claimed it)
+   */
+  async attempt(delivery) {
+    const attempts = delivery.attempts + 1;
+    const claimed = await NotificationDeliveryRepository.updateIfUnchanged(delivery, {
+      status: 'sending',
+      attempts,
+      updated_at: new Date().toISOString()
+    });
+    if (!claimed) return delivery;
+
+    try {
+      const info = await getMailTransport().sendMail({
+        from: getMailFrom(),
+        to: claimed.recipient,
+        subject: claimed.subject,
+        text: claimed.text_body,
+        html: claimed.html_body,
+        headers: claimed.notification_id
+          ? { 'X-Notification-Id': claimed.notification_id }
+          : { 'X-Notification-Digest-Id': claimed.digest_id }
+      });
+
+      return await NotificationDeliveryRepository.update(claimed.id, {
+        status: 'sent',
+        message_id: info.messageId || null,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      const giveUp = isPermanentError(error) || attempts >= MAX_ATTEMPTS;
+      console.error(`Email delivery ${claimed.id} to ${claimed.recipient} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+      return await NotificationDeliveryRepository.update(claimed.id, {
+        status: giveUp ? 'failed' : 'pending',
+        last_error: error.message,
+        next_attempt_at: giveUp
+          ? claimed.next_attempt_at
+          : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Retry deliveries whose next attempt is due
+   * @param {object} options - { limit }
+   * @returns {object} { checked, sent, retrying, failed }
+   */
+  async retryDue({ limit = 50 } = {}) {
+    const now = Date.now();
+    const due = await NotificationDeliveryRepository.findDue(
+      new Date(now).toISOString(),
+      new Date(now - STALE_SENDING_MS).toISOString(),
+      limit
+    );
+
+    const summary = { checked: due.length, sent: 0, retrying: 0, failed: 0 };
+
+    for (const delivery of due) {
+      if (delivery.channel !== CHANNEL) continue;
+
+      const result = await this.attempt(delivery);
+      if (result.status === 'sent') summary.sent += 1;
+      else if (result.status === 'failed') summary.failed += 1;
+      else summary.retrying += 1;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new EmailChannel();
@@ -0,0 +1,461 @@
+const { getAppUrl } = require('../../config/mail');
+
+/**
+ * Email templates per notification type, in Indonesian (id) and English (en)
+ *
+ * A template gets the notification row and returns { subject, lines, details }:
+ *   lines   - paragraphs of the message
+ *   details - [label, value] rows shown under it (empty values are left out)
+ * Types without a template are sent with the notification's own title and message.
+ */
+
+const LOCALES = ['id', 'en'];
+const DEFAULT_LOCALE = 'id';
+
+const APP_NAME = 'BA Digital';
+
+const formatAmount = (amount, locale) => {
+  if (amount === undefined || amount === null || isNaN(parseFloat(amount))) return null;
+  const value = parseFloat(amount);
+  return locale === 'en'
+    ? `IDR ${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`
+    : `Rp ${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })}`;
+};
+
+const documentLabel = (n) => [n.related_document_type, n.related_document_number].filter(Boolean).join(' ');
+
+/**
+ * BAPB and BAPP share their templates
+ */
+const documentTemplates = (documentType) => {
+  const prefix = documentType.toLowerCase();
+  const doc = (n) => `${documentType} ${n.related_document_number || ''}`.trim();
+  const project = (n) => n.metadata?.projectName || null;
+
+  return {
+    [`${prefix}_submitted`]: {
+      id: (n) => ({
+        subject: `${doc(n)} menunggu review`,
+        lines: [`${doc(n)} telah disubmit oleh vendor dan menunggu pemeriksaan Anda.`],
+        details: [['Dokumen', doc(n)], ['Proyek', project(n)], ['No. Order', n.metadata?.orderNumber]]
+      }),
+      en: (n) => ({
+        subject: `${doc(n)} awaiting review`,
+        lines: [`${doc(n)} has been submitted by the vendor and is waiting for your review.`],
+        details: [['Document', doc(n)], ['Project', project(n)], ['Order number', n.metadata?.orderNumber]]
+      })
+    },
+    [`${prefix}_approval_step`]: {
+      id: (n) => ({
+        subject: `${doc(n)} menunggu persetujuan Anda`,
+        lines: [`${doc(n)} menunggu persetujuan Anda pada tahap "${n.metadata?.stepName || '-'}".`],
+        details: [['Dokumen', doc(n)], ['Tahap', n.metadata?.stepName]]
+      }),
+      en: (n) => ({
+        subject: `${doc(n)} awaiting your approval`,
+        lines: [`${doc(n)} is waiting for your approval at step "${n.metadata?.stepName || '-'}".`],
+        details: [['Document', doc(n)], ['Step', n.metadata?.stepName]]
+      })
+    },
+    [`${prefix}_approved`]: {
+      id: (n) => ({
+        subject: `${doc(n)} disetujui`,
+        lines: [`${doc(n)} telah disetujui${n.metadata?.approverName ? ` oleh ${n.metadata.approverName}` : ''}.`],
+        details: [['Dokumen', doc(n)], ['Proyek', project(n)]]
+      }),
+      en: (n) => ({
+        subject: `${doc(n)} approved`,
+        lines: [`${doc(n)} has been approved${n.metadata?.approverName ? ` by ${n.metadata.approverName}` : ''}.`],
+        details: [['Document', doc(n)], ['Project', project(n)]]
+      })
+    },
+    [`${prefix}_rejected`]: {
+      id: (n) => ({
+        subject: `${doc(n)} ditolak`,
+        lines: [`${doc(n)} ditolak.`],
+        details: [['Dokumen', doc(n)], ['Proyek', project(n)], ['Alasan', n.metadata?.rejectionReason]]
+      }),
+      en: (n) => ({
+        subject: `${doc(n)} rejected`,
+        lines: [`${doc(n)} has been rejected.`],
+        details: [['Document', doc(n)], ['Project', project(n)], ['Reason', n.metadata?.rejectionReason]]
+      })
+    },
+    [`${prefix}_revision_required`]: {
+      id: (n) => ({
+        subject: `${doc(n)} perlu revisi`,
+        lines: [`${doc(n)} memerlukan revisi sebelum dapat diproses lebih lanjut.`],
+        details: [['Dokumen', doc(n)], ['Proyek', project(n)], ['Catatan', n.metadata?.revisionReason]]
+      }),
+      en: (n) => ({
+        subject: `${doc(n)} needs revision`,
+        lines: [`${doc(n)} needs to be revised before it can be processed further.`],
+        details: [['Document', doc(n)], ['Project', project(n)], ['Notes', n.metadata?.revisionReason]]
+      })
+    }
+  };
+};
+
+const paymentRequestTemplates = () => {
+  const ref = (n) => n.metadata?.requestNumber || '';
+  const details = (n, locale) => locale === 'en'
+    ? [['Request', ref(n)], ['Document', documentLabel(n)], ['Amount', formatAmount(n.metadata?.amount, locale)]]
+    : [['Permintaan', ref(n)], ['Dokumen', documentLabel(n)], ['Jumlah', formatAmount(n.metadata?.amount, locale)]];
+
+  const build = (subjects, lines, extra = () => []) => ({
+    id: (n) => ({ subject: subjects.id(n), lines: [lines.id(n)], details: [...details(n, 'id'), ...extra(n, 'id')] }),
+    en: (n) => ({ subject: subjects.en(n), lines: [lines.en(n)], details: [...details(n, 'en'), ...extra(n, 'en')] })
+  });
+  const reason = (n, locale) => [[locale === 'en' ? 'Reason' : 'Alasan', n.metadata?.reason]];
+
+  return {
+    payment_request_submitted: build(
+      { id: (n) => `Permintaan pembayaran ${ref(n)} menunggu persetujuan`, en: (n) => `Payment request ${ref(n)} awaiting approval` },
+      { id: () => 'Permintaan pembayaran berikut menunggu persetujuan Anda.', en: () => 'The following payment request is waiting for your approval.' }
+    ),
+    payment_request_approved: build(
+      { id: (n) => `Permintaan pembayaran ${ref(n)} disetujui sebagian`, en: (n) => `Payment request ${ref(n)} partially approved` },
+      {
+        id: (n) => `${n.metadata?.actorName || 'Checker'} menyetujui permintaan pembayaran ini (${n.metadata?.approvals ?? '-'}/${n.metadata?.requiredApprovals ?? '-'} persetujuan).`,
+        en: (n) => `${n.metadata?.actorName || 'A checker'} approved this payment request (${n.metadata?.approvals ?? '-'}/${n.metadata?.requiredApprovals ?? '-'} approvals).`
+      }
+    ),
+    payment_request_released: build(
+      { id: (n) => `Permintaan pembayaran ${ref(n)} dirilis`, en: (n) => `Payment request ${ref(n)} released` },
+      { id: () => 'Permintaan pembayaran ini telah dirilis dan siap dibayarkan.', en: () => 'This payment request has been released and is ready to be paid.' }
+    ),
+    payment_request_rejected: build(
+      { id: (n) => `Permintaan pembayaran ${ref(n)} ditolak`, en: (n) => `Payment request ${ref(n)} rejected` },
+      { id: () => 'Permintaan pembayaran ini ditolak.', en: () => 'This payment request has been rejected.' },
+      reason
+    ),
+    payment_request_cancelled: build(
+      { id: (n) => `Permintaan pembayaran ${ref(n)} dibatalkan`, en: (n) => `Payment request ${ref(n)} cancelled` },
+      { id: () => 'Permintaan pembayaran ini dibatalkan.', en: () => 'This payment request has been cancelled.' },
+      reason
+    ),
+    payment_request_executed: build(
+      { id: (n) => `Pembayaran untuk ${ref(n)} dikirim`, en: (n) => `Payment for ${ref(n)} sent` },
+      { id: () => 'Pembayaran untuk permintaan ini telah dikirim.', en: () => 'The payment for this request has been sent.' }
+    )
+  };
+};
+
+const paymentTemplates = () => ({
+  payment_processed: {
+    id: (n) => ({
+      subject: `Pembayaran ${documentLabel(n)} diproses`,
+      lines: [`Pembayaran untuk ${documentLabel(n)} telah diproses.`],
+      details: [['Jumlah', formatAmount(n.metadata?.amount, 'id')], ['No. Transaksi', n.metadata?.transactionId]]
+    }),
+    en: (n) => ({
+      subject: `Payment for ${documentLabel(n)} processed`,
+      lines: [`The payment for ${documentLabel(n)} has been processed.`],
+      details: [['Amount', formatAmount(n.metadata?.amount, 'en')], ['Transaction ID', n.metadata?.transactionId]]
+    })
+  },
+  payment_reversed: {
+    id: (n) => ({
+      subject: `Pembayaran ${documentLabel(n)} dibatalkan`,
+      lines: [`Pembayaran untuk ${documentLabel(n)} telah dibatalkan (reversal).`],
+      details: [['Jumlah', formatAmount(n.metadata?.amount, 'id')], ['No. Transaksi', n.metadata?.transactionId], ['Alasan', n.metadata?.reason]]
+    }),
+    en: (n) => ({
+      subject: `Payment for ${documentLabel(n)} reversed`,
+      lines: [`The payment for ${documentLabel(n)} has been reversed.`],
+      details: [['Amount', formatAmount(n.metadata?.amount, 'en')], ['Transaction ID', n.metadata?.transactionId], ['Reason', n.metadata?.reason]]
+    })
+  }
+});
+
+const bankAccountTemplates = () => {
+  const account = (n) => [n.metadata?.bankName, n.metadata?.accountNumber].filter(Boolean).join(' ');
+  const details = (n, locale) => locale === 'en'
+    ? [['Account', account(n)], ['Account holder', n.metadata?.accountHolderName], ['Vendor', n.metadata?.vendorName]]
+    : [['Rekening', account(n)], ['Atas nama', n.metadata?.accountHolderName], ['Vendor', n.metadata?.vendorName]];
+
+  return {
+    bank_account_pending_approval: {
+      id: (n) => ({
+        subject: `Rekening bank ${account(n)} menunggu persetujuan`,
+        lines: ['Rekening bank vendor berikut menunggu persetujuan Anda.'],
+        details: [...details(n, 'id'), ['Status verifikasi', n.metadata?.verificationStatus]]
+      }),
+      en: (n) => ({
+        subject: `Bank account ${account(n)} awaiting approval`,
+        lines: ['The following vendor bank account is waiting for your approval.'],
+        details: [...details(n, 'en'), ['Verification status', n.metadata?.verificationStatus]]
+      })
+    },
+    bank_account_approved: {
+      id: (n) => ({
+        subject: `Rekening bank ${account(n)} disetujui`,
+        lines: ['Rekening bank Anda telah disetujui dan dapat digunakan untuk pembayaran.'],
+        details: details(n, 'id')
+      }),
+      en: (n) => ({
+        subject: `Bank account ${account(n)} approved`,
+        lines: ['Your bank account has been approved and can now receive payments.'],
+        details: details(n, 'en')
+      })
+    },
+    bank_account_rejected: {
+      id: (n) => ({
+        subject: `Rekening bank ${account(n)} ditolak`,
+        lines: ['Rekening bank Anda ditolak.'],
+        details: [...details(n, 'id'), ['Alasan', n.metadata?.reason]]
+      }),
+      en: (n) => ({
+        subject: `Bank account ${account(n)} rejected`,
+        lines: ['Your bank account has been rejected.'],
+        details: [...details(n, 'en'), ['Reason', n.metadata?.reason]]
+      })
+    }
+  };
+};
+
+const slaTemplates = () => {
+  const statusLabels = {
+    id: { submitted: 'Diajukan', in_review: 'Dalam review', revision_required: 'Perlu revisi', approved: 'Disetujui, menunggu pembayaran' },
+    en: { submitted: 'Submitted', in_review: 'In review', revision_required: 'Revision required', approved: 'Approved, awaiting payment' }
+  };
+  const status = (n, locale) => statusLabels[locale][n.metadata?.documentStatus] || n.metadata?.documentStatus;
+  const due = (n, locale) => n.metadata?.dueAt
+    ? new Date(n.metadata.dueAt).toLocaleString(locale === 'en' ? 'en-GB' : 'id-ID', {
+      timeZone: n.metadata.timeZone || undefined,
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })
+    : null;
+  const details = (n, locale) => locale === 'en'
+    ? [['Document', documentLabel(n)], ['Status', status(n, 'en')], ['Due', due(n, 'en')], ['Target', `${n.metadata?.targetHours} business hours`]]
+    : [['Dokumen', documentLabel(n)], ['Status', status(n, 'id')], ['Batas waktu', due(n, 'id')], ['Target', `${n.metadata?.targetHours} jam kerja`]];
+
+  return {
+    sla_reminder: {
+      id: (n) => ({
+        subject: `${documentLabel(n)} mendekati batas waktu`,
+        lines: [`${documentLabel(n)} perlu ditindaklanjuti sebelum ${due(n, 'id') || 'batas waktu'}.`],
+        details: details(n, 'id')
+      }),
+      en: (n) => ({
+        subject: `${documentLabel(n)} is nearing its deadline`,
+        lines: [`${documentLabel(n)} needs your action before ${due(n, 'en') || 'its deadline'}.`],
+        details: details(n, 'en')
+      })
+    },
+    sla_breached: {
+      id: (n) => ({
+        subject: `${documentLabel(n)} melewati batas waktu`,
+        lines: [`${documentLabel(n)} telah melewati batas waktu dan dieskalasi. Mohon segera ditindaklanjuti.`],
+        details: details(n, 'id')
+      }),
+      en: (n) => ({
+        subject: `${documentLabel(n)} is past its deadline`,
+        lines: [`${documentLabel(n)} is past its deadline and has been escalated. Please act on it as soon as possible.`],
+        details: details(n, 'en')
+      })
+    },
+    sla_escalation: {
+      id: (n) => ({
+        subject: `Eskalasi: ${documentLabel(n)} melewati batas waktu`,
+        lines: [`${documentLabel(n)} telah melewati batas waktu dan dieskalasi kepada Anda.`],
+        details: details(n, 'id')
+      }),
+      en: (n) => ({
+        subject: `Escalation: ${documentLabel(n)} is past its deadline`,
+        lines: [`${documentLabel(n)} is past its deadline and has been escalated to you.`],
+        details: details(n, 'en')
+      })
+    }
+  };
+};
+
+const TEMPLATES = {
+  ...documentTemplates('BAPB'),
+  ...documentTemplates('BAPP'),
+  ...paymentTemplates(),
+  ...paymentRequestTemplates(),
+  ...bankAccountTemplates(),
+  ...slaTemplates()
+};
+
+const FOOTER = {
+  id: `Email ini dikirim otomatis oleh ${APP_NAME}. Mohon tidak membalas email ini.`,
+  en: `This email was sent automatically by ${APP_NAME}. Please do not reply.`
+};
+
+const BUTTON = {
+  id: 'Buka di BA Digital',
+  en: 'Open in BA Digital'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const normalizeLocale = (locale) => (LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+/**
+ * Absolute link to the page of a notification, null when it has none
+ */
+const actionLink = (notification) => {
+  if (!notification.action_url) return null;
+  if (/^https?:\/\//i.test(notification.action_url)) return notification.action_url;
+  return `${getAppUrl()}/${notification.action_url.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Whether a notification type has its own template
+ */
+const hasTemplate = (type) => Object.prototype.hasOwnProperty.call(TEMPLATES, type);
+
+/**
+ * Subject, paragraphs and detail rows of a notification
+ * @private
+ */
+const notificationContent = (notification, lang) => {
+  const content = hasTemplate(notification.type)
+    ? TEMPLATES[notification.type][lang](notification)
+    : { subject: notification.title, lines: [notification.message], details: [] };
+
+  return {
+    ...content,
+    details: (content.details || []).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  };
+};
+
+/**
+ * Wrap rendered parts in the text and HTML layout shared by all emails
+ * @private
+ */
+const layout = (lang, heading, { text, html }) => {
+  const subject = `[${APP_NAME}] ${heading}`;
+
+  return {
+    subject,
+    text: [...text, '', '--', FOOTER[lang]].join('\n').replace(/\n{3,}/g, '\n\n'),
+    html: `<!DOCTYPE html>
+<html lang="${lang}">
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:6px;">
+    <tr><td style="padding:20px 24px;border-bottom:1px solid #e4e7eb;font-size:18px;font-weight:bold;">${escapeHtml(heading)}</td></tr>
+    <tr><td style="padding:20px 24px;font-size:14px;line-height:1.5;">
+      ${html}
+    </td></tr>
+    <tr><td style="padding:16px 24px;border-top:1px solid #e4e7eb;font-size:12px;color:#7b8794;">${escapeHtml(FOOTER[lang])}</td></tr>
+  </table>
+</body>
+</html>`,
+    locale: lang
+  };
+};
+
+/**
+ * Render the email for a notification
+ * @param {object} notification - notifications row
+ * @param {string} locale - 'id' or 'en'
+ * @returns {object} { subject, text, html, locale }
+ */
+const renderEmail = (notification, locale = DEFAULT_LOCALE) => {
+  const lang = normalizeLocale(locale);
+  const content = notificationContent(notification, lang);
+  const link = actionLink(notification);
+
+  return layout(lang, content.subject, {
+    text: [
+      ...content.lines,
+      '',
+      ...content.details.map(([label, value]) => `${label}: ${value}`),
+      ...(link ? ['', `${BUTTON[lang]}: ${link}`] : [])
+    ],
+    html: [
+      ...content.lines.map(line => `<p style="margin:0 0 12px;">${escapeHtml(line)}</p>`),
+      content.details.length > 0
+        ? `<table role="presentation" cellpadding="0" cellspacing="0" style="margin:8px 0 16px;font-size:14px;">
+        ${content.details.map(([label, value]) => `<tr><td style="padding:4px 16px 4px 0;color:#616e7c;">${escapeHtml(label)}</td><td style="padding:4px 0;">${escapeHtml(value)}</td></tr>`).join('\n        ')}
+      </table>`
+        : '',
+      link
+        ? `<p style="margin:16px 0 0;"><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtml(BUTTON[lang])}</a></p>`
+        : ''
+    ].filter(Boolean).join('\n      ')
+  });
+};
+
+const DIGEST_TEXT = {
+  id: {
+    daily: (count) => `Ringkasan notifikasi harian (${count})`,
+    weekly: (count) => `Ringkasan notifikasi mingguan (${count})`,
+    intro: (count) => `Anda memiliki ${count} notifikasi sejak ringkasan terakhir:`,
+    more: (count) => `... dan ${count} notifikasi lainnya.`,
+    inbox: 'Lihat semua notifikasi'
+  },
+  en: {
+    daily: (count) => `Your daily notification digest (${count})`,
+    weekly: (count) => `Your weekly notification digest (${count})`,
+    intro: (count) => `You have ${count} notifications since your last digest:`,
+    more: (count) => `... and ${count} more.`,
+    inbox: 'View all notifications'
+  }
+};
+
+// Notifications listed in one digest email; the rest are counted
+const DIGEST_ITEM_LIMIT = 50;
+
+/**
+ * Render one email bundling several notifications
+ * @param {array} notifications - notifications rows, oldest first
+ * @param {string} locale - 'id' or 'en'
+ * @param {object} options - { frequency: 'daily' | 'weekly', timeZone } - timeZone of the dates shown
+ * @returns {object} { subject, text, html, locale }
+ */
+const renderDigestEmail = (notifications, locale = DEFAULT_LOCALE, { frequency = 'daily', timeZone = 'Asia/Jakarta' } = {}) => {
+  const lang = normalizeLocale(locale);
+  const words = DIGEST_TEXT[lang];
+  const dateFormat = new Intl.DateTimeFormat(lang === 'en' ? 'en-GB' : 'id-ID', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone
+  });
+
+  const items = notifications.slice(0, DIGEST_ITEM_LIMIT).map(notification => ({
+    subject: notificationContent(notification, lang).subject,
+    date: dateFormat.format(new Date(notification.created_at)),
+    link: actionLink(notification)
+  }));
+  const remaining = notifications.length - items.length;
+  const inbox = `${getAppUrl()}/notifications`;
+
+  return layout(lang, words[frequency === 'weekly' ? 'weekly' : 'daily'](notifications.length), {
+    text: [
+      words.intro(notifications.length),
+      '',
+      ...items.map(item => `- ${item.subject} (${item.date})${item.link ? `\n  ${item.link}` : ''}`),
+      ...(remaining > 0 ? ['', words.more(remaining)] : []),
+      '',
+      `${words.inbox}: ${inbox}`
+    ],
+    html: [
+      `<p style="margin:0 0 12px;">${escapeHtml(words.intro(notifications.length))}</p>`,
+      `<ul style="margin:0 0 16px;padding-left:20px;">
+        ${items.map(item => `<li style="margin:0 0 8px;">${item.link ? `<a href="${escapeHtml(item.link)}" style="color:#2563eb;">${escapeHtml(item.subject)}</a>` : escapeHtml(item.subject)} <span style="color:#7b8794;">${escapeHtml(item.date)}</span></li>`).join('\n        ')}
+      </ul>`,
+      remaining > 0 ? `<p style="margin:0 0 12px;">${escapeHtml(words.more(remaining))}</p>` : '',
+      `<p style="margin:16px 0 0;"><a href="${escapeHtml(inbox)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtml(words.inbox)}</a></p>`
+    ].filter(Boolean).join('\n      ')
+  });
+};
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  NOTIFICATION_TYPES: Object.keys(TEMPLATES),
+  hasTemplate,
+  renderEmail,
+  renderDigestEmail
+};
@@ -0,0 +1,154 @@
+const emailChannel = require('./emailChannel');
+const NotificationDeliveryRepository = require('../../repositories/NotificationDeliveryRepository');
+const NotificationDigestRepository = require('../../repositories/NotificationDigestRepository');
+const notificationPreferenceService = require('../notificationPreferenceService');
+const realtimeService = require('../realtimeService');
+const { AppError } = require('../../utils/errorHandler');
+
+// Channels that deliver notifications outside the app, by name.
+// NOTIFICATION_CHANNELS (comma separated, default 'email') picks which ones are used;
+// a channel that is not configured (e.g. email without SMTP_HOST) is skipped.
+const channels = {
+  email: emailChannel
+};
+
+const enabledChannels = () => (process.env.NOTIFICATION_CHANNELS ?? 'email')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => channels[name] && channels[name].isEnabled());
+
+/**
+ * Get a channel by name
+ */
+const getChannel = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(channels, name)) {
+    throw new Error(`Unknown notification channel "${name}". Available: ${Object.keys(channels).join(', ')}`);
+  }
+  return channels[name];
+};
+
+/**
+ * Replace a channel (e.g. with an in-memory one when testing)
+ */
+const setChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+/**
+ * Route created notifications by their recipients' preferences: push them on open streams (in_app),
+ * hand them to the enabled channels (email, held during quiet hours) or keep them for the next digest
+ * Never throws: a channel failing must not fail the action that raised the notification.
+ * @param {array|object} notifications - notifications rows
+ * @returns {Promise} settles when every channel has made its first attempt
+ */
+const dispatch = async (notifications) => {
+  try {
+    const rows = (Array.isArray(notifications) ? notifications : [notifications]).filter(Boolean);
+    if (rows.length === 0) return [];
+
+    const names = enabledChannels();
+    const preferences = await notificationPreferenceService.getForUsers(rows.map(row => row.user_id));
+    const digested = [];
+    const deliveries = [];
+
+    rows.forEach(notification => {
+      const route = notificationPreferenceService.route(preferences.get(notification.user_id), notification);
+
+      if (route.channels.includes('in_app')) realtimeService.publishNotifications([notification]);
+      if (route.digest) digested.push(notification.id);
+
+      names.filter(name => route.channels.includes(name)).forEach(name => {
+        deliveries.push(channels[name].deliver(notification, { notBefore: route.notBefore }).catch(error => {
+          console.error(`Error delivering notification ${notification.id} over ${name}:`, error);
+          return null;
+        }));
+      });
+    });
+
+    if (digested.length > 0) {
+      await NotificationDigestRepository.markPending(digested);
+    }
+
+    return await Promise.all(deliveries);
+  } catch (error) {
+    console.error('Error dispatching notifications:', error);
+    return [];
+  }
+};
+
+/**
+ * Retry due deliveries on every channel
+ * @returns {object} summary per channel
+ */
+const retryDueDeliveries = async (options = {}) => {
+  const summary = {};
+  for (const name of enabledChannels()) {
+    summary[name] = await channels[name].retryDue(options);
+  }
+  return summary;
+};
+
+/**
+ * Get the delivery log
+ * @param {object} filters - { status, userId, notificationId, digestId, channel, page, limit }
+ */
+const getDeliveries = async (filters = {}) => {
+  const page = parseInt(filters.page, 10) || 1;
+  const limit = Math.min(parseInt(filters.limit, 10) || 20, 100);
+
+  const { data, count } = await NotificationDeliveryRepository.findDeliveries(filters, {
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    deliveries: data,
+    pagination: {
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+};
+
+/**
+ * Send a failed or waiting delivery again right away, with a fresh set of attempts
+ * @throws {AppError} 404 unknown delivery, 409 already sent or being sent, or channel not configured
+ */
+const retryDelivery = async (deliveryId) => {
+  const delivery = await NotificationDeliveryRepository.findById(deliveryId);
+  if (!delivery) {
+    throw new AppError('Delivery not found', 404);
+  }
+
+  if (!['failed', 'pending'].includes(delivery.status)) {
+    throw new AppError(`Delivery is ${delivery.status} and cannot be retried`, 409);
+  }
+
+  const channel = getChannel(delivery.channel);
+  if (!channel.isEnabled()) {
+    throw new AppError(`The ${delivery.channel} channel is not configured`, 409);
+  }
+
+  const reset = await NotificationDeliveryRepository.updateIfUnchanged(delivery, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+  if (!reset) {
+    throw new AppError('Delivery changed while retrying it, try again', 409);
+  }
+
+  return await channel.attempt(reset);
+};
+
+module.exports = {
+  getChannel,
+  setChannel,
+  dispatch,
+  retryDueDeliveries,
+  retryDelivery,
+  getDeliveries
+};
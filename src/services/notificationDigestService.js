@@ -0,0 +1,79 @@
+const UserRepository = require('../repositories/UserRepository');
+const NotificationPreferenceRepository = require('../repositories/NotificationPreferenceRepository');
+const NotificationDigestRepository = require('../repositories/NotificationDigestRepository');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const notificationChannels = require('./notificationChannels');
+const { renderDigestEmail } = require('./notificationChannels/emailTemplates');
+
+class NotificationDigestService {
+  /**
+   * Send the digests that are due
+   * @param {Date} now
+   * @returns {object} { checked, sent, empty, failed }
+   */
+  async sendDueDigests(now = new Date()) {
+    const summary = { checked: 0, sent: 0, empty: 0, failed: 0 };
+
+    // Held notifications stay held until email can be sent again
+    if (!notificationChannels.getChannel('email').isEnabled()) return summary;
+
+    const subscribers = await NotificationPreferenceRepository.findDigestSubscribers();
+
+    for (const preferences of subscribers) {
+      if (!notificationPreferenceService.isDigestDue(preferences, now)) continue;
+
+      summary.checked += 1;
+      try {
+        const delivery = await this.sendDigest(preferences, now);
+        if (delivery) summary.sent += 1;
+        else summary.empty += 1;
+      } catch (error) {
+        console.error(`Error sending notification digest to user ${preferences.user_id}:`, error);
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Bundle a user's held notifications into one email
+   * Notifications already read in the app are closed off without being listed.
+   * @param {object} preferences - Preferences row
+   * @param {Date} now
+   * @returns {object|null} delivery row, null when there was nothing to send
+   */
+  async sendDigest(preferences, now = new Date()) {
+    // Claimed first, so overlapping runs do not send the same digest twice
+    const claimed = await NotificationPreferenceRepository.claimDigest(preferences, now.toISOString());
+    if (!claimed) return null;
+
+    const held = await NotificationDigestRepository.findPendingNotifications(preferences.user_id);
+    if (held.length === 0) return null;
+
+    const user = await UserRepository.findById(preferences.user_id, { select: 'id, email, locale, is_active' });
+    if (!user || !user.email || user.is_active === false) return null;
+
+    const unread = held.filter(notification => !notification.is_read);
+
+    const digest = await NotificationDigestRepository.create({
+      user_id: user.id,
+      frequency: preferences.digest_frequency,
+      notification_count: unread.length,
+      period_start: preferences.last_digest_at,
+      period_end: now.toISOString()
+    });
+    await NotificationDigestRepository.attachNotifications(held.map(notification => notification.id), digest.id);
+
+    if (unread.length === 0) return null;
+
+    const email = renderDigestEmail(unread, user.locale, {
+      frequency: preferences.digest_frequency,
+      timeZone: preferences.timezone
+    });
+
+    return await notificationChannels.getChannel('email').deliverDigest(digest, user, email);
+  }
+}
+
+module.exports = new NotificationDigestService();
@@ -0,0 +1,302 @@
+const NotificationPreferenceRepository = require('../repositories/NotificationPreferenceRepository');
+const { NOTIFICATION_TYPES } = require('./notificationChannels/emailTemplates');
+const { AppError } = require('../utils/errorHandler');
+
+// in_app: pushed live on the notification stream. Notifications are stored in the inbox either way.
+const CHANNELS = ['in_app', 'email'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+// Urgent notifications are never held back by quiet hours or digests
+const DIGESTIBLE_PRIORITIES = ['low', 'medium', 'high'];
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+const TYPE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+class NotificationPreferenceService {
+  /**
+   * Preferences of a user that never changed them
+   * @private
+   */
+  _defaults(userId) {
+    return {
+      user_id: userId,
+      channel_rules: {},
+      quiet_hours_start: null,
+      quiet_hours_end: null,
+      timezone: DEFAULT_TIMEZONE,
+      digest_frequency: 'off',
+      digest_hour: 8,
+      digest_weekday: 1,
+      digest_priorities: ['low', 'medium'],
+      last_digest_at: null
+    };
+  }
+
+  /**
+   * Map a preferences row to the API shape
+   * @private
+   */
+  _toApi(row) {
+    return {
+      channels: {
+        types: row.channel_rules?.types || {},
+        priorities: row.channel_rules?.priorities || {}
+      },
+      quietHours: row.quiet_hours_start
+        ? { start: row.quiet_hours_start.slice(0, 5), end: row.quiet_hours_end.slice(0, 5) }
+        : null,
+      timezone: row.timezone,
+      digest: {
+        frequency: row.digest_frequency,
+        hour: row.digest_hour,
+        weekday: row.digest_weekday,
+        priorities: row.digest_priorities
+      },
+      lastDigestAt: row.last_digest_at
+    };
+  }
+
+  /**
+   * Values the preferences can use, for building the settings screen
+   */
+  getOptions() {
+    return {
+      channels: CHANNELS,
+      priorities: PRIORITIES,
+      types: NOTIFICATION_TYPES,
+      digestFrequencies: DIGEST_FREQUENCIES,
+      digestPriorities: DIGESTIBLE_PRIORITIES
+    };
+  }
+
+  /**
+   * Local date, weekday and minute of the day of a moment in a time zone
+   * @returns {object} { dateKey, weekday, minutes }
+   */
+  localTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+    return {
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: WEEKDAYS[parts.weekday],
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+  }
+
+  /**
+   * Validate a preferences update, returns list of error messages
+   */
+  validate(body) {
+    const errors = [];
+
+    const checkChannelMap = (map, field, allowedKey) => {
+      if (map === undefined) return;
+      if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+        errors.push(`${field} must be an object`);
+        return;
+      }
+      Object.entries(map).forEach(([key, channels]) => {
+        if (!allowedKey(key)) errors.push(`${field}: unknown key "${key}"`);
+        if (!Array.isArray(channels) || channels.some(channel => !CHANNELS.includes(channel))) {
+          errors.push(`${field}.${key} must be a list of channels (${CHANNELS.join(', ')})`);
+        }
+      });
+    };
+
+    if (body.channels !== undefined) {
+      if (body.channels === null || typeof body.channels !== 'object') {
+        errors.push('channels must be an object');
+      } else {
+        checkChannelMap(body.channels.types, 'channels.types', key => TYPE_PATTERN.test(key));
+        checkChannelMap(body.channels.priorities, 'channels.priorities', key => PRIORITIES.includes(key));
+      }
+    }
+
+    if (body.quietHours !== undefined && body.quietHours !== null) {
+      const { start, end } = body.quietHours;
+      if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        errors.push('quietHours needs start and end as HH:MM');
+      } else if (toMinutes(start) === toMinutes(end)) {
+        errors.push('quietHours start and end must differ');
+      }
+    }
+
+    if (body.timezone !== undefined && (typeof body.timezone !== 'string' || !isTimeZone(body.timezone))) {
+      errors.push('timezone must be an IANA time zone, e.g. Asia/Jakarta');
+    }
+
+    if (body.digest !== undefined) {
+      const digest = body.digest || {};
+      if (digest.frequency !== undefined && !DIGEST_FREQUENCIES.includes(digest.frequency)) {
+        errors.push(`digest.frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+      }
+      if (digest.hour !== undefined && !(Number.isInteger(digest.hour) && digest.hour >= 0 && digest.hour <= 23)) {
+        errors.push('digest.hour must be a whole number from 0 to 23');
+      }
+      if (digest.weekday !== undefined && !(Number.isInteger(digest.weekday) && digest.weekday >= 0 && digest.weekday <= 6)) {
+        errors.push('digest.weekday must be a whole number from 0 (Sunday) to 6');
+      }
+      if (digest.priorities !== undefined && (!Array.isArray(digest.priorities) || digest.priorities.length === 0
+        || digest.priorities.some(priority => !DIGESTIBLE_PRIORITIES.includes(priority)))) {
+        errors.push(`digest.priorities must be a non-empty list of: ${DIGESTIBLE_PRIORITIES.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the preferences of a user (defaults when never changed)
+   */
+  async getPreferences(userId) {
+    const row = await NotificationPreferenceRepository.findByUser(userId);
+    return this._toApi(row || this._defaults(userId));
+  }
+
+  /**
+   * Update the preferences of a user; fields left out keep their value
+   * @param {object} body - { channels: { types, priorities }, quietHours: { start, end } | null, timezone,
+   *                          digest: { frequency, hour, weekday, priorities } }
+   * @throws {AppError} 400 invalid preferences
+   */
+  async updatePreferences(userId, body) {
+    const errors = this.validate(body);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const current = await NotificationPreferenceRepository.findByUser(userId) || this._defaults(userId);
+    const changes = {};
+
+    if (body.channels !== undefined) {
+      changes.channel_rules = {
+        types: body.channels.types ?? current.channel_rules?.types ?? {},
+        priorities: body.channels.priorities ?? current.channel_rules?.priorities ?? {}
+      };
+    }
+
+    if (body.quietHours !== undefined) {
+      changes.quiet_hours_start = body.quietHours ? body.quietHours.start : null;
+      changes.quiet_hours_end = body.quietHours ? body.quietHours.end : null;
+    }
+
+    if (body.timezone !== undefined) changes.timezone = body.timezone;
+
+    if (body.digest) {
+      if (body.digest.frequency !== undefined) changes.digest_frequency = body.digest.frequency;
+      if (body.digest.hour !== undefined) changes.digest_hour = body.digest.hour;
+      if (body.digest.weekday !== undefined) changes.digest_weekday = body.digest.weekday;
+      if (body.digest.priorities !== undefined) changes.digest_priorities = [...new Set(body.digest.priorities)];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return this._toApi(current);
+    }
+
+    return this._toApi(await NotificationPreferenceRepository.save(userId, changes));
+  }
+
+  /**
+   * Get the preferences of the recipients of a batch of notifications
+   * Falls back to the defaults when they cannot be read, so notifications still go out.
+   * @param {array} userIds
+   * @returns {Map} userId -> preferences row (defaults filled in)
+   */
+  async getForUsers(userIds) {
+    const ids = [...new Set(userIds)];
+
+    let rows = new Map();
+    try {
+      rows = await NotificationPreferenceRepository.findByUsers(ids);
+    } catch (error) {
+      console.error('Error reading notification preferences, using defaults:', error.message);
+    }
+
+    return new Map(ids.map(id => [id, rows.get(id) || this._defaults(id)]));
+  }
+
+  /**
+   * Decide how a notification reaches its recipient
+   * @param {object} preferences - Preferences row of the recipient
+   * @param {object} notification - notifications row
+   * @param {Date} now
+   * @returns {object} { channels, digest, notBefore } - digest: held for the next digest instead of emailed;
+   *                   notBefore: emails wait until quiet hours end
+   */
+  route(preferences, notification, now = new Date()) {
+    const rules = preferences.channel_rules || {};
+    const priority = notification.priority || 'medium';
+    let channels = rules.types?.[notification.type] ?? rules.priorities?.[priority] ?? CHANNELS;
+    const urgent = priority === 'urgent';
+
+    const digest = !urgent
+      && preferences.digest_frequency !== 'off'
+      && (preferences.digest_priorities || []).includes(priority)
+      && channels.includes('email');
+    if (digest) channels = channels.filter(channel => channel !== 'email');
+
+    let notBefore = null;
+    if (!urgent && preferences.quiet_hours_start && preferences.quiet_hours_end) {
+      const start = toMinutes(preferences.quiet_hours_start);
+      const end = toMinutes(preferences.quiet_hours_end);
+      const { minutes } = this.localTime(now, preferences.timezone || DEFAULT_TIMEZONE);
+      // Overnight windows (22:00-06:00) wrap around midnight
+      const quiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+
+      if (quiet) {
+        const wait = (end - minutes + 1440) % 1440;
+        notBefore = new Date(now.getTime() + wait * 60 * 1000);
+        notBefore.setSeconds(0, 0);
+      }
+    }
+
+    return { channels, digest, notBefore };
+  }
+
+  /**
+   * Whether a user's digest should go out now: the local digest hour has passed today
+   * (on the chosen weekday for weekly digests) and none went out yet today
+   * @param {object} preferences - Preferences row
+   * @param {Date} now
+   */
+  isDigestDue(preferences, now = new Date()) {
+    if (!['daily', 'weekly'].includes(preferences.digest_frequency)) return false;
+
+    const timeZone = preferences.timezone || DEFAULT_TIMEZONE;
+    const local = this.localTime(now, timeZone);
+
+    if (local.minutes < preferences.digest_hour * 60) return false;
+    if (preferences.digest_frequency === 'weekly' && local.weekday !== preferences.digest_weekday) return false;
+
+    return !preferences.last_digest_at
+      || this.localTime(new Date(preferences.last_digest_at), timeZone).dateKey !== local.dateKey;
+  }
+}
+
+module.exports = new NotificationPreferenceService();
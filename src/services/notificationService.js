@@ -1,4 +1,6 @@
 const { supabaseAdmin } = require('../config/supabase');
+const notificationChannels = require('./notificationChannels');
+const realtimeService = require('./realtimeService');
 
 class NotificationService {
   
@@ -39,6 +41,9 @@ class NotificationService {
         .single();
 
       if (error) throw error;
+
+      this._afterCreate([data]);
+
       return data;
     } catch (error) {
       console.error('Error creating notification:', error);
@@ -65,12 +70,15 @@ class NotificationService {
         is_read: false
       }));
 
-      const { error } = await supabaseAdmin
+      const { data, error } = await supabaseAdmin
         .from('notifications')
-        .insert(notifications);
+        .insert(notifications)
+        .select();
 
       if (error) throw error;
-      
+
+      this._afterCreate(data);
+
       return {
         success: true,
         count: notifications.length
@@ -81,21 +89,49 @@ class NotificationService {
     }
   }
 
+  /**
+   * Route new notifications to open streams and delivery channels (email) by the recipients' preferences
+   * Runs in the background and never fails the caller.
+   * @private
+   */
+  _afterCreate(notifications) {
+    this._pushUnreadCounts(notifications.map(notification => notification.user_id));
+    notificationChannels.dispatch(notifications);
+  }
+
+  /**
+   * Push the unread count of users that have a stream open
+   * @private
+   */
+  _pushUnreadCounts(userIds) {
+    [...new Set(userIds)]
+      .filter(userId => realtimeService.isConnected(userId))
+      .forEach(userId => {
+        this.getUnreadCount(userId).then(count => realtimeService.publishUnreadCount(userId, count));
+      });
+  }
+
   /**
    * Notify when BAPB is submitted
+   * @param {object} bapb
+   * @param {array} approverIds - Approvers of the first chain step (defaults to all reviewers)
    */
-  async notifyBAPBSubmitted(bapb) {
+  async notifyBAPBSubmitted(bapb, approverIds = null) {
     try {
-      // Get all PIC Gudang and Approvers
-      const { data: recipients, error } = await supabaseAdmin
-        .from('users')
-        .select('id')
-        .in('role', ['pic_gudang', 'approver', 'admin'])
-        .eq('is_active', true);
+      let recipientIds = approverIds;
 
-      if (error) throw error;
+      if (!recipientIds) {
+        // Get all PIC Gudang and Approvers
+        const { data: recipients, error } = await supabaseAdmin
+          .from('users')
+          .select('id')
+          .in('role', ['pic_gudang', 'approver', 'admin'])
+          .eq('is_active', true);
 
-      const recipientIds = recipients.map(u => u.id);
+        if (error) throw error;
+
+        recipientIds = recipients.map(u => u.id);
+      }
 
       await this.createBulkNotifications(recipientIds, {
         type: 'bapb_submitted',
@@ -202,18 +238,24 @@ class NotificationService {
 
   /**
    * Notify when BAPP is submitted
+   * @param {object} bapp
+   * @param {array} approverIds - Approvers of the first chain step (defaults to all reviewers)
    */
-  async notifyBAPPSubmitted(bapp) {
+  async notifyBAPPSubmitted(bapp, approverIds = null) {
     try {
-      const { data: recipients, error } = await supabaseAdmin
-        .from('users')
-        .select('id')
-        .in('role', ['approver', 'admin'])
-        .eq('is_active', true);
+      let recipientIds = approverIds;
 
-      if (error) throw error;
+      if (!recipientIds) {
+        const { data: recipients, error } = await supabaseAdmin
+          .from('users')
+          .select('id')
+          .in('role', ['approver', 'admin'])
+          .eq('is_active', true);
+
+        if (error) throw error;
 
-      const recipientIds = recipients.map(u => u.id);
+        recipientIds = recipients.map(u => u.id);
+      }
 
       await this.createBulkNotifications(recipientIds, {
         type: 'bapp_submitted',
@@ -322,6 +364,45 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify approvers that a document is waiting on their approval step
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - BAPB/BAPP row
+   * @param {object} step - Chain step waiting for approval
+   * @param {array} approverIds - Users that can act on the step
+   */
+  async notifyApprovalStepPending(documentType, document, step, approverIds) {
+    try {
+      if (!approverIds || approverIds.length === 0) {
+        console.warn(`⚠️ No approvers found for ${documentType} step "${step.name}"`);
+        return;
+      }
+
+      const numberField = documentType === 'BAPB' ? 'bapb_number' : 'bapp_number';
+      const basePath = documentType.toLowerCase();
+
+      await this.createBulkNotifications(approverIds, {
+        type: `${basePath}_approval_step`,
+        title: `${documentType} Menunggu Persetujuan Anda`,
+        message: `${documentType} ${document[numberField]} menunggu persetujuan pada tahap "${step.name}".`,
+        relatedDocumentType: documentType,
+        relatedDocumentId: document.id,
+        relatedDocumentNumber: document[numberField],
+        actionUrl: `/${basePath}/${document.id}`,
+        priority: 'high',
+        metadata: {
+          vendorId: document.vendor_id,
+          stepOrder: step.order,
+          stepName: step.name
+        }
+      });
+
+      console.log(`✅ Notified ${approverIds.length} approvers about ${documentType} step "${step.name}"`);
+    } catch (error) {
+      console.error('Error notifying approval step:', error);
+    }
+  }
+
   /**
    * Notify vendor about payment processing
    */
@@ -350,6 +431,191 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify vendor that a payment to them was reversed
+   */
+  async notifyPaymentReversed(vendorId, paymentData) {
+    try {
+      await this.createNotification({
+        userId: vendorId,
+        type: 'payment_reversed',
+        title: 'Pembayaran Dibatalkan',
+        message: `Pembayaran untuk ${paymentData.documentNumber} sebesar Rp ${paymentData.amount.toLocaleString('id-ID')} telah dibatalkan (reversal).${paymentData.reason ? ` Alasan: ${paymentData.reason}` : ''}`,
+        relatedDocumentType: paymentData.documentType,
+        relatedDocumentId: paymentData.documentId,
+        relatedDocumentNumber: paymentData.documentNumber,
+        actionUrl: `/payment/${paymentData.documentType.toLowerCase()}/${paymentData.documentId}`,
+        priority: 'high',
+        metadata: {
+          amount: paymentData.amount,
+          transactionId: paymentData.transactionId,
+          reason: paymentData.reason || null,
+          reversedAt: new Date()
+        }
+      });
+
+      console.log(`✅ Notified vendor about payment reversal`);
+    } catch (error) {
+      console.error('Error notifying payment reversal:', error);
+    }
+  }
+
+  /**
+   * Notify about a step on a payment request (maker-checker)
+   * @param {string} event - submitted, approved, released, rejected, cancelled or executed
+   * @param {object} request - payment_requests row
+   * @param {array} recipientIds - Users to notify
+   * @param {object} details - { approvals, actorName, reason }
+   */
+  async notifyPaymentRequest(event, request, recipientIds, details = {}) {
+    const amount = `Rp ${parseFloat(request.amount).toLocaleString('id-ID')}`;
+    const subject = `${request.request_number} (${request.document_type} ${request.document_number}, ${amount})`;
+    const templates = {
+      submitted: ['Permintaan Pembayaran Menunggu Persetujuan', `Permintaan pembayaran ${subject} menunggu persetujuan Anda.`, 'high'],
+      approved: ['Permintaan Pembayaran Disetujui Sebagian', `${details.actorName || 'Checker'} menyetujui ${subject} (${details.approvals}/${request.required_approvals} persetujuan).`, 'medium'],
+      released: ['Permintaan Pembayaran Dirilis', `Permintaan pembayaran ${subject} telah dirilis dan siap dibayarkan.`, 'high'],
+      rejected: ['Permintaan Pembayaran Ditolak', `Permintaan pembayaran ${subject} ditolak. Alasan: ${details.reason || '-'}`, 'high'],
+      cancelled: ['Permintaan Pembayaran Dibatalkan', `Permintaan pembayaran ${subject} dibatalkan.${details.reason ? ` Alasan: ${details.reason}` : ''}`, 'medium'],
+      executed: ['Permintaan Pembayaran Dieksekusi', `Pembayaran untuk ${subject} telah dikirim.`, 'medium']
+    };
+
+    try {
+      const ids = [...new Set((recipientIds || []).filter(Boolean))];
+      if (ids.length === 0 || !templates[event]) return;
+
+      const [title, message, priority] = templates[event];
+
+      await this.createBulkNotifications(ids, {
+        type: `payment_request_${event}`,
+        title,
+        message,
+        relatedDocumentType: request.document_type,
+        relatedDocumentId: request.document_id,
+        relatedDocumentNumber: request.document_number,
+        actionUrl: `/payment/requests/${request.id}`,
+        priority,
+        metadata: {
+          paymentRequestId: request.id,
+          requestNumber: request.request_number,
+          amount: parseFloat(request.amount),
+          status: request.status,
+          approvals: details.approvals ?? request.approval_count ?? null,
+          requiredApprovals: request.required_approvals,
+          actorName: details.actorName || null,
+          reason: details.reason || null
+        }
+      });
+
+      console.log(`✅ Notified ${ids.length} users about payment request ${request.request_number} (${event})`);
+    } catch (error) {
+      console.error('Error notifying payment request:', error);
+    }
+  }
+
+  /**
+   * Notify about a vendor bank account waiting for or getting an approval decision
+   * @param {string} event - pending_approval, approved or rejected
+   * @param {object} account - vendor_bank_accounts row
+   * @param {array} recipientIds - Users to notify
+   * @param {object} details - { vendorName, reason }
+   */
+  async notifyBankAccount(event, account, recipientIds, details = {}) {
+    const label = `${account.bank_name || account.bank_code} ${account.account_number} a.n. ${account.account_holder_name}`;
+    const templates = {
+      pending_approval: ['Rekening Bank Menunggu Persetujuan', `Rekening ${label} milik ${details.vendorName || 'vendor'} menunggu persetujuan. Status verifikasi: ${account.verification_status}.`, 'medium'],
+      approved: ['Rekening Bank Disetujui', `Rekening ${label} telah disetujui dan dapat digunakan untuk pembayaran.`, 'medium'],
+      rejected: ['Rekening Bank Ditolak', `Rekening ${label} ditolak. Alasan: ${details.reason || '-'}`, 'high']
+    };
+
+    try {
+      const ids = [...new Set((recipientIds || []).filter(Boolean))];
+      if (ids.length === 0 || !templates[event]) return;
+
+      const [title, message, priority] = templates[event];
+
+      await this.createBulkNotifications(ids, {
+        type: `bank_account_${event}`,
+        title,
+        message,
+        actionUrl: `/users/${account.vendor_id}/bank-accounts/${account.id}`,
+        priority,
+        metadata: {
+          bankAccountId: account.id,
+          vendorId: account.vendor_id,
+          vendorName: details.vendorName || null,
+          bankName: account.bank_name || account.bank_code,
+          accountNumber: account.account_number,
+          accountHolderName: account.account_holder_name,
+          verificationStatus: account.verification_status,
+          approvalStatus: account.approval_status,
+          reason: details.reason || null
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying bank account:', error);
+    }
+  }
+
+  /**
+   * Notify about a document nearing or past its SLA
+   * @param {string} event - reminder (deadline close), breached (to whoever has to act) or escalation
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - BAPB/BAPP row
+   * @param {object} sla - SLA summary of the document
+   * @param {array} recipientIds - Users to notify
+   * @param {object} details - { documentNumber, timeZone, escalatedToRoles }
+   */
+  async notifySla(event, documentType, document, sla, recipientIds, details = {}) {
+    const statusLabels = {
+      submitted: 'Diajukan',
+      in_review: 'Dalam Review',
+      revision_required: 'Perlu Revisi',
+      approved: 'Disetujui, Menunggu Pembayaran'
+    };
+    const subject = `${documentType} ${details.documentNumber || ''}`.trim();
+    const status = statusLabels[sla.documentStatus] || sla.documentStatus;
+    const due = sla.dueAt
+      ? new Date(sla.dueAt).toLocaleString('id-ID', { timeZone: details.timeZone, dateStyle: 'medium', timeStyle: 'short' })
+      : '-';
+    const templates = {
+      reminder: [`${documentType} Mendekati Batas Waktu`, `${subject} dengan status "${status}" perlu ditindaklanjuti sebelum ${due}.`, 'high'],
+      breached: [`${documentType} Melewati Batas Waktu`, `${subject} dengan status "${status}" telah melewati batas waktu (${due}) dan dieskalasi.`, 'urgent'],
+      escalation: [`Eskalasi ${documentType} Melewati Batas Waktu`, `${subject} dengan status "${status}" telah melewati batas waktu (${due}) dan dieskalasi kepada Anda.`, 'urgent']
+    };
+
+    try {
+      const ids = [...new Set((recipientIds || []).filter(Boolean))];
+      if (ids.length === 0 || !templates[event]) return;
+
+      const [title, message, priority] = templates[event];
+      const basePath = documentType.toLowerCase();
+
+      await this.createBulkNotifications(ids, {
+        type: `sla_${event}`,
+        title,
+        message,
+        relatedDocumentType: documentType,
+        relatedDocumentId: document.id,
+        relatedDocumentNumber: details.documentNumber || null,
+        actionUrl: `/${basePath}/${document.id}`,
+        priority,
+        metadata: {
+          vendorId: document.vendor_id,
+          documentStatus: sla.documentStatus,
+          startedAt: sla.startedAt,
+          dueAt: sla.dueAt,
+          targetHours: sla.targetHours,
+          timeZone: details.timeZone || null,
+          escalatedToRoles: details.escalatedToRoles || null
+        }
+      });
+
+      console.log(`✅ Notified ${ids.length} users about ${documentType} ${details.documentNumber} SLA (${event})`);
+    } catch (error) {
+      console.error('Error notifying SLA:', error);
+    }
+  }
+
   /**
    * Get notifications for a user
    */
@@ -445,6 +711,8 @@ class NotificationService {
         .single();
 
       if (error) throw error;
+
+      this._pushUnreadCounts([userId]);
       return data;
     } catch (error) {
       console.error('Error marking notification as read:', error);
@@ -469,6 +737,8 @@ class NotificationService {
 
       if (error) throw error;
 
+      this._pushUnreadCounts([userId]);
+
       return {
         success: true,
         count: data.length
@@ -491,6 +761,8 @@ class NotificationService {
         .eq('user_id', userId);
 
       if (error) throw error;
+
+      this._pushUnreadCounts([userId]);
       return { success: true };
     } catch (error) {
       console.error('Error deleting notification:', error);
@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const PaymentLogRepository = require('../repositories/PaymentLogRepository');
+const PaymentBatchRepository = require('../repositories/PaymentBatchRepository');
+const PaymentRequestRepository = require('../repositories/PaymentRequestRepository');
+const paymentService = require('./paymentService');
+const bankFileService = require('./bankFileService');
+const { AppError } = require('../utils/errorHandler');
+
+const BATCH_STATUS = {
+  DRAFT: 'draft',
+  EXPORTED: 'exported',
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+};
+
+// Stored as payment_logs.gateway for payments sent through a bulk-transfer file
+const BATCH_GATEWAY = 'bank_file';
+
+const DOCUMENT_TYPES = ['BAPB', 'BAPP'];
+
+// Largest number of documents in one batch - bank upload tools cap file size
+const MAX_BATCH_DOCUMENTS = 500;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PaymentBatchService {
+  constructor() {
+    this.BATCH_STATUS = BATCH_STATUS;
+  }
+
+  /**
+   * Get a batch or fail
+   * @private
+   */
+  async _getBatch(batchId) {
+    const batch = await PaymentBatchRepository.findById(batchId);
+    if (!batch) {
+      throw new AppError('Payment batch not found', 404);
+    }
+    return batch;
+  }
+
+  /**
+   * Map a batch payment to the API shape
+   * @private
+   */
+  _toItem(log) {
+    return {
+      paymentId: log.id,
+      documentType: log.document_type,
+      documentId: log.document_id,
+      documentNumber: log.document_number,
+      vendorId: log.vendor_id,
+      amount: parseFloat(log.amount),
+      ppnAmount: parseFloat(log.ppn_amount || 0),
+      pphAmount: parseFloat(log.pph_amount || 0),
+      reference: log.gateway_reference,
+      beneficiary: log.metadata?.beneficiary || null,
+      status: log.status,
+      failureReason: log.failure_reason,
+      settledAt: log.settled_at
+    };
+  }
+
+  /**
+   * BAPB and BAPP with a released payment request - candidates when no documents are given
+   * @private
+   */
+  async _findReleasedDocuments() {
+    const requests = await PaymentRequestRepository.findReleased(DOCUMENT_TYPES, MAX_BATCH_DOCUMENTS);
+    return requests.map(request => ({ documentType: request.document_type, documentId: request.document_id }));
+  }
+
+  /**
+   * Validate a batch request, returns list of error messages
+   */
+  validateBatch(body) {
+    const errors = [];
+
+    if (body.paymentDate !== undefined && !moment(body.paymentDate, 'YYYY-MM-DD', true).isValid()) {
+      errors.push('paymentDate must be a date (YYYY-MM-DD)');
+    } else if (body.paymentDate !== undefined && body.paymentDate < moment().format('YYYY-MM-DD')) {
+      errors.push('paymentDate cannot be in the past');
+    }
+
+    if (body.documents !== undefined) {
+      if (!Array.isArray(body.documents) || body.documents.length === 0) {
+        errors.push('documents must be a non-empty array');
+      } else if (body.documents.length > MAX_BATCH_DOCUMENTS) {
+        errors.push(`A batch can hold at most ${MAX_BATCH_DOCUMENTS} documents`);
+      } else {
+        body.documents.forEach((document, index) => {
+          if (!DOCUMENT_TYPES.includes(document?.documentType) || !document?.documentId) {
+            errors.push(`Document ${index + 1}: documentType (BAPB/BAPP) and documentId are required`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Queue one document's payment in a batch
+   * Runs the same locks and readiness checks as paying it on its own; the payment stays 'initiated'
+   * until the batch is confirmed.
+   * @private
+   * @returns {object} payment_logs row
+   */
+  async _addDocument(batch, { documentType, documentId }, user) {
+    return await paymentService.withDocumentPaymentLocks(documentType, documentId, user, async (document) => {
+      const account = await paymentService.getPayoutAccount(document.vendor_id);
+
+      const { payment } = await paymentService.preparePayment(documentType, document, {
+        paymentMethod: 'bank_transfer',
+        processedBy: user
+      });
+
+      return await paymentService.initiatePayment({
+        ...payment,
+        logMetadata: {
+          ...payment.logMetadata,
+          // Account at the time of batching - the file must match what finance reviewed
+          beneficiary: paymentService.toBeneficiary(account, document.vendor?.company || document.vendor?.name)
+        }
+      }, {
+        gateway: BATCH_GATEWAY,
+        logFields: { batch_id: batch.id, bank_account_id: account.id }
+      });
+    });
+  }
+
+  /**
+   * Recount items and total of a batch from its live payments
+   * @private
+   */
+  async _refreshTotals(batch) {
+    const logs = await PaymentLogRepository.findByBatch(batch.id);
+    const live = logs.filter(log => log.status !== 'failed' && log.status !== 'reversed');
+
+    return await PaymentBatchRepository.update(batch.id, {
+      item_count: live.length,
+      total_amount: round2(live.reduce((sum, log) => sum + parseFloat(log.amount), 0)),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Create a batch from payable documents
+   * Documents that are not ready (readiness blockers, no bank account, locked) are skipped and reported.
+   * @param {object} body - { documents: [{ documentType, documentId }], paymentDate, notes }
+   *                        - all BAPB/BAPP with a released payment request are tried when documents is omitted
+   * @param {object} user - Finance user creating the batch
+   * @returns {object} { batch, items, skipped }
+   * @throws {AppError} 400 invalid request, 409 when no document could be added
+   */
+  async createBatch(body, user) {
+    const errors = this.validateBatch(body);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const requested = body.documents || await this._findReleasedDocuments();
+    const candidates = [...new Map(requested.map(doc => [`${doc.documentType}:${doc.documentId}`, doc])).values()];
+
+    if (candidates.length === 0) {
+      throw new AppError('There are no released payment requests to pay', 409);
+    }
+
+    const paymentDate = body.paymentDate || moment().format('YYYY-MM-DD');
+    let batch = await PaymentBatchRepository.create({
+      batch_number: `PB/${moment(paymentDate).format('YYYYMMDD')}/${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      status: BATCH_STATUS.DRAFT,
+      payment_date: paymentDate,
+      notes: body.notes || null,
+      created_by: user.id
+    });
+
+    const items = [];
+    const skipped = [];
+
+    // One at a time: BAPPs of the same contract take turns on its termin
+    for (const candidate of candidates) {
+      try {
+        items.push(await this._addDocument(batch, candidate, user));
+      } catch (error) {
+        if (!error.statusCode || error.statusCode >= 500) throw error;
+        skipped.push({ ...candidate, reason: error.message });
+      }
+    }
+
+    if (items.length === 0) {
+      await PaymentBatchRepository.delete(batch.id);
+      throw new AppError(`No documents could be added to the batch: ${skipped.map(s => `${s.documentType} ${s.documentId}: ${s.reason}`).join('; ')}`, 409);
+    }
+
+    batch = await this._refreshTotals(batch);
+
+    return { batch, items: items.map(log => this._toItem(log)), skipped };
+  }
+
+  /**
+   * List batches, newest first
+   * @param {object} query - { status, page, limit }
+   */
+  async getBatches({ status, page = 1, limit = 10 } = {}) {
+    const filters = {};
+    if (status) filters.status = status;
+
+    const result = await PaymentBatchRepository.findAll(filters, {
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    return {
+      data: result.data,
+      pagination: {
+        total: result.count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(result.count / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a batch with its payments
+   */
+  async getBatch(batchId) {
+    const batch = await this._getBatch(batchId);
+    const logs = await PaymentLogRepository.findByBatch(batch.id);
+
+    return { ...batch, items: logs.map(log => this._toItem(log)) };
+  }
+
+  /**
+   * Build the bulk-transfer file of a batch and mark it exported
+   * Can be exported again (e.g. in another format) until it is confirmed or cancelled.
+   * @param {string} batchId
+   * @param {string} format - 'csv' or 'fixed_width'
+   * @returns {object} { fileName, contentType, content }
+   * @throws {AppError} 409 when the batch is confirmed/cancelled or has no payments left
+   */
+  async exportBatch(batchId, format, user) {
+    const batch = await this._getBatch(batchId);
+
+    if (![BATCH_STATUS.DRAFT, BATCH_STATUS.EXPORTED].includes(batch.status)) {
+      throw new AppError(`Cannot export a ${batch.status} batch`, 409);
+    }
+
+    const logs = (await PaymentLogRepository.findByBatch(batch.id)).filter(log => log.status === 'initiated');
+    if (logs.length === 0) {
+      throw new AppError('Batch has no payments to export', 409);
+    }
+
+    const file = bankFileService.build(format, batch, logs.map(log => this._toItem(log)));
+
+    const updated = await PaymentBatchRepository.updateIfStatus(batch.id, [BATCH_STATUS.DRAFT, BATCH_STATUS.EXPORTED], {
+      status: BATCH_STATUS.EXPORTED,
+      exported_at: new Date().toISOString(),
+      exported_by: user.id,
+      export_format: format,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!updated) {
+      throw new AppError('Batch was confirmed or cancelled while exporting', 409);
+    }
+
+    return file;
+  }
+
+  /**
+   * Take a payment out of a draft batch - its document can be paid again under the same released request
+   * Exported batches are fixed: the file may already be at the bank.
+   * @throws {AppError} 404 unknown batch/payment, 409 batch already exported
+   */
+  async removeItem(batchId, paymentId, user) {
+    const batch = await this._getBatch(batchId);
+
+    if (batch.status !== BATCH_STATUS.DRAFT) {
+      throw new AppError('Payments can only be removed from a draft batch', 409);
+    }
+
+    const log = await PaymentLogRepository.findById(paymentId);
+    if (!log || log.batch_id !== batch.id || log.status !== 'initiated') {
+      throw new AppError('Payment not found in this batch', 404);
+    }
+
+    await paymentService.applyGatewayResult(log, {
+      status: 'failed',
+      errorCode: 'REMOVED_FROM_BATCH',
+      errorMessage: `Removed from batch ${batch.batch_number}`
+    }, { source: 'batch', user });
+    await paymentService.reopenPaymentRequest(log, `Removed from batch ${batch.batch_number}`, user);
+
+    return await this.getBatch((await this._refreshTotals(batch)).id);
+  }
+
+  /**
+   * Confirm that the bank executed the batch: its payments are settled, except those the bank rejected
+   * Settling marks each document (and invoice) paid and notifies the vendor, as a gateway settlement does.
+   * @param {string} batchId
+   * @param {object} body - { failed: [{ paymentId, reason }] } - transfers the bank rejected
+   * @returns {object} { batch, settled, failed, errors }
+   * @throws {AppError} 400 unknown payment in failed, 409 batch not exported or already confirmed
+   */
+  async confirmBatch(batchId, body, user) {
+    const batch = await this._getBatch(batchId);
+
+    if (batch.status !== BATCH_STATUS.EXPORTED) {
+      throw new AppError(batch.status === BATCH_STATUS.DRAFT
+        ? 'Export the batch before confirming it'
+        : `Batch is already ${batch.status}`, 409);
+    }
+
+    const logs = (await PaymentLogRepository.findByBatch(batch.id)).filter(log => log.status === 'initiated');
+    const rejected = new Map((body.failed || []).map(item => [item.paymentId, item.reason]));
+
+    const unknown = [...rejected.keys()].filter(id => !logs.some(log => log.id === id));
+    if (unknown.length > 0) {
+      throw new AppError(`Payments not in this batch: ${unknown.join(', ')}`, 400);
+    }
+
+    const confirmed = await PaymentBatchRepository.updateIfStatus(batch.id, [BATCH_STATUS.EXPORTED], {
+      status: BATCH_STATUS.CONFIRMED,
+      confirmed_at: new Date().toISOString(),
+      confirmed_by: user.id,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!confirmed) {
+      throw new AppError('Batch was confirmed or cancelled in the meantime', 409);
+    }
+
+    const summary = { settled: 0, failed: 0, errors: 0 };
+
+    for (const log of logs) {
+      const result = rejected.has(log.id)
+        ? { status: 'failed', errorCode: 'REJECTED_BY_BANK', errorMessage: rejected.get(log.id) || 'Rejected by the bank' }
+        : { status: 'settled', timestamp: new Date().toISOString() };
+
+      try {
+        const { applied } = await paymentService.applyGatewayResult(log, result, { source: 'batch', user });
+        if (applied) summary[result.status] += 1;
+      } catch (error) {
+        console.error(`Error confirming payment ${log.id} of batch ${batch.batch_number}:`, error);
+        summary.errors += 1;
+      }
+    }
+
+    return { batch: await this._refreshTotals(confirmed), ...summary };
+  }
+
+  /**
+   * Cancel a batch that was not confirmed - its payments fail and the documents can be paid again
+   * under their released requests
+   * @throws {AppError} 409 batch already confirmed or cancelled
+   */
+  async cancelBatch(batchId, user) {
+    const batch = await this._getBatch(batchId);
+
+    const cancelled = await PaymentBatchRepository.updateIfStatus(batch.id, [BATCH_STATUS.DRAFT, BATCH_STATUS.EXPORTED], {
+      status: BATCH_STATUS.CANCELLED,
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: user.id,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!cancelled) {
+      throw new AppError(`Batch is already ${batch.status}`, 409);
+    }
+
+    const logs = (await PaymentLogRepository.findByBatch(batch.id)).filter(log => log.status === 'initiated');
+    for (const log of logs) {
+      await paymentService.applyGatewayResult(log, {
+        status: 'failed',
+        errorCode: 'BATCH_CANCELLED',
+        errorMessage: `Batch ${batch.batch_number} was cancelled`
+      }, { source: 'batch', user });
+      await paymentService.reopenPaymentRequest(log, `Batch ${batch.batch_number} was cancelled`, user);
+    }
+
+    return await this.getBatch(batch.id);
+  }
+}
+
+module.exports = new PaymentBatchService();
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+const { AppError } = require('../../utils/errorHandler');
+
+// Provider states mapped to our payment lifecycle states
+const STATUS_MAP = {
+  succeeded: 'settled',
+  settled: 'settled',
+  pending: 'pending',
+  processing: 'pending',
+  failed: 'failed',
+  rejected: 'failed',
+  reversed: 'reversed'
+};
+
+// Callbacks older than this are rejected, so a captured callback cannot be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Gateway speaking the JSON payout API of the bundled mock gateway (src/mock/paymentGatewayServer.js)
+ *   POST /v1/payments             create a payout, keyed by our reference
+ *   GET  /v1/payments/:reference  current state of a payout
+ *   POST /v1/payments/:reference/reversals  pull a settled payout back, keyed by our reversal reference
+ *
+ * Status callbacks carry X-Gateway-Timestamp and X-Gateway-Signature headers, the signature being
+ * hex HMAC-SHA256 of "<timestamp>.<raw body>" with the shared webhook secret.
+ */
+class HttpPaymentGateway extends PaymentGateway {
+  /**
+   * @param {object} options - { baseUrl, apiKey, timeoutMs, webhookSecret }
+   */
+  constructor({ baseUrl, apiKey = null, timeoutMs = 10000, webhookSecret = null }) {
+    super('http');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.webhookSecret = webhookSecret;
+  }
+
+  async createPayment(request) {
+    try {
+      const { status, body } = await this._request('POST', '/v1/payments', {
+        reference: request.reference,
+        amount: request.amount,
+        currency: request.currency || 'IDR',
+        beneficiary: request.beneficiary,
+        description: request.description,
+        metadata: request.metadata
+      });
+
+      if (status >= 500 || !body) {
+        // Gateway error - we cannot tell whether the payout was made
+        return this._result({
+          status: 'pending',
+          reference: request.reference,
+          amount: request.amount,
+          errorCode: 'GATEWAY_ERROR',
+          errorMessage: `Gateway responded with HTTP ${status} - payment state unknown`,
+          raw: body
+        });
+      }
+
+      return this._fromGateway(body, request);
+    } catch (error) {
+      // Timeout or connection drop after sending: the payout may still happen
+      return this._result({
+        status: 'pending',
+        reference: request.reference,
+        amount: request.amount,
+        errorCode: error.name === 'TimeoutError' ? 'GATEWAY_TIMEOUT' : 'GATEWAY_UNREACHABLE',
+        errorMessage: error.message
+      });
+    }
+  }
+
+  async getPayment(reference) {
+    const { status, body } = await this._request('GET', `/v1/payments/${encodeURIComponent(reference)}`);
+
+    if (status === 404) return null;
+    if (status >= 400 || !body) {
+      throw new Error(`Gateway responded with HTTP ${status} while looking up ${reference}`);
+    }
+
+    return this._fromGateway(body, { reference });
+  }
+
+  async reversePayment(request) {
+    try {
+      const { status, body } = await this._request('POST', `/v1/payments/${encodeURIComponent(request.paymentReference)}/reversals`, {
+        reference: request.reference,
+        amount: request.amount,
+        reason: request.reason
+      });
+
+      if (status >= 500 || !body) {
+        return this._result({
+          status: 'pending',
+          reference: request.reference,
+          amount: request.amount,
+          errorCode: 'GATEWAY_ERROR',
+          errorMessage: `Gateway responded with HTTP ${status} - reversal state unknown`,
+          raw: body
+        });
+      }
+
+      if (status >= 400) {
+        return this._result({
+          status: 'failed',
+          reference: request.reference,
+          amount: request.amount,
+          errorCode: body.error?.code || 'REVERSAL_REJECTED',
+          errorMessage: body.error?.message || `Gateway responded with HTTP ${status}`,
+          raw: body
+        });
+      }
+
+      return this._result({
+        status: body.status === 'succeeded' ? 'reversed' : (STATUS_MAP[body.status] || 'failed'),
+        transactionId: body.id,
+        reference: body.reference || request.reference,
+        amount: body.amount ?? request.amount,
+        currency: body.currency,
+        timestamp: body.updated_at || body.created_at,
+        errorCode: body.error?.code,
+        errorMessage: body.error?.message,
+        raw: body
+      });
+    } catch (error) {
+      return this._result({
+        status: 'pending',
+        reference: request.reference,
+        amount: request.amount,
+        errorCode: error.name === 'TimeoutError' ? 'GATEWAY_TIMEOUT' : 'GATEWAY_UNREACHABLE',
+        errorMessage: error.message
+      });
+    }
+  }
+
+  verifyWebhook(headers, rawBody) {
+    if (!this.webhookSecret) {
+      throw new AppError('Webhook secret is not configured for this gateway', 503);
+    }
+
+    const timestamp = parseInt(headers['x-gateway-timestamp'], 10);
+    const signature = String(headers['x-gateway-signature'] || '');
+
+    if (!timestamp || !signature) {
+      throw new AppError('Missing webhook signature', 401);
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new AppError('Webhook timestamp is outside the allowed window', 401);
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody.toString('utf8')}`)
+      .digest('hex');
+
+    const valid = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new AppError('Invalid webhook signature', 401);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new AppError('Webhook body is not valid JSON', 400);
+    }
+
+    if (!event.id || !event.data?.reference) {
+      throw new AppError('Webhook event must have an id and a payment reference', 400);
+    }
+
+    return {
+      eventId: event.id,
+      ...this._fromGateway(event.data, { reference: event.data.reference })
+    };
+  }
+
+  /**
+   * @private
+   */
+  _fromGateway(body, request) {
+    return this._result({
+      status: STATUS_MAP[body.status] || 'failed',
+      transactionId: body.id,
+      reference: body.reference || request.reference,
+      amount: body.amount ?? request.amount,
+      currency: body.currency,
+      timestamp: body.updated_at || body.created_at,
+      estimatedSettlement: body.estimated_settlement,
+      errorCode: body.error?.code,
+      errorMessage: body.error?.message,
+      raw: body
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _request(method, path, payload = undefined) {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: payload ? JSON.stringify(payload) : undefined,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const text = await response.text();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      body = null;
+    }
+
+    return { status: response.status, body };
+  }
+}
+
+module.exports = HttpPaymentGateway;
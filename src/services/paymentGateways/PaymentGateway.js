@@ -0,0 +1,81 @@
+/**
+ * Payment gateway adapter interface
+ * Every provider returns the same result shape, so payment code never sees provider specifics:
+ *   {
+ *     status: 'settled' | 'pending' | 'failed' | 'reversed',  // payment_logs lifecycle states
+ *     transactionId,        // provider transaction id (our reference when the provider never answered)
+ *     reference,            // our idempotent reference for this attempt
+ *     amount, currency, timestamp, estimatedSettlement,
+ *     errorCode, errorMessage,
+ *     gateway,              // provider name
+ *     raw                   // provider response as received
+ *   }
+ */
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a payout to a vendor
+   * @param {object} request - { reference, amount, currency, description, metadata,
+   *                            beneficiary: { vendorId, name, bankCode, bankName, accountNumber, accountName } }
+   * @returns {object} normalized result
+   */
+  async createPayment(request) {
+    throw new Error(`${this.name} gateway does not implement createPayment`);
+  }
+
+  /**
+   * Look up the current state of a payment by our reference
+   * @param {string} reference
+   * @returns {object} normalized result
+   */
+  async getPayment(reference) {
+    throw new Error(`${this.name} gateway does not implement getPayment`);
+  }
+
+  /**
+   * Pull back a settled payout
+   * Repeating a call with the same reference must not reverse twice.
+   * @param {object} request - { reference: our reversal reference, paymentReference, amount, reason }
+   * @returns {object} normalized result - 'reversed' when the money is back, 'failed' when refused,
+   *                   'pending' when the outcome is unknown
+   */
+  async reversePayment(request) {
+    throw new Error(`${this.name} gateway does not implement reversePayment`);
+  }
+
+  /**
+   * Verify and parse a status callback sent by the gateway
+   * @param {object} headers - Request headers (lower-case names)
+   * @param {Buffer} rawBody - Body exactly as received, signatures are computed over it
+   * @returns {object} normalized result plus eventId
+   * @throws {AppError} 401 when the signature does not check out, 400 on malformed payloads
+   */
+  verifyWebhook(headers, rawBody) {
+    throw new Error(`${this.name} gateway does not implement verifyWebhook`);
+  }
+
+  /**
+   * Build a normalized result
+   * @protected
+   */
+  _result(fields) {
+    return {
+      status: fields.status,
+      transactionId: fields.transactionId || fields.reference,
+      reference: fields.reference,
+      amount: fields.amount,
+      currency: fields.currency || 'IDR',
+      timestamp: fields.timestamp || new Date().toISOString(),
+      estimatedSettlement: fields.estimatedSettlement || null,
+      errorCode: fields.errorCode || null,
+      errorMessage: fields.errorMessage || null,
+      gateway: this.name,
+      raw: fields.raw || null
+    };
+  }
+}
+
+module.exports = PaymentGateway;
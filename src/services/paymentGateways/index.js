@@ -0,0 +1,53 @@
+const HttpPaymentGateway = require('./HttpPaymentGateway');
+
+const DEFAULT_PROVIDER = () => process.env.PAYMENT_GATEWAY_PROVIDER || 'http';
+
+// PAYMENT_GATEWAY_PROVIDER -> adapter factory. Add real banks here.
+const PROVIDERS = {
+  http: () => new HttpPaymentGateway({
+    baseUrl: process.env.PAYMENT_GATEWAY_URL || `http://localhost:${process.env.MOCK_GATEWAY_PORT || 4010}`,
+    apiKey: process.env.PAYMENT_GATEWAY_API_KEY || null,
+    timeoutMs: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS, 10) || 10000,
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || null
+  })
+};
+
+const gateways = {};
+
+/**
+ * Check whether a provider name has an adapter
+ * @param {string} provider
+ * @returns {boolean}
+ */
+const isSupportedProvider = (provider) => Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+
+/**
+ * Get a payment gateway adapter
+ * Payments keep the provider they were sent through, so older payments can still be looked up
+ * after PAYMENT_GATEWAY_PROVIDER changes.
+ * @param {string} provider - Defaults to PAYMENT_GATEWAY_PROVIDER
+ * @returns {PaymentGateway}
+ */
+const getPaymentGateway = (provider = DEFAULT_PROVIDER()) => {
+  if (gateways[provider]) return gateways[provider];
+
+  if (!isSupportedProvider(provider)) {
+    throw new Error(`Unknown payment gateway provider "${provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  gateways[provider] = PROVIDERS[provider]();
+  return gateways[provider];
+};
+
+/**
+ * Replace the adapter of a provider (e.g. with an in-memory one when testing)
+ */
+const setPaymentGateway = (adapter, provider = DEFAULT_PROVIDER()) => {
+  gateways[provider] = adapter;
+};
+
+module.exports = {
+  getPaymentGateway,
+  setPaymentGateway,
+  isSupportedProvider
+};
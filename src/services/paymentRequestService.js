@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const PaymentRequestRepository = require('../repositories/PaymentRequestRepository');
+const UserRepository = require('../repositories/UserRepository');
+const paymentService = require('./paymentService');
+const contractPaymentService = require('./contractPaymentService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const { AppError } = require('../utils/errorHandler');
+
+const REQUEST_STATUS = {
+  PENDING_APPROVAL: 'pending_approval',
+  RELEASED: 'released',
+  EXECUTED: 'executed',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+const DOCUMENT_TYPES = ['BAPB', 'BAPP', 'CONTRACT'];
+
+const MAX_REQUIRED_APPROVALS = 10;
+
+// Used when no thresholds are configured
+const DEFAULT_THRESHOLDS = [{ min_amount: 0, required_approvals: 1 }];
+
+class PaymentRequestService {
+  constructor() {
+    this.REQUEST_STATUS = REQUEST_STATUS;
+  }
+
+  /**
+   * Get a request or fail
+   * @private
+   */
+  async _getRequest(requestId) {
+    const request = await PaymentRequestRepository.findById(requestId);
+    if (!request) {
+      throw new AppError('Payment request not found', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Store a step taken on a request
+   * @private
+   */
+  async _recordAction(request, action, user, comment = null) {
+    return await PaymentRequestRepository.actions.create({
+      request_id: request.id,
+      action,
+      actor_id: user?.id || null,
+      comment
+    });
+  }
+
+  /**
+   * Active finance checkers other than the given user
+   * @private
+   */
+  async _checkerIds(excludeId) {
+    const { data } = await UserRepository.findAll({ role: 'finance_checker', is_active: true }, { select: 'id' });
+    return data.map(user => user.id).filter(id => id !== excludeId);
+  }
+
+  /**
+   * Work out what a document would pay now
+   * @private
+   * @returns {object} { documentNumber, vendorId, amount }
+   * @throws {AppError} 404 unknown document, 409 not payable
+   */
+  async _resolvePayment(documentType, documentId) {
+    if (documentType === 'CONTRACT') {
+      const release = await contractPaymentService.checkRetentionRelease(documentId);
+      if (!release.ready) {
+        throw new AppError(`Retention release blocked: ${release.blockers.join('; ')}`, 409);
+      }
+
+      return {
+        documentNumber: release.contract.contract_number,
+        vendorId: release.contract.vendor_id,
+        amount: release.amount
+      };
+    }
+
+    const readiness = await paymentService.checkPaymentReadiness(documentType, documentId);
+    if (!readiness.document) {
+      throw new AppError(`${documentType} not found`, 404);
+    }
+    if (!readiness.ready) {
+      throw new AppError(`Payment blocked: ${readiness.blockers.join('; ')}`, 409);
+    }
+
+    return {
+      documentNumber: readiness.document.number,
+      vendorId: readiness.document.vendorId,
+      amount: readiness.amount
+    };
+  }
+
+  /**
+   * Get approval thresholds, lowest amount first
+   */
+  async getThresholds() {
+    const rows = await PaymentRequestRepository.findThresholds();
+    const thresholds = rows.length > 0 ? rows : DEFAULT_THRESHOLDS;
+
+    return thresholds.map(row => ({
+      minAmount: parseFloat(row.min_amount),
+      requiredApprovals: row.required_approvals
+    }));
+  }
+
+  /**
+   * Replace approval thresholds
+   * Applies to requests made from now on; open requests keep the approvals they were created with.
+   * @param {array} thresholds - [{ minAmount, requiredApprovals }] - one must start at 0
+   * @param {object} user - Admin
+   * @throws {AppError} 400 invalid thresholds
+   */
+  async updateThresholds(thresholds, user) {
+    const errors = [];
+
+    if (!Array.isArray(thresholds) || thresholds.length === 0) {
+      errors.push('thresholds must be a non-empty array');
+    } else {
+      thresholds.forEach((threshold, index) => {
+        const minAmount = parseFloat(threshold?.minAmount);
+        const required = threshold?.requiredApprovals;
+
+        if (isNaN(minAmount) || minAmount < 0) {
+          errors.push(`Threshold ${index + 1}: minAmount must be 0 or more`);
+        }
+        if (!Number.isInteger(required) || required < 1 || required > MAX_REQUIRED_APPROVALS) {
+          errors.push(`Threshold ${index + 1}: requiredApprovals must be a whole number from 1 to ${MAX_REQUIRED_APPROVALS}`);
+        }
+      });
+
+      const amounts = thresholds.map(threshold => parseFloat(threshold?.minAmount));
+      if (!amounts.includes(0)) {
+        errors.push('A threshold with minAmount 0 is required');
+      }
+      if (new Set(amounts).size !== amounts.length) {
+        errors.push('minAmount values must be unique');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    await PaymentRequestRepository.replaceThresholds(thresholds.map(threshold => ({
+      min_amount: parseFloat(threshold.minAmount),
+      required_approvals: threshold.requiredApprovals,
+      updated_by: user?.id || null
+    })));
+
+    return await this.getThresholds();
+  }
+
+  /**
+   * Checker approvals needed to release a payment of the given amount
+   * The threshold with the highest minAmount not above the amount applies.
+   */
+  async requiredApprovals(amount) {
+    const thresholds = await this.getThresholds();
+
+    return thresholds
+      .filter(threshold => threshold.minAmount <= amount)
+      .reduce((required, threshold) => threshold.requiredApprovals, 1);
+  }
+
+  /**
+   * Prepare a payment request for a payable document
+   * The amount is fixed here from readiness (BAPB/BAPP) or the retention held (CONTRACT); the payment
+   * has to come to the same amount when it is executed.
+   * @param {object} body - { documentType, documentId, paymentMethod, notes }
+   * @param {object} user - Finance maker
+   * @returns {object} payment_requests row
+   * @throws {AppError} 400 invalid request, 404 unknown document, 409 not payable or already requested
+   */
+  async createRequest(body, user) {
+    const { documentType, documentId, paymentMethod, notes } = body;
+
+    if (!DOCUMENT_TYPES.includes(documentType) || !documentId) {
+      throw new AppError(`documentType (${DOCUMENT_TYPES.join('/')}) and documentId are required`, 400);
+    }
+
+    const open = await PaymentRequestRepository.findOpenForDocument(documentType, documentId);
+    if (open) {
+      throw new AppError(`${documentType} already has an open payment request ${open.request_number}`, 409);
+    }
+
+    const { documentNumber, vendorId, amount } = await this._resolvePayment(documentType, documentId);
+
+    let request;
+    try {
+      request = await PaymentRequestRepository.create({
+        request_number: `PR/${moment().format('YYYYMMDD')}/${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        document_type: documentType,
+        document_id: documentId,
+        document_number: documentNumber,
+        vendor_id: vendorId,
+        amount,
+        payment_method: paymentMethod || 'bank_transfer',
+        status: REQUEST_STATUS.PENDING_APPROVAL,
+        required_approvals: await this.requiredApprovals(amount),
+        notes: notes || null,
+        requested_by: user.id
+      });
+    } catch (error) {
+      // One open request per document
+      if (error.code === '23505') {
+        throw new AppError(`${documentType} already has an open payment request`, 409);
+      }
+      throw error;
+    }
+
+    await this._recordAction(request, 'submitted', user, notes || null);
+    await notificationService.notifyPaymentRequest('submitted', request, await this._checkerIds(user.id));
+    await webhookService.emit('payment_request.submitted', { paymentRequest: webhookService.paymentRequestData(request) });
+
+    return request;
+  }
+
+  /**
+   * Approve a request as a finance checker
+   * The request is released once it has the approvals its amount requires.
+   * @param {string} requestId
+   * @param {string} comment
+   * @param {object} user - Finance checker, not the maker of the request
+   * @returns {object} payment_requests row
+   * @throws {AppError} 403 own request, 409 not pending or already approved by this checker
+   */
+  async approve(requestId, comment, user) {
+    const request = await this._getRequest(requestId);
+
+    if (request.status !== REQUEST_STATUS.PENDING_APPROVAL) {
+      throw new AppError(`Payment request is ${request.status}`, 409);
+    }
+
+    if (request.requested_by === user.id) {
+      throw new AppError('The maker of a payment request cannot approve it', 403);
+    }
+
+    try {
+      await this._recordAction(request, 'approved', user, comment || null);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new AppError('You have already approved this payment request', 409);
+      }
+      throw error;
+    }
+
+    // Counted from the stored steps, so parallel approvals add up
+    const approvals = await PaymentRequestRepository.countApprovals(request.id);
+
+    if (approvals < request.required_approvals) {
+      const updated = await PaymentRequestRepository.updateIfStatus(request.id, [REQUEST_STATUS.PENDING_APPROVAL], {
+        approval_count: approvals,
+        updated_at: new Date().toISOString()
+      });
+
+      await notificationService.notifyPaymentRequest('approved', updated || request, [request.requested_by], {
+        approvals,
+        actorName: user.name
+      });
+      await webhookService.emit('payment_request.approved', {
+        paymentRequest: webhookService.paymentRequestData(updated || { ...request, approval_count: approvals }),
+        approvedBy: user.name
+      });
+
+      return updated || await this._getRequest(request.id);
+    }
+
+    const released = await PaymentRequestRepository.updateIfStatus(request.id, [REQUEST_STATUS.PENDING_APPROVAL], {
+      status: REQUEST_STATUS.RELEASED,
+      approval_count: approvals,
+      released_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+
+    // Another checker's approval released it first
+    if (!released) {
+      return await this._getRequest(request.id);
+    }
+
+    await this._recordAction(released, 'released', user);
+    await notificationService.notifyPaymentRequest('released', released, [request.requested_by]);
+    await webhookService.emit('payment_request.released', { paymentRequest: webhookService.paymentRequestData(released) });
+
+    return released;
+  }
+
+  /**
+   * Reject a pending request as a finance checker
+   * @throws {AppError} 400 no reason, 403 own request, 409 not pending
+   */
+  async reject(requestId, reason, user) {
+    if (!reason) {
+      throw new AppError('Rejection reason is required', 400);
+    }
+
+    const request = await this._getRequest(requestId);
+
+    if (request.requested_by === user.id) {
+      throw new AppError('The maker of a payment request cannot reject it', 403);
+    }
+
+    const rejected = await PaymentRequestRepository.updateIfStatus(request.id, [REQUEST_STATUS.PENDING_APPROVAL], {
+      status: REQUEST_STATUS.REJECTED,
+      closed_reason: reason,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!rejected) {
+      throw new AppError(`Payment request is ${request.status}`, 409);
+    }
+
+    await this._recordAction(rejected, 'rejected', user, reason);
+    await notificationService.notifyPaymentRequest('rejected', rejected, [request.requested_by], { reason });
+    await webhookService.emit('payment_request.rejected', { paymentRequest: webhookService.paymentRequestData(rejected), reason });
+
+    return rejected;
+  }
+
+  /**
+   * Withdraw a request that was not executed
+   * @throws {AppError} 403 not the maker or an admin, 409 already executed or closed
+   */
+  async cancel(requestId, reason, user) {
+    const request = await this._getRequest(requestId);
+
+    if (request.requested_by !== user.id && user.role !== 'admin') {
+      throw new AppError('Only the maker of a payment request or an admin can cancel it', 403);
+    }
+
+    const cancelled = await PaymentRequestRepository.updateIfStatus(request.id, [REQUEST_STATUS.PENDING_APPROVAL, REQUEST_STATUS.RELEASED], {
+      status: REQUEST_STATUS.CANCELLED,
+      closed_reason: reason || null,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!cancelled) {
+      throw new AppError(`Payment request is ${request.status}`, 409);
+    }
+
+    await this._recordAction(cancelled, 'cancelled', user, reason || null);
+
+    const actions = await PaymentRequestRepository.findActions(request.id);
+    const approvers = actions.filter(action => action.action === 'approved').map(action => action.actor_id);
+    await notificationService.notifyPaymentRequest('cancelled', cancelled, [request.requested_by, ...approvers].filter(id => id !== user.id), { reason });
+    await webhookService.emit('payment_request.cancelled', {
+      paymentRequest: webhookService.paymentRequestData(cancelled),
+      reason: reason || null
+    });
+
+    return cancelled;
+  }
+
+  /**
+   * Get payment requests
+   * @param {object} filters - { status, documentType, documentId, page, limit }
+   */
+  async getRequests({ status, documentType, documentId, page = 1, limit = 10 } = {}) {
+    const filters = {};
+    if (status) filters.status = status;
+    if (documentType) filters.document_type = documentType;
+    if (documentId) filters.document_id = documentId;
+
+    const result = await PaymentRequestRepository.findAll(filters, {
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    return {
+      data: result.data,
+      pagination: {
+        total: result.count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(result.count / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a request with every step taken on it
+   */
+  async getRequest(requestId) {
+    const request = await this._getRequest(requestId);
+    const actions = await PaymentRequestRepository.findActions(request.id);
+
+    return { ...request, actions };
+  }
+}
+
+module.exports = new PaymentRequestService();
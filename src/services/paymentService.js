@@ -1,258 +1,1106 @@
-const { supabaseAdmin } = require('../config/supabase');
 const BAPBRepository = require('../repositories/BAPBRepository');
 const BAPPRepository = require('../repositories/BAPPRepository');
 const UserRepository = require('../repositories/UserRepository');
-const moment = require('moment');
+const PaymentLogRepository = require('../repositories/PaymentLogRepository');
+const PaymentRequestRepository = require('../repositories/PaymentRequestRepository');
+const VendorBankAccountRepository = require('../repositories/VendorBankAccountRepository');
+const crypto = require('crypto');
 const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const documentStateMachine = require('./documentStateMachine');
+const matchingService = require('./matchingService');
+const invoiceService = require('./invoiceService');
+const contractPaymentService = require('./contractPaymentService');
+const taxService = require('./taxService');
+const paymentGateways = require('./paymentGateways');
+const pdfService = require('./pdfService');
+const { AppError } = require('../utils/errorHandler');
+const { maskAccountNumber } = require('../utils/bankAccount');
+
+const PAYMENT_STATUS = {
+  INITIATED: 'initiated',
+  PENDING: 'pending',
+  SETTLED: 'settled',
+  FAILED: 'failed',
+  REVERSED: 'reversed'
+};
+
+// Lifecycle of a payment_logs row. Settled and failed are final until a settled payment is reversed.
+const PAYMENT_TRANSITIONS = {
+  [PAYMENT_STATUS.INITIATED]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.SETTLED, PAYMENT_STATUS.FAILED],
+  [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.SETTLED, PAYMENT_STATUS.FAILED],
+  [PAYMENT_STATUS.SETTLED]: [PAYMENT_STATUS.REVERSED],
+  [PAYMENT_STATUS.FAILED]: [],
+  [PAYMENT_STATUS.REVERSED]: []
+};
+
+// Response message per payment status right after sending
+const RESULT_MESSAGES = {
+  [PAYMENT_STATUS.SETTLED]: 'Payment processed and settled',
+  [PAYMENT_STATUS.PENDING]: 'Payment submitted - waiting for the bank to settle it',
+  [PAYMENT_STATUS.FAILED]: 'Payment was rejected by the gateway'
+};
+
+const DOCUMENT_REPOSITORIES = {
+  BAPB: BAPBRepository,
+  BAPP: BAPPRepository
+};
+
+// Vendors only see their own payments
+const VENDOR_ROLES = ['vendor', 'vendor_barang', 'vendor_jasa'];
+
+// Longest a payment attempt may hold a document's lock - well above the gateway timeout
+const PAYMENT_LOCK_TTL_SECONDS = 120;
+
+// payment_logs.gateway of payments sent in a bank transfer file (see paymentBatchService)
+const BATCH_GATEWAY = 'bank_file';
+
+// Open payments are polled once their status has not moved for this long
+const DEFAULT_RECONCILE_AFTER_MINUTES = 15;
+
+const round2 = (value) => Math.round(value * 100) / 100;
 
 class PaymentService {
+  constructor() {
+    this.PAYMENT_STATUS = PAYMENT_STATUS;
+  }
+
   /**
-   * Simulate payment processing for approved BAPB
+   * Process payment for approved BAPB through the configured gateway
+   * The BAPB becomes 'paid' once the gateway reports the payment settled - right away or through a webhook.
    */
   async processBAPBPayment(bapbId, paymentData) {
-    try {
-      // Fetch BAPB data
-      const bapb = await BAPBRepository.findByIdWithRelations(bapbId);
-
-      if (!bapb) {
-        throw new Error('BAPB not found');
-      }
-
-      // Check if BAPB is approved
-      if (bapb.status !== 'approved') {
-        throw new Error('BAPB must be approved before payment processing');
-      }
-
-      // Simulate payment gateway call
-      const paymentResult = await this.simulatePaymentGateway({
-        documentType: 'BAPB',
-        documentNumber: bapb.bapb_number,
-        vendorId: bapb.vendor_id,
-        vendorName: bapb.vendor?.name || 'Unknown',
-        amount: paymentData.amount,
-        description: `Payment for ${bapb.bapb_number} - ${bapb.order_number}`,
-        metadata: {
-          bapbId: bapb.id,
-          orderNumber: bapb.order_number,
-          deliveryDate: bapb.delivery_date,
+    return await this.withDocumentPaymentLocks('BAPB', bapbId, paymentData.processedBy, async (bapb) => {
+      try {
+        // Three-way match and tax: the invoice decides the amount, not the operator
+        const { readiness, payment } = await this.preparePayment('BAPB', bapb, paymentData);
+        const { log, result } = await this.executePayment(payment);
+
+        return {
+          success: true,
+          message: RESULT_MESSAGES[log.status],
+          data: {
+            bapbNumber: bapb.bapb_number,
+            invoiceNumber: readiness.matching.invoice.invoiceNumber,
+            vendorName: bapb.vendor?.name,
+            amount: readiness.amount,
+            tax: this._toTaxBreakdown(readiness.tax),
+            paymentId: log.id,
+            transactionId: log.transaction_id,
+            status: log.status,
+            estimatedSettlement: result.estimatedSettlement,
+            errorCode: result.errorCode,
+            errorMessage: result.errorMessage,
+            gateway: result.gateway,
+          },
+        };
+      } catch (error) {
+        console.error('BAPB payment processing error:', error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Pay the next termin of an approved BAPP through the configured gateway
+   * Pays the contract progress since the last termin (capped at the schedule term reached), minus retention.
+   * The BAPP becomes 'paid' once the gateway reports the payment settled - right away or through a webhook.
+   */
+  async processBAPPPayment(bappId, paymentData) {
+    return await this.withDocumentPaymentLocks('BAPP', bappId, paymentData.processedBy, async (bapp) => {
+      try {
+        const { readiness, payment } = await this.preparePayment('BAPP', bapp, paymentData);
+        const { log, result } = await this.executePayment(payment);
+        const { termin } = readiness;
+
+        return {
+          success: true,
+          message: RESULT_MESSAGES[log.status],
+          data: {
+            bappNumber: bapp.bapp_number,
+            projectName: bapp.project_name,
+            vendorName: bapp.vendor?.name,
+            totalProgress: bapp.total_progress,
+            contractNumber: termin.contractNumber,
+            termNumber: termin.termNumber,
+            termName: termin.termName,
+            progressFrom: termin.progressFrom,
+            progressTo: termin.progressTo,
+            grossAmount: termin.grossAmount,
+            retentionPercent: termin.retentionPercent,
+            retentionAmount: termin.retentionAmount,
+            tax: this._toTaxBreakdown(readiness.tax),
+            paidAmount: readiness.amount,
+            paymentId: log.id,
+            transactionId: log.transaction_id,
+            status: log.status,
+            estimatedSettlement: result.estimatedSettlement,
+            errorCode: result.errorCode,
+            errorMessage: result.errorMessage,
+            gateway: result.gateway,
+          },
+        };
+      } catch (error) {
+        console.error('BAPP payment processing error:', error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run work on an approved BAPB/BAPP while holding its payment lock
+   * Readiness and recording the payment run under the lock, so two parallel attempts cannot both pass
+   * readiness. BAPP also takes its contract's lock: each termin starts where the previous one ended,
+   * so termins of one contract are paid one at a time.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @param {object} user - Operator paying the document
+   * @param {function} work - Async (document) => result
+   * @throws {AppError} 404 unknown document, 409 not payable or locked
+   */
+  async withDocumentPaymentLocks(documentType, documentId, user, work) {
+    return await this.withPaymentLock(documentType, documentId, user, async () => {
+      const document = await DOCUMENT_REPOSITORIES[documentType].findByIdWithRelations(documentId);
+
+      if (!document) {
+        throw new AppError(`${documentType} not found`, 404);
+      }
+
+      // Must be approved
+      documentStateMachine.assertTransition(documentType, document, 'pay', { user });
+
+      if (documentType === 'BAPB') {
+        return await work(document);
+      }
+
+      if (!document.contract_id) {
+        throw new AppError('Payment blocked: BAPP is not linked to a contract', 409);
+      }
+
+      return await this.withPaymentLock('CONTRACT', document.contract_id, user, () => work(document));
+    });
+  }
+
+  /**
+   * Get the payment request finance checkers released for a document
+   * @throws {AppError} 409 when there is none, or when amount differs from the released amount
+   */
+  async _getReleasedRequest(documentType, documentId, amount) {
+    const request = await PaymentRequestRepository.findReleasedForDocument(documentType, documentId);
+    if (!request) {
+      throw new AppError(`Payment blocked: ${documentType} has no payment request released by finance checkers`, 409);
+    }
+
+    const released = parseFloat(request.amount);
+    if (amount !== undefined && Math.abs(parseFloat(amount) - released) >= 0.01) {
+      throw new AppError(`Payment amount ${amount} does not match the released payment request amount ${released}`, 409);
+    }
+
+    return request;
+  }
+
+  /**
+   * Check readiness of a locked document and build the payment to send for it
+   * The document needs a released payment request; readiness must still come to the released amount.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - Document row with vendor relation
+   * @param {object} paymentData - { amount, paymentMethod, processedBy }
+   * @returns {object} { readiness, payment } - payment is the input of executePayment / initiatePayment
+   * @throws {AppError} 409 when no request is released or readiness has blockers
+   */
+  async preparePayment(documentType, document, paymentData) {
+    const request = await this._getReleasedRequest(documentType, document.id, paymentData.amount);
+
+    const readiness = await this.checkPaymentReadiness(documentType, document.id, { amount: request.amount });
+    if (!readiness.ready) {
+      throw new AppError(`Payment blocked: ${readiness.blockers.join('; ')}`, 409);
+    }
+
+    const { tax, termin } = readiness;
+    const payment = {
+      documentType,
+      documentId: document.id,
+      vendorId: document.vendor_id,
+      vendorName: document.vendor?.name || 'Unknown',
+      amount: readiness.amount,
+      paymentMethod: paymentData.paymentMethod || request.payment_method,
+      user: paymentData.processedBy,
+      paymentRequestId: request.id,
+      logFields: { ...taxService.toLogFields(tax), payment_request_id: request.id },
+    };
+
+    if (documentType === 'BAPB') {
+      return {
+        readiness,
+        payment: {
+          ...payment,
+          documentNumber: document.bapb_number,
+          description: `Payment for ${document.bapb_number} - ${document.order_number}`,
+          gatewayMetadata: {
+            bapbId: document.id,
+            orderNumber: document.order_number,
+            deliveryDate: document.delivery_date,
+          },
+          logMetadata: { invoiceId: readiness.matching.invoice.id },
         },
-      });
+      };
+    }
 
-      // Log payment attempt
-      await this.logPaymentAttempt({
-        documentType: 'BAPB',
-        documentId: bapb.id,
-        documentNumber: bapb.bapb_number,
-        vendorId: bapb.vendor_id,
-        amount: paymentData.amount,
-        status: paymentResult.status,
-        paymentMethod: paymentData.paymentMethod || 'bank_transfer',
-        transactionId: paymentResult.transactionId,
-        gatewayResponse: paymentResult,
-      });
+    return {
+      readiness,
+      payment: {
+        ...payment,
+        documentNumber: document.bapp_number,
+        description: `${termin.termName} for ${document.bapp_number} - ${document.project_name} (${termin.progressFrom}% - ${termin.progressTo}%)`,
+        gatewayMetadata: {
+          bappId: document.id,
+          contractNumber: document.contract_number,
+          projectName: document.project_name,
+          totalProgress: document.total_progress,
+          termNumber: termin.termNumber,
+        },
+        logFields: {
+          ...payment.logFields,
+          contract_id: termin.contractId,
+          payment_type: 'termin',
+          progress_from: termin.progressFrom,
+          progress_to: termin.progressTo,
+          gross_amount: termin.grossAmount,
+          retention_amount: termin.retentionAmount,
+        },
+        logMetadata: { termNumber: termin.termNumber, termName: termin.termName },
+      },
+    };
+  }
 
-      // Notify vendor about payment
-      if (paymentResult.status === 'success') {
-        await notificationService.notifyPaymentProcessed(bapb.vendor_id, {
-          documentType: 'BAPB',
-          documentId: bapb.id,
-          documentNumber: bapb.bapb_number,
-          amount: paymentData.amount,
-          transactionId: paymentResult.transactionId,
-        });
+  /**
+   * Pay out the retention held on a contract once its maintenance period is over
+   * Needs a payment request for the contract released by finance checkers.
+   * @param {string} contractId
+   * @param {object} user - Operator releasing the retention
+   * @throws {AppError} 409 when no request is released, the release is not due or another contract payment is in flight
+   */
+  async processRetentionRelease(contractId, user) {
+    return await this.withPaymentLock('CONTRACT', contractId, user, async () => {
+      const request = await this._getReleasedRequest('CONTRACT', contractId);
+
+      const release = await contractPaymentService.checkRetentionRelease(contractId);
+      if (!release.ready) {
+        throw new AppError(`Retention release blocked: ${release.blockers.join('; ')}`, 409);
+      }
+
+      if (Math.abs(release.amount - parseFloat(request.amount)) >= 0.01) {
+        throw new AppError(`Retention release blocked: retention held ${release.amount} does not match the released payment request amount ${parseFloat(request.amount)}`, 409);
       }
 
+      // PPN and PPh were applied to the full termin gross, retained part included, so the release is untaxed
+      const { contract } = release;
+      const vendor = await UserRepository.findById(contract.vendor_id);
+
+      const { log, result } = await this.executePayment({
+        documentType: 'CONTRACT',
+        documentId: contract.id,
+        documentNumber: contract.contract_number,
+        vendorId: contract.vendor_id,
+        vendorName: vendor?.name || 'Unknown',
+        amount: release.amount,
+        paymentMethod: request.payment_method,
+        paymentRequestId: request.id,
+        user,
+        description: `Retention release for ${contract.contract_number} - ${contract.project_name}`,
+        gatewayMetadata: { contractId: contract.id },
+        logFields: {
+          contract_id: contract.id,
+          payment_type: 'retention_release',
+          gross_amount: release.amount,
+          payment_request_id: request.id,
+        },
+      });
+
       return {
         success: true,
-        message: 'Payment processed successfully (SIMULATION)',
+        message: RESULT_MESSAGES[log.status],
         data: {
-          bapbNumber: bapb.bapb_number,
-          vendorName: bapb.vendor?.name,
-          amount: paymentData.amount,
-          transactionId: paymentResult.transactionId,
-          status: paymentResult.status,
-          estimatedSettlement: paymentResult.estimatedSettlement,
-          simulationNote: 'This is a simulated payment - No actual money transferred',
+          contractNumber: contract.contract_number,
+          amount: release.amount,
+          paymentId: log.id,
+          transactionId: log.transaction_id,
+          status: log.status,
+          estimatedSettlement: result.estimatedSettlement,
+          errorCode: result.errorCode,
+          errorMessage: result.errorMessage,
+          gateway: result.gateway,
         },
       };
-    } catch (error) {
-      console.error('BAPB payment processing error:', error);
-      throw error;
-    }
+    });
   }
 
   /**
-   * Simulate payment processing for approved BAPP
+   * Run a payment attempt while holding the document's payment lock
+   * @param {string} documentType
+   * @param {string} documentId
+   * @param {object} user - Actor taking the lock
+   * @param {function} work - Async attempt
+   * @throws {AppError} 409 while another attempt for the document is in flight
    */
-  async processBAPPPayment(bappId, paymentData) {
+  async withPaymentLock(documentType, documentId, user, work) {
+    const token = crypto.randomUUID();
+    const acquired = await PaymentLogRepository.acquireDocumentLock(documentType, documentId, {
+      token,
+      lockedBy: user?.id || null,
+      ttlSeconds: PAYMENT_LOCK_TTL_SECONDS
+    });
+
+    if (!acquired) {
+      throw new AppError(`Another payment attempt for this ${documentType} is already in progress`, 409);
+    }
+
     try {
-      const bapp = await BAPPRepository.findByIdWithRelations(bappId);
+      return await work();
+    } finally {
+      try {
+        await PaymentLogRepository.releaseDocumentLock(documentType, documentId, token);
+      } catch (error) {
+        // The lock expires on its own
+        console.error(`Error releasing payment lock of ${documentType} ${documentId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Record a payment as initiated, send it through the configured gateway and apply the answer
+   * The log row exists before the gateway is called, so a crash in between leaves an 'initiated'
+   * payment for the reconciliation job instead of an untracked transfer.
+   * The money goes to the vendor's approved primary bank account.
+   * @param {object} payment - { documentType, documentId, documentNumber, vendorId, vendorName, amount,
+   *                            paymentMethod, user, description, gatewayMetadata, logMetadata,
+   *                            logFields: extra payment_logs columns (contract/termin/tax breakdown) }
+   * @returns {object} { log, result }
+   * @throws {AppError} 409 when the vendor has no approved primary bank account
+   */
+  async executePayment(payment) {
+    const gateway = paymentGateways.getPaymentGateway();
+    const account = await this.getPayoutAccount(payment.vendorId);
+    const beneficiary = this.toBeneficiary(account, payment.vendorName);
+
+    const initiated = await this.initiatePayment({
+      ...payment,
+      logMetadata: { ...payment.logMetadata, beneficiary },
+      logFields: { ...payment.logFields, bank_account_id: account.id }
+    }, { gateway: gateway.name });
 
-      if (!bapp) {
-        throw new Error('BAPP not found');
+    const result = await gateway.createPayment({
+      reference: initiated.gateway_reference,
+      amount: payment.amount,
+      currency: 'IDR',
+      beneficiary: {
+        vendorId: payment.vendorId,
+        name: payment.vendorName,
+        ...beneficiary
+      },
+      description: payment.description,
+      metadata: {
+        documentNumber: payment.documentNumber,
+        ...payment.gatewayMetadata
       }
+    });
+
+    const { log } = await this.applyGatewayResult(initiated, result, { source: 'gateway', user: payment.user });
+
+    return { log, result };
+  }
 
-      if (bapp.status !== 'approved') {
-        throw new Error('BAPP must be approved before payment processing');
+  /**
+   * Get the account a vendor is paid to: its primary account, approved by an admin
+   * @param {string} vendorId
+   * @returns {object} vendor_bank_accounts row
+   * @throws {AppError} 409 when there is none
+   */
+  async getPayoutAccount(vendorId) {
+    const account = await VendorBankAccountRepository.findPayoutAccount(vendorId);
+    if (!account) {
+      throw new AppError('Payment blocked: Vendor has no approved primary bank account', 409);
+    }
+    return account;
+  }
+
+  /**
+   * Beneficiary details of a payout account, as stored on the payment
+   * Kept on the log so the payment shows the account at the time it was sent.
+   */
+  toBeneficiary(account, fallbackName) {
+    return {
+      bankAccountId: account.id,
+      bankCode: account.bank_code,
+      bankName: account.bank_name,
+      accountNumber: account.account_number,
+      accountName: account.account_holder_name || fallbackName
+    };
+  }
+
+  /**
+   * Record a payment as initiated without sending it anywhere yet
+   * The released payment request of the payment is claimed first, so it pays out once.
+   * @param {object} payment - Same as executePayment
+   * @param {object} options - { gateway: name stored on the log, logFields: extra payment_logs columns }
+   * @returns {object} payment_logs row
+   * @throws {AppError} 409 when the document already has a live payment or the request is no longer released
+   */
+  async initiatePayment(payment, options = {}) {
+    const reference = `${payment.documentType}-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+    let request = null;
+    if (payment.paymentRequestId) {
+      request = await PaymentRequestRepository.updateIfStatus(payment.paymentRequestId, ['released'], {
+        status: 'executed',
+        executed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+
+      if (!request) {
+        throw new AppError('Payment request was cancelled or already executed', 409);
       }
+    }
 
-      // Calculate payment based on progress percentage
-      const progressBasedAmount = (paymentData.contractAmount * bapp.total_progress) / 100;
+    let log;
+    try {
+      log = await PaymentLogRepository.create({
+        document_type: payment.documentType,
+        document_id: payment.documentId,
+        document_number: payment.documentNumber,
+        vendor_id: payment.vendorId,
+        amount: payment.amount,
+        payment_method: payment.paymentMethod || 'bank_transfer',
+        status: PAYMENT_STATUS.INITIATED,
+        gateway: options.gateway,
+        gateway_reference: reference,
+        initiated_by: payment.user?.id || null,
+        metadata: payment.logMetadata || {},
+        processed_at: new Date().toISOString(),
+        status_updated_at: new Date().toISOString(),
+        ...payment.logFields,
+        ...options.logFields
+      });
+    } catch (error) {
+      if (request) {
+        await PaymentRequestRepository.updateIfStatus(request.id, ['executed'], {
+          status: 'released',
+          executed_at: null,
+          updated_at: new Date().toISOString()
+        });
+      }
 
-      const paymentResult = await this.simulatePaymentGateway({
-        documentType: 'BAPP',
-        documentNumber: bapp.bapp_number,
-        vendorId: bapp.vendor_id,
-        vendorName: bapp.vendor?.name || 'Unknown',
-        amount: paymentData.amount || progressBasedAmount,
-        description: `Payment for ${bapp.bapp_number} - ${bapp.project_name} (${bapp.total_progress}% complete)`,
-        metadata: {
-          bappId: bapp.id,
-          contractNumber: bapp.contract_number,
-          projectName: bapp.project_name,
-          totalProgress: bapp.total_progress,
-          contractAmount: paymentData.contractAmount,
-        },
+      // Unique index on live payments - the lock was bypassed or has expired mid-attempt
+      if (error.code === '23505') {
+        throw new AppError(`${payment.documentType} ${payment.documentNumber} already has a payment in progress or settled`, 409);
+      }
+      throw error;
+    }
+
+    if (request) {
+      await this._recordRequestExecuted(request, log, payment.user);
+    }
+
+    return log;
+  }
+
+  /**
+   * Link an executed payment request to its payment, store the step and tell the maker
+   * @private
+   */
+  async _recordRequestExecuted(request, log, user) {
+    try {
+      const updated = await PaymentRequestRepository.update(request.id, { payment_log_id: log.id });
+
+      await PaymentRequestRepository.actions.create({
+        request_id: request.id,
+        action: 'executed',
+        actor_id: user?.id || null,
+        comment: `Payment ${log.gateway_reference}`
       });
 
-      await this.logPaymentAttempt({
-        documentType: 'BAPP',
-        documentId: bapp.id,
-        documentNumber: bapp.bapp_number,
-        vendorId: bapp.vendor_id,
-        amount: paymentData.amount || progressBasedAmount,
-        status: paymentResult.status,
-        paymentMethod: paymentData.paymentMethod || 'bank_transfer',
-        transactionId: paymentResult.transactionId,
-        gatewayResponse: paymentResult,
+      await notificationService.notifyPaymentRequest('executed', updated, [request.requested_by]);
+      await webhookService.emit('payment_request.executed', { paymentRequest: webhookService.paymentRequestData(updated) });
+    } catch (error) {
+      // The payment is recorded either way; the request already says executed
+      console.error(`Error recording execution of payment request ${request.request_number}:`, error);
+    }
+  }
+
+  /**
+   * Put the payment request of a payment that never reached the bank back to released
+   * Used when a queued payment leaves its batch before the transfer, so it can be paid again without
+   * another round of approvals.
+   * @param {object} log - payment_logs row
+   * @param {string} reason - Stored with the step
+   * @param {object} user - Actor
+   */
+  async reopenPaymentRequest(log, reason, user) {
+    if (!log.payment_request_id) return null;
+
+    const request = await PaymentRequestRepository.updateIfStatus(log.payment_request_id, ['executed'], {
+      status: 'released',
+      executed_at: null,
+      payment_log_id: null,
+      updated_at: new Date().toISOString()
+    });
+
+    if (request) {
+      await PaymentRequestRepository.actions.create({
+        request_id: request.id,
+        action: 'released',
+        actor_id: user?.id || null,
+        comment: reason
       });
+    }
+
+    return request;
+  }
+
+  /**
+   * Move a payment along its lifecycle based on a gateway result
+   * Moves that the lifecycle does not allow (e.g. a late 'pending' after 'settled') are ignored, and the
+   * update only applies while the row still has the status we read, so a webhook and the reconciliation
+   * job racing each other settle a payment once.
+   * @param {object} log - payment_logs row
+   * @param {object} result - normalized gateway result
+   * @param {object} options - { source: 'gateway' | 'webhook' | 'reconciliation' | 'batch' | 'reversal', user }
+   * @returns {object} { applied, log }
+   */
+  async applyGatewayResult(log, result, options = {}) {
+    const to = result.status;
+
+    if (to === log.status || !(PAYMENT_TRANSITIONS[log.status] || []).includes(to)) {
+      return { applied: false, log };
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      status: to,
+      status_updated_at: now,
+      last_checked_at: now,
+      gateway_response: { ...result, source: options.source || 'gateway' }
+    };
+
+    if (result.transactionId && result.transactionId !== log.gateway_reference) {
+      changes.transaction_id = result.transactionId;
+    } else if (!log.transaction_id) {
+      changes.transaction_id = log.gateway_reference;
+    }
+
+    if (to === PAYMENT_STATUS.SETTLED) {
+      changes.settled_at = result.timestamp || now;
+
+      // Withholding slip (bukti potong) is issued once the withheld payment is made
+      if (parseFloat(log.pph_amount || 0) > 0 && !log.withholding_slip_number) {
+        changes.withholding_slip_number = taxService.slipNumber(log.id, new Date(changes.settled_at));
+      }
+    }
+    if (to === PAYMENT_STATUS.FAILED || to === PAYMENT_STATUS.REVERSED) {
+      changes.failure_reason = [result.errorCode, result.errorMessage].filter(Boolean).join(': ') || null;
+    }
+
+    const [updated] = await PaymentLogRepository.updateMany({ id: log.id, status: log.status }, changes);
+    if (!updated) {
+      return { applied: false, log: await PaymentLogRepository.findById(log.id) };
+    }
+
+    if (to === PAYMENT_STATUS.SETTLED) {
+      await this._onSettled(updated, options.user);
+    }
+    if (to === PAYMENT_STATUS.REVERSED) {
+      await this._onReversed(updated, options.user);
+    }
+
+    return { applied: true, log: updated };
+  }
+
+  /**
+   * Settlement side effects: document becomes paid, invoice paid, vendor notified
+   * The money has moved at this point, so failures are logged rather than undoing anything.
+   * @private
+   */
+  async _onSettled(log, user = null) {
+    const amount = parseFloat(log.amount);
+
+    // Retention releases are paid against the contract, which has no paid status
+    const repository = DOCUMENT_REPOSITORIES[log.document_type];
 
-      // Notify vendor about payment
-      if (paymentResult.status === 'success') {
-        await notificationService.notifyPaymentProcessed(bapp.vendor_id, {
-          documentType: 'BAPP',
-          documentId: bapp.id,
-          documentNumber: bapp.bapp_number,
-          amount: paymentData.amount,
-          transactionId: paymentResult.transactionId,
+    try {
+      const document = repository ? await repository.findById(log.document_id) : null;
+
+      if (document && documentStateMachine.can(log.document_type, document, 'pay', { system: true })) {
+        await documentStateMachine.transition(log.document_type, document, 'pay', {
+          ...(user ? { user } : { system: true }),
+          metadata: { paymentId: log.id, transactionId: log.transaction_id, amount }
         });
       }
+    } catch (error) {
+      console.error(`Error marking ${log.document_type} ${log.document_number} as paid:`, error);
+    }
 
-      return {
-        success: true,
-        message: 'Payment processed successfully (SIMULATION)',
-        data: {
-          bappNumber: bapp.bapp_number,
-          projectName: bapp.project_name,
-          vendorName: bapp.vendor?.name,
-          totalProgress: bapp.total_progress,
-          contractAmount: paymentData.contractAmount,
-          calculatedAmount: progressBasedAmount.toFixed(2),
-          paidAmount: paymentData.amount || progressBasedAmount,
-          transactionId: paymentResult.transactionId,
-          status: paymentResult.status,
-          estimatedSettlement: paymentResult.estimatedSettlement,
-          simulationNote: 'This is a simulated payment - No actual money transferred',
-        },
-      };
+    if (log.metadata?.invoiceId) {
+      try {
+        await invoiceService.markPaid(log.metadata.invoiceId);
+      } catch (error) {
+        console.error(`Error marking invoice of ${log.document_number} as paid:`, error);
+      }
+    }
+
+    await notificationService.notifyPaymentProcessed(log.vendor_id, {
+      documentType: log.document_type,
+      documentId: log.document_id,
+      documentNumber: log.document_number,
+      amount,
+      transactionId: log.transaction_id,
+    });
+    await webhookService.emit('payment.processed', { payment: webhookService.paymentData(log) });
+  }
+
+  /**
+   * Reversal side effects: document back to approved, invoice unpaid, vendor notified
+   * Runs for reversals we start and for ones the gateway reports on its own.
+   * @private
+   */
+  async _onReversed(log, user = null) {
+    const amount = parseFloat(log.amount);
+    const repository = DOCUMENT_REPOSITORIES[log.document_type];
+
+    try {
+      const document = repository ? await repository.findById(log.document_id) : null;
+
+      if (document && documentStateMachine.can(log.document_type, document, 'reverse_payment', { system: true })) {
+        await documentStateMachine.transition(log.document_type, document, 'reverse_payment', {
+          ...(user ? { user } : { system: true }),
+          reason: log.reversal_reason || log.failure_reason,
+          metadata: { paymentId: log.id, transactionId: log.transaction_id, amount }
+        });
+      }
     } catch (error) {
-      console.error('BAPP payment processing error:', error);
-      throw error;
+      console.error(`Error reopening ${log.document_type} ${log.document_number} for payment:`, error);
+    }
+
+    if (log.metadata?.invoiceId) {
+      try {
+        await invoiceService.markUnpaid(log.metadata.invoiceId);
+      } catch (error) {
+        console.error(`Error marking invoice of ${log.document_number} as unpaid:`, error);
+      }
     }
+
+    await notificationService.notifyPaymentReversed(log.vendor_id, {
+      documentType: log.document_type,
+      documentId: log.document_id,
+      documentNumber: log.document_number,
+      amount,
+      transactionId: log.transaction_id,
+      reason: log.reversal_reason || log.failure_reason
+    });
+    await webhookService.emit('payment.reversed', {
+      payment: webhookService.paymentData(log),
+      reason: log.reversal_reason || log.failure_reason || null
+    });
   }
 
   /**
-   * Simulate payment gateway response
+   * Reverse a settled payment (admin)
+   * Gateway payments are pulled back through the gateway adapter; payments sent in a bank transfer file
+   * are recorded as refunded with the bank reference of the returned money. Every attempt is stored as a
+   * 'reversal' payment log linked to the payment. Once reversed, the document is approved again and
+   * can be paid under a new payment request. A reversal the gateway has not confirmed yet stays 'pending'
+   * and is settled by the gateway callback or the reconciliation job, like a payout.
+   * @param {string} paymentId
+   * @param {object} body - { reason, refundReference (bank file payments) }
+   * @param {object} user - Admin
+   * @returns {object} { payment, reversal }
+   * @throws {AppError} 400 no reason, 404 unknown payment, 409 not reversible, refused or already waiting for the gateway
    */
-  async simulatePaymentGateway(paymentRequest) {
-    // Simulate network delay (100-500ms)
-    await new Promise((resolve) => setTimeout(resolve, Math.random() * 400 + 100));
+  async reversePayment(paymentId, body, user) {
+    const reason = body.reason && String(body.reason).trim();
+    if (!reason) {
+      throw new AppError('Reversal reason is required', 400);
+    }
 
-    // Generate transaction ID
-    const transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+    const log = await PaymentLogRepository.findById(paymentId);
+    if (!log || log.payment_type === 'reversal') {
+      throw new AppError('Payment not found', 404);
+    }
 
-    // Simulate success rate (95% success)
-    const isSuccess = Math.random() > 0.05;
+    const reverse = async () => {
+      // Read again under the lock
+      const payment = await PaymentLogRepository.findById(log.id);
+      if (payment.status !== PAYMENT_STATUS.SETTLED) {
+        throw new AppError(`Only settled payments can be reversed - this payment is ${payment.status}`, 409);
+      }
 
-    if (isSuccess) {
-      return {
-        status: 'success',
-        transactionId,
-        timestamp: new Date().toISOString(),
-        amount: paymentRequest.amount,
-        currency: 'IDR',
-        paymentMethod: 'bank_transfer',
-        estimatedSettlement: moment().add(1, 'days').format('YYYY-MM-DD'),
-        gatewayReference: `GW-${transactionId}`,
-        vendorId: paymentRequest.vendorId,
-        vendorName: paymentRequest.vendorName,
-        description: paymentRequest.description,
-        metadata: paymentRequest.metadata,
-        message: 'Payment successfully processed',
-        simulationMode: true,
-      };
-    } else {
-      const failureReasons = [
-        'Insufficient funds in system account',
-        'Vendor bank account validation failed',
-        'Daily transaction limit exceeded',
-        'Payment gateway timeout',
-        'Vendor account suspended'
-      ];
+      if (await PaymentLogRepository.findOpenReversal(payment.id)) {
+        throw new AppError('A reversal of this payment is waiting for the gateway - it completes on the gateway callback or the next reconciliation', 409);
+      }
 
-      const randomReason = failureReasons[Math.floor(Math.random() * failureReasons.length)];
+      await this._assertReversible(payment);
 
-      return {
-        status: 'failed',
-        transactionId,
-        timestamp: new Date().toISOString(),
-        amount: paymentRequest.amount,
-        errorCode: 'PAYMENT_FAILED',
-        errorMessage: randomReason,
-        vendorId: paymentRequest.vendorId,
-        simulationMode: true,
-      };
+      const result = payment.gateway === BATCH_GATEWAY
+        ? await this._recordManualRefund(payment, body.refundReference)
+        : await paymentGateways.getPaymentGateway(payment.gateway).reversePayment({
+          reference: `REV-${payment.gateway_reference}`,
+          paymentReference: payment.gateway_reference,
+          amount: parseFloat(payment.amount),
+          reason
+        });
+
+      const status = [PAYMENT_STATUS.REVERSED, PAYMENT_STATUS.PENDING].includes(result.status)
+        ? result.status
+        : PAYMENT_STATUS.FAILED;
+      const now = new Date().toISOString();
+
+      const reversal = await PaymentLogRepository.create({
+        document_type: payment.document_type,
+        document_id: payment.document_id,
+        document_number: payment.document_number,
+        vendor_id: payment.vendor_id,
+        contract_id: payment.contract_id,
+        amount: payment.amount,
+        payment_method: payment.payment_method,
+        payment_type: 'reversal',
+        reversal_of: payment.id,
+        status,
+        gateway: payment.gateway,
+        transaction_id: result.transactionId,
+        initiated_by: user.id,
+        gateway_response: result,
+        failure_reason: status === PAYMENT_STATUS.FAILED
+          ? [result.errorCode, result.errorMessage].filter(Boolean).join(': ') || null
+          : null,
+        metadata: { reason, reversalReference: result.reference },
+        processed_at: now,
+        status_updated_at: now
+      });
+
+      if (status === PAYMENT_STATUS.PENDING) {
+        return { payment, reversal };
+      }
+      if (status === PAYMENT_STATUS.FAILED) {
+        throw new AppError(`Gateway refused the reversal: ${result.errorMessage || result.errorCode}`, 409);
+      }
+
+      return { payment: await this._completeReversal(payment, reason, user), reversal };
+    };
+
+    return await this.withPaymentLock(log.document_type, log.document_id, user, () => (
+      log.contract_id && log.document_type !== 'CONTRACT'
+        ? this.withPaymentLock('CONTRACT', log.contract_id, user, reverse)
+        : reverse()
+    ));
+  }
+
+  /**
+   * Mark a payment reversed once its reversal went through
+   * @param {object} payment - payment_logs row of the reversed payment
+   * @param {string} reason - Reversal reason
+   * @param {object|string} reversedBy - Admin who reversed it, or only their id when it completes later
+   * @private
+   */
+  async _completeReversal(payment, reason, reversedBy) {
+    const user = typeof reversedBy === 'object' ? reversedBy : null;
+
+    // Reason and actor first, so the side effects of the status change can use them
+    await PaymentLogRepository.update(payment.id, {
+      reversal_reason: reason,
+      reversed_by: user ? user.id : reversedBy,
+      reversed_at: new Date().toISOString()
+    });
+
+    // A callback from the gateway may already have moved it to reversed
+    const { log } = await this.applyGatewayResult(
+      { ...payment, reversal_reason: reason },
+      { status: PAYMENT_STATUS.REVERSED, transactionId: payment.transaction_id, errorCode: 'REVERSED', errorMessage: reason },
+      { source: 'reversal', user }
+    );
+
+    return log;
+  }
+
+  /**
+   * Settle a reversal that was waiting for the gateway, from a gateway result
+   * Like applyGatewayResult, only applies while the reversal is still pending.
+   * @param {object} reversal - 'reversal' payment_logs row
+   * @param {object} result - normalized gateway result, about the reversal or the reversed payment
+   * @param {object} options - { source: 'webhook' | 'reconciliation' }
+   * @returns {object} { applied, log } of the reversal
+   * @private
+   */
+  async _settleReversal(reversal, result, options = {}) {
+    if (![PAYMENT_STATUS.REVERSED, PAYMENT_STATUS.FAILED].includes(result.status)) {
+      return { applied: false, log: reversal };
     }
+
+    const now = new Date().toISOString();
+    const [updated] = await PaymentLogRepository.updateMany({ id: reversal.id, status: PAYMENT_STATUS.PENDING }, {
+      status: result.status,
+      status_updated_at: now,
+      last_checked_at: now,
+      // A callback about the reversed payment carries the payment's transaction id, not the reversal's
+      transaction_id: result.reference === reversal.metadata?.reversalReference ? result.transactionId : reversal.transaction_id,
+      gateway_response: { ...result, source: options.source },
+      failure_reason: result.status === PAYMENT_STATUS.FAILED
+        ? [result.errorCode, result.errorMessage].filter(Boolean).join(': ') || null
+        : null
+    });
+    if (!updated) {
+      return { applied: false, log: await PaymentLogRepository.findById(reversal.id) };
+    }
+
+    if (updated.status === PAYMENT_STATUS.REVERSED) {
+      const payment = await PaymentLogRepository.findById(reversal.reversal_of);
+      await this._completeReversal(payment, reversal.metadata?.reason, reversal.initiated_by);
+    }
+
+    return { applied: true, log: updated };
   }
 
   /**
-   * Log payment attempt to database
+   * Contract payments build on each other: only the latest one of a contract can be reversed
+   * @private
+   * @throws {AppError} 409 when a later live payment of the contract exists
    */
-  async logPaymentAttempt(logData) {
+  async _assertReversible(payment) {
+    if (!payment.contract_id) return;
+
+    const logs = await PaymentLogRepository.findByContract(payment.contract_id);
+    const later = logs.filter(other =>
+      other.id !== payment.id &&
+      other.payment_type !== 'reversal' &&
+      [PAYMENT_STATUS.INITIATED, PAYMENT_STATUS.PENDING, PAYMENT_STATUS.SETTLED].includes(other.status) &&
+      new Date(other.processed_at) > new Date(payment.processed_at)
+    );
+
+    if (later.length > 0) {
+      throw new AppError(`Reverse the later payments of this contract first: ${later.map(other => other.document_number).join(', ')}`, 409);
+    }
+  }
+
+  /**
+   * Result of a payment returned outside any gateway (bank transfer file payments)
+   * @private
+   */
+  async _recordManualRefund(payment, refundReference) {
+    if (!refundReference) {
+      throw new AppError('refundReference (bank reference of the returned transfer) is required to reverse a bank file payment', 400);
+    }
+
+    return {
+      status: PAYMENT_STATUS.REVERSED,
+      transactionId: String(refundReference),
+      reference: String(refundReference),
+      amount: parseFloat(payment.amount),
+      gateway: BATCH_GATEWAY,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Handle a status callback from a gateway
+   * Redelivered events (same event id) are acknowledged without being applied twice.
+   * @param {string} provider - Gateway provider name from the webhook URL
+   * @param {object} headers - Request headers
+   * @param {Buffer} rawBody - Unparsed request body
+   * @returns {object} { duplicate, outcome, paymentId, status }
+   * @throws {AppError} 404 unknown provider, 401 bad signature, 400 malformed event
+   */
+  async handleGatewayWebhook(provider, headers, rawBody) {
+    if (!paymentGateways.isSupportedProvider(provider)) {
+      throw new AppError(`Unknown payment gateway: ${provider}`, 404);
+    }
+
+    const gateway = paymentGateways.getPaymentGateway(provider);
+    const event = gateway.verifyWebhook(headers, rawBody);
+
+    let record;
     try {
-      await supabaseAdmin.from('payment_logs').insert({
-        document_type: logData.documentType,
-        document_id: logData.documentId,
-        document_number: logData.documentNumber,
-        vendor_id: logData.vendorId,
-        amount: logData.amount,
-        payment_method: logData.paymentMethod,
-        status: logData.status,
-        transaction_id: logData.transactionId,
-        gateway_response: logData.gatewayResponse,
-        processed_at: new Date().toISOString()
+      record = await PaymentLogRepository.webhookEvents.create({
+        gateway: gateway.name,
+        event_id: event.eventId,
+        gateway_reference: event.reference,
+        payload: event.raw || {}
       });
     } catch (error) {
-      console.error('Error logging payment attempt:', error);
+      if (error.code !== '23505') throw error;
+
+      // Seen before - only process again if the earlier delivery did not finish
+      record = await PaymentLogRepository.webhookEvents.findOne({ gateway: gateway.name, event_id: event.eventId });
+      if (record.processed_at) {
+        return { duplicate: true, outcome: record.outcome, paymentId: record.payment_log_id };
+      }
+    }
+
+    const log = await PaymentLogRepository.findByGatewayReference(event.reference);
+    // The gateway reports a reversal we are waiting for as the payment turning reversed
+    const reversal = log && event.status === PAYMENT_STATUS.REVERSED
+      ? await PaymentLogRepository.findOpenReversal(log.id)
+      : null;
+
+    let applied = false;
+    let current = null;
+    if (reversal) {
+      ({ applied, log: current } = await this._settleReversal(reversal, event, { source: 'webhook' }));
+    } else if (log) {
+      ({ applied, log: current } = await this.applyGatewayResult(log, event, { source: 'webhook' }));
+    }
+
+    const outcome = applied ? 'applied' : 'ignored';
+    await PaymentLogRepository.webhookEvents.update(record.id, {
+      payment_log_id: current?.id || null,
+      outcome,
+      processed_at: new Date().toISOString()
+    });
+
+    return { duplicate: false, outcome, paymentId: current?.id || null, status: current?.status || null };
+  }
+
+  /**
+   * Poll the gateway for payments stuck in 'initiated' or 'pending', and for reversals it has not confirmed
+   * A payment the gateway has no record of after the wait never reached it, so it is marked failed.
+   * Reversals are sent again with their reference, which the gateway answers without reversing twice.
+   * @param {object} options - { olderThanMinutes, limit }
+   * @returns {object} { checked, pending, settled, failed, reversed, unchanged, errors }
+   */
+  async reconcileOpenPayments(options = {}) {
+    const olderThanMinutes = options.olderThanMinutes ?? DEFAULT_RECONCILE_AFTER_MINUTES;
+    const before = new Date(Date.now() - olderThanMinutes * 60 * 1000).toISOString();
+    const logs = await PaymentLogRepository.findStaleOpen({ before, limit: options.limit });
+    const reversals = await PaymentLogRepository.findStaleOpenReversals({ before, limit: options.limit });
+
+    const summary = { checked: logs.length + reversals.length, pending: 0, settled: 0, failed: 0, reversed: 0, unchanged: 0, errors: 0 };
+
+    const reconcile = async (log, check) => {
+      try {
+        const { applied, log: current } = await check();
+
+        if (applied) {
+          summary[current.status]++;
+        } else {
+          summary.unchanged++;
+          await PaymentLogRepository.update(log.id, { last_checked_at: new Date().toISOString() });
+        }
+      } catch (error) {
+        summary.errors++;
+        console.error(`Error reconciling payment ${log.gateway_reference || log.metadata?.reversalReference}:`, error);
+      }
+    };
+
+    for (const log of logs) {
+      await reconcile(log, async () => {
+        const gateway = paymentGateways.getPaymentGateway(log.gateway || undefined);
+        const result = await gateway.getPayment(log.gateway_reference) || {
+          status: PAYMENT_STATUS.FAILED,
+          reference: log.gateway_reference,
+          errorCode: 'NOT_FOUND_AT_GATEWAY',
+          errorMessage: 'Gateway has no record of this payment',
+          gateway: gateway.name
+        };
+
+        return await this.applyGatewayResult(log, result, { source: 'reconciliation' });
+      });
     }
+
+    for (const reversal of reversals) {
+      await reconcile(reversal, async () => {
+        const payment = await PaymentLogRepository.findById(reversal.reversal_of);
+        const result = await paymentGateways.getPaymentGateway(reversal.gateway || undefined).reversePayment({
+          reference: reversal.metadata.reversalReference,
+          paymentReference: payment.gateway_reference,
+          amount: parseFloat(payment.amount),
+          reason: reversal.metadata.reason
+        });
+
+        return await this._settleReversal(reversal, result, { source: 'reconciliation' });
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Tax breakdown of a calculation or a payment_logs row, in the API shape
+   * @private
+   */
+  _toTaxBreakdown(source) {
+    if (source.profile !== undefined) {
+      const { blockers, profile, ...breakdown } = source;
+      return { ...breakdown, vendorProfile: profile };
+    }
+
+    const number = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+    const dpp = number(source.dpp);
+    const ppnAmount = number(source.ppn_amount) || 0;
+    const pphAmount = number(source.pph_amount) || 0;
+
+    return {
+      dpp,
+      ppnRate: number(source.ppn_rate),
+      ppnAmount,
+      pphType: source.pph_type,
+      pphRate: number(source.pph_rate),
+      pphAmount,
+      grossAmount: round2(dpp + ppnAmount),
+      netAmount: round2(dpp + ppnAmount - pphAmount),
+      vendorProfile: source.tax_profile,
+      withholdingSlipNumber: source.withholding_slip_number || null
+    };
+  }
+
+  /**
+   * Make sure a user may see the payments of a document
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @param {object} user - Requesting user; vendors only see their own documents
+   * @throws {AppError} 404 unknown document, 403 another vendor's document
+   */
+  async assertDocumentAccess(documentType, documentId, user) {
+    const document = await DOCUMENT_REPOSITORIES[documentType].findById(documentId);
+
+    if (!document) {
+      throw new AppError(`${documentType} not found`, 404);
+    }
+
+    if (VENDOR_ROLES.includes(user.role) && document.vendor_id !== user.id) {
+      throw new AppError(`Not authorized to access the payments of this ${documentType}`, 403);
+    }
+  }
+
+  /**
+   * Beneficiary stored on a payment log, with the account number masked
+   * @private
+   */
+  _toMaskedBeneficiary(beneficiary) {
+    if (!beneficiary) return null;
+
+    return { ...beneficiary, accountNumber: maskAccountNumber(beneficiary.accountNumber) };
+  }
+
+  /**
+   * Stored gateway answer without the raw body the gateway sent back
+   * @private
+   */
+  _withoutRawResponse(gatewayResponse) {
+    if (!gatewayResponse) return null;
+
+    const { raw, ...response } = gatewayResponse;
+    return response;
   }
 
   /**
    * Get payment logs for a document
+   * Bank account numbers are masked and the raw gateway answer, which echoes them, is left out.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @param {object} user - Requesting user; vendors only see their own documents
    */
-  async getPaymentLogs(documentType, documentId) {
+  async getPaymentLogs(documentType, documentId, user) {
     try {
-      const { data, error } = await supabaseAdmin
-        .from('payment_logs')
-        .select(`
-          *,
-          vendor:users!payment_logs_vendor_id_fkey(id, name, company, email)
-        `)
-        .eq('document_type', documentType)
-        .eq('document_id', documentId)
-        .order('processed_at', { ascending: false });
-
-      if (error) throw error;
+      await this.assertDocumentAccess(documentType, documentId, user);
+
+      const data = await PaymentLogRepository.findByDocument(documentType, documentId);
 
       return data.map((log) => ({
         id: log.id,
@@ -260,9 +1108,21 @@ class PaymentService {
         amount: log.amount,
         paymentMethod: log.payment_method,
         status: log.status,
+        gateway: log.gateway,
+        gatewayReference: log.gateway_reference,
         vendor: log.vendor,
         processedAt: log.processed_at,
-        gatewayResponse: log.gateway_response,
+        statusUpdatedAt: log.status_updated_at,
+        settledAt: log.settled_at,
+        failureReason: log.failure_reason,
+        paymentType: log.payment_type,
+        // Reversal entries point at the payment they reverse; reversed payments say why and when
+        reversalOf: log.reversal_of || null,
+        reversalReason: log.reversal_reason || log.metadata?.reason || null,
+        reversedAt: log.reversed_at || null,
+        tax: log.dpp !== null ? this._toTaxBreakdown(log) : null,
+        beneficiary: this._toMaskedBeneficiary(log.metadata?.beneficiary),
+        gatewayResponse: this._withoutRawResponse(log.gateway_response),
       }));
     } catch (error) {
       console.error('Error fetching payment logs:', error);
@@ -270,13 +1130,51 @@ class PaymentService {
     }
   }
 
+  /**
+   * Render the withholding slip (bukti potong) of a settled payment with PPh withheld
+   * @param {string} paymentId
+   * @param {object} user - Requesting user; vendors only get their own slips
+   * @returns {object} { filePath, fileName } of a temporary PDF
+   * @throws {AppError} 404 unknown payment or no slip issued, 403 someone else's payment
+   */
+  async generateWithholdingSlip(paymentId, user) {
+    const log = await PaymentLogRepository.findById(paymentId);
+
+    if (!log) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    if (VENDOR_ROLES.includes(user.role) && log.vendor_id !== user.id) {
+      throw new AppError('Not authorized to access this payment', 403);
+    }
+
+    if (!log.withholding_slip_number) {
+      throw new AppError('No withholding slip for this payment - it is not settled or had no PPh withheld', 404);
+    }
+
+    if (log.status === PAYMENT_STATUS.REVERSED) {
+      throw new AppError('Payment was reversed - its withholding slip is void', 409);
+    }
+
+    const vendor = await UserRepository.findById(log.vendor_id);
+
+    return await pdfService.generateWithholdingSlipPDF({ ...log, vendor });
+  }
+
   /**
    * Check if document is ready for payment
+   * BAPB also has to pass three-way matching (purchase order / receipt / invoice),
+   * BAPP has to have progress beyond the last termin paid on its contract.
+   * Both need a vendor tax profile; amount is what gets transferred after PPN, PPh and retention.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @param {object} options - { amount: intended payment amount, checked against the amount due after tax }
    */
-  async checkPaymentReadiness(documentType, documentId) {
+  async checkPaymentReadiness(documentType, documentId, options = {}) {
     try {
-      const Repository = documentType === 'BAPB' ? BAPBRepository : BAPPRepository;
-      const document = await Repository.findById(documentId);
+      const document = documentType === 'BAPB'
+        ? await BAPBRepository.findByIdWithRelations(documentId)
+        : await BAPPRepository.findById(documentId);
 
       if (!document) {
         return {
@@ -289,28 +1187,75 @@ class PaymentService {
       const blockers = [];
 
       // Check approval status
-      if (document.status !== 'approved') {
-        blockers.push('Document is not approved');
+      if (!documentStateMachine.can(documentType, document, 'pay', { system: true })) {
+        blockers.push(document.status === 'paid' ? 'Document is already paid' : 'Document is not approved');
       }
 
       // Check if already paid
-      const { data: existingPayments } = await supabaseAdmin
-        .from('payment_logs')
-        .select('id')
-        .eq('document_type', documentType)
-        .eq('document_id', documentId)
-        .eq('status', 'success');
-
-      if (existingPayments && existingPayments.length > 0) {
+      if (await PaymentLogRepository.hasSettledPayment(documentType, documentId)) {
         blockers.push('Payment already processed for this document');
       }
 
+      // A pending payout may still go through - sending another one could pay twice
+      const openPayment = await PaymentLogRepository.findOpenPayment(documentType, documentId);
+      if (openPayment) {
+        blockers.push(openPayment.batch_id
+          ? 'Document is queued in a payment batch'
+          : 'A payment for this document is still pending at the gateway');
+      }
+
       // Check vendor details
       const vendor = await UserRepository.findById(document.vendor_id);
       if (!vendor || !vendor.is_active) {
         blockers.push('Vendor account is inactive or not found');
       }
 
+      // Payments only go to an approved primary account
+      if (!(await VendorBankAccountRepository.findPayoutAccount(document.vendor_id))) {
+        blockers.push('Vendor has no approved primary bank account');
+      }
+
+      // Three-way matching
+      let matching = null;
+      if (documentType === 'BAPB') {
+        matching = await matchingService.matchBAPB(document);
+        blockers.push(...matching.blockers);
+
+      }
+
+      // Termin: progress since the last termin of the contract, minus retention
+      let termin = null;
+      if (documentType === 'BAPP') {
+        termin = await contractPaymentService.calculateTermin(document);
+        blockers.push(...termin.blockers);
+      }
+
+      // Tax: PPN on top of the DPP (invoice subtotal / termin gross), PPh withheld from it
+      const dpp = documentType === 'BAPB'
+        ? matching.totals?.invoiceSubtotal
+        : (termin.blockers.length === 0 ? termin.grossAmount : undefined);
+
+      let tax = null;
+      let amount = null;
+      if (dpp !== undefined) {
+        tax = await taxService.calculate(document.vendor_id, dpp);
+        blockers.push(...tax.blockers);
+
+        if (tax.blockers.length === 0) {
+          if (documentType === 'BAPB' && Math.abs(matching.totals.taxAmount - tax.ppnAmount) >= 1) {
+            blockers.push(`Invoice PPN ${matching.totals.taxAmount} does not match the PPN due ${tax.ppnAmount} (${tax.ppnRate}% of ${dpp})`);
+          }
+
+          // Transferred amount: DPP + PPN - PPh - retention
+          amount = round2(tax.netAmount - (termin?.retentionAmount || 0));
+
+          const requested = parseFloat(options.amount);
+          if (options.amount !== undefined && Math.abs(requested - amount) >= 0.01) {
+            blockers.push(`Payment amount ${requested} does not match the amount due after tax ${amount}`);
+          }
+        }
+      }
+
       const numberField = documentType === 'BAPB' ? 'bapb_number' : 'bapp_number';
 
       return {
@@ -323,6 +1268,10 @@ class PaymentService {
           status: document.status,
           vendorId: document.vendor_id,
         },
+        matching,
+        termin,
+        tax,
+        amount,
       };
     } catch (error) {
       console.error('Error checking payment readiness:', error);
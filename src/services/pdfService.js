@@ -2,13 +2,14 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const moment = require('moment');
+const verificationService = require('./verificationService');
 
 moment.locale('id');
 
 class PDFService {
   
   // BAPB PDF GENERATION
-  buildBAPBPDF(data, signatures, stream) {
+  buildBAPBPDF(data, signatures, stream, verification = null) {
     const doc = new PDFDocument({ 
       size: 'A4', 
       margin: 50,
@@ -275,6 +276,8 @@ class PDFService {
     doc.fontSize(8).text('Nama PIC Gudang', rightX - 30, signatureY + 118);
 
 
+    this.drawVerificationBlock(doc, verification);
+
     doc.fontSize(8)
        .fillColor('#666666')
        .text(
@@ -289,7 +292,7 @@ class PDFService {
 
   // BAPP PDF GENERATION
   
-  buildBAPPPDF(data, signatures, stream) {
+  buildBAPPPDF(data, signatures, stream, verification = null) {
     const doc = new PDFDocument({ 
       size: 'A4', 
       margin: 50,
@@ -512,6 +515,112 @@ class PDFService {
     doc.text(approverName, rightX - 30, signatureY + 105);
     doc.fontSize(8).text('Direksi Pekerjaan', rightX - 30, signatureY + 118);
 
+    this.drawVerificationBlock(doc, verification);
+
+    doc.fontSize(8)
+       .fillColor('#666666')
+       .text(
+         `Dokumen ini digenerate oleh BA Digital System pada ${moment().format('DD MMMM YYYY HH:mm')} WIB`,
+         50,
+         750,
+         { align: 'center', width: 495 }
+       );
+
+    doc.end();
+  }
+
+  // WITHHOLDING SLIP (BUKTI POTONG) PDF GENERATION
+  buildWithholdingSlipPDF(data, stream) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Bukti Potong - ${data.withholding_slip_number}`,
+        Author: 'BA Digital System',
+        Subject: 'Bukti Pemotongan PPh'
+      }
+    });
+
+    doc.pipe(stream);
+
+    const rupiah = (value) => `Rp ${parseFloat(value || 0).toLocaleString('id-ID', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const payer = {
+      name: process.env.COMPANY_NAME || 'BA Digital System',
+      npwp: process.env.COMPANY_NPWP || '-'
+    };
+
+    // ========== HEADER SECTION ==========
+    doc.fontSize(16)
+       .font('Helvetica-Bold')
+       .text('BUKTI PEMOTONGAN', { align: 'center' })
+       .moveDown(0.3);
+
+    doc.fontSize(12)
+       .font('Helvetica')
+       .text(this.getPphLabel(data.pph_type), { align: 'center' })
+       .moveDown(0.5);
+
+    doc.fontSize(10)
+       .text(`Nomor: ${data.withholding_slip_number}`, { align: 'center' })
+       .moveDown(1.5);
+
+    const section = (title, rows) => {
+      doc.fontSize(12)
+         .font('Helvetica-Bold')
+         .text(title, 50, doc.y, { underline: true })
+         .moveDown(0.5);
+
+      doc.fontSize(10).font('Helvetica');
+      rows.forEach(([label, value]) => {
+        doc.text(label, 50, doc.y, { continued: true, width: 150 })
+           .text(value, { width: 350 });
+      });
+
+      doc.moveDown(1);
+    };
+
+    // ========== PIHAK ==========
+    section('I. PEMOTONG PAJAK', [
+      ['Nama', `: ${payer.name}`],
+      ['NPWP', `: ${payer.npwp}`]
+    ]);
+
+    section('II. WAJIB PAJAK YANG DIPOTONG', [
+      ['Nama Vendor', `: ${data.vendor?.name || '-'}`],
+      ['Perusahaan', `: ${data.vendor?.company || '-'}`],
+      ['NPWP', `: ${data.tax_profile?.npwp || 'Tidak memiliki NPWP'}`]
+    ]);
+
+    // ========== PEMOTONGAN ==========
+    section('III. PPh YANG DIPOTONG', [
+      ['Dokumen', `: ${data.document_type} ${data.document_number}`],
+      ['Tanggal Pembayaran', `: ${moment(data.settled_at).format('DD MMMM YYYY')}`],
+      ['Nomor Transaksi', `: ${data.transaction_id || '-'}`],
+      ['Jenis Penghasilan', `: ${this.getSupplyTypeLabel(data.tax_profile?.supply_type)}`],
+      ['Dasar Pengenaan Pajak', `: ${rupiah(data.dpp)}`],
+      ['Tarif', `: ${parseFloat(data.pph_rate)}%`],
+      ['PPh Dipotong', `: ${rupiah(data.pph_amount)}`]
+    ]);
+
+    doc.fontSize(9)
+       .fillColor('#666666')
+       .text(
+         `PPN ${parseFloat(data.ppn_rate || 0)}% sebesar ${rupiah(data.ppn_amount)} dibayarkan bersama pembayaran ini. ` +
+         `Jumlah yang ditransfer: ${rupiah(data.amount)}.`,
+         50,
+         doc.y,
+         { width: 495 }
+       )
+       .fillColor('#000000')
+       .moveDown(2);
+
+    // ========== TANDA TANGAN ==========
+    doc.fontSize(10)
+       .text(`${moment(data.settled_at).format('DD MMMM YYYY')}`, 350)
+       .text('Pemotong Pajak,', 350)
+       .moveDown(4)
+       .text(payer.name, 350);
+
     doc.fontSize(8)
        .fillColor('#666666')
        .text(
@@ -535,6 +644,9 @@ class PDFService {
     const fileName = `BAPB-${safeNumber}-${Date.now()}.pdf`;
     const outputPath = path.join(outputDir, fileName);
 
+    // QR code + short code resolving to the public verification route
+    const verification = await verificationService.buildPdfVerification('BAPB', bapbData);
+
     return new Promise((resolve, reject) => {
       const stream = fs.createWriteStream(outputPath);
       
@@ -546,7 +658,7 @@ class PDFService {
         reject(new Error(`PDF generation failed: ${err.message}`));
       });
 
-      this.buildBAPBPDF(bapbData, signatures, stream);
+      this.buildBAPBPDF(bapbData, signatures, stream, verification);
     });
   }
 
@@ -560,6 +672,9 @@ class PDFService {
     const fileName = `BAPP-${safeNumber}-${Date.now()}.pdf`;
     const outputPath = path.join(outputDir, fileName);
 
+    // QR code + short code resolving to the public verification route
+    const verification = await verificationService.buildPdfVerification('BAPP', bappData);
+
     return new Promise((resolve, reject) => {
       const stream = fs.createWriteStream(outputPath);
       
@@ -571,11 +686,88 @@ class PDFService {
         reject(new Error(`PDF generation failed: ${err.message}`));
       });
 
-      this.buildBAPPPDF(bappData, signatures, stream);
+      this.buildBAPPPDF(bappData, signatures, stream, verification);
+    });
+  }
+
+  async generateWithholdingSlipPDF(paymentData) {
+    const outputDir = path.join(__dirname, '../../uploads/temp');
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const fileName = `${paymentData.withholding_slip_number.replace(/\//g, '-')}-${Date.now()}.pdf`;
+    const outputPath = path.join(outputDir, fileName);
+
+    return new Promise((resolve, reject) => {
+      const stream = fs.createWriteStream(outputPath);
+
+      stream.on('finish', () => {
+        resolve({ filePath: outputPath, fileName });
+      });
+
+      stream.on('error', (err) => {
+        reject(new Error(`PDF generation failed: ${err.message}`));
+      });
+
+      this.buildWithholdingSlipPDF(paymentData, stream);
     });
   }
 
   // HELPER METHODS
+
+  /**
+   * Draw QR code and verification code above the footer of the current page
+   * @param {PDFDocument} doc
+   * @param {object} verification - { code, url, qrImage } from verificationService
+   */
+  drawVerificationBlock(doc, verification) {
+    if (!verification) return;
+
+    const qrSize = 70;
+    const top = 665;
+
+    doc.image(verification.qrImage, 50, top, { width: qrSize, height: qrSize });
+
+    doc.fontSize(8)
+       .font('Helvetica-Bold')
+       .fillColor('#000000')
+       .text(`Kode Verifikasi: ${verification.code}`, 50 + qrSize + 10, top + 12);
+
+    doc.font('Helvetica')
+       .fillColor('#666666')
+       .text('Pindai kode QR atau buka tautan berikut untuk memeriksa keaslian dokumen ini:', 50 + qrSize + 10, top + 26, { width: 400 })
+       .text(verification.url, 50 + qrSize + 10, top + 38, { width: 400, link: verification.url })
+       .fillColor('#000000');
+  }
+
+  /**
+   * Map signature attachments of a document to the slots used by the PDF builders
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - Document with attachments relation
+   * @returns {object} signature file paths
+   */
+  resolveSignatures(documentType, document) {
+    const signatures = documentType === 'BAPB'
+      ? { vendorSignature: null, picGudangSignature: null }
+      : { vendorSignature: null, approverSignature: null };
+
+    (document.attachments || []).forEach(att => {
+      if (att.file_type !== 'signature') return;
+      const fullPath = path.join(__dirname, '../..', att.file_path);
+
+      if (att.uploaded_by === document.vendor_id) {
+        signatures.vendorSignature = fullPath;
+      } else if (documentType === 'BAPB' && document.pic_gudang_id && att.uploaded_by === document.pic_gudang_id) {
+        signatures.picGudangSignature = fullPath;
+      } else if (documentType === 'BAPP' && document.direksi_pekerjaan_id && att.uploaded_by === document.direksi_pekerjaan_id) {
+        signatures.approverSignature = fullPath;
+      }
+    });
+
+    return signatures;
+  }
+
   getStatusLabel(status) {
     const labels = {
       'draft': 'Draft',
@@ -583,7 +775,8 @@ class PDFService {
       'in_review': 'Sedang Direview',
       'approved': 'Disetujui',
       'rejected': 'Ditolak',
-      'revision_required': 'Perlu Revisi'
+      'revision_required': 'Perlu Revisi',
+      'paid': 'Dibayar'
     };
     return labels[status] || status;
   }
@@ -607,6 +800,23 @@ class PDFService {
     };
     return labels[quality] || quality;
   }
+
+  getPphLabel(pphType) {
+    const labels = {
+      'PPH23': 'PPh PASAL 23',
+      'PPH4_2': 'PPh PASAL 4 AYAT (2) FINAL'
+    };
+    return labels[pphType] || pphType;
+  }
+
+  getSupplyTypeLabel(supplyType) {
+    const labels = {
+      'goods': 'Penyerahan Barang',
+      'services': 'Jasa',
+      'construction': 'Jasa Konstruksi'
+    };
+    return labels[supplyType] || supplyType || '-';
+  }
 }
 
 module.exports = new PDFService();
\ No newline at end of file
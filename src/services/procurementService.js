@@ -0,0 +1,407 @@
+const PurchaseOrderRepository = require('../repositories/PurchaseOrderRepository');
+const ContractRepository = require('../repositories/ContractRepository');
+const { AppError } = require('../utils/errorHandler');
+
+// Purchase orders back BAPB (goods), contracts back BAPP (services)
+const PROCUREMENT_CONFIG = {
+  PO: {
+    label: 'Purchase order',
+    repository: PurchaseOrderRepository,
+    numberField: 'po_number',
+    numberBody: 'poNumber',
+    // Request body field -> column
+    headerFields: {
+      orderDate: 'order_date',
+      deliveryDueDate: 'delivery_due_date',
+      currency: 'currency',
+      notes: 'notes'
+    },
+    requiredHeaderFields: ['orderDate'],
+    valueField: 'total_value',
+    lineNameField: 'item_name',
+    lineNameBody: 'itemName',
+    lineValueField: 'line_total',
+    statuses: ['open', 'closed', 'cancelled'],
+    // Only these accept new BAPB/BAPP
+    openStatuses: ['open'],
+    documentType: 'BAPB',
+    // Columns on bapb
+    documentNumberField: 'order_number',
+    documentLinkField: 'purchase_order_id',
+    itemLineBody: 'purchaseOrderLineId'
+  },
+  CONTRACT: {
+    label: 'Contract',
+    repository: ContractRepository,
+    numberField: 'contract_number',
+    numberBody: 'contractNumber',
+    headerFields: {
+      projectName: 'project_name',
+      projectLocation: 'project_location',
+      startDate: 'start_date',
+      endDate: 'end_date',
+      currency: 'currency',
+      notes: 'notes'
+    },
+    requiredHeaderFields: ['projectName', 'startDate', 'endDate'],
+    valueField: 'contract_value',
+    lineNameField: 'work_item_name',
+    lineNameBody: 'workItemName',
+    lineValueField: 'line_value',
+    statuses: ['active', 'completed', 'terminated'],
+    openStatuses: ['active'],
+    documentType: 'BAPP',
+    // Columns on bapp
+    documentNumberField: 'contract_number',
+    documentLinkField: 'contract_id',
+    itemLineBody: 'contractLineId'
+  }
+};
+
+// Roles that see every purchase order/contract - vendors only see their own
+const INTERNAL_ROLES = ['admin', 'pic_gudang', 'approver', 'finance_maker', 'finance_checker'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class ProcurementService {
+  /**
+   * @private
+   */
+  _getConfig(kind) {
+    const config = PROCUREMENT_CONFIG[kind];
+    if (!config) {
+      throw new AppError(`Unknown procurement type: ${kind}`, 400);
+    }
+    return config;
+  }
+
+  /**
+   * Validate a purchase order/contract definition, returns list of error messages
+   * @param {string} kind - 'PO' or 'CONTRACT'
+   * @param {object} body - Request body
+   * @param {boolean} partial - Update: only validate fields that are present
+   * @returns {array}
+   */
+  validateDefinition(kind, body, partial = false) {
+    const config = this._getConfig(kind);
+    const errors = [];
+    const present = (field) => body[field] !== undefined;
+
+    if (!partial || present(config.numberBody)) {
+      if (!body[config.numberBody] || String(body[config.numberBody]).trim().length === 0) {
+        errors.push(`${config.numberBody} is required`);
+      }
+    }
+
+    if (!partial && !body.vendorId) {
+      errors.push('vendorId is required');
+    }
+
+    config.requiredHeaderFields.forEach(field => {
+      if (partial && !present(field)) return;
+      if (!body[field]) errors.push(`${field} is required`);
+    });
+
+    Object.keys(config.headerFields)
+      .filter(field => /Date$/.test(field) && body[field])
+      .forEach(field => {
+        if (isNaN(new Date(body[field]).getTime())) errors.push(`Invalid ${field} format`);
+      });
+
+    if (body.startDate && body.endDate && new Date(body.endDate) < new Date(body.startDate)) {
+      errors.push('endDate must be after startDate');
+    }
+
+    if (present('status') && !config.statuses.includes(body.status)) {
+      errors.push(`status must be one of: ${config.statuses.join(', ')}`);
+    }
+
+    if (!partial || present('lines')) {
+      if (!Array.isArray(body.lines) || body.lines.length === 0) {
+        errors.push('At least one line is required');
+      } else {
+        const lineNumbers = new Set();
+
+        body.lines.forEach((line, index) => {
+          const label = `Line ${index + 1}`;
+          const lineNumber = parseInt(line.lineNumber, 10) || index + 1;
+
+          if (lineNumbers.has(lineNumber)) errors.push(`${label}: duplicate lineNumber ${lineNumber}`);
+          lineNumbers.add(lineNumber);
+
+          if (!line[config.lineNameBody] || String(line[config.lineNameBody]).trim().length === 0) {
+            errors.push(`${label}: ${config.lineNameBody} is required`);
+          }
+          if (kind === 'PO' || line.quantity !== undefined) {
+            if (!(parseFloat(line.quantity) > 0)) errors.push(`${label}: quantity must be greater than 0`);
+          }
+          if (!line.unit || String(line.unit).trim().length === 0) {
+            errors.push(`${label}: unit is required`);
+          }
+          if (line.unitPrice !== undefined && !(parseFloat(line.unitPrice) >= 0)) {
+            errors.push(`${label}: unitPrice must be 0 or more`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Map request lines to line rows, computing line values
+   * @returns {array}
+   */
+  normalizeLines(kind, lines = []) {
+    const config = this._getConfig(kind);
+
+    return lines
+      .map((line, index) => {
+        const quantity = parseFloat(line.quantity) || 1;
+        const unitPrice = parseFloat(line.unitPrice) || 0;
+
+        return {
+          line_number: parseInt(line.lineNumber, 10) || index + 1,
+          [config.lineNameField]: String(line[config.lineNameBody]).trim(),
+          quantity,
+          unit: String(line.unit).trim(),
+          unit_price: unitPrice,
+          [config.lineValueField]: round2(quantity * unitPrice),
+          notes: line.notes || null
+        };
+      })
+      .sort((a, b) => a.line_number - b.line_number);
+  }
+
+  /**
+   * Map request body to header columns
+   * @private
+   */
+  _toHeaderRow(config, body) {
+    const row = {};
+    if (body[config.numberBody] !== undefined) row[config.numberField] = String(body[config.numberBody]).trim();
+    if (body.vendorId !== undefined) row.vendor_id = body.vendorId;
+    if (body.status !== undefined) row.status = body.status;
+
+    Object.entries(config.headerFields).forEach(([field, column]) => {
+      if (body[field] !== undefined) row[column] = body[field];
+    });
+
+    return row;
+  }
+
+  /**
+   * List purchase orders/contracts visible to a user
+   */
+  async list(kind, filters, pagination, user) {
+    const config = this._getConfig(kind);
+
+    const scoped = { ...filters };
+    if (!INTERNAL_ROLES.includes(user.role)) scoped.vendor_id = user.id;
+
+    return await config.repository.findAllWithVendor(scoped, pagination);
+  }
+
+  /**
+   * Get a purchase order/contract with lines
+   * @throws {AppError} 404 when missing, 403 for other vendors' records
+   */
+  async get(kind, id, user) {
+    const config = this._getConfig(kind);
+
+    const record = await config.repository.findByIdWithLines(id);
+    if (!record) {
+      throw new AppError(`${config.label} not found`, 404);
+    }
+
+    if (!INTERNAL_ROLES.includes(user.role) && record.vendor_id !== user.id) {
+      throw new AppError(`Not authorized to view this ${config.label.toLowerCase()}`, 403);
+    }
+
+    return record;
+  }
+
+  /**
+   * Create a purchase order/contract with its lines
+   * @throws {AppError} 400 on invalid input
+   */
+  async create(kind, body, user) {
+    const config = this._getConfig(kind);
+
+    const errors = this.validateDefinition(kind, body);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const lines = this.normalizeLines(kind, body.lines);
+
+    return await config.repository.createWithLines({
+      ...this._toHeaderRow(config, body),
+      [config.valueField]: round2(lines.reduce((sum, line) => sum + line[config.lineValueField], 0)),
+      created_by: user.id
+    }, lines);
+  }
+
+  /**
+   * Update a purchase order/contract
+   * Lines can only be replaced while no BAPB/BAPP references them.
+   * @throws {AppError} 400 on invalid input, 404 when missing, 409 when lines are in use
+   */
+  async update(kind, id, body) {
+    const config = this._getConfig(kind);
+
+    const errors = this.validateDefinition(kind, body, true);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const existing = await config.repository.findById(id);
+    if (!existing) {
+      throw new AppError(`${config.label} not found`, 404);
+    }
+
+    const row = { ...this._toHeaderRow(config, body), updated_at: new Date().toISOString() };
+    let lines = null;
+
+    if (body.lines !== undefined) {
+      const references = await config.repository.countReferencingDocuments(id);
+      if (references > 0) {
+        throw new AppError(
+          `${config.label} lines cannot be replaced - ${references} ${config.documentType} document(s) reference them`,
+          409
+        );
+      }
+
+      lines = this.normalizeLines(kind, body.lines);
+      row[config.valueField] = round2(lines.reduce((sum, line) => sum + line[config.lineValueField], 0));
+    }
+
+    if (row.vendor_id && row.vendor_id !== existing.vendor_id) {
+      const references = await config.repository.countReferencingDocuments(id);
+      if (references > 0) {
+        throw new AppError(`Vendor cannot be changed - ${config.documentType} documents reference this ${config.label.toLowerCase()}`, 409);
+      }
+    }
+
+    return await config.repository.updateWithLines(id, row, lines);
+  }
+
+  /**
+   * Delete a purchase order/contract that no BAPB/BAPP references
+   * @throws {AppError} 404 when missing, 409 when in use
+   */
+  async remove(kind, id) {
+    const config = this._getConfig(kind);
+
+    const existing = await config.repository.findById(id);
+    if (!existing) {
+      throw new AppError(`${config.label} not found`, 404);
+    }
+
+    const references = await config.repository.countReferencingDocuments(id);
+    if (references > 0) {
+      throw new AppError(
+        `${config.label} is referenced by ${references} ${config.documentType} document(s) - close it instead`,
+        409
+      );
+    }
+
+    await config.repository.delete(id);
+  }
+
+  /**
+   * Check a BAPB/BAPP against the purchase order/contract it references
+   * Items reference lines by lineNumber; the resolved line id is written to the item.
+   * @param {string} kind - 'PO' or 'CONTRACT'
+   * @param {object} params - { number, recordId, vendorId, items, user }
+   *   number/recordId: PO/contract number on create, or id of the one already linked
+   * @returns {object} { record, items, errors }
+   */
+  async resolveForDocument(kind, { number = null, recordId = null, vendorId, items = [], user }) {
+    const config = this._getConfig(kind);
+    const errors = [];
+
+    const record = recordId
+      ? await config.repository.findByIdWithLines(recordId)
+      : await config.repository.findByNumberWithLines(String(number).trim());
+
+    if (!record) {
+      return { record: null, items, errors: [`${config.label} ${number || recordId} not found`] };
+    }
+
+    // Admins may file documents on behalf of a vendor
+    if (user?.role !== 'admin' && record.vendor_id !== vendorId) {
+      errors.push(`${config.label} ${record[config.numberField]} does not belong to this vendor`);
+    }
+
+    if (!config.openStatuses.includes(record.status)) {
+      errors.push(`${config.label} ${record[config.numberField]} is ${record.status}`);
+    }
+
+    const linesByNumber = new Map((record.lines || []).map(line => [Number(line.line_number), line]));
+    const usedLines = new Set();
+    const itemLabel = kind === 'PO' ? 'Item' : 'Work item';
+
+    const resolvedItems = (items || []).map((item, index) => {
+      const lineNumber = parseInt(item.lineNumber, 10);
+      const line = linesByNumber.get(lineNumber);
+
+      if (!lineNumber) {
+        errors.push(`${itemLabel} ${index + 1}: lineNumber referencing a ${config.label.toLowerCase()} line is required`);
+        return item;
+      }
+
+      if (!line) {
+        errors.push(`${itemLabel} ${index + 1}: ${config.label.toLowerCase()} has no line ${lineNumber}`);
+        return item;
+      }
+
+      if (usedLines.has(lineNumber)) {
+        errors.push(`${itemLabel} ${index + 1}: line ${lineNumber} is referenced more than once`);
+      }
+      usedLines.add(lineNumber);
+
+      if (item.unit && String(item.unit).trim().toLowerCase() !== String(line.unit).trim().toLowerCase()) {
+        errors.push(`${itemLabel} ${index + 1}: unit '${item.unit}' does not match line ${lineNumber} unit '${line.unit}'`);
+      }
+
+      return { ...item, [config.itemLineBody]: line.id };
+    });
+
+    return { record, items: resolvedItems, errors };
+  }
+
+  /**
+   * Re-check an edited BAPB/BAPP against its purchase order/contract
+   * Moving a document to another PO/contract requires its items to be re-sent, as the old
+   * items reference lines of the previous one.
+   * @param {string} kind - 'PO' or 'CONTRACT'
+   * @param {object} document - Current BAPB/BAPP row
+   * @param {object} params - { number: new PO/contract number (optional), items: new items or null, user }
+   * @returns {object|null} { record, items, errors }, null when nothing needs checking
+   */
+  async resolveForUpdate(kind, document, { number = null, items = null, user }) {
+    const config = this._getConfig(kind);
+    const changed = Boolean(number) && number !== document[config.documentNumberField];
+
+    if (!changed && !items) return null;
+
+    if (changed && !items) {
+      const itemsField = kind === 'PO' ? 'items' : 'workItems';
+      return {
+        record: null,
+        items,
+        errors: [`${itemsField} must be sent again when changing the ${config.label.toLowerCase()}`]
+      };
+    }
+
+    // Documents created before PO/contract master data only have the number
+    const lookup = changed || !document[config.documentLinkField]
+      ? { number: number || document[config.documentNumberField] }
+      : { recordId: document[config.documentLinkField] };
+
+    return await this.resolveForDocument(kind, { ...lookup, vendorId: document.vendor_id, items, user });
+  }
+}
+
+module.exports = new ProcurementService();
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const DocumentWatchRepository = require('../repositories/DocumentWatchRepository');
+
+/**
+ * In-process hub behind GET /api/notifications/stream
+ *
+ * Events are pushed to the connections of the users they are for. 'notification' and 'document_status'
+ * events get an id and are kept for a while per user, so a client that reconnects with the last id it saw
+ * gets what it missed. When that is no longer possible (server restarted, events expired) it gets a
+ * 'reset' event and should refetch. 'unread_count' events are not kept: a connection always starts with
+ * the current count.
+ *
+ * Connections live in the API process; notifications created by one-off job runs reach clients
+ * when they next fetch.
+ */
+
+// Events kept per user for resuming, and for how long
+const REPLAY_LIMIT = 100;
+const REPLAY_WINDOW_MS = (parseInt(process.env.NOTIFICATION_STREAM_REPLAY_MINUTES, 10) || 15) * 60 * 1000;
+// How often buffers of users whose events all expired are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Open streams per user (tabs, devices)
+const MAX_CONNECTIONS_PER_USER = parseInt(process.env.NOTIFICATION_STREAM_MAX_CONNECTIONS, 10) || 5;
+
+const STREAM_EVENTS = {
+  NOTIFICATION: 'notification',
+  UNREAD_COUNT: 'unread_count',
+  DOCUMENT_STATUS: 'document_status',
+  RESET: 'reset'
+};
+
+class RealtimeService {
+  constructor() {
+    this.EVENTS = STREAM_EVENTS;
+    // Event ids are only comparable within one process lifetime
+    this.epoch = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    // userId -> Set of send functions
+    this.connections = new Map();
+    // userId -> { events: [{ seq, id, event, data, at }], droppedUpTo }
+    this.buffers = new Map();
+    // Highest event sequence of the buffers dropped so far
+    this.evictedUpTo = 0;
+    this.lastSweepAt = Date.now();
+  }
+
+  /**
+   * Whether a user has an open stream
+   */
+  isConnected(userId) {
+    return this.connections.has(userId);
+  }
+
+  /**
+   * Register a stream of a user
+   * @param {string} userId
+   * @param {function} send - (event) => void, event is { id, event, data }
+   * @returns {function|null} unsubscribe, null when the user has too many streams open
+   */
+  subscribe(userId, send) {
+    const sends = this.connections.get(userId) || new Set();
+    if (sends.size >= MAX_CONNECTIONS_PER_USER) return null;
+
+    sends.add(send);
+    this.connections.set(userId, sends);
+
+    return () => {
+      sends.delete(send);
+      if (sends.size === 0) this.connections.delete(userId);
+    };
+  }
+
+  /**
+   * Drop events of a user that are past the replay window
+   * @private
+   */
+  _expire(buffer, now = Date.now()) {
+    while (buffer.events.length > 0 && now - buffer.events[0].at > REPLAY_WINDOW_MS) {
+      buffer.droppedUpTo = buffer.events.shift().seq;
+    }
+  }
+
+  /**
+   * Drop the buffers of users whose events are all past the replay window
+   * @private
+   */
+  _sweep(now) {
+    this.buffers.forEach((buffer, userId) => {
+      this._expire(buffer, now);
+      if (buffer.events.length === 0) {
+        this.evictedUpTo = Math.max(this.evictedUpTo, buffer.droppedUpTo);
+        this.buffers.delete(userId);
+      }
+    });
+    this.lastSweepAt = now;
+  }
+
+  /**
+   * Events a reconnecting client missed
+   * @param {string} userId
+   * @param {string} lastEventId - Last-Event-ID sent by the client
+   * @returns {object} { events, reset } - reset when what was missed can no longer be told
+   */
+  replay(userId, lastEventId) {
+    if (!lastEventId) return { events: [], reset: false };
+
+    const [epoch, seqText] = String(lastEventId).split('-');
+    const lastSeq = parseInt(seqText, 10);
+    if (epoch !== this.epoch || isNaN(lastSeq) || lastSeq > this.sequence) {
+      return { events: [], reset: true };
+    }
+
+    // Nothing kept for the user - a client older than the dropped buffers may have missed events
+    const buffer = this.buffers.get(userId);
+    if (!buffer) return { events: [], reset: lastSeq < this.evictedUpTo };
+
+    this._expire(buffer);
+    if (lastSeq < buffer.droppedUpTo) {
+      return { events: [], reset: true };
+    }
+
+    return {
+      events: buffer.events.filter(item => item.seq > lastSeq).map(({ id, event, data }) => ({ id, event, data })),
+      reset: false
+    };
+  }
+
+  /**
+   * Push an event to users
+   * @param {array} userIds
+   * @param {string} event - Event name
+   * @param {object} data - Payload
+   * @param {object} options - { replayable } - keep for clients that reconnect (default true)
+   */
+  publish(userIds, event, data, { replayable = true } = {}) {
+    const now = Date.now();
+
+    [...new Set((userIds || []).filter(Boolean))].forEach(userId => {
+      let message = { event, data };
+
+      if (replayable) {
+        this.sequence += 1;
+        message = { id: `${this.epoch}-${this.sequence}`, ...message };
+
+        const buffer = this.buffers.get(userId) || { events: [], droppedUpTo: 0 };
+        buffer.events.push({ seq: this.sequence, ...message, at: now });
+        if (buffer.events.length > REPLAY_LIMIT) {
+          buffer.droppedUpTo = buffer.events.shift().seq;
+        }
+        this._expire(buffer, now);
+        this.buffers.set(userId, buffer);
+      }
+
+      (this.connections.get(userId) || []).forEach(send => {
+        try {
+          send(message);
+        } catch (error) {
+          console.error(`Error pushing ${event} to user ${userId}:`, error);
+        }
+      });
+    });
+
+    if (now - this.lastSweepAt >= SWEEP_INTERVAL_MS) {
+      this._sweep(now);
+    }
+  }
+
+  /**
+   * Push created notifications to their recipients
+   * @param {array} notifications - notifications rows
+   */
+  publishNotifications(notifications) {
+    notifications.forEach(notification => {
+      this.publish([notification.user_id], STREAM_EVENTS.NOTIFICATION, notification);
+    });
+  }
+
+  /**
+   * Push a user's unread count
+   */
+  publishUnreadCount(userId, unreadCount) {
+    this.publish([userId], STREAM_EVENTS.UNREAD_COUNT, { unreadCount }, { replayable: false });
+  }
+
+  /**
+   * Push a status change of a BAPB/BAPP to its vendor and the users watching it
+   * Never throws: a failing push must not fail the transition.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - Document row after the change
+   * @param {object} change - { from, to, action, actorId }
+   */
+  async publishDocumentStatus(documentType, document, { from, to, action, actorId = null }) {
+    try {
+      const watcherIds = await DocumentWatchRepository.findWatcherIds(documentType, document.id);
+      const numberField = documentType === 'BAPB' ? 'bapb_number' : 'bapp_number';
+
+      this.publish([document.vendor_id, ...watcherIds], STREAM_EVENTS.DOCUMENT_STATUS, {
+        documentType,
+        documentId: document.id,
+        documentNumber: document[numberField] || null,
+        from,
+        to,
+        action,
+        actorId,
+        changedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Error pushing ${documentType} ${document.id} status change:`, error);
+    }
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BAPBRepository = require('../repositories/BAPBRepository');
+const BAPPRepository = require('../repositories/BAPPRepository');
+const DocumentSealRepository = require('../repositories/DocumentSealRepository');
+const pdfService = require('./pdfService');
+const verificationService = require('./verificationService');
+const { canonicalStringify } = require('../utils/canonicalJson');
+const { AppError } = require('../utils/errorHandler');
+
+const SEALED_DIR = path.join(__dirname, '../../storage/sealed');
+
+// Statuses whose PDF is served from the frozen seal instead of live data
+const SEALED_STATUSES = ['approved', 'paid'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+class SealService {
+  constructor() {
+    this._keys = null;
+  }
+
+  /**
+   * Load the locally configured signing key
+   * DOCUMENT_SIGNING_KEY_PATH points to a PEM private key (see `npm run keys:generate`),
+   * DOCUMENT_SIGNING_KEY may hold the PEM inline instead.
+   * @private
+   */
+  _loadKeys() {
+    if (this._keys) return this._keys;
+
+    let pem = process.env.DOCUMENT_SIGNING_KEY ? process.env.DOCUMENT_SIGNING_KEY.replace(/\\n/g, '\n') : null;
+
+    if (!pem && process.env.DOCUMENT_SIGNING_KEY_PATH) {
+      pem = fs.readFileSync(path.resolve(process.env.DOCUMENT_SIGNING_KEY_PATH), 'utf8');
+    }
+
+    if (!pem) {
+      throw new AppError('Document signing key is not configured. Set DOCUMENT_SIGNING_KEY_PATH.', 500);
+    }
+
+    const privateKey = crypto.createPrivateKey(pem);
+    const publicKey = crypto.createPublicKey(privateKey);
+    const publicDer = publicKey.export({ type: 'spki', format: 'der' });
+
+    this._keys = {
+      privateKey,
+      publicKey,
+      keyId: sha256(publicDer).substring(0, 16),
+      // Ed25519 signs the message directly, RSA/EC keys sign a SHA-256 digest
+      digest: privateKey.asymmetricKeyType === 'ed25519' ? null : 'sha256',
+      algorithm: privateKey.asymmetricKeyType === 'ed25519' ? 'ed25519' : `${privateKey.asymmetricKeyType}-sha256`
+    };
+
+    return this._keys;
+  }
+
+  /**
+   * Payload covered by the seal signature
+   * @private
+   */
+  _signedPayload(seal) {
+    return Buffer.from(canonicalStringify({
+      documentType: seal.document_type,
+      documentId: seal.document_id,
+      documentNumber: seal.document_number,
+      snapshotHash: seal.snapshot_hash,
+      pdfHash: seal.pdf_hash
+    }));
+  }
+
+  /**
+   * Check whether a document status is served from its seal
+   */
+  isSealedStatus(status) {
+    return SEALED_STATUSES.includes(status);
+  }
+
+  /**
+   * Absolute path of a sealed PDF
+   */
+  getSealedPdfPath(seal) {
+    return path.join(SEALED_DIR, path.basename(seal.file_path));
+  }
+
+  /**
+   * Freeze the current state of an approved document
+   * Stores a canonical JSON snapshot, the PDF rendered from it, their SHA-256 hashes
+   * and a signature made with the server key.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @param {object} user - User that triggered the seal
+   * @returns {object} seal row
+   */
+  async sealDocument(documentType, documentId, user = null) {
+    const existing = await DocumentSealRepository.findByDocument(documentType, documentId);
+    if (existing) return existing;
+
+    const keys = this._loadKeys();
+    const Repository = documentType === 'BAPB' ? BAPBRepository : BAPPRepository;
+    const document = await Repository.findByIdWithRelations(documentId);
+
+    if (!document) {
+      throw new AppError(`${documentType} not found`, 404);
+    }
+
+    if (!this.isSealedStatus(document.status)) {
+      throw new AppError(`Only approved ${documentType} can be sealed`, 409);
+    }
+
+    // The verification code is printed on the sealed PDF, so it has to be part of the snapshot
+    await verificationService.ensureCode(documentType, document);
+
+    const snapshotJson = canonicalStringify(document);
+    const snapshot = JSON.parse(snapshotJson);
+    const documentNumber = documentType === 'BAPB' ? document.bapb_number : document.bapp_number;
+
+    // Render PDF from the frozen snapshot
+    const signatures = pdfService.resolveSignatures(documentType, snapshot);
+    const { filePath: tempPath } = documentType === 'BAPB'
+      ? await pdfService.generateBAPBPDF(snapshot, signatures)
+      : await pdfService.generateBAPPPDF(snapshot, signatures);
+
+    const pdfBuffer = fs.readFileSync(tempPath);
+    const pdfHash = sha256(pdfBuffer);
+
+    if (!fs.existsSync(SEALED_DIR)) {
+      fs.mkdirSync(SEALED_DIR, { recursive: true });
+    }
+
+    const fileName = `${documentType}-${documentNumber.replace(/\//g, '-')}.pdf`;
+    const storedName = `${documentType.toLowerCase()}_${documentId}_${pdfHash.substring(0, 12)}.pdf`;
+    fs.renameSync(tempPath, path.join(SEALED_DIR, storedName));
+
+    const sealData = {
+      document_type: documentType,
+      document_id: documentId,
+      document_number: documentNumber,
+      snapshot,
+      snapshot_hash: sha256(snapshotJson),
+      file_name: fileName,
+      file_path: `/storage/sealed/${storedName}`,
+      pdf_hash: pdfHash,
+      signing_algorithm: keys.algorithm,
+      key_id: keys.keyId,
+      sealed_by: user?.id || null
+    };
+
+    sealData.signature = crypto.sign(keys.digest, this._signedPayload(sealData), keys.privateKey).toString('base64');
+
+    const seal = await DocumentSealRepository.create(sealData);
+
+    console.log(`🔏 Sealed ${documentType} ${documentNumber} (pdf sha256 ${pdfHash})`);
+
+    return seal;
+  }
+
+  /**
+   * Get the seal of a document, sealing it first if it was approved before sealing existed
+   */
+  async getOrCreateSeal(documentType, documentId, user = null) {
+    const seal = await DocumentSealRepository.findByDocument(documentType, documentId);
+
+    if (seal && fs.existsSync(this.getSealedPdfPath(seal))) {
+      return seal;
+    }
+
+    if (seal) {
+      throw new AppError(`Sealed PDF for ${seal.document_number} is missing from storage`, 500);
+    }
+
+    return await this.sealDocument(documentType, documentId, user);
+  }
+
+  /**
+   * Verify a PDF against the stored seal of a document
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {string} documentId
+   * @param {Buffer} pdfBuffer - PDF to verify
+   * @returns {object} verification result
+   */
+  async verifyPdf(documentType, documentId, pdfBuffer) {
+    const seal = await DocumentSealRepository.findByDocument(documentType, documentId);
+
+    if (!seal) {
+      throw new AppError(`${documentType} has not been sealed. Only approved documents can be verified.`, 404);
+    }
+
+    const keys = this._loadKeys();
+    const pdfHash = sha256(pdfBuffer);
+
+    const checks = {
+      // The uploaded file is byte-identical to the sealed PDF
+      pdfHashMatches: pdfHash === seal.pdf_hash,
+      // The stored snapshot still hashes to the sealed value
+      snapshotIntact: sha256(canonicalStringify(seal.snapshot)) === seal.snapshot_hash,
+      // The seal was signed by this server's key and its fields were not altered
+      signatureValid: false
+    };
+
+    if (seal.key_id === keys.keyId) {
+      checks.signatureValid = crypto.verify(
+        keys.digest,
+        this._signedPayload(seal),
+        keys.publicKey,
+        Buffer.from(seal.signature, 'base64')
+      );
+    }
+
+    return {
+      authentic: checks.pdfHashMatches && checks.snapshotIntact && checks.signatureValid,
+      checks,
+      uploadedPdfHash: pdfHash,
+      seal: {
+        documentType: seal.document_type,
+        documentId: seal.document_id,
+        documentNumber: seal.document_number,
+        pdfHash: seal.pdf_hash,
+        snapshotHash: seal.snapshot_hash,
+        signingAlgorithm: seal.signing_algorithm,
+        keyId: seal.key_id,
+        sealedAt: seal.sealed_at
+      }
+    };
+  }
+}
+
+module.exports = new SealService();
@@ -0,0 +1,393 @@
+const BAPBRepository = require('../repositories/BAPBRepository');
+const BAPPRepository = require('../repositories/BAPPRepository');
+const SlaPolicyRepository = require('../repositories/SlaPolicyRepository');
+const StatusTransitionRepository = require('../repositories/StatusTransitionRepository');
+const approvalChainService = require('./approvalChainService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const { createBusinessCalendar, localDateKey, addDays } = require('../utils/businessHours');
+
+// Statuses in which a document waits on someone
+const SLA_STATUSES = ['submitted', 'in_review', 'revision_required', 'approved'];
+const APPROVAL_STATUSES = ['submitted', 'in_review'];
+
+const STATUS = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached'
+};
+
+const DOCUMENT_CONFIG = {
+  BAPB: { repository: BAPBRepository, numberField: 'bapb_number' },
+  BAPP: { repository: BAPPRepository, numberField: 'bapp_number' }
+};
+
+// Documents checked per batch; their ids go into the transition and event lookups
+const CHECK_BATCH_SIZE = 200;
+
+const DEFAULT_BUSINESS_HOURS = {
+  timeZone: 'Asia/Jakarta',
+  start: '08:00',
+  end: '17:00',
+  workdays: [1, 2, 3, 4, 5]
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+const sameMoment = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+class SlaService {
+  constructor() {
+    this.STATUS = STATUS;
+    this.SLA_STATUSES = SLA_STATUSES;
+  }
+
+  /**
+   * Business hours the SLA clock runs in
+   * SLA_TIMEZONE, SLA_BUSINESS_HOURS (08:00-17:00) and SLA_WORKDAYS (1,2,3,4,5 - 0 is Sunday);
+   * invalid values fall back to the defaults.
+   * @returns {object} { timeZone, start, end, workdays }
+   */
+  getBusinessHours() {
+    const hours = { ...DEFAULT_BUSINESS_HOURS };
+
+    if (process.env.SLA_TIMEZONE) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: process.env.SLA_TIMEZONE });
+        hours.timeZone = process.env.SLA_TIMEZONE;
+      } catch (error) {
+        console.warn(`⚠️ Invalid SLA_TIMEZONE "${process.env.SLA_TIMEZONE}", using ${hours.timeZone}`);
+      }
+    }
+
+    if (process.env.SLA_BUSINESS_HOURS) {
+      const [start, end] = process.env.SLA_BUSINESS_HOURS.split('-').map(value => value.trim());
+      if (TIME_PATTERN.test(start || '') && TIME_PATTERN.test(end || '') && toMinutes(start) < toMinutes(end)) {
+        Object.assign(hours, { start, end });
+      } else {
+        console.warn(`⚠️ Invalid SLA_BUSINESS_HOURS "${process.env.SLA_BUSINESS_HOURS}", using ${hours.start}-${hours.end}`);
+      }
+    }
+
+    if (process.env.SLA_WORKDAYS) {
+      const workdays = process.env.SLA_WORKDAYS.split(',').map(value => parseInt(value, 10));
+      if (workdays.length > 0 && workdays.every(day => day >= 0 && day <= 6)) {
+        hours.workdays = [...new Set(workdays)];
+      } else {
+        console.warn(`⚠️ Invalid SLA_WORKDAYS "${process.env.SLA_WORKDAYS}", using ${hours.workdays.join(',')}`);
+      }
+    }
+
+    return hours;
+  }
+
+  /**
+   * Business calendar covering the holidays from a date on
+   * @private
+   */
+  async _getCalendar(from) {
+    const hours = this.getBusinessHours();
+    const firstDay = localDateKey(from, hours.timeZone);
+    const holidays = await SlaPolicyRepository.findHolidays(firstDay, addDays(firstDay, 730));
+
+    return createBusinessCalendar({
+      timeZone: hours.timeZone,
+      startMinutes: toMinutes(hours.start),
+      endMinutes: toMinutes(hours.end),
+      workdays: hours.workdays,
+      holidays: holidays.map(holiday => holiday.holiday_date)
+    });
+  }
+
+  /**
+   * Validate a policy definition, returns list of error messages
+   * @param {object} body - { documentType, status, targetHours, reminderBeforeHours, escalateToRole, isActive }
+   */
+  validatePolicy(body) {
+    const errors = [];
+
+    if (!DOCUMENT_CONFIG[body.documentType]) {
+      errors.push('Document type must be BAPB or BAPP');
+    }
+
+    if (!SLA_STATUSES.includes(body.status)) {
+      errors.push(`Status must be one of: ${SLA_STATUSES.join(', ')}`);
+    }
+
+    const target = Number(body.targetHours);
+    if (!(target > 0)) {
+      errors.push('Target hours must be greater than 0');
+    }
+
+    if (body.reminderBeforeHours !== undefined && body.reminderBeforeHours !== null) {
+      const reminder = Number(body.reminderBeforeHours);
+      if (!(reminder >= 0)) {
+        errors.push('Reminder before hours must be 0 or more');
+      } else if (target > 0 && reminder >= target) {
+        errors.push('Reminder before hours must be less than target hours');
+      }
+    }
+
+    if (body.escalateToRole !== undefined && body.escalateToRole !== null && typeof body.escalateToRole !== 'string') {
+      errors.push('Escalate to role must be a role name');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a holiday, returns list of error messages
+   * @param {object} body - { date: YYYY-MM-DD, name }
+   */
+  validateHoliday(body) {
+    const errors = [];
+
+    if (!DATE_PATTERN.test(body.date || '') || isNaN(new Date(`${body.date}T00:00:00Z`).getTime())) {
+      errors.push('Date must be a valid date (YYYY-MM-DD)');
+    }
+
+    if (!body.name || String(body.name).trim().length === 0) {
+      errors.push('Holiday name is required');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Work out the SLA of a document in its current status
+   * @private
+   * @returns {object} sla summary
+   */
+  _describe(calendar, policy, document, startedAt, events, now) {
+    const target = parseFloat(policy.target_hours);
+    const reminderBefore = parseFloat(policy.reminder_before_hours) || 0;
+
+    const dueAt = calendar.addHours(startedAt, target);
+    const remindAt = reminderBefore > 0 ? calendar.addHours(startedAt, target - reminderBefore) : null;
+    const elapsedHours = calendar.hoursBetween(startedAt, now);
+
+    let status = STATUS.ON_TRACK;
+    if (dueAt && now >= dueAt) status = STATUS.BREACHED;
+    else if (remindAt && now >= remindAt) status = STATUS.AT_RISK;
+
+    const sent = (kind) => events.find(event => event.kind === kind
+      && event.status === document.status
+      && sameMoment(event.status_entered_at, startedAt));
+
+    return {
+      status,
+      documentStatus: document.status,
+      policyId: policy.id,
+      targetHours: target,
+      startedAt: startedAt.toISOString(),
+      remindAt: remindAt ? remindAt.toISOString() : null,
+      dueAt: dueAt ? dueAt.toISOString() : null,
+      elapsedHours: roundHours(elapsedHours),
+      remainingHours: roundHours(target - elapsedHours),
+      remindedAt: sent('reminder')?.created_at || null,
+      escalatedAt: sent('escalation')?.created_at || null
+    };
+  }
+
+  /**
+   * Work out the SLA of several documents of one type
+   * The clock starts at the document's latest status transition.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {array} documents - BAPB/BAPP rows
+   * @param {Date} now
+   * @param {array} policies - Active policies of the type, read when left out
+   * @returns {Map} documentId -> sla, null for documents without an SLA in their status
+   */
+  async evaluate(documentType, documents, now = new Date(), policies = null) {
+    const activePolicies = policies || await SlaPolicyRepository.findActive(documentType);
+    const policyByStatus = new Map(activePolicies.map(policy => [policy.status, policy]));
+
+    const result = new Map(documents.map(document => [document.id, null]));
+    const tracked = documents.filter(document => policyByStatus.has(document.status));
+    if (tracked.length === 0) return result;
+
+    const ids = tracked.map(document => document.id);
+    const [transitions, events] = await Promise.all([
+      StatusTransitionRepository.findLatestByDocuments(documentType, ids),
+      SlaPolicyRepository.findEvents(documentType, ids)
+    ]);
+
+    const startedAt = new Map(tracked.map(document => {
+      const transition = transitions.get(document.id);
+      // Documents from before the transition log fall back to their last update
+      const since = transition && transition.to_status === document.status
+        ? transition.created_at
+        : document.updated_at || document.created_at;
+      return [document.id, new Date(since)];
+    }));
+
+    const earliest = new Date(Math.min(...startedAt.values()));
+    const calendar = await this._getCalendar(earliest);
+
+    tracked.forEach(document => {
+      const documentEvents = events.filter(event => event.document_id === document.id);
+      result.set(document.id, this._describe(
+        calendar,
+        policyByStatus.get(document.status),
+        document,
+        startedAt.get(document.id),
+        documentEvents,
+        now
+      ));
+    });
+
+    return result;
+  }
+
+  /**
+   * Add the SLA to documents for API responses
+   * A failure leaves sla empty rather than failing the listing.
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {array} documents
+   * @returns {array} documents with an sla field
+   */
+  async attachSla(documentType, documents = []) {
+    let slas = new Map();
+    try {
+      slas = await this.evaluate(documentType, documents);
+    } catch (error) {
+      console.error(`Error working out ${documentType} SLAs:`, error.message);
+    }
+
+    return documents.map(document => ({ ...document, sla: slas.get(document.id) || null }));
+  }
+
+  /**
+   * Users that have to act on a document in its current status
+   * @private
+   * @returns {object} { ids, chain, step }
+   */
+  async _getOwners(documentType, document) {
+    if (APPROVAL_STATUSES.includes(document.status)) {
+      const chain = await approvalChainService.getChainForDocument(documentType, document);
+      const step = approvalChainService.getCurrentStep(chain, document);
+      return { ids: await approvalChainService.getStepApproverIds(step), chain, step };
+    }
+
+    if (document.status === 'revision_required') {
+      return { ids: [document.vendor_id] };
+    }
+
+    // Approved and waiting for payment
+    return { ids: await approvalChainService.getStepApproverIds({ roles: ['finance_maker'], userIds: [] }) };
+  }
+
+  /**
+   * Who a breached document is escalated to: the policy's role, else the next approval step, else admin
+   * @private
+   * @returns {object} { roles, ids }
+   */
+  async _getEscalationTargets(policy, owners) {
+    let target = { roles: ['admin'], userIds: [] };
+
+    if (policy.escalate_to_role) {
+      target = { roles: [policy.escalate_to_role], userIds: [] };
+    } else if (owners.step) {
+      const nextStep = approvalChainService.getNextStep(owners.chain, owners.step);
+      if (nextStep) target = nextStep;
+    }
+
+    return { roles: target.roles, ids: await approvalChainService.getStepApproverIds(target) };
+  }
+
+  /**
+   * Send the reminder or escalation a document is due for, once per stay in a status
+   * @private
+   * @returns {string|null} 'reminded', 'escalated' or null when nothing was sent
+   */
+  async _check(documentType, document, policy, sla, timeZone) {
+    const breached = sla.status === STATUS.BREACHED;
+    if (breached ? sla.escalatedAt : (sla.status !== STATUS.AT_RISK || sla.remindedAt)) return null;
+
+    const owners = await this._getOwners(documentType, document);
+    const escalation = breached ? await this._getEscalationTargets(policy, owners) : null;
+
+    const event = await SlaPolicyRepository.recordEvent({
+      document_type: documentType,
+      document_id: document.id,
+      status: document.status,
+      status_entered_at: sla.startedAt,
+      kind: breached ? 'escalation' : 'reminder',
+      policy_id: policy.id,
+      due_at: sla.dueAt,
+      recipient_ids: breached ? [...new Set([...owners.ids, ...escalation.ids])] : owners.ids,
+      escalated_to_roles: breached ? escalation.roles : null
+    });
+    // Another run got there first
+    if (!event) return null;
+
+    const details = { timeZone, documentNumber: document[DOCUMENT_CONFIG[documentType].numberField] };
+    const webhookData = { document: webhookService.documentData(documentType, document), sla };
+
+    if (!breached) {
+      await notificationService.notifySla('reminder', documentType, document, sla, owners.ids, details);
+      await webhookService.emit('sla.reminder', webhookData);
+      return 'reminded';
+    }
+
+    await notificationService.notifySla('breached', documentType, document, sla, owners.ids, details);
+    await notificationService.notifySla(
+      'escalation',
+      documentType,
+      document,
+      sla,
+      escalation.ids.filter(id => !owners.ids.includes(id)),
+      { ...details, escalatedToRoles: escalation.roles }
+    );
+    await webhookService.emit('sla.breached', { ...webhookData, escalatedToRoles: escalation.roles });
+    return 'escalated';
+  }
+
+  /**
+   * Remind about documents nearing their SLA and escalate breached ones
+   * @param {Date} now
+   * @returns {object} { checked, reminded, escalated, failed }
+   */
+  async runChecks(now = new Date()) {
+    const summary = { checked: 0, reminded: 0, escalated: 0, failed: 0 };
+    const { timeZone } = this.getBusinessHours();
+
+    for (const [documentType, config] of Object.entries(DOCUMENT_CONFIG)) {
+      const policies = await SlaPolicyRepository.findActive(documentType);
+      if (policies.length === 0) continue;
+
+      const policyByStatus = new Map(policies.map(policy => [policy.status, policy]));
+      const batches = config.repository.iterate({ status: policies.map(policy => policy.status) }, CHECK_BATCH_SIZE);
+
+      for await (const documents of batches) {
+        const slas = await this.evaluate(documentType, documents, now, policies);
+
+        for (const document of documents) {
+          const sla = slas.get(document.id);
+          if (!sla) continue;
+
+          summary.checked++;
+          try {
+            const outcome = await this._check(documentType, document, policyByStatus.get(document.status), sla, timeZone);
+            if (outcome) summary[outcome]++;
+          } catch (error) {
+            summary.failed++;
+            console.error(`SLA check failed for ${documentType} ${document.id}:`, error.message);
+          }
+        }
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new SlaService();
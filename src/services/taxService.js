@@ -0,0 +1,214 @@
+const TaxRepository = require('../repositories/TaxRepository');
+const UserRepository = require('../repositories/UserRepository');
+const { AppError } = require('../utils/errorHandler');
+
+// Used for codes missing from tax_rates
+const DEFAULT_RATES = {
+  PPN: 11,
+  PPH23: 2,
+  PPH23_NO_NPWP: 4,
+  PPH4_2_CONSTRUCTION: 2.65
+};
+
+const SUPPLY_TYPES = ['goods', 'services', 'construction'];
+
+// Which PPh is withheld per supply type - goods carry none
+const PPH_BY_SUPPLY_TYPE = {
+  goods: null,
+  services: 'PPH23',
+  construction: 'PPH4_2'
+};
+
+// NPWP: 15 digits (old format) or 16 digits (NIK-based), punctuation ignored
+const NPWP_PATTERN = /^\d{15,16}$/;
+
+// Tax amounts are rounded down to whole rupiah
+const rupiah = (value) => Math.floor(value + 1e-9);
+
+class TaxService {
+  /**
+   * Get the current rates as { code: percent }
+   */
+  async getRates() {
+    const rows = await TaxRepository.findRates();
+    return Object.fromEntries(Object.entries(DEFAULT_RATES).map(([code, fallback]) => [
+      code,
+      rows[code] ? parseFloat(rows[code].rate) : fallback
+    ]));
+  }
+
+  /**
+   * Update rates
+   * @param {object} body - { PPN, PPH23, PPH23_NO_NPWP, PPH4_2_CONSTRUCTION } - percentages, all optional
+   * @throws {AppError} 400 on unknown codes or out-of-range rates
+   */
+  async updateRates(body, user) {
+    const errors = [];
+    Object.entries(body).forEach(([code, value]) => {
+      const rate = parseFloat(value);
+      if (!(code in DEFAULT_RATES)) errors.push(`Unknown tax rate ${code}`);
+      else if (isNaN(rate) || rate < 0 || rate >= 100) errors.push(`${code} must be between 0 and 100`);
+    });
+
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const rows = await TaxRepository.findRates();
+    for (const [code, value] of Object.entries(body)) {
+      const changes = { rate: parseFloat(value), updated_by: user?.id || null, updated_at: new Date().toISOString() };
+
+      if (rows[code]) {
+        await TaxRepository.update(rows[code].id, changes);
+      } else {
+        await TaxRepository.create({ code, description: code, ...changes });
+      }
+    }
+
+    return await this.getRates();
+  }
+
+  /**
+   * Map a vendor_tax_profiles row to the API shape
+   * @private
+   */
+  _toProfile(row) {
+    if (!row) return null;
+
+    return {
+      vendorId: row.vendor_id,
+      isPkp: row.is_pkp,
+      npwp: row.npwp,
+      supplyType: row.supply_type,
+      pph42Rate: row.pph4_2_rate !== null ? parseFloat(row.pph4_2_rate) : null,
+      notes: row.notes,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get the tax profile of a vendor, null when none was set up
+   */
+  async getVendorProfile(vendorId) {
+    return this._toProfile(await TaxRepository.findVendorProfile(vendorId));
+  }
+
+  /**
+   * Create or replace the tax profile of a vendor
+   * @param {object} body - { isPkp, npwp, supplyType, pph42Rate, notes }
+   * @throws {AppError} 400 invalid profile, 404 unknown vendor
+   */
+  async updateVendorProfile(vendorId, body, user) {
+    const vendor = await UserRepository.findById(vendorId);
+    if (!vendor) {
+      throw new AppError('Vendor not found', 404);
+    }
+
+    const errors = [];
+    const npwp = body.npwp ? String(body.npwp).replace(/[.\-\s]/g, '') : null;
+
+    if (!SUPPLY_TYPES.includes(body.supplyType)) {
+      errors.push(`supplyType must be one of: ${SUPPLY_TYPES.join(', ')}`);
+    }
+    if (npwp && !NPWP_PATTERN.test(npwp)) {
+      errors.push('npwp must have 15 or 16 digits');
+    }
+    if (body.isPkp && !npwp) {
+      errors.push('A PKP vendor must have an NPWP');
+    }
+    if (body.pph42Rate !== undefined && body.pph42Rate !== null) {
+      const rate = parseFloat(body.pph42Rate);
+      if (isNaN(rate) || rate < 0 || rate >= 100) errors.push('pph42Rate must be between 0 and 100');
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const row = await TaxRepository.saveVendorProfile(vendorId, {
+      is_pkp: Boolean(body.isPkp),
+      npwp,
+      supply_type: body.supplyType,
+      pph4_2_rate: body.pph42Rate !== undefined && body.pph42Rate !== null ? parseFloat(body.pph42Rate) : null,
+      notes: body.notes || null,
+      updated_by: user?.id || null,
+      updated_at: new Date().toISOString()
+    });
+
+    return this._toProfile(row);
+  }
+
+  /**
+   * Work out PPN and PPh on a payment
+   * PPN is charged on top of the DPP by PKP vendors; PPh 23 (services) or PPh 4(2) (construction) is
+   * withheld from it. Goods carry no withholding.
+   * @param {string} vendorId
+   * @param {number} dpp - Tax base (Dasar Pengenaan Pajak)
+   * @returns {object} { blockers, dpp, ppnRate, ppnAmount, pphType, pphRate, pphAmount, grossAmount,
+   *                     netAmount, profile }
+   */
+  async calculate(vendorId, dpp) {
+    const [profile, rates] = await Promise.all([this.getVendorProfile(vendorId), this.getRates()]);
+
+    if (!profile) {
+      return { blockers: ['Vendor has no tax profile - set PKP status, NPWP and supply type first'] };
+    }
+
+    const ppnRate = profile.isPkp ? rates.PPN : 0;
+    const pphType = PPH_BY_SUPPLY_TYPE[profile.supplyType];
+
+    let pphRate = 0;
+    if (pphType === 'PPH23') {
+      pphRate = profile.npwp ? rates.PPH23 : rates.PPH23_NO_NPWP;
+    } else if (pphType === 'PPH4_2') {
+      pphRate = profile.pph42Rate ?? rates.PPH4_2_CONSTRUCTION;
+    }
+
+    const ppnAmount = rupiah(dpp * ppnRate / 100);
+    const pphAmount = rupiah(dpp * pphRate / 100);
+
+    return {
+      blockers: [],
+      dpp,
+      ppnRate,
+      ppnAmount,
+      pphType,
+      pphRate,
+      pphAmount,
+      grossAmount: dpp + ppnAmount,
+      netAmount: Math.round((dpp + ppnAmount - pphAmount) * 100) / 100,
+      profile: {
+        isPkp: profile.isPkp,
+        npwp: profile.npwp,
+        supplyType: profile.supplyType
+      }
+    };
+  }
+
+  /**
+   * payment_logs columns for a tax breakdown
+   */
+  toLogFields(tax) {
+    return {
+      dpp: tax.dpp,
+      ppn_rate: tax.ppnRate,
+      ppn_amount: tax.ppnAmount,
+      pph_type: tax.pphType,
+      pph_rate: tax.pphType ? tax.pphRate : null,
+      pph_amount: tax.pphAmount,
+      tax_profile: tax.profile
+    };
+  }
+
+  /**
+   * Number of the withholding slip (bukti potong) of a payment
+   * @param {string} paymentId
+   * @param {Date} date - Payment date
+   */
+  slipNumber(paymentId, date = new Date()) {
+    const period = `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}`;
+    return `BP/${period}/${paymentId.replace(/-/g, '').slice(0, 10).toUpperCase()}`;
+  }
+}
+
+module.exports = new TaxService();
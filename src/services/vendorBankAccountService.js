@@ -0,0 +1,462 @@
+const VendorBankAccountRepository = require('../repositories/VendorBankAccountRepository');
+const UserRepository = require('../repositories/UserRepository');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const bankInquiry = require('./bankInquiry');
+const { AppError } = require('../utils/errorHandler');
+
+const VERIFICATION_STATUS = {
+  UNVERIFIED: 'unverified',
+  VERIFIED: 'verified',
+  NAME_MISMATCH: 'name_mismatch',
+  NOT_FOUND: 'not_found',
+  FAILED: 'failed'
+};
+
+const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Share of name words that must agree for the bank's holder name to count as a match
+const NAME_MATCH_THRESHOLD = 0.8;
+
+// Legal forms and titles banks add or drop from holder names - ignored when comparing
+const IGNORED_NAME_WORDS = [
+  'PT', 'CV', 'UD', 'PD', 'FA', 'TBK', 'PERSERO',
+  'BAPAK', 'BPK', 'IBU', 'SDR', 'SDRI', 'TN', 'NY', 'NN', 'IR', 'DR', 'DRS', 'H', 'HJ'
+];
+
+class VendorBankAccountService {
+  constructor() {
+    this.VERIFICATION_STATUS = VERIFICATION_STATUS;
+    this.APPROVAL_STATUS = APPROVAL_STATUS;
+  }
+
+  /**
+   * Words of a holder name that matter for matching
+   * @private
+   */
+  _nameWords(name) {
+    return String(name || '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9 ]+/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !IGNORED_NAME_WORDS.includes(word));
+  }
+
+  /**
+   * How close two holder names are, from 0 (nothing in common) to 1 (same words)
+   * Word order and legal forms/titles do not count, e.g. "PT Maju Jaya" and "MAJU JAYA PT" score 1.
+   */
+  nameMatchScore(expected, actual) {
+    const a = [...new Set(this._nameWords(expected))];
+    const b = [...new Set(this._nameWords(actual))];
+    if (a.length === 0 || b.length === 0) return 0;
+
+    const common = a.filter(word => b.includes(word)).length;
+    return Math.round((2 * common / (a.length + b.length)) * 1000) / 1000;
+  }
+
+  /**
+   * Get a vendor the user may manage accounts of
+   * @private
+   * @throws {AppError} 403 other vendor, 404 unknown user
+   */
+  async _getVendor(vendorId, user) {
+    if (user.role !== 'admin' && user.id !== vendorId) {
+      throw new AppError('Not authorized to manage bank accounts of this vendor', 403);
+    }
+
+    const vendor = await UserRepository.findById(vendorId);
+    if (!vendor) {
+      throw new AppError('User not found', 404);
+    }
+    return vendor;
+  }
+
+  /**
+   * Get an account of a vendor or fail
+   * @private
+   */
+  async _getAccount(vendorId, accountId) {
+    const account = await VendorBankAccountRepository.findForVendor(vendorId, accountId);
+    if (!account) {
+      throw new AppError('Bank account not found', 404);
+    }
+    return account;
+  }
+
+  /**
+   * Validate account details, returns list of error messages
+   * @param {object} body - { bankCode, bankName, accountNumber, accountHolderName }
+   * @param {boolean} partial - Only check the fields that are present
+   */
+  validate(body, partial = false) {
+    const errors = [];
+    const check = (field) => !partial || body[field] !== undefined;
+
+    if (check('bankCode') && !/^[A-Za-z0-9]{3,11}$/.test(String(body.bankCode || ''))) {
+      errors.push('bankCode must be 3-11 letters or digits');
+    }
+    if (check('accountNumber') && !/^\d{5,34}$/.test(String(body.accountNumber || ''))) {
+      errors.push('accountNumber must contain 5-34 digits');
+    }
+    if (check('accountHolderName') && (!body.accountHolderName || String(body.accountHolderName).length > 100)) {
+      errors.push('accountHolderName is required (max 100 characters)');
+    }
+    if (body.bankName !== undefined && body.bankName !== null && String(body.bankName).length > 100) {
+      errors.push('bankName must be at most 100 characters');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Ask the bank who holds the account and compare with the holder name given
+   * @private
+   * @returns {object} verification columns of vendor_bank_accounts
+   */
+  async _inquire(account) {
+    const adapter = bankInquiry.getBankInquiry();
+    const result = await adapter.inquire({ bankCode: account.bank_code, accountNumber: account.account_number });
+
+    const fields = {
+      verified_name: result.accountName,
+      name_match_score: null,
+      verification_provider: result.provider,
+      verification_reference: result.reference,
+      verification_message: result.errorMessage,
+      verified_at: new Date().toISOString()
+    };
+
+    if (result.status === 'not_found') {
+      return { ...fields, verification_status: VERIFICATION_STATUS.NOT_FOUND };
+    }
+    if (result.status !== 'found') {
+      return { ...fields, verification_status: VERIFICATION_STATUS.FAILED };
+    }
+
+    const score = this.nameMatchScore(account.account_holder_name, result.accountName);
+    return {
+      ...fields,
+      name_match_score: score,
+      verification_status: score >= NAME_MATCH_THRESHOLD ? VERIFICATION_STATUS.VERIFIED : VERIFICATION_STATUS.NAME_MISMATCH,
+      verification_message: score >= NAME_MATCH_THRESHOLD
+        ? null
+        : `Bank holder name "${result.accountName}" does not match "${account.account_holder_name}"`
+    };
+  }
+
+  /**
+   * Verify an account and store the result
+   * An unreachable inquiry leaves the account 'failed'; it can be verified again later.
+   * @private
+   */
+  async _verifyAndStore(account) {
+    let fields;
+    try {
+      fields = await this._inquire(account);
+    } catch (error) {
+      console.error(`Bank inquiry for account ${account.id} failed:`, error);
+      fields = {
+        verification_status: VERIFICATION_STATUS.FAILED,
+        verification_message: error.message,
+        verified_at: new Date().toISOString()
+      };
+    }
+
+    // A new result is something the approving admin has to see
+    return await VendorBankAccountRepository.update(account.id, { ...fields, updated_at: new Date().toISOString() });
+  }
+
+  /**
+   * Tell admins an account waits for their approval
+   * @private
+   */
+  async _notifyAdmins(account, vendor) {
+    const { data: admins } = await UserRepository.findAll({ role: 'admin', is_active: true }, { select: 'id' });
+    await notificationService.notifyBankAccount('pending_approval', account, admins.map(admin => admin.id), {
+      vendorName: vendor.company || vendor.name
+    });
+    await webhookService.emit('bank_account.pending_approval', {
+      bankAccount: webhookService.bankAccountData(account),
+      vendorName: vendor.company || vendor.name
+    });
+  }
+
+  /**
+   * Get the accounts of a vendor, primary first
+   */
+  async getAccounts(vendorId, user) {
+    await this._getVendor(vendorId, user);
+    return await VendorBankAccountRepository.findByVendor(vendorId);
+  }
+
+  /**
+   * Get one account of a vendor
+   */
+  async getAccount(vendorId, accountId, user) {
+    await this._getVendor(vendorId, user);
+    return await this._getAccount(vendorId, accountId);
+  }
+
+  /**
+   * Add an account - verified with the bank right away, then waits for admin approval
+   * The first account of a vendor becomes its primary account.
+   * @param {string} vendorId
+   * @param {object} body - { bankCode, bankName, accountNumber, accountHolderName, isPrimary }
+   * @param {object} user - The vendor or an admin
+   * @throws {AppError} 400 invalid details, 409 account already registered
+   */
+  async createAccount(vendorId, body, user) {
+    const vendor = await this._getVendor(vendorId, user);
+
+    const errors = this.validate(body);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const existing = await VendorBankAccountRepository.findByVendor(vendorId);
+
+    let account;
+    try {
+      account = await VendorBankAccountRepository.create({
+        vendor_id: vendorId,
+        bank_code: String(body.bankCode).toUpperCase(),
+        bank_name: body.bankName || null,
+        account_number: String(body.accountNumber),
+        account_holder_name: body.accountHolderName,
+        is_primary: false,
+        verification_status: VERIFICATION_STATUS.UNVERIFIED,
+        approval_status: APPROVAL_STATUS.PENDING,
+        created_by: user.id,
+        updated_by: user.id
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new AppError('This bank account is already registered for the vendor', 409);
+      }
+      throw error;
+    }
+
+    if (existing.length === 0 || body.isPrimary === true) {
+      account = await VendorBankAccountRepository.setPrimary(vendorId, account.id);
+    }
+
+    account = await this._verifyAndStore(account);
+    await this._notifyAdmins(account, vendor);
+
+    return account;
+  }
+
+  /**
+   * Change the details of an account
+   * The account goes back to pending approval and is verified again, so payments stop using it
+   * until an admin approves the new details.
+   * @throws {AppError} 400 invalid details, 404 unknown account, 409 clashes with another account
+   */
+  async updateAccount(vendorId, accountId, body, user) {
+    const vendor = await this._getVendor(vendorId, user);
+    const account = await this._getAccount(vendorId, accountId);
+
+    const errors = this.validate(body, true);
+    if (errors.length > 0) {
+      throw new AppError(`Validation failed: ${errors.join('; ')}`, 400);
+    }
+
+    const changes = {};
+    if (body.bankCode !== undefined) changes.bank_code = String(body.bankCode).toUpperCase();
+    if (body.bankName !== undefined) changes.bank_name = body.bankName || null;
+    if (body.accountNumber !== undefined) changes.account_number = String(body.accountNumber);
+    if (body.accountHolderName !== undefined) changes.account_holder_name = body.accountHolderName;
+
+    const changed = Object.keys(changes).filter(field => changes[field] !== account[field]);
+    if (changed.length === 0) {
+      return account;
+    }
+
+    let updated;
+    try {
+      updated = await VendorBankAccountRepository.update(account.id, {
+        ...changes,
+        verification_status: VERIFICATION_STATUS.UNVERIFIED,
+        verified_name: null,
+        name_match_score: null,
+        verification_reference: null,
+        verification_message: null,
+        verified_at: null,
+        approval_status: APPROVAL_STATUS.PENDING,
+        approved_by: null,
+        approved_at: null,
+        rejection_reason: null,
+        updated_by: user.id,
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new AppError('This bank account is already registered for the vendor', 409);
+      }
+      throw error;
+    }
+
+    updated = await this._verifyAndStore(updated);
+    await this._notifyAdmins(updated, vendor);
+
+    return updated;
+  }
+
+  /**
+   * Remove an account
+   * @throws {AppError} 409 when it is the primary account and the vendor has others
+   */
+  async deleteAccount(vendorId, accountId, user) {
+    await this._getVendor(vendorId, user);
+    const account = await this._getAccount(vendorId, accountId);
+
+    if (account.is_primary) {
+      const accounts = await VendorBankAccountRepository.findByVendor(vendorId);
+      if (accounts.length > 1) {
+        throw new AppError('Make another account primary before removing the primary account', 409);
+      }
+    }
+
+    await VendorBankAccountRepository.delete(account.id);
+  }
+
+  /**
+   * Make an account the one payments go to
+   * Payments only use it once it is approved.
+   */
+  async setPrimary(vendorId, accountId, user) {
+    await this._getVendor(vendorId, user);
+    const account = await this._getAccount(vendorId, accountId);
+
+    if (account.is_primary) return account;
+
+    return await VendorBankAccountRepository.setPrimary(vendorId, account.id);
+  }
+
+  /**
+   * Check an account with the bank again, e.g. after the inquiry was unavailable
+   */
+  async verifyAccount(vendorId, accountId, user) {
+    await this._getVendor(vendorId, user);
+    const account = await this._getAccount(vendorId, accountId);
+
+    return await this._verifyAndStore(account);
+  }
+
+  /**
+   * Approve an account for payments (admin)
+   * Only approves the details the admin reviewed: a change or a new verification since then
+   * means the account has to be reviewed again. Whoever entered or last changed the account
+   * cannot approve it.
+   * @param {string} vendorId
+   * @param {string} accountId
+   * @param {object} reviewed - { accountNumber, updatedAt } of the account as the admin saw it
+   * @param {object} user - The approving admin
+   * @throws {AppError} 400 reviewed details missing, 403 own account details, 409 when the bank did not
+   *         confirm the holder name, the account changed since it was reviewed or is not pending
+   */
+  async approveAccount(vendorId, accountId, reviewed, user) {
+    if (!reviewed.accountNumber || !reviewed.updatedAt) {
+      throw new AppError('accountNumber and updatedAt of the reviewed account are required', 400);
+    }
+
+    const account = await this._getAccount(vendorId, accountId);
+
+    if (account.created_by === user.id || account.updated_by === user.id) {
+      throw new AppError('Bank account details you entered or changed must be approved by another admin', 403);
+    }
+
+    if (account.verification_status !== VERIFICATION_STATUS.VERIFIED) {
+      throw new AppError(`Bank account must pass bank verification before approval (status: ${account.verification_status})`, 409);
+    }
+
+    if (account.approval_status !== APPROVAL_STATUS.PENDING) {
+      throw new AppError(`Bank account is already ${account.approval_status}`, 409);
+    }
+
+    const [approved] = await VendorBankAccountRepository.updateMany(
+      {
+        id: account.id,
+        approval_status: APPROVAL_STATUS.PENDING,
+        verification_status: VERIFICATION_STATUS.VERIFIED,
+        account_number: String(reviewed.accountNumber),
+        updated_at: reviewed.updatedAt
+      },
+      {
+        approval_status: APPROVAL_STATUS.APPROVED,
+        approved_by: user.id,
+        approved_at: new Date().toISOString(),
+        rejection_reason: null,
+        updated_at: new Date().toISOString()
+      }
+    );
+
+    if (!approved) {
+      throw new AppError('Bank account changed since it was reviewed - review it again before approving', 409);
+    }
+
+    await notificationService.notifyBankAccount('approved', approved, [approved.vendor_id]);
+    await webhookService.emit('bank_account.approved', { bankAccount: webhookService.bankAccountData(approved) });
+
+    return approved;
+  }
+
+  /**
+   * Reject an account (admin)
+   * @throws {AppError} 400 no reason, 409 account not pending
+   */
+  async rejectAccount(vendorId, accountId, reason, user) {
+    if (!reason) {
+      throw new AppError('Rejection reason is required', 400);
+    }
+
+    const account = await this._getAccount(vendorId, accountId);
+
+    const [rejected] = await VendorBankAccountRepository.updateMany(
+      { id: account.id, approval_status: APPROVAL_STATUS.PENDING },
+      {
+        approval_status: APPROVAL_STATUS.REJECTED,
+        approved_by: user.id,
+        approved_at: null,
+        rejection_reason: reason,
+        updated_at: new Date().toISOString()
+      }
+    );
+
+    if (!rejected) {
+      throw new AppError(`Bank account is already ${account.approval_status}`, 409);
+    }
+
+    await notificationService.notifyBankAccount('rejected', rejected, [rejected.vendor_id], { reason });
+    await webhookService.emit('bank_account.rejected', { bankAccount: webhookService.bankAccountData(rejected), reason });
+
+    return rejected;
+  }
+
+  /**
+   * Accounts waiting for admin approval, oldest first
+   */
+  async getPendingApprovals({ page = 1, limit = 10 } = {}) {
+    const result = await VendorBankAccountRepository.findPendingApproval({
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    return {
+      data: result.data,
+      pagination: {
+        total: result.count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(result.count / limit)
+      }
+    };
+  }
+}
+
+module.exports = new VendorBankAccountService();
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const BAPBRepository = require('../repositories/BAPBRepository');
+const BAPPRepository = require('../repositories/BAPPRepository');
+const DocumentSealRepository = require('../repositories/DocumentSealRepository');
+
+// Crockford-style alphabet without 0/O/1/I so codes can be typed from paper
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 10;
+
+const REPOSITORIES = {
+  BAPB: BAPBRepository,
+  BAPP: BAPPRepository
+};
+
+class VerificationService {
+  /**
+   * Generate a random verification code
+   * @returns {string} e.g. 'K7M2QX9TRA'
+   */
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * Format code for printing: 'K7M2Q-X9TRA'
+   */
+  formatCode(code) {
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  }
+
+  /**
+   * Normalize user input (lowercase, dashes, spaces) to the stored form
+   */
+  normalizeCode(input) {
+    return String(input || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  }
+
+  /**
+   * Check that a normalized code has the expected shape
+   */
+  isValidCode(code) {
+    return code.length === CODE_LENGTH && [...code].every(char => CODE_ALPHABET.includes(char));
+  }
+
+  /**
+   * Public URL encoded in the QR code
+   */
+  getVerificationUrl(code) {
+    const baseUrl = process.env.PUBLIC_VERIFY_URL || `http://localhost:${process.env.PORT || 5000}/verify`;
+    return `${baseUrl.replace(/\/$/, '')}/${code}`;
+  }
+
+  /**
+   * Make sure a document has a verification code, assigning one if missing
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - Document row (updated in place)
+   * @returns {string} code
+   */
+  async ensureCode(documentType, document) {
+    if (document.verification_code) return document.verification_code;
+
+    const Repository = REPOSITORIES[documentType];
+
+    // Retry on the (unlikely) unique index collision
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const code = this.generateCode();
+
+      try {
+        await Repository.update(document.id, { verification_code: code });
+        document.verification_code = code;
+        return code;
+      } catch (error) {
+        if (error.code !== '23505') throw error;
+      }
+    }
+
+    throw new Error(`Could not assign a unique verification code to ${documentType} ${document.id}`);
+  }
+
+  /**
+   * Build the verification block printed on PDFs
+   * @returns {object} { code, url, qrImage }
+   */
+  async buildPdfVerification(documentType, document) {
+    const code = await this.ensureCode(documentType, document);
+    const url = this.getVerificationUrl(code);
+    const qrImage = await QRCode.toBuffer(url, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+    return { code: this.formatCode(code), url, qrImage };
+  }
+
+  /**
+   * Resolve a verification code to its document
+   * @returns {object|null} { documentType, document }
+   */
+  async findByCode(code) {
+    for (const [documentType, Repository] of Object.entries(REPOSITORIES)) {
+      const match = await Repository.findOne({ verification_code: code }, { select: 'id' });
+
+      if (match) {
+        const document = await Repository.findByIdWithRelations(match.id);
+        return { documentType, document };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Public view of a document - only what an external party needs to check authenticity
+   */
+  toPublicView(documentType, document, seal = null) {
+    const round = document.approval_round || 0;
+    const approvals = (document.approvals || [])
+      .filter(approval => (approval.approval_round || 0) === round)
+      .sort((a, b) => new Date(a.approved_at) - new Date(b.approved_at));
+
+    return {
+      documentType,
+      documentNumber: documentType === 'BAPB' ? document.bapb_number : document.bapp_number,
+      verificationCode: this.formatCode(document.verification_code),
+      status: document.status,
+      vendor: {
+        name: document.vendor?.name || null,
+        company: document.vendor?.company || null
+      },
+      approvals: approvals.map(approval => ({
+        step: approval.step_name || null,
+        action: approval.action,
+        approver: approval.approver?.name || null,
+        role: approval.approver?.role || null,
+        at: approval.approved_at
+      })),
+      signers: (document.attachments || [])
+        .filter(att => att.file_type === 'signature')
+        .map(att => ({
+          name: att.uploader?.name || null,
+          signedAt: att.created_at || null
+        })),
+      seal: seal
+        ? { sealedAt: seal.sealed_at, pdfHash: seal.pdf_hash, signingAlgorithm: seal.signing_algorithm }
+        : null
+    };
+  }
+
+  /**
+   * Look up a verification code and return the public view
+   * @returns {object|null}
+   */
+  async verifyCode(input) {
+    const code = this.normalizeCode(input);
+    if (!this.isValidCode(code)) return null;
+
+    const result = await this.findByCode(code);
+    if (!result || !result.document) return null;
+
+    const seal = await DocumentSealRepository.findByDocument(result.documentType, result.document.id);
+
+    return this.toPublicView(result.documentType, result.document, seal);
+  }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const WebhookSubscriptionRepository = require('../repositories/WebhookSubscriptionRepository');
+const WebhookDeliveryRepository = require('../repositories/WebhookDeliveryRepository');
+const { AppError } = require('../utils/errorHandler');
+const { maskAccountNumber } = require('../utils/bankAccount');
+
+/**
+ * Outbound webhooks
+ *
+ * Events are POSTed as JSON { id, type, createdAt, data } to every active subscription whose
+ * filter matches. Each request carries:
+ *   X-Webhook-Id         event id, the same for every subscription and redelivery
+ *   X-Webhook-Delivery   delivery id
+ *   X-Webhook-Event      event type
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  hex HMAC-SHA256 of "<timestamp>.<raw body>" with the subscription secret
+ * Anything but a 2xx answer is retried with backoff.
+ */
+
+const DOCUMENT_EVENTS = ['submitted', 'approval_step', 'approved', 'rejected', 'revision_required'];
+
+const EVENTS = [
+  ...DOCUMENT_EVENTS.map(event => `bapb.${event}`),
+  ...DOCUMENT_EVENTS.map(event => `bapp.${event}`),
+  'payment.processed',
+  'payment.reversed',
+  ...['submitted', 'approved', 'released', 'rejected', 'cancelled', 'executed'].map(event => `payment_request.${event}`),
+  ...['pending_approval', 'approved', 'rejected'].map(event => `bank_account.${event}`),
+  'sla.reminder',
+  'sla.breached'
+];
+
+// Attempts before a delivery is given up on
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+// Wait before the first retry; doubles after every failed attempt, capped at MAX_RETRY_DELAY_MS
+const BASE_RETRY_DELAY_MS = (parseInt(process.env.WEBHOOK_RETRY_SECONDS, 10) || 60) * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// A delivery left in 'sending' this long belonged to a process that went away
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Part of the receiver's answer kept in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Delay before the next attempt after the given number of failed attempts
+ */
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+/**
+ * Whether an event filter (bapb.approved, bapb.* or *) selects an event type
+ */
+const matchesEvent = (filters, eventType) => filters.some(filter =>
+  filter === '*' || filter === eventType || (filter.endsWith('.*') && eventType.startsWith(filter.slice(0, -1))));
+
+const isKnownFilter = (filter) => filter === '*' || EVENTS.includes(filter)
+  || (filter.endsWith('.*') && EVENTS.some(event => event.startsWith(filter.slice(0, -1))));
+
+/**
+ * Signature of a webhook request
+ */
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Subscription without its secret, for API responses
+ */
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+class WebhookService {
+  constructor() {
+    this.EVENTS = EVENTS;
+  }
+
+  /**
+   * New random signing secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Validate a subscription, returns list of error messages
+   * @param {object} body - { name, url, events, secret }
+   */
+  validateSubscription(body) {
+    const errors = [];
+
+    if (!body.name || String(body.name).trim().length === 0) {
+      errors.push('Subscription name is required');
+    }
+
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('URL must be a valid http(s) URL');
+    }
+
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      errors.push('At least one event is required');
+    } else {
+      const unknown = body.events.filter(filter => typeof filter !== 'string' || !isKnownFilter(filter));
+      if (unknown.length > 0) {
+        errors.push(`Unknown events: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH)) {
+      errors.push(`Secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Document part of an event payload
+   * @param {string} documentType - 'BAPB' or 'BAPP'
+   * @param {object} document - BAPB/BAPP row
+   * @param {object} changes - Fields that changed with the event but are not on the row yet, e.g. { status }
+   */
+  documentData(documentType, document, changes = {}) {
+    const data = {
+      type: documentType,
+      id: document.id,
+      number: documentType === 'BAPB' ? document.bapb_number : document.bapp_number,
+      status: document.status,
+      vendorId: document.vendor_id,
+      totalValue: document.total_value !== undefined && document.total_value !== null ? parseFloat(document.total_value) : null,
+      currentStep: document.current_step ?? null
+    };
+
+    if (documentType === 'BAPB') {
+      data.orderNumber = document.order_number || null;
+      data.deliveryDate = document.delivery_date || null;
+    } else {
+      data.contractNumber = document.contract_number || null;
+      data.projectName = document.project_name || null;
+    }
+
+    return { ...data, ...changes };
+  }
+
+  /**
+   * Payment part of an event payload
+   * @param {object} log - payment_logs row
+   */
+  paymentData(log) {
+    return {
+      id: log.id,
+      documentType: log.document_type,
+      documentId: log.document_id,
+      documentNumber: log.document_number,
+      vendorId: log.vendor_id,
+      amount: parseFloat(log.amount),
+      paymentMethod: log.payment_method,
+      status: log.status,
+      transactionId: log.transaction_id || null,
+      reference: log.gateway_reference || null,
+      reversalReason: log.reversal_reason || null
+    };
+  }
+
+  /**
+   * Payment request part of an event payload
+   * @param {object} request - payment_requests row
+   */
+  paymentRequestData(request) {
+    return {
+      id: request.id,
+      requestNumber: request.request_number,
+      documentType: request.document_type,
+      documentId: request.document_id,
+      documentNumber: request.document_number,
+      vendorId: request.vendor_id,
+      amount: parseFloat(request.amount),
+      status: request.status,
+      approvals: request.approval_count,
+      requiredApprovals: request.required_approvals,
+      paymentId: request.payment_log_id || null
+    };
+  }
+
+  /**
+   * Vendor bank account part of an event payload
+   * Receivers only get the last 4 digits of the account number.
+   * @param {object} account - vendor_bank_accounts row
+   */
+  bankAccountData(account) {
+    return {
+      id: account.id,
+      vendorId: account.vendor_id,
+      bankCode: account.bank_code,
+      bankName: account.bank_name || null,
+      accountNumber: maskAccountNumber(account.account_number),
+      accountHolderName: account.account_holder_name,
+      verificationStatus: account.verification_status,
+      approvalStatus: account.approval_status
+    };
+  }
+
+  /**
+   * Store an event and send it to the subscriptions that want it
+   * The first attempts run in the background; the delivery job retries what fails.
+   * Never throws: a webhook failing must not fail the action that raised the event.
+   * @param {string} eventType - One of EVENTS
+   * @param {object} data - Event payload
+   * @returns {array} queued deliveries
+   */
+  async emit(eventType, data) {
+    try {
+      if (!EVENTS.includes(eventType)) {
+        console.warn(`⚠️ Unknown webhook event "${eventType}" was not sent`);
+        return [];
+      }
+
+      const subscriptions = (await WebhookSubscriptionRepository.findActive())
+        .filter(subscription => matchesEvent(subscription.events, eventType));
+      if (subscriptions.length === 0) return [];
+
+      const event = await WebhookSubscriptionRepository.events.create({ event_type: eventType, payload: data });
+
+      const deliveries = await WebhookDeliveryRepository.bulkCreate(subscriptions.map(subscription => ({
+        event_id: event.id,
+        subscription_id: subscription.id,
+        event_type: eventType,
+        url: subscription.url,
+        status: 'pending'
+      })));
+
+      deliveries.forEach(delivery => {
+        const subscription = subscriptions.find(s => s.id === delivery.subscription_id);
+        this.attempt(delivery, { event, subscription }).catch(error => {
+          console.error(`Error delivering webhook ${delivery.id}:`, error);
+        });
+      });
+
+      return deliveries;
+    } catch (error) {
+      console.error(`Error emitting webhook event ${eventType}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Send a delivery once; on failure schedule a retry with backoff or give up
+   * @param {object} delivery - webhook_deliveries row
+   * @param {object} context - { event, subscription }, read when left out
+   * @returns {object} delivery row after the attempt (unchanged when another worker claimed it)
+   */
+  async attempt(delivery, context = null) {
+    const attempts = delivery.attempts + 1;
+    const claimed = await WebhookDeliveryRepository.updateIfUnchanged(delivery, {
+      status: 'sending',
+      attempts,
+      updated_at: new Date().toISOString()
+    });
+    if (!claimed) return delivery;
+
+    const { event, subscription } = context || await WebhookDeliveryRepository.findByIdWithEvent(claimed.id);
+
+    if (!subscription || !subscription.is_active) {
+      return await WebhookDeliveryRepository.update(claimed.id, {
+        status: 'failed',
+        last_error: 'Subscription is no longer active',
+        updated_at: new Date().toISOString()
+      });
+    }
+
+    const body = JSON.stringify({
+      id: event.id,
+      type: event.event_type,
+      createdAt: event.created_at,
+      data: event.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let failure = null;
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BA-Digital-Webhooks/1.0',
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Delivery': claimed.id,
+          'X-Webhook-Event': event.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(subscription.secret, timestamp, body)
+        },
+        body,
+        // A redirect would send the signed payload somewhere nobody subscribed
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+      if (!response.ok) failure = `Receiver responded with HTTP ${response.status}`;
+    } catch (error) {
+      failure = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS} ms` : error.message;
+    }
+
+    const outcome = {
+      url: subscription.url,
+      response_status: responseStatus,
+      response_body: responseBody,
+      duration_ms: Date.now() - started,
+      updated_at: new Date().toISOString()
+    };
+
+    if (!failure) {
+      return await WebhookDeliveryRepository.update(claimed.id, {
+        ...outcome,
+        status: 'delivered',
+        last_error: null,
+        delivered_at: new Date().toISOString()
+      });
+    }
+
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    console.error(`Webhook delivery ${claimed.id} (${event.event_type}) to ${subscription.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, failure);
+
+    return await WebhookDeliveryRepository.update(claimed.id, {
+      ...outcome,
+      status: giveUp ? 'failed' : 'pending',
+      last_error: failure,
+      next_attempt_at: giveUp
+        ? claimed.next_attempt_at
+        : new Date(Date.now() + retryDelay(attempts)).toISOString()
+    });
+  }
+
+  /**
+   * Retry deliveries whose next attempt is due
+   * @param {object} options - { limit }
+   * @returns {object} { checked, delivered, retrying, failed }
+   */
+  async retryDue({ limit = 50 } = {}) {
+    const now = Date.now();
+    const due = await WebhookDeliveryRepository.findDue(
+      new Date(now).toISOString(),
+      new Date(now - STALE_SENDING_MS).toISOString(),
+      limit
+    );
+
+    const summary = { checked: due.length, delivered: 0, retrying: 0, failed: 0 };
+
+    for (const delivery of due) {
+      const result = await this.attempt(delivery);
+      if (result.status === 'delivered') summary.delivered += 1;
+      else if (result.status === 'failed') summary.failed += 1;
+      else summary.retrying += 1;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send a delivery again right away, with a fresh set of attempts
+   * Works for delivered deliveries too, e.g. when the receiver lost what it got.
+   * @throws {AppError} 404 unknown delivery, 409 being sent or subscription inactive
+   */
+  async redeliver(deliveryId) {
+    const delivery = await WebhookDeliveryRepository.findByIdWithEvent(deliveryId);
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+
+    if (delivery.status === 'sending') {
+      throw new AppError('Webhook delivery is being sent right now, try again later', 409);
+    }
+
+    if (!delivery.subscription?.is_active) {
+      throw new AppError('The subscription of this delivery is not active', 409);
+    }
+
+    const { event, subscription, ...row } = delivery;
+    const reset = await WebhookDeliveryRepository.updateIfUnchanged(row, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    if (!reset) {
+      throw new AppError('Webhook delivery changed while redelivering it, try again', 409);
+    }
+
+    return await this.attempt(reset, { event, subscription });
+  }
+
+  /**
+   * Get the delivery log
+   * @param {object} filters - { subscriptionId, eventId, eventType, status, page, limit }
+   */
+  async getDeliveries(filters = {}) {
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = Math.min(parseInt(filters.limit, 10) || 20, 100);
+
+    const { data, count } = await WebhookDeliveryRepository.findDeliveries(filters, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      deliveries: data,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a delivery with its event payload and the receiver's answer
+   * @throws {AppError} 404
+   */
+  async getDelivery(deliveryId) {
+    const delivery = await WebhookDeliveryRepository.findByIdWithEvent(deliveryId);
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+
+    return {
+      ...delivery,
+      subscription: delivery.subscription ? withoutSecret(delivery.subscription) : null
+    };
+  }
+
+  /**
+   * Subscription without its secret, for API responses
+   */
+  toApi(subscription) {
+    return withoutSecret(subscription);
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,14 @@
+/**
+ * Account number with all but the last 4 digits hidden
+ * @param {string} accountNumber
+ * @returns {string|null}
+ */
+const maskAccountNumber = (accountNumber) => {
+  if (!accountNumber) return null;
+  const digits = String(accountNumber).replace(/\s/g, '');
+  return `****${digits.slice(-4)}`;
+};
+
+module.exports = {
+  maskAccountNumber
+};
@@ -0,0 +1,127 @@
+/**
+ * Business-hours arithmetic in a time zone: opening hours on work days, minus holidays
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// Upper bound on days walked, so a calendar without working days cannot loop forever
+const MAX_DAYS = 1000;
+
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    utc: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  };
+};
+
+/**
+ * Local date (YYYY-MM-DD) of a moment in a time zone
+ */
+const localDateKey = (date, timeZone) => localParts(date, timeZone).dateKey;
+
+/**
+ * Moment at which a local date and minute of the day occur in a time zone
+ * @returns {number} epoch milliseconds
+ */
+const zonedTime = (dateKey, minutes, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (time) => localParts(new Date(time), timeZone).utc - Math.floor(time / 1000) * 1000;
+
+  let time = wallClock - offsetAt(wallClock);
+  // Second pass for moments close to a DST change
+  time = wallClock - offsetAt(time);
+  return time;
+};
+
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Create a business calendar
+ * @param {object} options - { timeZone, startMinutes, endMinutes, workdays: [1..5] (0 = Sunday),
+ *                             holidays: ['YYYY-MM-DD'] }
+ * @returns {object} { isWorkingDay, addHours, hoursBetween }
+ */
+const createBusinessCalendar = ({ timeZone, startMinutes, endMinutes, workdays, holidays = [] }) => {
+  const holidaySet = new Set(holidays);
+
+  const isWorkingDay = (dateKey) => workdays.includes(weekdayOf(dateKey)) && !holidaySet.has(dateKey);
+
+  const openingHours = (dateKey) => [
+    zonedTime(dateKey, startMinutes, timeZone),
+    zonedTime(dateKey, endMinutes, timeZone)
+  ];
+
+  /**
+   * Moment a number of business hours after another
+   * @param {Date} from
+   * @param {number} hours
+   * @returns {Date|null} null when no working time is found within MAX_DAYS
+   */
+  const addHours = (from, hours) => {
+    let remaining = hours * HOUR;
+    let dateKey = localDateKey(from, timeZone);
+
+    for (let i = 0; i < MAX_DAYS; i++, dateKey = addDays(dateKey, 1)) {
+      if (!isWorkingDay(dateKey)) continue;
+
+      const [open, close] = openingHours(dateKey);
+      const start = Math.max(open, from.getTime());
+      if (start >= close) continue;
+
+      if (start + remaining <= close) return new Date(start + remaining);
+      remaining -= close - start;
+    }
+
+    return null;
+  };
+
+  /**
+   * Business hours between two moments
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {number} 0 when to is not after from
+   */
+  const hoursBetween = (from, to) => {
+    if (to <= from) return 0;
+
+    const lastDay = localDateKey(to, timeZone);
+    let total = 0;
+    let dateKey = localDateKey(from, timeZone);
+
+    for (let i = 0; i < MAX_DAYS && dateKey <= lastDay; i++, dateKey = addDays(dateKey, 1)) {
+      if (!isWorkingDay(dateKey)) continue;
+
+      const [open, close] = openingHours(dateKey);
+      const start = Math.max(open, from.getTime());
+      const end = Math.min(close, to.getTime());
+      if (end > start) total += end - start;
+    }
+
+    return total / HOUR;
+  };
+
+  return { isWorkingDay, addHours, hoursBetween };
+};
+
+module.exports = {
+  localDateKey,
+  addDays,
+  createBusinessCalendar
+};
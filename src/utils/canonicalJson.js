@@ -0,0 +1,34 @@
+/**
+ * Canonical JSON serialization
+ * Object keys are sorted recursively so the same data always produces the same string,
+ * which makes the output safe to hash and sign.
+ */
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  return Object.keys(value)
+    .sort()
+    .reduce((result, key) => {
+      if (value[key] !== undefined) {
+        result[key] = canonicalize(value[key]);
+      }
+      return result;
+    }, {});
+};
+
+const canonicalStringify = (value) => JSON.stringify(canonicalize(value));
+
+module.exports = {
+  canonicalize,
+  canonicalStringify
+};
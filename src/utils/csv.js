@@ -0,0 +1,31 @@
+/**
+ * Escape a single CSV cell (RFC 4180)
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV string
+ * @param {array} rows - Records
+ * @param {array} columns - [{ header, value: row => any }]
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeCell,
+  toCsv
+};
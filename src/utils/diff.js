@@ -0,0 +1,68 @@
+const { canonicalStringify } = require('./canonicalJson');
+
+const isEqual = (a, b) => canonicalStringify(a ?? null) === canonicalStringify(b ?? null);
+
+/**
+ * Field-level diff between two flat records
+ * @param {object|null} before
+ * @param {object|null} after
+ * @param {object} options - { ignore: ['updated_at', ...] }
+ * @returns {object} { field: { from, to } } - only changed fields
+ */
+const diffRecords = (before, after, options = {}) => {
+  const ignore = options.ignore || [];
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (ignore.includes(field)) return;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (!isEqual(from, to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Diff two lists of child rows matched by a key
+ * @param {array} beforeRows
+ * @param {array} afterRows
+ * @param {object} options - { key: (row, index) => string, ignore: [...] }
+ * @returns {object} { added: [], removed: [], changed: [{ key, before, after, changes }] }
+ */
+const diffCollections = (beforeRows = [], afterRows = [], options = {}) => {
+  const keyOf = options.key || ((row, index) => row.id || String(index));
+  const beforeMap = new Map(beforeRows.map((row, index) => [keyOf(row, index), row]));
+  const afterMap = new Map(afterRows.map((row, index) => [keyOf(row, index), row]));
+
+  const result = { added: [], removed: [], changed: [] };
+
+  afterMap.forEach((row, key) => {
+    if (!beforeMap.has(key)) {
+      result.added.push(row);
+      return;
+    }
+
+    const changes = diffRecords(beforeMap.get(key), row, options);
+    if (Object.keys(changes).length > 0) {
+      result.changed.push({ key, before: beforeMap.get(key), after: row, changes });
+    }
+  });
+
+  beforeMap.forEach((row, key) => {
+    if (!afterMap.has(key)) result.removed.push(row);
+  });
+
+  return result;
+};
+
+module.exports = {
+  isEqual,
+  diffRecords,
+  diffCollections
+};
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Generate the Ed25519 key used to sign sealed documents
+const generateSigningKey = (outputPath = path.join(__dirname, '../../keys/document-signing-key.pem')) => {
+  if (fs.existsSync(outputPath)) {
+    console.log(`🔑 Signing key already exists: ${outputPath}`);
+    return outputPath;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.writeFileSync(outputPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  console.log(`✅ Signing key created: ${outputPath}`);
+  console.log(`   Set DOCUMENT_SIGNING_KEY_PATH=${outputPath} in your .env file`);
+
+  return outputPath;
+};
+
+if (require.main === module) {
+  generateSigningKey(process.argv[2]);
+}
+
+module.exports = generateSigningKey;
@@ -0,0 +1,48 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context (actor, IP, route) available to code that has no access to `req`,
+ * e.g. repositories writing the audit log.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware - open a context for the rest of the request
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const store = {
+    ip: req.ip || req.socket?.remoteAddress || null,
+    method: req.method,
+    route: req.originalUrl,
+    userAgent: req.get('user-agent') || null,
+    user: null
+  };
+
+  storage.run(store, next);
+};
+
+/**
+ * Get the current request context (null outside of a request, e.g. scheduled jobs)
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Attach the authenticated user to the current context
+ */
+const setUser = (user) => {
+  const store = storage.getStore();
+  if (store) store.user = user;
+};
+
+/**
+ * Run a function inside a context that is not tied to an HTTP request
+ * @param {object} context - e.g. { route: 'job:reconciliation' }
+ */
+const runWithContext = (context, fn) => storage.run({ ip: null, method: null, route: null, userAgent: null, user: null, ...context }, fn);
+
+module.exports = {
+  requestContextMiddleware,
+  getContext,
+  setUser,
+  runWithContext
+};
@@ -0,0 +1,44 @@
+-- Configurable multi-level approval chains for BAPB and BAPP
+
+CREATE TABLE IF NOT EXISTS approval_chains (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(150) NOT NULL,
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  description TEXT,
+  -- Ordered steps: [{ "order": 1, "name": "PIC Gudang", "roles": ["pic_gudang"], "userIds": [] }]
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Chain only applies when the document value falls in [min_value, max_value]
+  min_value NUMERIC(18, 2),
+  max_value NUMERIC(18, 2),
+  -- Chain only applies to vendors with one of these roles (NULL = any vendor)
+  vendor_roles TEXT[],
+  priority INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_chains_document_type ON approval_chains(document_type, is_active);
+
+ALTER TABLE bapb
+  ADD COLUMN IF NOT EXISTS total_value NUMERIC(18, 2),
+  ADD COLUMN IF NOT EXISTS approval_chain_id UUID REFERENCES approval_chains(id),
+  ADD COLUMN IF NOT EXISTS current_step INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS approval_round INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE bapp
+  ADD COLUMN IF NOT EXISTS total_value NUMERIC(18, 2),
+  ADD COLUMN IF NOT EXISTS approval_chain_id UUID REFERENCES approval_chains(id),
+  ADD COLUMN IF NOT EXISTS current_step INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS approval_round INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE bapb_approvals
+  ADD COLUMN IF NOT EXISTS step_order INTEGER,
+  ADD COLUMN IF NOT EXISTS step_name VARCHAR(150),
+  ADD COLUMN IF NOT EXISTS approval_round INTEGER;
+
+ALTER TABLE bapp_approvals
+  ADD COLUMN IF NOT EXISTS step_order INTEGER,
+  ADD COLUMN IF NOT EXISTS step_name VARCHAR(150),
+  ADD COLUMN IF NOT EXISTS approval_round INTEGER;
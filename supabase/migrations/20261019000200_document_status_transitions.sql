@@ -0,0 +1,27 @@
+-- Log of every BAPB/BAPP status transition performed through the state machine
+
+CREATE TABLE IF NOT EXISTS document_status_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  document_id UUID NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  from_status VARCHAR(30) NOT NULL,
+  to_status VARCHAR(30) NOT NULL,
+  actor_id UUID REFERENCES users(id),
+  actor_role VARCHAR(30),
+  reason TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_status_transitions_document ON document_status_transitions(document_type, document_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_status_transitions_actor ON document_status_transitions(actor_id);
+
+-- Documents move to 'paid' once payment has been processed
+ALTER TABLE bapb DROP CONSTRAINT IF EXISTS bapb_status_check;
+ALTER TABLE bapb ADD CONSTRAINT bapb_status_check
+  CHECK (status IN ('draft', 'submitted', 'in_review', 'revision_required', 'approved', 'rejected', 'paid'));
+
+ALTER TABLE bapp DROP CONSTRAINT IF EXISTS bapp_status_check;
+ALTER TABLE bapp ADD CONSTRAINT bapp_status_check
+  CHECK (status IN ('draft', 'submitted', 'in_review', 'revision_required', 'approved', 'rejected', 'paid'));
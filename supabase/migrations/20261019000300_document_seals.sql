@@ -0,0 +1,22 @@
+-- Frozen, signed snapshots of approved BAPB/BAPP documents
+
+CREATE TABLE IF NOT EXISTS document_seals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  document_id UUID NOT NULL,
+  document_number VARCHAR(50) NOT NULL,
+  -- Canonical JSON snapshot of the document with its relations at approval time
+  snapshot JSONB NOT NULL,
+  snapshot_hash CHAR(64) NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  pdf_hash CHAR(64) NOT NULL,
+  signature TEXT NOT NULL,
+  signing_algorithm VARCHAR(30) NOT NULL,
+  key_id VARCHAR(64) NOT NULL,
+  sealed_by UUID REFERENCES users(id),
+  sealed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (document_type, document_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_seals_pdf_hash ON document_seals(pdf_hash);
@@ -0,0 +1,7 @@
+-- Short public verification codes printed (with a QR code) on generated BAPB/BAPP PDFs
+
+ALTER TABLE bapb ADD COLUMN IF NOT EXISTS verification_code VARCHAR(16);
+ALTER TABLE bapp ADD COLUMN IF NOT EXISTS verification_code VARCHAR(16);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bapb_verification_code ON bapb(verification_code) WHERE verification_code IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bapp_verification_code ON bapp(verification_code) WHERE verification_code IS NOT NULL;
@@ -0,0 +1,41 @@
+-- Append-only audit trail of every mutation made through BaseRepository
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id BIGSERIAL PRIMARY KEY,
+  entity VARCHAR(100) NOT NULL,
+  entity_id VARCHAR(100),
+  action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  actor_id UUID,
+  actor_email VARCHAR(255),
+  actor_role VARCHAR(30),
+  ip_address VARCHAR(64),
+  http_method VARCHAR(10),
+  route VARCHAR(500),
+  user_agent TEXT,
+  before_data JSONB,
+  after_data JSONB,
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+
+-- Rows can be inserted but never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+  BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_mutation();
+
+DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+CREATE TRIGGER audit_logs_no_truncate
+  BEFORE TRUNCATE ON audit_logs
+  FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_mutation();
@@ -0,0 +1,34 @@
+-- Immutable snapshots of BAPB/BAPP content, one per submission
+
+ALTER TABLE bapb ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bapb ADD COLUMN IF NOT EXISTS revision_base_version INTEGER;
+ALTER TABLE bapp ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bapp ADD COLUMN IF NOT EXISTS revision_base_version INTEGER;
+
+CREATE TABLE IF NOT EXISTS document_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  document_id UUID NOT NULL,
+  version_number INTEGER NOT NULL,
+  -- Header fields and child rows (bapb_items / bapp_work_items) as submitted
+  header JSONB NOT NULL,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  snapshot_hash CHAR(64) NOT NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (document_type, document_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_versions_document ON document_versions(document_type, document_id, version_number);
+
+CREATE OR REPLACE FUNCTION prevent_document_version_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'document_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS document_versions_immutable ON document_versions;
+CREATE TRIGGER document_versions_immutable
+  BEFORE UPDATE OR DELETE ON document_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_document_version_mutation();
@@ -0,0 +1,224 @@
+-- Atomic document writes
+-- Each function body runs in a single transaction: a failure anywhere rolls back every row it touched.
+-- Callable only with the service role (the backend), never from the public API roles.
+
+-- ==================== HELPERS ====================
+
+CREATE OR REPLACE FUNCTION document_tables(p_document_type TEXT)
+RETURNS TABLE (document_table TEXT, children_table TEXT, approvals_table TEXT, foreign_key TEXT) AS $$
+BEGIN
+  IF p_document_type = 'BAPB' THEN
+    RETURN QUERY SELECT 'bapb'::TEXT, 'bapb_items'::TEXT, 'bapb_approvals'::TEXT, 'bapb_id'::TEXT;
+  ELSIF p_document_type = 'BAPP' THEN
+    RETURN QUERY SELECT 'bapp'::TEXT, 'bapp_work_items'::TEXT, 'bapp_approvals'::TEXT, 'bapp_id'::TEXT;
+  ELSE
+    RAISE EXCEPTION 'Unknown document type: %', p_document_type USING ERRCODE = '22023';
+  END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Insert the keys present in p_data (columns left out keep their defaults)
+CREATE OR REPLACE FUNCTION insert_row_from_jsonb(p_table TEXT, p_data JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_columns TEXT;
+  v_values TEXT;
+  v_row JSONB;
+BEGIN
+  SELECT string_agg(quote_ident(key), ', '), string_agg('r.' || quote_ident(key), ', ')
+    INTO v_columns, v_values
+    FROM jsonb_object_keys(p_data) AS key;
+
+  EXECUTE format(
+    'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) r RETURNING to_jsonb(%I.*)',
+    p_table, v_columns, v_values, p_table, p_table
+  ) INTO v_row USING p_data;
+
+  RETURN v_row;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Update the keys present in p_changes on one row
+CREATE OR REPLACE FUNCTION update_row_from_jsonb(p_table TEXT, p_id UUID, p_changes JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_columns TEXT;
+  v_values TEXT;
+  v_row JSONB;
+BEGIN
+  IF p_changes IS NULL OR p_changes = '{}'::jsonb THEN
+    EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE id = $1', p_table) INTO v_row USING p_id;
+    RETURN v_row;
+  END IF;
+
+  SELECT string_agg(quote_ident(key), ', '), string_agg('r.' || quote_ident(key), ', ')
+    INTO v_columns, v_values
+    FROM jsonb_object_keys(p_changes) AS key;
+
+  EXECUTE format(
+    'UPDATE %I t SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1) r) WHERE id = $2 RETURNING to_jsonb(t)',
+    p_table, v_columns, v_values, p_table
+  ) INTO v_row USING p_changes, p_id;
+
+  RETURN v_row;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Lock a document row and check it still matches what the caller read
+CREATE OR REPLACE FUNCTION lock_document_row(p_table TEXT, p_id UUID, p_expected JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_row JSONB;
+  v_key TEXT;
+BEGIN
+  EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE id = $1 FOR UPDATE', p_table) INTO v_row USING p_id;
+
+  IF v_row IS NULL THEN
+    RAISE EXCEPTION '% % not found', p_table, p_id USING ERRCODE = 'P0002';
+  END IF;
+
+  FOR v_key IN SELECT jsonb_object_keys(COALESCE(p_expected, '{}'::jsonb)) LOOP
+    IF (v_row -> v_key) IS DISTINCT FROM (p_expected -> v_key) THEN
+      RAISE EXCEPTION '% % was modified concurrently (% changed)', p_table, p_id, v_key USING ERRCODE = '40001';
+    END IF;
+  END LOOP;
+
+  RETURN v_row;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ==================== DOCUMENT + CHILD ROWS ====================
+
+CREATE OR REPLACE FUNCTION create_document_with_children(p_document_type TEXT, p_document JSONB, p_children JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  t RECORD;
+  v_document JSONB;
+  v_children JSONB := '[]'::jsonb;
+  v_child JSONB;
+BEGIN
+  SELECT * INTO t FROM document_tables(p_document_type);
+
+  v_document := insert_row_from_jsonb(t.document_table, p_document);
+
+  FOR v_child IN SELECT * FROM jsonb_array_elements(COALESCE(p_children, '[]'::jsonb)) LOOP
+    v_children := v_children || jsonb_build_array(
+      insert_row_from_jsonb(t.children_table, v_child || jsonb_build_object(t.foreign_key, v_document -> 'id'))
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object('document', v_document, 'children', v_children);
+END;
+$$ LANGUAGE plpgsql;
+
+-- p_children NULL leaves child rows untouched, an array replaces them
+CREATE OR REPLACE FUNCTION update_document_with_children(
+  p_document_type TEXT,
+  p_document_id UUID,
+  p_changes JSONB,
+  p_children JSONB,
+  p_expected JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  t RECORD;
+  v_before JSONB;
+  v_after JSONB;
+  v_removed JSONB := '[]'::jsonb;
+  v_added JSONB := '[]'::jsonb;
+  v_child JSONB;
+BEGIN
+  SELECT * INTO t FROM document_tables(p_document_type);
+
+  v_before := lock_document_row(t.document_table, p_document_id, p_expected);
+  v_after := update_row_from_jsonb(t.document_table, p_document_id, p_changes);
+
+  IF p_children IS NOT NULL THEN
+    EXECUTE format(
+      'WITH deleted AS (DELETE FROM %I WHERE %I = $1 RETURNING *) SELECT COALESCE(jsonb_agg(to_jsonb(deleted)), ''[]''::jsonb) FROM deleted',
+      t.children_table, t.foreign_key
+    ) INTO v_removed USING p_document_id;
+
+    FOR v_child IN SELECT * FROM jsonb_array_elements(p_children) LOOP
+      v_added := v_added || jsonb_build_array(
+        insert_row_from_jsonb(t.children_table, v_child || jsonb_build_object(t.foreign_key, p_document_id))
+      );
+    END LOOP;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'before', v_before,
+    'after', v_after,
+    'removed_children', v_removed,
+    'added_children', v_added
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ==================== STATUS TRANSITION (+ APPROVAL RECORD) ====================
+
+CREATE OR REPLACE FUNCTION apply_document_transition(
+  p_document_type TEXT,
+  p_document_id UUID,
+  p_expected JSONB,
+  p_changes JSONB,
+  p_transition JSONB,
+  p_approval JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  t RECORD;
+  v_before JSONB;
+  v_after JSONB;
+  v_approval JSONB;
+  v_transition JSONB;
+BEGIN
+  SELECT * INTO t FROM document_tables(p_document_type);
+
+  v_before := lock_document_row(t.document_table, p_document_id, p_expected);
+  v_after := update_row_from_jsonb(t.document_table, p_document_id, p_changes);
+
+  IF p_approval IS NOT NULL THEN
+    v_approval := insert_row_from_jsonb(
+      t.approvals_table,
+      p_approval || jsonb_build_object(t.foreign_key, p_document_id)
+    );
+  END IF;
+
+  v_transition := insert_row_from_jsonb(
+    'document_status_transitions',
+    p_transition || jsonb_build_object(
+      'document_type', p_document_type,
+      'document_id', p_document_id,
+      'from_status', v_before ->> 'status',
+      'to_status', v_after ->> 'status'
+    )
+  );
+
+  RETURN jsonb_build_object(
+    'before', v_before,
+    'after', v_after,
+    'approval', v_approval,
+    'transition', v_transition
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ==================== PERMISSIONS ====================
+-- Supabase grants EXECUTE to the API roles by default - take it back explicitly
+
+REVOKE EXECUTE ON FUNCTION document_tables(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION insert_row_from_jsonb(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION update_row_from_jsonb(TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION lock_document_row(TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION create_document_with_children(TEXT, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION update_document_with_children(TEXT, UUID, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION apply_document_transition(TEXT, UUID, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION document_tables(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION insert_row_from_jsonb(TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION update_row_from_jsonb(TEXT, UUID, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION lock_document_row(TEXT, UUID, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION create_document_with_children(TEXT, JSONB, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION update_document_with_children(TEXT, UUID, JSONB, JSONB, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION apply_document_transition(TEXT, UUID, JSONB, JSONB, JSONB, JSONB) TO service_role;
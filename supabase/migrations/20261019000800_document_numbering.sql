@@ -0,0 +1,82 @@
+-- Sequence-backed BAPB/BAPP numbering
+-- Counters are incremented atomically per document type and period, and every issued
+-- number is kept in a register - voided numbers are never reused, so gaps stay explainable.
+
+-- Number template per document type, e.g. '{TYPE}/{DIVISION}/{YYYY}/{MM}/{SEQ:4}'
+CREATE TABLE IF NOT EXISTS document_number_formats (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL UNIQUE CHECK (document_type IN ('BAPB', 'BAPP')),
+  template VARCHAR(100) NOT NULL,
+  -- Value for the {DIVISION} placeholder
+  division VARCHAR(30),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO document_number_formats (document_type, template) VALUES
+  ('BAPB', '{TYPE}/{YYYY}/{MM}/{SEQ:4}'),
+  ('BAPP', '{TYPE}/{YYYY}/{MM}/{SEQ:4}')
+ON CONFLICT (document_type) DO NOTHING;
+
+-- Last issued sequence per document type and period ('2026-10', '2026' or 'ALL', depending on the template)
+CREATE TABLE IF NOT EXISTS document_number_counters (
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  period_key VARCHAR(10) NOT NULL,
+  last_value INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (document_type, period_key)
+);
+
+-- Register of every number ever issued
+CREATE TABLE IF NOT EXISTS document_numbers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  document_number VARCHAR(100) NOT NULL UNIQUE,
+  period_key VARCHAR(10) NOT NULL,
+  sequence INTEGER NOT NULL,
+  -- reserved: issued, document not created yet / assigned: in use / voided: never reused
+  status VARCHAR(20) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'assigned', 'voided')),
+  -- No foreign key: the register outlives deleted drafts
+  document_id UUID,
+  issued_by UUID REFERENCES users(id),
+  void_reason TEXT,
+  voided_by UUID REFERENCES users(id),
+  voided_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_numbers_period ON document_numbers(document_type, period_key, sequence);
+CREATE INDEX IF NOT EXISTS idx_document_numbers_document ON document_numbers(document_type, document_id);
+
+CREATE OR REPLACE FUNCTION prevent_document_number_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'document_numbers rows cannot be deleted - void the number instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS document_numbers_no_delete ON document_numbers;
+CREATE TRIGGER document_numbers_no_delete
+  BEFORE DELETE ON document_numbers
+  FOR EACH ROW EXECUTE FUNCTION prevent_document_number_delete();
+
+-- Take the next sequence value - the upsert row lock serializes concurrent callers
+CREATE OR REPLACE FUNCTION next_document_sequence(p_document_type TEXT, p_period_key TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  v_value INTEGER;
+BEGIN
+  INSERT INTO document_number_counters (document_type, period_key, last_value)
+  VALUES (p_document_type, p_period_key, 1)
+  ON CONFLICT (document_type, period_key)
+  DO UPDATE SET last_value = document_number_counters.last_value + 1, updated_at = NOW()
+  RETURNING last_value INTO v_value;
+
+  RETURN v_value;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION next_document_sequence(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION next_document_sequence(TEXT, TEXT) TO service_role;
@@ -0,0 +1,95 @@
+-- Purchase orders (goods, referenced by BAPB) and contracts (services, referenced by BAPP)
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  po_number VARCHAR(100) NOT NULL UNIQUE,
+  vendor_id UUID NOT NULL REFERENCES users(id),
+  order_date DATE NOT NULL,
+  delivery_due_date DATE,
+  currency VARCHAR(3) NOT NULL DEFAULT 'IDR',
+  -- Sum of line totals
+  total_value NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'cancelled')),
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_vendor ON purchase_orders(vendor_id, status);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  item_name VARCHAR(255) NOT NULL,
+  quantity NUMERIC(18, 3) NOT NULL CHECK (quantity > 0),
+  unit VARCHAR(50) NOT NULL,
+  unit_price NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  line_total NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (purchase_order_id, line_number)
+);
+
+CREATE TABLE IF NOT EXISTS contracts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contract_number VARCHAR(100) NOT NULL UNIQUE,
+  vendor_id UUID NOT NULL REFERENCES users(id),
+  project_name VARCHAR(255) NOT NULL,
+  project_location VARCHAR(255),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'IDR',
+  -- Sum of line values
+  contract_value NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'terminated')),
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contracts_vendor ON contracts(vendor_id, status);
+
+CREATE TABLE IF NOT EXISTS contract_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  work_item_name VARCHAR(255) NOT NULL,
+  quantity NUMERIC(18, 3) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit VARCHAR(50) NOT NULL,
+  unit_price NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  line_value NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (contract_id, line_number)
+);
+
+-- BAPB/BAPP keep their order/contract number text, and point at the master data
+ALTER TABLE bapb ADD COLUMN IF NOT EXISTS purchase_order_id UUID REFERENCES purchase_orders(id);
+ALTER TABLE bapb_items ADD COLUMN IF NOT EXISTS purchase_order_line_id UUID REFERENCES purchase_order_lines(id);
+ALTER TABLE bapp ADD COLUMN IF NOT EXISTS contract_id UUID REFERENCES contracts(id);
+ALTER TABLE bapp_work_items ADD COLUMN IF NOT EXISTS contract_line_id UUID REFERENCES contract_lines(id);
+
+CREATE INDEX IF NOT EXISTS idx_bapb_purchase_order ON bapb(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_bapp_contract ON bapp(contract_id);
+
+-- Purchase orders and contracts are written through the same transactional functions as documents
+CREATE OR REPLACE FUNCTION document_tables(p_document_type TEXT)
+RETURNS TABLE (document_table TEXT, children_table TEXT, approvals_table TEXT, foreign_key TEXT) AS $$
+BEGIN
+  IF p_document_type = 'BAPB' THEN
+    RETURN QUERY SELECT 'bapb'::TEXT, 'bapb_items'::TEXT, 'bapb_approvals'::TEXT, 'bapb_id'::TEXT;
+  ELSIF p_document_type = 'BAPP' THEN
+    RETURN QUERY SELECT 'bapp'::TEXT, 'bapp_work_items'::TEXT, 'bapp_approvals'::TEXT, 'bapp_id'::TEXT;
+  ELSIF p_document_type = 'PO' THEN
+    RETURN QUERY SELECT 'purchase_orders'::TEXT, 'purchase_order_lines'::TEXT, NULL::TEXT, 'purchase_order_id'::TEXT;
+  ELSIF p_document_type = 'CONTRACT' THEN
+    RETURN QUERY SELECT 'contracts'::TEXT, 'contract_lines'::TEXT, NULL::TEXT, 'contract_id'::TEXT;
+  ELSE
+    RAISE EXCEPTION 'Unknown document type: %', p_document_type USING ERRCODE = '22023';
+  END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
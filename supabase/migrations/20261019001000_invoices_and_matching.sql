@@ -0,0 +1,80 @@
+-- Vendor invoices and three-way matching (purchase order / BAPB receipt / invoice)
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_number VARCHAR(100) NOT NULL,
+  vendor_id UUID NOT NULL REFERENCES users(id),
+  -- Receipt the invoice bills for
+  bapb_id UUID NOT NULL REFERENCES bapb(id) ON DELETE CASCADE,
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id),
+  invoice_date DATE NOT NULL,
+  due_date DATE,
+  currency VARCHAR(3) NOT NULL DEFAULT 'IDR',
+  -- subtotal is the sum of line totals, total_amount = subtotal + tax_amount
+  subtotal NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  tax_amount NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'submitted' CHECK (status IN ('submitted', 'cancelled', 'paid')),
+  notes TEXT,
+  submitted_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (vendor_id, invoice_number)
+);
+
+-- One live invoice per receipt; a cancelled one can be replaced
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_active_bapb ON invoices(bapb_id) WHERE status <> 'cancelled';
+CREATE INDEX IF NOT EXISTS idx_invoices_vendor ON invoices(vendor_id, status);
+
+CREATE TABLE IF NOT EXISTS invoice_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  purchase_order_line_id UUID NOT NULL REFERENCES purchase_order_lines(id),
+  description VARCHAR(255),
+  quantity NUMERIC(18, 3) NOT NULL CHECK (quantity >= 0),
+  unit_price NUMERIC(18, 2) NOT NULL CHECK (unit_price >= 0),
+  line_total NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Allowed deviations. The row without vendor_id is the default, vendor rows override it.
+CREATE TABLE IF NOT EXISTS matching_tolerances (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  -- Invoiced vs received quantity, and received vs ordered quantity
+  quantity_percent NUMERIC(6, 3) NOT NULL DEFAULT 0 CHECK (quantity_percent >= 0),
+  -- Invoiced vs ordered unit price
+  price_percent NUMERIC(6, 3) NOT NULL DEFAULT 0 CHECK (price_percent >= 0),
+  -- Invoice subtotal vs value of received goods: within the percentage OR within the absolute amount
+  amount_percent NUMERIC(6, 3) NOT NULL DEFAULT 0 CHECK (amount_percent >= 0),
+  amount_absolute NUMERIC(18, 2) NOT NULL DEFAULT 0 CHECK (amount_absolute >= 0),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matching_tolerances_default ON matching_tolerances((vendor_id IS NULL)) WHERE vendor_id IS NULL;
+
+INSERT INTO matching_tolerances (vendor_id, quantity_percent, price_percent, amount_percent, amount_absolute)
+SELECT NULL, 0, 0, 0, 1000
+WHERE NOT EXISTS (SELECT 1 FROM matching_tolerances WHERE vendor_id IS NULL);
+
+-- Invoices are written through the transactional document functions
+CREATE OR REPLACE FUNCTION document_tables(p_document_type TEXT)
+RETURNS TABLE (document_table TEXT, children_table TEXT, approvals_table TEXT, foreign_key TEXT) AS $$
+BEGIN
+  IF p_document_type = 'BAPB' THEN
+    RETURN QUERY SELECT 'bapb'::TEXT, 'bapb_items'::TEXT, 'bapb_approvals'::TEXT, 'bapb_id'::TEXT;
+  ELSIF p_document_type = 'BAPP' THEN
+    RETURN QUERY SELECT 'bapp'::TEXT, 'bapp_work_items'::TEXT, 'bapp_approvals'::TEXT, 'bapp_id'::TEXT;
+  ELSIF p_document_type = 'PO' THEN
+    RETURN QUERY SELECT 'purchase_orders'::TEXT, 'purchase_order_lines'::TEXT, NULL::TEXT, 'purchase_order_id'::TEXT;
+  ELSIF p_document_type = 'CONTRACT' THEN
+    RETURN QUERY SELECT 'contracts'::TEXT, 'contract_lines'::TEXT, NULL::TEXT, 'contract_id'::TEXT;
+  ELSIF p_document_type = 'INVOICE' THEN
+    RETURN QUERY SELECT 'invoices'::TEXT, 'invoice_lines'::TEXT, NULL::TEXT, 'invoice_id'::TEXT;
+  ELSE
+    RAISE EXCEPTION 'Unknown document type: %', p_document_type USING ERRCODE = '22023';
+  END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
@@ -0,0 +1,40 @@
+-- Payment lifecycle: initiated -> pending -> settled / failed, settled -> reversed
+-- Gateways report the outcome later through signed webhooks; the reconciliation job polls the rest.
+
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS gateway VARCHAR(50);
+-- Our reference for the attempt, sent to the gateway and used to look the payment up again
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS gateway_reference VARCHAR(100);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS initiated_by UUID REFERENCES users(id);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ;
+-- Context needed when the payment settles asynchronously (e.g. the invoice to mark paid)
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Synchronous results of the old flow
+UPDATE payment_logs SET status = 'settled', settled_at = COALESCE(processed_at, NOW()) WHERE status = 'success';
+
+ALTER TABLE payment_logs DROP CONSTRAINT IF EXISTS payment_logs_status_check;
+ALTER TABLE payment_logs ADD CONSTRAINT payment_logs_status_check
+  CHECK (status IN ('initiated', 'pending', 'settled', 'failed', 'reversed'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_logs_gateway_reference ON payment_logs(gateway_reference) WHERE gateway_reference IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_logs_open ON payment_logs(status, status_updated_at) WHERE status IN ('initiated', 'pending');
+
+-- Webhook callbacks received from gateways. event_id makes redelivered callbacks a no-op.
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  gateway VARCHAR(50) NOT NULL,
+  event_id VARCHAR(100) NOT NULL,
+  gateway_reference VARCHAR(100),
+  payment_log_id UUID REFERENCES payment_logs(id) ON DELETE SET NULL,
+  payload JSONB NOT NULL,
+  -- applied, ignored (unknown payment or no status change)
+  outcome VARCHAR(20),
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  UNIQUE (gateway, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_reference ON payment_webhook_events(gateway_reference);
@@ -0,0 +1,81 @@
+-- Double payout protection: Idempotency-Key replay, a per-document payment lock,
+-- and at most one in-flight or settled payment per document
+
+-- Responses stored per user and Idempotency-Key, replayed when the same request is sent again
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key VARCHAR(255) NOT NULL,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  -- SHA-256 of method, path and body - the same key with another request is rejected
+  request_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+-- One payment attempt per document at a time. Locks expire so a crashed process cannot block a document forever.
+CREATE TABLE IF NOT EXISTS payment_locks (
+  document_type VARCHAR(20) NOT NULL,
+  document_id UUID NOT NULL,
+  token UUID NOT NULL,
+  locked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  locked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (document_type, document_id)
+);
+
+-- Take the lock if it is free or expired. Returns false while someone else holds it.
+CREATE OR REPLACE FUNCTION acquire_payment_lock(
+  p_document_type TEXT,
+  p_document_id UUID,
+  p_token UUID,
+  p_locked_by UUID,
+  p_ttl_seconds INTEGER
+) RETURNS BOOLEAN AS $$
+DECLARE
+  v_token UUID;
+BEGIN
+  INSERT INTO payment_locks (document_type, document_id, token, locked_by, locked_at, expires_at)
+  VALUES (p_document_type, p_document_id, p_token, p_locked_by, NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (document_type, document_id) DO UPDATE
+    SET token = EXCLUDED.token,
+        locked_by = EXCLUDED.locked_by,
+        locked_at = EXCLUDED.locked_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE payment_locks.expires_at < NOW()
+  RETURNING token INTO v_token;
+
+  RETURN COALESCE(v_token = p_token, FALSE);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Release only our own lock - an expired lock may have been taken over meanwhile
+CREATE OR REPLACE FUNCTION release_payment_lock(p_document_type TEXT, p_document_id UUID, p_token UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  DELETE FROM payment_locks
+  WHERE document_type = p_document_type AND document_id = p_document_id AND token = p_token;
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION acquire_payment_lock(TEXT, UUID, UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_payment_lock(TEXT, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION acquire_payment_lock(TEXT, UUID, UUID, UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION release_payment_lock(TEXT, UUID, UUID) TO service_role;
+
+-- Last line of defence if the lock is bypassed: a second live payment for a document fails to insert.
+-- Failed and reversed attempts do not count, so the document can be paid again after them.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_logs_one_live_per_document
+  ON payment_logs(document_type, document_id)
+  WHERE status IN ('initiated', 'pending', 'settled');
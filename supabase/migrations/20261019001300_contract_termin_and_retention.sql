@@ -0,0 +1,32 @@
+-- Termin (installment) payments for BAPP and retention held per contract
+
+-- Retention is deducted from every termin and paid back once the maintenance period after end_date is over
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS retention_percent NUMERIC(5, 2) NOT NULL DEFAULT 0
+  CHECK (retention_percent >= 0 AND retention_percent < 100);
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS maintenance_period_days INTEGER NOT NULL DEFAULT 0
+  CHECK (maintenance_period_days >= 0);
+
+-- Payment schedule: a termin becomes payable once the contract's progress reaches its progress_percent.
+-- Without terms, every approved BAPP pays its progress increment.
+CREATE TABLE IF NOT EXISTS contract_payment_terms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+  term_number INTEGER NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  progress_percent NUMERIC(5, 2) NOT NULL CHECK (progress_percent > 0 AND progress_percent <= 100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (contract_id, term_number)
+);
+
+-- The contract ledger is built from payment_logs
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS contract_id UUID REFERENCES contracts(id);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS payment_type VARCHAR(30) NOT NULL DEFAULT 'full'
+  CHECK (payment_type IN ('full', 'termin', 'retention_release'));
+-- Contract progress covered by a termin payment
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS progress_from NUMERIC(5, 2);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS progress_to NUMERIC(5, 2);
+-- amount stays the transferred (net) amount: gross_amount - retention_amount
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS gross_amount NUMERIC(18, 2);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS retention_amount NUMERIC(18, 2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_payment_logs_contract ON payment_logs(contract_id, processed_at);
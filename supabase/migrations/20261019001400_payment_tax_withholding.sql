@@ -0,0 +1,45 @@
+-- PPN and PPh withholding on vendor payments
+
+-- Rates in percent, editable by admins
+CREATE TABLE IF NOT EXISTS tax_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(30) NOT NULL UNIQUE,
+  rate NUMERIC(6, 3) NOT NULL CHECK (rate >= 0 AND rate < 100),
+  description VARCHAR(255) NOT NULL,
+  updated_by UUID REFERENCES users(id),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO tax_rates (code, rate, description) VALUES
+  ('PPN', 11, 'PPN charged by PKP vendors on the DPP'),
+  ('PPH23', 2, 'PPh 23 withheld on services'),
+  ('PPH23_NO_NPWP', 4, 'PPh 23 withheld on services from vendors without NPWP (100% higher)'),
+  ('PPH4_2_CONSTRUCTION', 2.65, 'PPh 4(2) final withheld on construction services')
+ON CONFLICT (code) DO NOTHING;
+
+-- How a vendor is taxed. Payments are blocked for vendors without a profile.
+CREATE TABLE IF NOT EXISTS vendor_tax_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  -- Pengusaha Kena Pajak: charges PPN
+  is_pkp BOOLEAN NOT NULL DEFAULT FALSE,
+  npwp VARCHAR(20),
+  supply_type VARCHAR(20) NOT NULL CHECK (supply_type IN ('goods', 'services', 'construction')),
+  -- PPh 4(2) rate for this contractor's qualification, defaults to PPH4_2_CONSTRUCTION
+  pph4_2_rate NUMERIC(6, 3) CHECK (pph4_2_rate >= 0 AND pph4_2_rate < 100),
+  notes TEXT,
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Tax breakdown of each payment. amount stays the transferred amount: dpp + ppn - pph (- retention).
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS dpp NUMERIC(18, 2);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS ppn_rate NUMERIC(6, 3);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS ppn_amount NUMERIC(18, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS pph_type VARCHAR(10) CHECK (pph_type IN ('PPH23', 'PPH4_2'));
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS pph_rate NUMERIC(6, 3);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS pph_amount NUMERIC(18, 2) NOT NULL DEFAULT 0;
+-- Vendor tax profile as it was when the payment was made
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS tax_profile JSONB;
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS withholding_slip_number VARCHAR(50) UNIQUE;
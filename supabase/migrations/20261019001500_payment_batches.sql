@@ -0,0 +1,38 @@
+-- Batched vendor payouts through internet banking bulk-transfer files
+
+-- Account vendors are paid to. Bulk-transfer files are built from it.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bank_code VARCHAR(20);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bank_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bank_account_number VARCHAR(34);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bank_account_name VARCHAR(100);
+
+-- draft -> exported -> confirmed, draft/exported -> cancelled
+CREATE TABLE IF NOT EXISTS payment_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_number VARCHAR(50) NOT NULL UNIQUE,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'exported', 'confirmed', 'cancelled')),
+  -- Value date of the transfers
+  payment_date DATE NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  total_amount NUMERIC(18, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  exported_at TIMESTAMPTZ,
+  exported_by UUID REFERENCES users(id),
+  export_format VARCHAR(20),
+  confirmed_at TIMESTAMPTZ,
+  confirmed_by UUID REFERENCES users(id),
+  cancelled_at TIMESTAMPTZ,
+  cancelled_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_batches_status ON payment_batches(status, created_at);
+
+-- Every batch item is a payment_logs row that stays 'initiated' until the batch is confirmed or cancelled.
+-- That keeps the document out of other payments and its termin counted as claimed while the file is at the bank.
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES payment_batches(id);
+
+CREATE INDEX IF NOT EXISTS idx_payment_logs_batch ON payment_logs(batch_id) WHERE batch_id IS NOT NULL;
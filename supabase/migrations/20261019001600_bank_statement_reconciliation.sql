@@ -0,0 +1,43 @@
+-- Bank statements imported to confirm that payments recorded in payment_logs left the account
+
+CREATE TABLE IF NOT EXISTS bank_statements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'mt940')),
+  file_name VARCHAR(255) NOT NULL,
+  -- SHA-256 of the uploaded file - the same file cannot be imported twice
+  file_hash CHAR(64) NOT NULL UNIQUE,
+  account_number VARCHAR(34),
+  -- MT940 :20: / :28C:
+  statement_reference VARCHAR(50),
+  currency CHAR(3) NOT NULL DEFAULT 'IDR',
+  period_start DATE,
+  period_end DATE,
+  opening_balance NUMERIC(18, 2),
+  closing_balance NUMERIC(18, 2),
+  line_count INTEGER NOT NULL DEFAULT 0,
+  uploaded_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  statement_id UUID NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  value_date DATE NOT NULL,
+  -- Always positive; direction says which way the money went
+  amount NUMERIC(18, 2) NOT NULL CHECK (amount >= 0),
+  direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+  reference VARCHAR(100),
+  description TEXT,
+  -- A payment is matched to at most one statement line
+  payment_log_id UUID UNIQUE REFERENCES payment_logs(id) ON DELETE SET NULL,
+  match_type VARCHAR(10) CHECK (match_type IN ('auto', 'manual')),
+  matched_by UUID REFERENCES users(id),
+  matched_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (statement_id, line_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_value_date ON bank_statement_lines(value_date);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_unmatched ON bank_statement_lines(statement_id) WHERE payment_log_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_logs_settled_at ON payment_logs(settled_at) WHERE status = 'settled';
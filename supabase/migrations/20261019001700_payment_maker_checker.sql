@@ -0,0 +1,70 @@
+-- Maker-checker for payments: a finance maker prepares a payment request, finance checkers release it.
+-- A payment can only be sent for a released request.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN (
+  'vendor', 'vendor_barang', 'vendor_jasa', 'pic_gudang', 'admin', 'approver', 'finance_maker', 'finance_checker'
+));
+
+-- Checkers needed per amount: the row with the highest min_amount not above the amount applies
+CREATE TABLE IF NOT EXISTS payment_approval_thresholds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  min_amount NUMERIC(18, 2) NOT NULL UNIQUE CHECK (min_amount >= 0),
+  required_approvals INTEGER NOT NULL CHECK (required_approvals BETWEEN 1 AND 10),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO payment_approval_thresholds (min_amount, required_approvals) VALUES
+  (0, 1),
+  (100000000, 2),
+  (1000000000, 3)
+ON CONFLICT (min_amount) DO NOTHING;
+
+-- pending_approval -> released -> executed, pending_approval -> rejected / cancelled, released -> cancelled
+CREATE TABLE IF NOT EXISTS payment_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_number VARCHAR(50) NOT NULL UNIQUE,
+  -- BAPB, BAPP or CONTRACT (retention release)
+  document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP', 'CONTRACT')),
+  document_id UUID NOT NULL,
+  document_number VARCHAR(100),
+  vendor_id UUID REFERENCES users(id),
+  -- Amount to transfer as worked out when the request was made; the payment must still come to it
+  amount NUMERIC(18, 2) NOT NULL CHECK (amount > 0),
+  payment_method VARCHAR(50) NOT NULL DEFAULT 'bank_transfer',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending_approval'
+    CHECK (status IN ('pending_approval', 'released', 'executed', 'rejected', 'cancelled')),
+  required_approvals INTEGER NOT NULL CHECK (required_approvals >= 1),
+  approval_count INTEGER NOT NULL DEFAULT 0,
+  notes TEXT,
+  requested_by UUID NOT NULL REFERENCES users(id),
+  released_at TIMESTAMPTZ,
+  executed_at TIMESTAMPTZ,
+  payment_log_id UUID REFERENCES payment_logs(id),
+  closed_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One open request per document
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_requests_one_open_per_document
+  ON payment_requests(document_type, document_id) WHERE status IN ('pending_approval', 'released');
+CREATE INDEX IF NOT EXISTS idx_payment_requests_status ON payment_requests(status, created_at);
+
+-- Every step taken on a request
+CREATE TABLE IF NOT EXISTS payment_request_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id UUID NOT NULL REFERENCES payment_requests(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('submitted', 'approved', 'rejected', 'released', 'cancelled', 'executed')),
+  actor_id UUID REFERENCES users(id),
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A checker approves a request once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_request_actions_one_approval
+  ON payment_request_actions(request_id, actor_id) WHERE action = 'approved';
+CREATE INDEX IF NOT EXISTS idx_payment_request_actions_request ON payment_request_actions(request_id, created_at);
+
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS payment_request_id UUID REFERENCES payment_requests(id);
@@ -0,0 +1,53 @@
+-- Vendor payout accounts: several per vendor, one primary.
+-- An account is checked against the bank (account holder name inquiry) and approved by an admin;
+-- payments only go to the approved primary account. Any change to an account needs a new approval.
+
+CREATE TABLE IF NOT EXISTS vendor_bank_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  bank_code VARCHAR(20) NOT NULL,
+  bank_name VARCHAR(100),
+  account_number VARCHAR(34) NOT NULL,
+  account_holder_name VARCHAR(100) NOT NULL,
+  is_primary BOOLEAN NOT NULL DEFAULT false,
+  -- Result of the last bank inquiry
+  verification_status VARCHAR(20) NOT NULL DEFAULT 'unverified'
+    CHECK (verification_status IN ('unverified', 'verified', 'name_mismatch', 'not_found', 'failed')),
+  -- Holder name as the bank knows it, and how close it is to account_holder_name (0-1)
+  verified_name VARCHAR(100),
+  name_match_score NUMERIC(4, 3),
+  verification_provider VARCHAR(30),
+  verification_reference VARCHAR(100),
+  verification_message TEXT,
+  verified_at TIMESTAMPTZ,
+  approval_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (approval_status IN ('pending', 'approved', 'rejected')),
+  approved_by UUID REFERENCES users(id),
+  approved_at TIMESTAMPTZ,
+  rejection_reason TEXT,
+  created_by UUID REFERENCES users(id),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (vendor_id, bank_code, account_number)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_bank_accounts_one_primary
+  ON vendor_bank_accounts(vendor_id) WHERE is_primary;
+CREATE INDEX IF NOT EXISTS idx_vendor_bank_accounts_pending
+  ON vendor_bank_accounts(created_at) WHERE approval_status = 'pending';
+
+-- Accounts entered by admins on the user record so far are kept as approved primary accounts
+INSERT INTO vendor_bank_accounts (vendor_id, bank_code, bank_name, account_number, account_holder_name, is_primary, approval_status, approved_at)
+SELECT id, bank_code, bank_name, bank_account_number, COALESCE(bank_account_name, company, name), true, 'approved', NOW()
+FROM users
+WHERE bank_code IS NOT NULL AND bank_account_number IS NOT NULL
+ON CONFLICT (vendor_id, bank_code, account_number) DO NOTHING;
+
+ALTER TABLE users DROP COLUMN IF EXISTS bank_code;
+ALTER TABLE users DROP COLUMN IF EXISTS bank_name;
+ALTER TABLE users DROP COLUMN IF EXISTS bank_account_number;
+ALTER TABLE users DROP COLUMN IF EXISTS bank_account_name;
+
+-- Account a payment was sent to
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS bank_account_id UUID REFERENCES vendor_bank_accounts(id) ON DELETE SET NULL;
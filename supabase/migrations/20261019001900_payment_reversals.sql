@@ -0,0 +1,21 @@
+-- Reversal of settled payments. Each attempt is a payment_logs row of type 'reversal' linked to the
+-- payment it reverses; it ends 'reversed' (money returned) or 'failed'. Neither counts as a live
+-- payment, so the document can be paid again once its payment is reversed.
+
+ALTER TABLE payment_logs DROP CONSTRAINT IF EXISTS payment_logs_payment_type_check;
+ALTER TABLE payment_logs ADD CONSTRAINT payment_logs_payment_type_check
+  CHECK (payment_type IN ('full', 'termin', 'retention_release', 'reversal'));
+
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS reversal_of UUID REFERENCES payment_logs(id);
+-- Set on the reversed payment
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS reversal_reason TEXT;
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS reversed_by UUID REFERENCES users(id);
+ALTER TABLE payment_logs ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ;
+
+ALTER TABLE payment_logs DROP CONSTRAINT IF EXISTS payment_logs_reversal_link_check;
+ALTER TABLE payment_logs ADD CONSTRAINT payment_logs_reversal_link_check
+  CHECK ((payment_type = 'reversal') = (reversal_of IS NOT NULL));
+
+-- A payment is reversed once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_logs_one_reversal
+  ON payment_logs(reversal_of) WHERE status = 'reversed';
@@ -0,0 +1,35 @@
+-- Notifications are also delivered outside the app (email for now).
+-- Every attempt to deliver a notification over a channel is logged in notification_deliveries;
+-- failed sends are retried with backoff until they go through or run out of attempts.
+
+-- Language of the emails a user receives
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(5) NOT NULL DEFAULT 'id'
+  CHECK (locale IN ('id', 'en'));
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  notification_id UUID NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('email')),
+  recipient VARCHAR(255) NOT NULL,
+  locale VARCHAR(5) NOT NULL DEFAULT 'id',
+  subject TEXT,
+  text_body TEXT,
+  html_body TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  -- Message-ID given back by the SMTP server
+  message_id VARCHAR(255),
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (notification_id, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due
+  ON notification_deliveries(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user
+  ON notification_deliveries(user_id, created_at DESC);
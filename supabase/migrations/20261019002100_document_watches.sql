@@ -0,0 +1,14 @@
+-- Documents a user follows: status changes of watched documents are pushed on the notification stream.
+-- The vendor of a document always gets its status changes and does not need a watch.
+
+CREATE TABLE IF NOT EXISTS document_watches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  document_id UUID NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, document_type, document_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_watches_document
+  ON document_watches(document_type, document_id);
@@ -0,0 +1,56 @@
+-- Per-user choice of how notifications reach them.
+-- Notifications are always stored (the in-app inbox); preferences decide whether they are pushed live
+-- (in_app) and/or emailed, per type and per priority. Quiet hours hold emails back until they end;
+-- with a digest on, emails for the chosen priorities are bundled into one daily or weekly message.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  -- { "types": { "<type>": ["in_app", "email"] }, "priorities": { "<priority>": ["in_app"] } }
+  -- A type rule wins over a priority rule; without either every channel is used.
+  channel_rules JSONB NOT NULL DEFAULT '{}'::jsonb,
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  timezone VARCHAR(50) NOT NULL DEFAULT 'Asia/Jakarta',
+  digest_frequency VARCHAR(10) NOT NULL DEFAULT 'off'
+    CHECK (digest_frequency IN ('off', 'daily', 'weekly')),
+  -- Local hour the digest goes out, and the day for weekly digests (0 = Sunday)
+  digest_hour SMALLINT NOT NULL DEFAULT 8 CHECK (digest_hour BETWEEN 0 AND 23),
+  digest_weekday SMALLINT NOT NULL DEFAULT 1 CHECK (digest_weekday BETWEEN 0 AND 6),
+  digest_priorities TEXT[] NOT NULL DEFAULT ARRAY['low', 'medium'],
+  last_digest_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((quiet_hours_start IS NULL) = (quiet_hours_end IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_digest
+  ON notification_preferences(digest_frequency) WHERE digest_frequency <> 'off';
+
+-- One digest message bundling a user's held notifications
+CREATE TABLE IF NOT EXISTS notification_digests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  notification_count INTEGER NOT NULL,
+  period_start TIMESTAMPTZ,
+  period_end TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_digests_user
+  ON notification_digests(user_id, created_at DESC);
+
+-- Notifications held back for the next digest, and the digest that carried them
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS digest_pending BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS digest_id UUID REFERENCES notification_digests(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_digest_pending
+  ON notifications(user_id, created_at) WHERE digest_pending;
+
+-- A delivery sends either one notification or one digest
+ALTER TABLE notification_deliveries ALTER COLUMN notification_id DROP NOT NULL;
+ALTER TABLE notification_deliveries ADD COLUMN IF NOT EXISTS digest_id UUID REFERENCES notification_digests(id) ON DELETE CASCADE;
+ALTER TABLE notification_deliveries ADD CONSTRAINT notification_deliveries_subject_check
+  CHECK (num_nonnulls(notification_id, digest_id) = 1);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_deliveries_digest
+  ON notification_deliveries(digest_id, channel) WHERE digest_id IS NOT NULL;
@@ -0,0 +1,60 @@
+-- Service level targets for documents waiting on someone.
+-- The clock starts when a document enters a status (each approval step restarts it for in_review)
+-- and only runs during business hours; the hours and work days are set through SLA_* env vars,
+-- public holidays come from sla_holidays.
+
+CREATE TABLE IF NOT EXISTS sla_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  status VARCHAR(30) NOT NULL
+    CHECK (status IN ('submitted', 'in_review', 'revision_required', 'approved')),
+  -- Business hours the document may stay in the status
+  target_hours NUMERIC(6, 2) NOT NULL CHECK (target_hours > 0),
+  -- Remind whoever has to act this many business hours before the target; 0 = no reminder
+  reminder_before_hours NUMERIC(6, 2) NOT NULL DEFAULT 0 CHECK (reminder_before_hours >= 0),
+  -- Role escalated to on breach; NULL = roles of the next approval step, or admin
+  escalate_to_role VARCHAR(30),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (document_type, status),
+  CHECK (reminder_before_hours < target_hours)
+);
+
+INSERT INTO sla_policies (document_type, status, target_hours, reminder_before_hours)
+VALUES
+  ('BAPB', 'submitted', 8, 2),
+  ('BAPB', 'in_review', 16, 4),
+  ('BAPP', 'submitted', 8, 2),
+  ('BAPP', 'in_review', 16, 4)
+ON CONFLICT (document_type, status) DO NOTHING;
+
+-- Days the SLA clock does not run
+CREATE TABLE IF NOT EXISTS sla_holidays (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  holiday_date DATE NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Reminders and escalations sent, one of each per stay in a status
+CREATE TABLE IF NOT EXISTS sla_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL CHECK (document_type IN ('BAPB', 'BAPP')),
+  document_id UUID NOT NULL,
+  status VARCHAR(30) NOT NULL,
+  -- When the document entered the status, identifies the stay
+  status_entered_at TIMESTAMPTZ NOT NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('reminder', 'escalation')),
+  policy_id UUID REFERENCES sla_policies(id) ON DELETE SET NULL,
+  due_at TIMESTAMPTZ NOT NULL,
+  recipient_ids UUID[] NOT NULL DEFAULT '{}',
+  escalated_to_roles TEXT[],
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (document_type, document_id, status, status_entered_at, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_events_document
+  ON sla_events(document_type, document_id, created_at DESC);
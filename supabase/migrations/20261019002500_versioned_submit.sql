@@ -0,0 +1,66 @@
+-- Submitting a document stores its immutable version in the same transaction as the status change,
+-- so a submitted document always has the version its approvers are looking at.
+-- apply_document_transition gets an optional version row; the old signature is dropped so
+-- named-argument calls through the API cannot pick the wrong overload.
+
+DROP FUNCTION IF EXISTS apply_document_transition(TEXT, UUID, JSONB, JSONB, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION apply_document_transition(
+  p_document_type TEXT,
+  p_document_id UUID,
+  p_expected JSONB,
+  p_changes JSONB,
+  p_transition JSONB,
+  p_approval JSONB DEFAULT NULL,
+  p_version JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  t RECORD;
+  v_before JSONB;
+  v_after JSONB;
+  v_approval JSONB;
+  v_transition JSONB;
+  v_version JSONB;
+BEGIN
+  SELECT * INTO t FROM document_tables(p_document_type);
+
+  v_before := lock_document_row(t.document_table, p_document_id, p_expected);
+  v_after := update_row_from_jsonb(t.document_table, p_document_id, p_changes);
+
+  IF p_approval IS NOT NULL THEN
+    v_approval := insert_row_from_jsonb(
+      t.approvals_table,
+      p_approval || jsonb_build_object(t.foreign_key, p_document_id)
+    );
+  END IF;
+
+  v_transition := insert_row_from_jsonb(
+    'document_status_transitions',
+    p_transition || jsonb_build_object(
+      'document_type', p_document_type,
+      'document_id', p_document_id,
+      'from_status', v_before ->> 'status',
+      'to_status', v_after ->> 'status'
+    )
+  );
+
+  IF p_version IS NOT NULL THEN
+    v_version := insert_row_from_jsonb(
+      'document_versions',
+      p_version || jsonb_build_object('document_type', p_document_type, 'document_id', p_document_id)
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'before', v_before,
+    'after', v_after,
+    'approval', v_approval,
+    'transition', v_transition,
+    'version', v_version
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION apply_document_transition(TEXT, UUID, JSONB, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_document_transition(TEXT, UUID, JSONB, JSONB, JSONB, JSONB, JSONB) TO service_role;
@@ -0,0 +1,12 @@
+-- A reversal the gateway has not confirmed yet is kept 'pending' and settled later by the gateway
+-- callback or the reconciliation job, like a payout. While it is open the reversed payment is still
+-- settled, so reversal rows must not count as a second live payment of the document.
+
+DROP INDEX IF EXISTS idx_payment_logs_one_live_per_document;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_logs_one_live_per_document
+  ON payment_logs(document_type, document_id)
+  WHERE status IN ('initiated', 'pending', 'settled') AND payment_type <> 'reversal';
+
+-- One open reversal per payment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_logs_one_open_reversal
+  ON payment_logs(reversal_of) WHERE status = 'pending';
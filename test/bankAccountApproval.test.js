@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { startDatabase, insertRow } = require('./support/database');
+
+let database;
+let db;
+let baseUrl;
+let server;
+let users;
+
+const tokenFor = (user) => jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const approve = (account, user, body) => fetch(`${baseUrl}/api/users/${account.vendor_id}/bank-accounts/${account.id}/approve`, {
+  method: 'POST',
+  headers: { Authorization: `Bearer ${tokenFor(user)}`, 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// The account as an admin reviewing the approval list sees it
+const reviewed = async (account) => {
+  const { rows: [row] } = await db.query(
+    "SELECT account_number, to_json(updated_at) #>> '{}' AS updated_at FROM vendor_bank_accounts WHERE id = $1",
+    [account.id]
+  );
+  return { accountNumber: row.account_number, updatedAt: row.updated_at };
+};
+
+const approvalStatus = async (account) =>
+  (await db.query('SELECT approval_status FROM vendor_bank_accounts WHERE id = $1', [account.id])).rows[0].approval_status;
+
+// A verified account waiting for approval, entered by the given user
+const pendingAccount = (accountNumber, enteredBy) => insertRow(db, 'vendor_bank_accounts', {
+  vendor_id: users.vendor.id,
+  bank_code: 'BCA',
+  bank_name: 'Bank Central Asia',
+  account_number: accountNumber,
+  account_holder_name: 'PT Vendor',
+  verification_status: 'verified',
+  approval_status: 'pending',
+  created_by: enteredBy.id,
+  updated_by: enteredBy.id
+});
+
+before(async () => {
+  database = await startDatabase();
+  db = database.db;
+
+  const userRoutes = require('../src/routes/userRoutes');
+  const { errorHandler } = require('../src/utils/errorHandler');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  users = {
+    vendor: await insertRow(db, 'users', { email: 'vendor@example.com', password: 'x', name: 'PT Vendor', role: 'vendor_barang' }),
+    admin: await insertRow(db, 'users', { email: 'admin@example.com', password: 'x', name: 'Admin', role: 'admin' }),
+    otherAdmin: await insertRow(db, 'users', { email: 'admin.2@example.com', password: 'x', name: 'Admin 2', role: 'admin' })
+  };
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.stop();
+});
+
+test('another admin approves the account details they reviewed', async () => {
+  const account = await pendingAccount('1000000001', users.vendor);
+
+  const res = await approve(account, users.admin, await reviewed(account));
+
+  assert.equal(res.status, 200);
+  assert.equal(await approvalStatus(account), 'approved');
+});
+
+test('the details have to be named', async () => {
+  const account = await pendingAccount('1000000002', users.vendor);
+
+  const res = await approve(account, users.admin, {});
+
+  assert.equal(res.status, 400);
+  assert.equal(await approvalStatus(account), 'pending');
+});
+
+test('an admin cannot approve an account they entered or changed', async () => {
+  const entered = await pendingAccount('1000000003', users.admin);
+  const changed = await pendingAccount('1000000004', users.vendor);
+  await db.query('UPDATE vendor_bank_accounts SET updated_by = $1 WHERE id = $2', [users.admin.id, changed.id]);
+
+  for (const account of [entered, changed]) {
+    const res = await approve(account, users.admin, await reviewed(account));
+
+    assert.equal(res.status, 403);
+    assert.equal(await approvalStatus(account), 'pending');
+  }
+});
+
+test('an account changed after the admin reviewed it is not approved', async () => {
+  const account = await pendingAccount('1000000005', users.vendor);
+  const seen = await reviewed(account);
+
+  // The vendor swaps the account number, and it passes verification again, before the admin approves
+  await db.query(
+    "UPDATE vendor_bank_accounts SET account_number = '9999999999', updated_at = NOW() + INTERVAL '1 second' WHERE id = $1",
+    [account.id]
+  );
+
+  const res = await approve(account, users.otherAdmin, seen);
+
+  assert.equal(res.status, 409);
+  assert.equal(await approvalStatus(account), 'pending');
+});
+
+test('a stale review of unchanged details is not approved either', async () => {
+  const account = await pendingAccount('1000000006', users.vendor);
+  const seen = await reviewed(account);
+
+  await db.query("UPDATE vendor_bank_accounts SET updated_at = NOW() + INTERVAL '1 second' WHERE id = $1", [account.id]);
+
+  const res = await approve(account, users.otherAdmin, seen);
+
+  assert.equal(res.status, 409);
+  assert.equal(await approvalStatus(account), 'pending');
+});
@@ -0,0 +1,168 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const createSmtpSink = require('../src/mock/smtpSink');
+const { startDatabase, insertRow } = require('./support/database');
+
+const RETRY_SECONDS = 60;
+const MAX_ATTEMPTS = 3;
+
+let database;
+let db;
+let sink;
+let notificationChannels;
+let users;
+
+// A BAPB submitted for review, as notificationService raises it for a recipient
+const notify = async (user, number) => {
+  const notification = await insertRow(db, 'notifications', {
+    user_id: user.id,
+    type: 'bapb_submitted',
+    title: 'BAPB submitted',
+    message: `BAPB ${number} submitted`,
+    related_document_type: 'BAPB',
+    related_document_number: number,
+    action_url: '/bapb/1',
+    metadata: { orderNumber: 'PO-7' }
+  });
+
+  const [delivery] = await notificationChannels.dispatch(notification);
+  return delivery;
+};
+
+const loadDelivery = async (id) => (await db.query('SELECT * FROM notification_deliveries WHERE id = $1', [id])).rows[0];
+
+// Seconds between now and the next attempt of a delivery
+const secondsUntilNextAttempt = (delivery) => (new Date(delivery.next_attempt_at).getTime() - Date.now()) / 1000;
+
+// Let the delivery job pick a waiting delivery up now
+const makeDue = (delivery) => db.query(
+  "UPDATE notification_deliveries SET next_attempt_at = NOW() - INTERVAL '1 second' WHERE id = $1",
+  [delivery.id]
+);
+
+before(async () => {
+  database = await startDatabase();
+  db = database.db;
+
+  sink = createSmtpSink();
+  const port = await sink.listen(0);
+
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(port);
+  process.env.NOTIFICATION_CHANNELS = 'email';
+  process.env.NOTIFICATION_EMAIL_RETRY_SECONDS = String(RETRY_SECONDS);
+  process.env.NOTIFICATION_EMAIL_MAX_ATTEMPTS = String(MAX_ATTEMPTS);
+
+  notificationChannels = require('../src/services/notificationChannels');
+
+  users = {
+    id: await insertRow(db, 'users', { email: 'pic.id@example.com', password: 'x', name: 'PIC Gudang', role: 'pic_gudang', locale: 'id' }),
+    en: await insertRow(db, 'users', { email: 'pic.en@example.com', password: 'x', name: 'Warehouse PIC', role: 'pic_gudang', locale: 'en' })
+  };
+});
+
+beforeEach(() => {
+  sink.clear();
+});
+
+after(async () => {
+  require('../src/config/mail').getMailTransport().close();
+  await sink.close();
+  await database.stop();
+});
+
+test('sends the Indonesian template to users with locale id', async () => {
+  const delivery = await notify(users.id, 'BAPB/2026/0001');
+
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.locale, 'id');
+  assert.equal(sink.messages.length, 1);
+
+  const [message] = sink.messages;
+  assert.deepEqual(message.to, ['pic.id@example.com']);
+  assert.equal(message.subject, '[BA Digital] BAPB BAPB/2026/0001 menunggu review');
+  assert.match(message.raw, /menunggu pemeriksaan Anda/);
+  assert.match(message.raw, /No\. Order: PO-7/);
+  assert.equal(message.headers['x-notification-id'], delivery.notification_id);
+});
+
+test('sends the English template to users with locale en', async () => {
+  const delivery = await notify(users.en, 'BAPB/2026/0002');
+
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.locale, 'en');
+  assert.equal(sink.messages.length, 1);
+
+  const [message] = sink.messages;
+  assert.deepEqual(message.to, ['pic.en@example.com']);
+  assert.equal(message.subject, '[BA Digital] BAPB BAPB/2026/0002 awaiting review');
+  assert.match(message.raw, /is waiting for your review/);
+  assert.match(message.raw, /Order number: PO-7/);
+});
+
+test('retries a temporary (4xx) failure with a doubling delay until the server takes it', async () => {
+  sink.failNext([{ code: 451, message: '4.3.0 Mailbox busy' }, { code: 421, message: '4.4.2 Try again' }]);
+
+  const first = await notify(users.id, 'BAPB/2026/0003');
+  assert.equal(first.status, 'pending');
+  assert.equal(first.attempts, 1);
+  assert.match(first.last_error, /Mailbox busy/);
+  assert.ok(Math.abs(secondsUntilNextAttempt(first) - RETRY_SECONDS) < 5, first.next_attempt_at);
+
+  // Not due yet - the job leaves it alone
+  assert.equal((await notificationChannels.retryDueDeliveries()).email.checked, 0);
+
+  await makeDue(first);
+  assert.deepEqual((await notificationChannels.retryDueDeliveries()).email, { checked: 1, sent: 0, retrying: 1, failed: 0 });
+
+  const second = await loadDelivery(first.id);
+  assert.equal(second.status, 'pending');
+  assert.equal(second.attempts, 2);
+  assert.ok(Math.abs(secondsUntilNextAttempt(second) - 2 * RETRY_SECONDS) < 5, second.next_attempt_at);
+
+  await makeDue(second);
+  assert.deepEqual((await notificationChannels.retryDueDeliveries()).email, { checked: 1, sent: 1, retrying: 0, failed: 0 });
+
+  const sent = await loadDelivery(first.id);
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.attempts, 3);
+  assert.equal(sent.last_error, null);
+  assert.ok(sent.sent_at);
+  assert.equal(sent.message_id, sink.messages[0].messageId);
+  assert.equal(sink.messages.length, 1);
+});
+
+test('gives up on a temporary failure after the last attempt', async () => {
+  sink.failNext(Array.from({ length: MAX_ATTEMPTS }, () => ({ code: 450, message: '4.2.1 Mailbox unavailable' })));
+
+  let delivery = await notify(users.en, 'BAPB/2026/0004');
+  for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+    await makeDue(delivery);
+    await notificationChannels.retryDueDeliveries();
+    delivery = await loadDelivery(delivery.id);
+  }
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, MAX_ATTEMPTS);
+  assert.match(delivery.last_error, /Mailbox unavailable/);
+  assert.equal(sink.messages.length, 0);
+
+  await makeDue(delivery);
+  assert.equal((await notificationChannels.retryDueDeliveries()).email.checked, 0);
+});
+
+test('treats a permanent (5xx) failure as final without retrying', async () => {
+  sink.failNext([{ code: 550, message: '5.1.1 Mailbox does not exist' }]);
+
+  const delivery = await notify(users.id, 'BAPB/2026/0005');
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.match(delivery.last_error, /Mailbox does not exist/);
+  assert.equal(delivery.sent_at, null);
+
+  await makeDue(delivery);
+  assert.equal((await notificationChannels.retryDueDeliveries()).email.checked, 0);
+  assert.equal((await loadDelivery(delivery.id)).status, 'failed');
+  assert.equal(sink.messages.length, 0);
+});
@@ -0,0 +1,153 @@
+-- Tables the migrations in supabase/migrations build on. They were created in the Supabase project
+-- before migrations were kept in the repository; only the columns the code relies on are listed.
+
+CREATE ROLE anon;
+CREATE ROLE authenticated;
+CREATE ROLE service_role;
+
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  role VARCHAR(30) NOT NULL,
+  phone VARCHAR(30),
+  company VARCHAR(255),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT users_role_check CHECK (role IN ('vendor', 'vendor_barang', 'vendor_jasa', 'pic_gudang', 'admin', 'approver'))
+);
+
+CREATE TABLE bapb (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapb_number VARCHAR(50) NOT NULL UNIQUE,
+  vendor_id UUID NOT NULL REFERENCES users(id),
+  pic_gudang_id UUID REFERENCES users(id),
+  order_number VARCHAR(100),
+  delivery_date DATE,
+  notes TEXT,
+  status VARCHAR(30) NOT NULL DEFAULT 'draft',
+  rejection_reason TEXT,
+  approved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT bapb_status_check CHECK (status IN ('draft', 'submitted', 'in_review', 'approved', 'rejected'))
+);
+
+CREATE TABLE bapb_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapb_id UUID NOT NULL REFERENCES bapb(id) ON DELETE CASCADE,
+  item_name VARCHAR(255) NOT NULL,
+  quantity_ordered NUMERIC(12, 2) NOT NULL,
+  quantity_received NUMERIC(12, 2) NOT NULL,
+  unit VARCHAR(30) NOT NULL,
+  condition VARCHAR(30),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE bapb_approvals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapb_id UUID NOT NULL REFERENCES bapb(id) ON DELETE CASCADE,
+  approver_id UUID REFERENCES users(id),
+  action VARCHAR(30) NOT NULL,
+  notes TEXT,
+  approved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE bapb_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapb_id UUID NOT NULL REFERENCES bapb(id) ON DELETE CASCADE,
+  file_type VARCHAR(50),
+  file_path TEXT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  uploaded_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE bapp (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapp_number VARCHAR(50) NOT NULL UNIQUE,
+  vendor_id UUID NOT NULL REFERENCES users(id),
+  direksi_pekerjaan_id UUID REFERENCES users(id),
+  contract_number VARCHAR(100),
+  project_name VARCHAR(255),
+  project_location VARCHAR(255),
+  start_date DATE,
+  end_date DATE,
+  completion_date DATE,
+  total_progress NUMERIC(5, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  status VARCHAR(30) NOT NULL DEFAULT 'draft',
+  rejection_reason TEXT,
+  approved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT bapp_status_check CHECK (status IN ('draft', 'submitted', 'in_review', 'approved', 'rejected'))
+);
+
+CREATE TABLE bapp_work_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapp_id UUID NOT NULL REFERENCES bapp(id) ON DELETE CASCADE,
+  work_item_name VARCHAR(255) NOT NULL,
+  planned_progress NUMERIC(5, 2) NOT NULL DEFAULT 0,
+  actual_progress NUMERIC(5, 2) NOT NULL DEFAULT 0,
+  unit VARCHAR(30),
+  quality VARCHAR(30),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE bapp_approvals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapp_id UUID NOT NULL REFERENCES bapp(id) ON DELETE CASCADE,
+  approver_id UUID REFERENCES users(id),
+  action VARCHAR(30) NOT NULL,
+  notes TEXT,
+  approved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE bapp_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bapp_id UUID NOT NULL REFERENCES bapp(id) ON DELETE CASCADE,
+  file_type VARCHAR(50),
+  file_path TEXT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  uploaded_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE payment_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type VARCHAR(10) NOT NULL,
+  document_id UUID NOT NULL,
+  document_number VARCHAR(50),
+  vendor_id UUID REFERENCES users(id),
+  amount NUMERIC(18, 2) NOT NULL,
+  payment_method VARCHAR(50),
+  status VARCHAR(20) NOT NULL,
+  transaction_id VARCHAR(100),
+  gateway_response JSONB,
+  processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT payment_logs_status_check CHECK (status IN ('pending', 'success', 'failed'))
+);
+
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  related_document_type VARCHAR(10),
+  related_document_id UUID,
+  related_document_number VARCHAR(50),
+  action_url TEXT,
+  priority VARCHAR(10) NOT NULL DEFAULT 'medium',
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_read BOOLEAN NOT NULL DEFAULT false,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,261 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { startDatabase, insertRow, countRows } = require('./support/database');
+
+const PARALLEL_ATTEMPTS = 5;
+
+let database;
+let db;
+let api;
+let gateway;
+let charges;
+let maker;
+let vendor;
+let contract;
+
+const listen = async (app) => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+const close = ({ server }) => new Promise(resolve => server.close(resolve));
+
+const processPayment = async (documentType, documentId, idempotencyKey) => {
+  const headers = {
+    Authorization: `Bearer ${jwt.sign({ id: maker.id }, process.env.JWT_SECRET, { expiresIn: '1h' })}`,
+    'Content-Type': 'application/json'
+  };
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+  const res = await fetch(`${api.url}/api/payment/${documentType.toLowerCase()}/${documentId}/process`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({})
+  });
+
+  return { status: res.status, replayed: res.headers.get('idempotent-replayed') === 'true', body: await res.json() };
+};
+
+const livePayments = (documentId) =>
+  countRows(db, 'payment_logs', "document_id = $1 AND status IN ('initiated', 'pending', 'settled')", [documentId]);
+
+const chargesFor = (documentType, documentId) =>
+  new Set(charges.filter(charge => charge.metadata[`${documentType.toLowerCase()}Id`] === documentId).map(charge => charge.reference)).size;
+
+// An approved document with a payment request finance checkers released
+const approvedDocument = async (documentType, number) => {
+  const document = documentType === 'BAPB'
+    ? await insertRow(db, 'bapb', { bapb_number: number, vendor_id: vendor.id, order_number: 'PO-1', status: 'approved' })
+    : await insertRow(db, 'bapp', {
+      bapp_number: number,
+      vendor_id: vendor.id,
+      contract_id: contract.id,
+      project_name: 'Warehouse',
+      total_progress: 50,
+      status: 'approved'
+    });
+
+  await insertRow(db, 'payment_requests', {
+    request_number: `PR-${number}`,
+    document_type: documentType,
+    document_id: document.id,
+    document_number: number,
+    vendor_id: vendor.id,
+    amount: documentType === 'BAPB' ? 10000000 : 4750000,
+    status: 'released',
+    required_approvals: 1,
+    approval_count: 1,
+    requested_by: maker.id,
+    released_at: new Date().toISOString()
+  });
+
+  return document;
+};
+
+before(async () => {
+  database = await startDatabase();
+  db = database.db;
+
+  // Count every payout the gateway is asked for
+  const createMockGatewayApp = require('../src/mock/paymentGatewayServer');
+  const gatewayApp = express();
+  gatewayApp.use(express.json());
+  gatewayApp.use((req, res, next) => {
+    if (req.method === 'POST' && req.path === '/v1/payments') charges.push(req.body);
+    next();
+  });
+  gatewayApp.use(createMockGatewayApp({ webhookUrl: null }));
+  gateway = await listen(gatewayApp);
+  process.env.PAYMENT_GATEWAY_URL = gateway.url;
+
+  // Invoices, purchase orders and contract schedules are not what is under test
+  const matchingService = require('../src/services/matchingService');
+  const contractPaymentService = require('../src/services/contractPaymentService');
+  matchingService.matchBAPB = async (bapb) => ({
+    matched: true,
+    blockers: [],
+    totals: { invoiceSubtotal: 10000000, taxAmount: 0 },
+    invoice: { id: bapb.id, invoiceNumber: `INV-${bapb.bapb_number}` }
+  });
+  contractPaymentService.calculateTermin = async (bapp) => ({
+    blockers: [],
+    contractId: bapp.contract_id,
+    contractNumber: contract.contract_number,
+    termNumber: 1,
+    termName: 'Termin 1',
+    progressFrom: 0,
+    progressTo: 50,
+    grossAmount: 5000000,
+    retentionPercent: 5,
+    retentionAmount: 250000,
+    netAmount: 4750000
+  });
+
+  const paymentRoutes = require('../src/routes/paymentRoutes');
+  const { errorHandler } = require('../src/utils/errorHandler');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payment', paymentRoutes);
+  app.use(errorHandler);
+  api = await listen(app);
+
+  maker = await insertRow(db, 'users', { email: 'maker@example.com', password: 'x', name: 'Finance Maker', role: 'finance_maker' });
+  vendor = await insertRow(db, 'users', { email: 'vendor@example.com', password: 'x', name: 'PT Vendor', role: 'vendor_jasa' });
+
+  await insertRow(db, 'vendor_tax_profiles', { vendor_id: vendor.id, is_pkp: false, supply_type: 'goods' });
+  await insertRow(db, 'vendor_bank_accounts', {
+    vendor_id: vendor.id,
+    bank_code: 'BCA',
+    bank_name: 'Bank Central Asia',
+    account_number: '1234567890',
+    account_holder_name: 'PT Vendor',
+    is_primary: true,
+    approval_status: 'approved'
+  });
+  contract = await insertRow(db, 'contracts', {
+    contract_number: 'CTR-2026-001',
+    vendor_id: vendor.id,
+    project_name: 'Warehouse',
+    start_date: '2026-01-01',
+    end_date: '2026-12-31',
+    contract_value: 10000000
+  });
+});
+
+beforeEach(() => {
+  charges = [];
+});
+
+after(async () => {
+  await close(api);
+  await close(gateway);
+  await database.stop();
+});
+
+for (const documentType of ['BAPB', 'BAPP']) {
+  describe(`POST /api/payment/${documentType.toLowerCase()}/:id/process`, () => {
+    test('parallel requests with the same Idempotency-Key pay once', async () => {
+      const document = await approvedDocument(documentType, `${documentType}/PAR/KEY`);
+
+      const responses = await Promise.all(
+        Array.from({ length: PARALLEL_ATTEMPTS }, () => processPayment(documentType, document.id, `pay-${document.id}`))
+      );
+
+      const paid = responses.filter(res => res.status === 200);
+      assert.ok(paid.length >= 1, JSON.stringify(responses));
+      assert.equal(new Set(paid.map(res => res.body.data.paymentId)).size, 1);
+      assert.ok(responses.every(res => res.status === 200 || res.status === 409), JSON.stringify(responses));
+      assert.equal(await livePayments(document.id), 1);
+      assert.equal(chargesFor(documentType, document.id), 1);
+
+      // The retry after the race replays the payment instead of a conflict
+      const retry = await processPayment(documentType, document.id, `pay-${document.id}`);
+      assert.equal(retry.status, 200);
+      assert.equal(retry.replayed, true);
+      assert.equal(retry.body.data.paymentId, paid[0].body.data.paymentId);
+    });
+
+    test('parallel requests without an Idempotency-Key pay once', async () => {
+      const document = await approvedDocument(documentType, `${documentType}/PAR/NOKEY`);
+
+      const responses = await Promise.all(
+        Array.from({ length: PARALLEL_ATTEMPTS }, () => processPayment(documentType, document.id))
+      );
+
+      assert.equal(responses.filter(res => res.status === 200).length, 1, JSON.stringify(responses));
+      assert.ok(responses.every(res => res.status === 200 || res.status === 409), JSON.stringify(responses));
+      assert.equal(await livePayments(document.id), 1);
+      assert.equal(chargesFor(documentType, document.id), 1);
+    });
+
+    test('a conflict with a payment in progress is not replayed', async () => {
+      const document = await approvedDocument(documentType, `${documentType}/LOCKED`);
+      await db.query(
+        'SELECT acquire_payment_lock($1, $2, gen_random_uuid(), NULL, 120)',
+        [documentType, document.id]
+      );
+
+      const conflict = await processPayment(documentType, document.id, `locked-${document.id}`);
+      assert.equal(conflict.status, 409);
+      assert.match(conflict.body.message, /already in progress/);
+      assert.equal(await countRows(db, 'idempotency_keys', 'idempotency_key = $1', [`locked-${document.id}`]), 0);
+
+      await db.query('DELETE FROM payment_locks WHERE document_id = $1', [document.id]);
+
+      const retry = await processPayment(documentType, document.id, `locked-${document.id}`);
+      assert.equal(retry.status, 200);
+      assert.equal(retry.replayed, false);
+      assert.equal(await livePayments(document.id), 1);
+      assert.equal(chargesFor(documentType, document.id), 1);
+    });
+  });
+}
+
+test('a key left processing by a process that died is taken over', async () => {
+  const document = await approvedDocument('BAPB', 'BAPB/ABANDONED');
+  const key = `abandoned-${document.id}`;
+  const path = `/api/payment/bapb/${document.id}/process`;
+
+  await insertRow(db, 'idempotency_keys', {
+    idempotency_key: key,
+    user_id: maker.id,
+    method: 'POST',
+    path,
+    request_hash: require('crypto').createHash('sha256').update(`POST\n${path}\n{}`).digest('hex'),
+    status: 'processing',
+    created_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    expires_at: new Date(Date.now() + 23 * 60 * 60 * 1000).toISOString()
+  });
+
+  const res = await processPayment('BAPB', document.id, key);
+
+  assert.equal(res.status, 200);
+  assert.equal(await livePayments(document.id), 1);
+  assert.equal(chargesFor('BAPB', document.id), 1);
+});
+
+test('a key still being processed is not taken over', async () => {
+  const document = await approvedDocument('BAPB', 'BAPB/PROCESSING');
+  const key = `processing-${document.id}`;
+  const path = `/api/payment/bapb/${document.id}/process`;
+
+  await insertRow(db, 'idempotency_keys', {
+    idempotency_key: key,
+    user_id: maker.id,
+    method: 'POST',
+    path,
+    request_hash: require('crypto').createHash('sha256').update(`POST\n${path}\n{}`).digest('hex'),
+    status: 'processing',
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  const res = await processPayment('BAPB', document.id, key);
+
+  assert.equal(res.status, 409);
+  assert.match(res.body.message, /still being processed/);
+  assert.equal(await livePayments(document.id), 0);
+  assert.equal(charges.length, 0);
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { startDatabase, insertRow } = require('./support/database');
+
+let database;
+let baseUrl;
+let server;
+let users;
+let bapbOfVendorB;
+
+const tokenFor = (user) => jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const getLogs = (documentId, user) => fetch(`${baseUrl}/api/payment/bapb/${documentId}/logs?type=BAPB`, {
+  headers: { Authorization: `Bearer ${tokenFor(user)}` }
+});
+
+before(async () => {
+  database = await startDatabase();
+
+  const paymentRoutes = require('../src/routes/paymentRoutes');
+  const { errorHandler } = require('../src/utils/errorHandler');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payment', paymentRoutes);
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  users = {};
+  for (const role of ['vendor_barang', 'finance_checker', 'approver']) {
+    users[role] = await insertRow(database.db, 'users', {
+      email: `${role}@example.com`,
+      password: 'x',
+      name: role,
+      role
+    });
+  }
+  users.vendorB = await insertRow(database.db, 'users', {
+    email: 'vendor.b@example.com',
+    password: 'x',
+    name: 'Vendor B',
+    role: 'vendor_barang',
+    company: 'PT Vendor B'
+  });
+
+  bapbOfVendorB = await insertRow(database.db, 'bapb', {
+    bapb_number: 'BAPB/2026/0001',
+    vendor_id: users.vendorB.id,
+    status: 'paid'
+  });
+
+  // As executePayment stores it: the beneficiary in the metadata, the gateway echoing it back
+  const beneficiary = {
+    bankCode: 'BCA',
+    bankName: 'Bank Central Asia',
+    accountNumber: '1234567890',
+    accountName: 'PT Vendor B'
+  };
+  await insertRow(database.db, 'payment_logs', {
+    document_type: 'BAPB',
+    document_id: bapbOfVendorB.id,
+    document_number: bapbOfVendorB.bapb_number,
+    vendor_id: users.vendorB.id,
+    amount: 9800000,
+    status: 'settled',
+    transaction_id: 'TRX-0001',
+    gateway: 'mock',
+    metadata: { beneficiary },
+    gateway_response: {
+      status: 'settled',
+      gatewayReference: 'GW-0001',
+      raw: { id: 'GW-0001', status: 'settled', beneficiary }
+    }
+  });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.stop();
+});
+
+test('vendors cannot read the payment logs of another vendor\'s document', async () => {
+  const res = await getLogs(bapbOfVendorB.id, users.vendor_barang);
+
+  assert.equal(res.status, 403);
+});
+
+test('roles outside finance and vendors cannot read payment logs', async () => {
+  const res = await getLogs(bapbOfVendorB.id, users.approver);
+
+  assert.equal(res.status, 403);
+});
+
+test('payment logs of an unknown document are not found', async () => {
+  const res = await getLogs('00000000-0000-4000-8000-000000000000', users.finance_checker);
+
+  assert.equal(res.status, 404);
+});
+
+for (const reader of ['vendorB', 'finance_checker']) {
+  test(`${reader} reads the logs with the account number masked and no raw gateway answer`, async () => {
+    const res = await getLogs(bapbOfVendorB.id, users[reader]);
+
+    assert.equal(res.status, 200);
+    const { data: [log] } = await res.json();
+    assert.equal(log.beneficiary.accountNumber, '****7890');
+    assert.equal(log.beneficiary.bankCode, 'BCA');
+    assert.deepEqual(log.gatewayResponse, { status: 'settled', gatewayReference: 'GW-0001' });
+    assert.doesNotMatch(JSON.stringify(log), /1234567890/);
+  });
+}
@@ -0,0 +1,184 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { startDatabase, insertRow, countRows } = require('./support/database');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+let database;
+let db;
+let api;
+let gateway;
+let paymentService;
+let unansweredReversals;
+let admin;
+let vendor;
+
+const listen = async (app) => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+const close = ({ server }) => new Promise(resolve => server.close(resolve));
+
+const reverse = async (payment) => {
+  const res = await fetch(`${api.url}/api/payment/logs/${payment.id}/reverse`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${jwt.sign({ id: admin.id }, process.env.JWT_SECRET, { expiresIn: '1h' })}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ reason: 'Paid to the wrong account' })
+  });
+
+  return { status: res.status, body: await res.json() };
+};
+
+const loadLog = async (id) => (await db.query('SELECT * FROM payment_logs WHERE id = $1', [id])).rows[0];
+
+const reversalOf = async (payment) =>
+  (await db.query("SELECT * FROM payment_logs WHERE reversal_of = $1 AND payment_type = 'reversal'", [payment.id])).rows[0];
+
+// A paid BAPB whose payout the gateway settled
+const settledPayment = async (number) => {
+  const bapb = await insertRow(db, 'bapb', { bapb_number: number, vendor_id: vendor.id, order_number: 'PO-1', status: 'paid' });
+  const reference = `PAY-${bapb.id}`;
+
+  const res = await fetch(`${gateway.url}/v1/payments`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reference, amount: 10000000 })
+  });
+  const payout = await res.json();
+
+  return await insertRow(db, 'payment_logs', {
+    document_type: 'BAPB',
+    document_id: bapb.id,
+    document_number: number,
+    vendor_id: vendor.id,
+    amount: 10000000,
+    status: 'settled',
+    gateway: 'http',
+    gateway_reference: reference,
+    transaction_id: payout.id,
+    settled_at: new Date().toISOString()
+  });
+};
+
+// A status callback of the gateway, signed the way HttpPaymentGateway checks it
+const gatewayCallback = (payment) => {
+  const body = Buffer.from(JSON.stringify({
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: 'payment.updated',
+    data: { id: payment.transaction_id, reference: payment.gateway_reference, amount: 10000000, status: 'reversed' }
+  }));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+  return paymentService.handleGatewayWebhook('http', { 'x-gateway-timestamp': timestamp, 'x-gateway-signature': signature }, body);
+};
+
+before(async () => {
+  database = await startDatabase();
+  db = database.db;
+
+  // The gateway makes the reversal but its answer is lost, so the outcome is unknown to us
+  const createMockGatewayApp = require('../src/mock/paymentGatewayServer');
+  const gatewayApp = express();
+  gatewayApp.use(express.json());
+  gatewayApp.use((req, res, next) => {
+    if (unansweredReversals > 0 && req.method === 'POST' && req.path.endsWith('/reversals')) {
+      unansweredReversals--;
+      res.json = () => res.status(503).end();
+    }
+    next();
+  });
+  gatewayApp.use(createMockGatewayApp({ webhookUrl: null }));
+  gateway = await listen(gatewayApp);
+  process.env.PAYMENT_GATEWAY_URL = gateway.url;
+  process.env.PAYMENT_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+  paymentService = require('../src/services/paymentService');
+
+  const paymentRoutes = require('../src/routes/paymentRoutes');
+  const { errorHandler } = require('../src/utils/errorHandler');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payment', paymentRoutes);
+  app.use(errorHandler);
+  api = await listen(app);
+
+  admin = await insertRow(db, 'users', { email: 'admin@example.com', password: 'x', name: 'Admin', role: 'admin' });
+  vendor = await insertRow(db, 'users', { email: 'vendor@example.com', password: 'x', name: 'PT Vendor', role: 'vendor_barang' });
+});
+
+beforeEach(() => {
+  unansweredReversals = 0;
+});
+
+after(async () => {
+  await close(api);
+  await close(gateway);
+  await database.stop();
+});
+
+test('a reversal the gateway confirms right away reverses the payment', async () => {
+  const payment = await settledPayment('BAPB/REV/0001');
+
+  const res = await reverse(payment);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, 'Payment reversed');
+  assert.equal((await reversalOf(payment)).status, 'reversed');
+  assert.equal((await loadLog(payment.id)).status, 'reversed');
+});
+
+test('a reversal with an unknown outcome stays pending and the reconciliation job settles it', async () => {
+  const payment = await settledPayment('BAPB/REV/0002');
+  unansweredReversals = 1;
+
+  const res = await reverse(payment);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, 'Reversal submitted - waiting for the gateway to confirm it');
+  assert.equal(res.body.data.reversal.status, 'pending');
+  assert.equal((await loadLog(payment.id)).status, 'settled');
+
+  // A second reversal is not sent while the first one is open
+  const again = await reverse(payment);
+  assert.equal(again.status, 409);
+  assert.equal(await countRows(db, 'payment_logs', 'reversal_of = $1', [payment.id]), 1);
+
+  const summary = await paymentService.reconcileOpenPayments({ olderThanMinutes: 0 });
+  assert.equal(summary.reversed, 1);
+
+  const reversal = await reversalOf(payment);
+  assert.equal(reversal.status, 'reversed');
+  assert.match(reversal.transaction_id, /^MGR-/);
+
+  const reversed = await loadLog(payment.id);
+  assert.equal(reversed.status, 'reversed');
+  assert.equal(reversed.reversal_reason, 'Paid to the wrong account');
+  assert.equal(reversed.reversed_by, admin.id);
+  assert.equal(await countRows(db, 'bapb', "id = $1 AND status = 'approved'", [payment.document_id]), 1);
+});
+
+test('a pending reversal is settled by the gateway callback of the reversed payment', async () => {
+  const payment = await settledPayment('BAPB/REV/0003');
+  unansweredReversals = 1;
+
+  await reverse(payment);
+  assert.equal((await reversalOf(payment)).status, 'pending');
+
+  const result = await gatewayCallback(payment);
+
+  assert.equal(result.outcome, 'applied');
+  assert.equal((await reversalOf(payment)).status, 'reversed');
+
+  const reversed = await loadLog(payment.id);
+  assert.equal(reversed.status, 'reversed');
+  assert.equal(reversed.reversed_by, admin.id);
+});
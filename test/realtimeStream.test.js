@@ -0,0 +1,88 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { startDatabase, insertRow } = require('./support/database');
+
+const REPLAY_WINDOW_MS = 15 * 60 * 1000;
+
+let database;
+let server;
+let baseUrl;
+let realtimeService;
+let user;
+
+before(async () => {
+  database = await startDatabase();
+
+  realtimeService = require('../src/services/realtimeService');
+
+  const notificationRoutes = require('../src/routes/notificationRoutes');
+  const { errorHandler } = require('../src/utils/errorHandler');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', notificationRoutes);
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  user = await insertRow(database.db, 'users', { email: 'approver@example.com', password: 'x', name: 'Approver', role: 'approver' });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.stop();
+});
+
+describe('POST /api/notifications/watches', () => {
+  const watch = (body) => fetch(`${baseUrl}/api/notifications/watches`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' })}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  test('rejects a documentId that is not a UUID', async () => {
+    const res = await watch({ documentType: 'BAPB', documentId: 'not-a-uuid' });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'Invalid documentId format');
+  });
+
+  test('answers 404 for a document that does not exist', async () => {
+    const res = await watch({ documentType: 'BAPB', documentId: '00000000-0000-4000-8000-000000000000' });
+
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('replay buffers', () => {
+  test('are dropped once all their events are past the replay window', () => {
+    let now = Date.now() + 60 * 60 * 1000;
+    mock.method(Date, 'now', () => now);
+
+    try {
+      realtimeService.publish(['user-gone'], 'notification', { n: 1 });
+      const lastSeen = `${realtimeService.epoch}-${realtimeService.sequence}`;
+      realtimeService.publish(['user-gone'], 'notification', { n: 2 });
+      assert.ok(realtimeService.buffers.has('user-gone'));
+
+      // Someone else gets an event after user-gone's events expired
+      now += REPLAY_WINDOW_MS + 2 * 60 * 1000;
+      realtimeService.publish(['user-active'], 'notification', { n: 3 });
+
+      assert.equal(realtimeService.buffers.has('user-gone'), false);
+      assert.ok(realtimeService.buffers.has('user-active'));
+
+      // A client that saw only the first event can no longer be told what it missed
+      assert.deepEqual(realtimeService.replay('user-gone', lastSeen), { events: [], reset: true });
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
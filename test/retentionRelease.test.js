@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase, insertRow } = require('./support/database');
+
+let database;
+let db;
+let contractPaymentService;
+let vendor;
+let contract;
+
+// A settled termin of the contract, 5% of its gross held back
+const payTermin = async (progressFrom, progressTo) => {
+  const grossAmount = 10000000 * (progressTo - progressFrom) / 100;
+  const bapp = await insertRow(db, 'bapp', {
+    bapp_number: `BAPP/2026/${progressTo}`,
+    vendor_id: vendor.id,
+    contract_id: contract.id,
+    project_name: 'Warehouse',
+    total_progress: progressTo,
+    status: 'approved'
+  });
+
+  return await insertRow(db, 'payment_logs', {
+    document_type: 'BAPP',
+    document_id: bapp.id,
+    document_number: bapp.bapp_number,
+    vendor_id: vendor.id,
+    contract_id: contract.id,
+    payment_type: 'termin',
+    progress_from: progressFrom,
+    progress_to: progressTo,
+    gross_amount: grossAmount,
+    retention_amount: grossAmount * 0.05,
+    amount: grossAmount * 0.95,
+    status: 'settled',
+    transaction_id: `TRX-${progressTo}`
+  });
+};
+
+before(async () => {
+  database = await startDatabase();
+  db = database.db;
+
+  contractPaymentService = require('../src/services/contractPaymentService');
+
+  vendor = await insertRow(db, 'users', { email: 'vendor@example.com', password: 'x', name: 'PT Vendor', role: 'vendor_jasa' });
+  contract = await insertRow(db, 'contracts', {
+    contract_number: 'CTR-2025-001',
+    vendor_id: vendor.id,
+    project_name: 'Warehouse',
+    start_date: '2025-01-01',
+    end_date: '2025-06-30',
+    contract_value: 10000000,
+    retention_percent: 5,
+    maintenance_period_days: 90
+  });
+});
+
+after(async () => {
+  await database.stop();
+});
+
+test('retention is not released while termins are still to be paid', async () => {
+  await payTermin(0, 50);
+
+  const release = await contractPaymentService.checkRetentionRelease(contract.id);
+
+  assert.equal(release.ready, false);
+  assert.deepEqual(release.blockers, [
+    'Termins are paid up to 50% of the contract - retention is released after the last termin'
+  ]);
+});
+
+test('retention of every termin is released once the last termin is paid', async () => {
+  await payTermin(50, 100);
+
+  const release = await contractPaymentService.checkRetentionRelease(contract.id);
+
+  assert.equal(release.ready, true);
+  assert.deepEqual(release.blockers, []);
+  assert.equal(release.amount, 500000);
+});
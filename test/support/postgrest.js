@@ -0,0 +1,483 @@
+const http = require('http');
+
+/**
+ * Minimal PostgREST in front of a PGlite database, so supabase-js and the repositories run unchanged
+ * against the real schema and SQL functions.
+ *
+ * Covers what the repositories use: column selection with embedded resources (alias:table!hint!inner),
+ * the filter operators, or/and groups, order/limit/offset, exact counts, single-object responses,
+ * insert/upsert/update/delete with return=representation and POST /rpc calls.
+ * Errors come back in PostgREST's shape ({ code, message, details, hint }) with the Postgres error code.
+ */
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// a->b->>c style column references
+const columnSql = (column) => {
+  const parts = column.split(/(->>?)/);
+  let sql = quoteIdent(parts[0]);
+  for (let i = 1; i < parts.length; i += 2) {
+    const key = parts[i + 1];
+    sql += `${parts[i]}${/^\d+$/.test(key) ? key : `'${key.replace(/'/g, "''")}'`}`;
+  }
+  return sql;
+};
+
+// Split on commas outside parentheses and double quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current !== '') parts.push(current);
+  return parts;
+};
+
+const unquote = (value) => (value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\"/g, '"') : value);
+
+/**
+ * Parse a select parameter into { columns: [{ name, alias }], star, embeds: [{ alias, table, hint, inner, select }] }
+ */
+const parseSelect = (text) => {
+  const select = { star: false, columns: [], embeds: [] };
+
+  splitTopLevel(text || '*').forEach(item => {
+    const open = item.indexOf('(');
+    if (open !== -1 && item.endsWith(')')) {
+      const head = item.slice(0, open);
+      const [alias, target] = head.includes(':') ? head.split(':') : [null, head];
+      const [table, ...modifiers] = target.split('!');
+      select.embeds.push({
+        alias: alias || table,
+        table,
+        hint: modifiers.find(modifier => modifier !== 'inner' && modifier !== 'left') || null,
+        inner: modifiers.includes('inner'),
+        select: parseSelect(item.slice(open + 1, -1))
+      });
+      return;
+    }
+
+    if (item === '*') {
+      select.star = true;
+      return;
+    }
+
+    const [alias, column] = item.includes(':') ? item.split(':') : [null, item];
+    const name = column.split('::')[0];
+    select.columns.push({ name, alias: alias || name.split(/->>?/).pop() });
+  });
+
+  return select;
+};
+
+class Query {
+  constructor() {
+    this.params = [];
+  }
+
+  param(value) {
+    this.params.push(value);
+    return `$${this.params.length}`;
+  }
+
+  /**
+   * SQL condition of one "operator.value" filter on a column
+   */
+  condition(column, expression) {
+    let negate = false;
+    let rest = expression;
+    if (rest.startsWith('not.')) {
+      negate = true;
+      rest = rest.slice(4);
+    }
+
+    const dot = rest.indexOf('.');
+    const operator = rest.slice(0, dot);
+    const value = rest.slice(dot + 1);
+    const target = columnSql(column);
+    let sql;
+
+    switch (operator) {
+      case 'eq': sql = `${target} = ${this.param(value)}`; break;
+      case 'neq': sql = `${target} <> ${this.param(value)}`; break;
+      case 'gt': sql = `${target} > ${this.param(value)}`; break;
+      case 'gte': sql = `${target} >= ${this.param(value)}`; break;
+      case 'lt': sql = `${target} < ${this.param(value)}`; break;
+      case 'lte': sql = `${target} <= ${this.param(value)}`; break;
+      case 'like': sql = `${target}::text LIKE ${this.param(value.replace(/\*/g, '%'))}`; break;
+      case 'ilike': sql = `${target}::text ILIKE ${this.param(value.replace(/\*/g, '%'))}`; break;
+      case 'is': sql = `${target} IS ${{ null: 'NULL', true: 'TRUE', false: 'FALSE' }[value.toLowerCase()] || 'UNKNOWN'}`; break;
+      case 'isdistinct': sql = `${target} IS DISTINCT FROM ${this.param(value)}`; break;
+      case 'in': {
+        const values = splitTopLevel(value.replace(/^\(|\)$/g, '')).map(unquote);
+        sql = values.length === 0 ? 'FALSE' : `${target} IN (${values.map(v => this.param(v)).join(', ')})`;
+        break;
+      }
+      case 'cs': sql = `${target} @> ${this.param(value)}`; break;
+      case 'cd': sql = `${target} <@ ${this.param(value)}`; break;
+      case 'ov': sql = `${target} && ${this.param(value)}`; break;
+      default:
+        throw Object.assign(new Error(`Unsupported filter operator: ${operator}`), { code: 'PGRST100', status: 400 });
+    }
+
+    return negate ? `NOT (${sql})` : sql;
+  }
+
+  /**
+   * SQL of an or=(...) / and=(...) group
+   */
+  group(joiner, text) {
+    const conditions = splitTopLevel(text.replace(/^\(|\)$/g, '')).map(part => {
+      const nested = part.match(/^(not\.)?(and|or)(\(.*\))$/);
+      if (nested) {
+        const sql = this.group(nested[2] === 'and' ? 'AND' : 'OR', nested[3]);
+        return nested[1] ? `NOT ${sql}` : sql;
+      }
+      const [column, ...expression] = part.split('.');
+      return this.condition(column, expression.join('.'));
+    });
+    return `(${conditions.join(` ${joiner} `)})`;
+  }
+
+  where(filters) {
+    const conditions = filters.map(([key, value]) => {
+      if (key === 'or' || key === 'and') return this.group(key.toUpperCase(), value);
+      return this.condition(key, value);
+    });
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  }
+}
+
+const orderSql = (order) => {
+  if (!order) return '';
+  const terms = order.split(',').map(term => {
+    const [column, ...modifiers] = term.split('.');
+    const direction = modifiers.includes('desc') ? 'DESC' : 'ASC';
+    const nulls = modifiers.includes('nullsfirst') ? ' NULLS FIRST' : modifiers.includes('nullslast') ? ' NULLS LAST' : '';
+    return `${columnSql(column)} ${direction}${nulls}`;
+  });
+  return ` ORDER BY ${terms.join(', ')}`;
+};
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'columns', 'on_conflict'];
+
+/**
+ * Split query parameters into the request's own filters/options and those of each embedded resource
+ */
+const splitParams = (searchParams) => {
+  const own = { filters: [], options: {} };
+  const embedded = {};
+
+  for (const [key, value] of searchParams) {
+    const dot = key.lastIndexOf('.');
+    const isEmbedded = dot !== -1 && !key.includes('->');
+    const path = isEmbedded ? key.slice(0, dot) : null;
+    const name = isEmbedded ? key.slice(dot + 1) : key;
+    const target = isEmbedded ? (embedded[path] = embedded[path] || { filters: [], options: {} }) : own;
+
+    if (RESERVED_PARAMS.includes(name)) {
+      target.options[name] = value;
+    } else {
+      target.filters.push([name, value]);
+    }
+  }
+
+  return { own, embedded };
+};
+
+const httpStatus = (code) => {
+  if (!code) return 400;
+  if (code === 'PGRST116') return 406;
+  if (['23505', '23503', '40001'].includes(code)) return 409;
+  if (code === 'P0002' || code === '42P01' || code === '42883') return 404;
+  if (code === '42501') return 403;
+  return 400;
+};
+
+/**
+ * Start the server
+ * @param {PGlite} db
+ * @returns {object} { url, close }
+ */
+const startPostgrest = async (db) => {
+  const foreignKeys = (await db.query(`
+    SELECT c.conname AS name, src.relname AS "table", a.attname AS "column",
+           dst.relname AS ref_table, ra.attname AS ref_column
+    FROM pg_constraint c
+    JOIN pg_class src ON src.oid = c.conrelid
+    JOIN pg_class dst ON dst.oid = c.confrelid
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+    JOIN pg_attribute ra ON ra.attrelid = c.confrelid AND ra.attnum = c.confkey[1]
+    WHERE c.contype = 'f' AND cardinality(c.conkey) = 1
+  `)).rows;
+
+  const relation = (table, embed) => {
+    let candidates = [
+      ...foreignKeys.filter(fk => fk.table === table && fk.ref_table === embed.table)
+        .map(fk => ({ fk, many: false, localColumn: fk.column, remoteColumn: fk.ref_column })),
+      ...foreignKeys.filter(fk => fk.table === embed.table && fk.ref_table === table)
+        .map(fk => ({ fk, many: true, localColumn: fk.ref_column, remoteColumn: fk.column }))
+    ];
+
+    if (embed.hint) {
+      candidates = candidates.filter(c => c.fk.name === embed.hint || c.fk.column === embed.hint);
+    }
+    if (candidates.length !== 1) {
+      throw Object.assign(
+        new Error(`Could not embed '${embed.table}' in '${table}' (${candidates.length} relationships)`),
+        { code: candidates.length === 0 ? 'PGRST200' : 'PGRST201' }
+      );
+    }
+    return candidates[0];
+  };
+
+  const queryRows = async (sql, params) => {
+    const result = await db.query(`SELECT coalesce(jsonb_agg(to_jsonb(r)), '[]'::jsonb) AS rows FROM (${sql}) r`, params);
+    return result.rows[0].rows;
+  };
+
+  /**
+   * Apply the select list to rows of a table: embed related rows, then keep the selected columns
+   * @returns {array} rows left after !inner embeds
+   */
+  const shape = async (table, rows, select, embeddedParams, path = '') => {
+    const embeddedValues = rows.map(() => ({}));
+    let keep = rows.map(() => true);
+
+    for (const embed of select.embeds) {
+      const { many, localColumn, remoteColumn } = relation(table, embed);
+      const embedPath = path ? `${path}.${embed.alias}` : embed.alias;
+      const params = embeddedParams[embedPath] || embeddedParams[path ? `${path}.${embed.table}` : embed.table]
+        || { filters: [], options: {} };
+
+      const keys = [...new Set(rows.map(row => row[localColumn]).filter(value => value !== null && value !== undefined))];
+      let related = [];
+      if (keys.length > 0) {
+        const query = new Query();
+        const where = query.where([...params.filters, [remoteColumn, `in.(${keys.map(key => `"${key}"`).join(',')})`]]);
+        related = await queryRows(`SELECT * FROM ${quoteIdent(embed.table)}${where}${orderSql(params.options.order)}`, query.params);
+        related = await shape(embed.table, related, { ...embed.select, keepColumns: [remoteColumn] }, embeddedParams, embedPath);
+      }
+
+      rows.forEach((row, index) => {
+        const matches = related.filter(item => String(item.__key) === String(row[localColumn]));
+        const clean = matches.map(({ __key, ...item }) => item);
+        let value;
+        if (many) {
+          const offset = parseInt(params.options.offset, 10) || 0;
+          value = params.options.limit ? clean.slice(offset, offset + parseInt(params.options.limit, 10)) : clean;
+          if (embed.inner && value.length === 0) keep[index] = false;
+        } else {
+          value = clean[0] || null;
+          if (embed.inner && value === null) keep[index] = false;
+        }
+        embeddedValues[index][embed.alias] = value;
+      });
+    }
+
+    const keyColumn = select.keepColumns ? select.keepColumns[0] : null;
+
+    return rows
+      .map((row, index) => {
+        const shaped = select.star || (select.columns.length === 0 && select.embeds.length === 0) ? { ...row } : {};
+        select.columns.forEach(({ name, alias }) => {
+          const parts = name.split(/->>?/);
+          let value = row[parts[0]];
+          parts.slice(1).forEach(key => { value = value === null || value === undefined ? null : value[key]; });
+          if (parts.length > 1 && name.includes('->>') && value !== null && typeof value === 'object') value = JSON.stringify(value);
+          shaped[alias] = value === undefined ? null : value;
+        });
+        Object.assign(shaped, embeddedValues[index]);
+        if (keyColumn) shaped.__key = row[keyColumn];
+        return shaped;
+      })
+      .filter((_, index) => keep[index]);
+  };
+
+  const hasInner = (select) => select.embeds.some(embed => embed.inner || hasInner(embed.select));
+
+  const read = async (table, url, headers, method) => {
+    const { own, embedded } = splitParams(url.searchParams);
+    const select = parseSelect(own.options.select);
+    const query = new Query();
+    const where = query.where(own.filters);
+    const limit = own.options.limit ? parseInt(own.options.limit, 10) : null;
+    const offset = own.options.offset ? parseInt(own.options.offset, 10) : 0;
+    const countRequested = /count=(exact|planned|estimated)/.test(headers.prefer || '');
+
+    let rows;
+    let total;
+    if (hasInner(select)) {
+      // Inner embeds filter parents, so paging happens after embedding
+      const all = await shape(table, await queryRows(`SELECT * FROM ${quoteIdent(table)}${where}${orderSql(own.options.order)}`, query.params), select, embedded);
+      total = all.length;
+      rows = limit !== null ? all.slice(offset, offset + limit) : all.slice(offset);
+    } else {
+      const paging = `${limit !== null ? ` LIMIT ${limit}` : ''}${offset ? ` OFFSET ${offset}` : ''}`;
+      rows = await shape(table, await queryRows(`SELECT * FROM ${quoteIdent(table)}${where}${orderSql(own.options.order)}${paging}`, query.params), select, embedded);
+      if (countRequested) {
+        total = (await db.query(`SELECT count(*)::int AS total FROM ${quoteIdent(table)}${where}`, query.params)).rows[0].total;
+      }
+    }
+
+    return { rows, total, method };
+  };
+
+  const write = async (method, table, url, headers, body) => {
+    const { own, embedded } = splitParams(url.searchParams);
+    const query = new Query();
+    let sql;
+
+    if (method === 'POST') {
+      const records = Array.isArray(body) ? body : [body];
+      const columns = own.options.columns
+        ? splitTopLevel(own.options.columns).map(unquote)
+        : [...new Set(records.flatMap(record => Object.keys(record)))];
+      const list = columns.map(quoteIdent).join(', ');
+      const source = query.param(JSON.stringify(records));
+
+      let conflict = '';
+      const resolution = (headers.prefer || '').match(/resolution=(merge|ignore)-duplicates/);
+      if (resolution) {
+        const target = own.options.on_conflict ? own.options.on_conflict.split(',').map(quoteIdent).join(', ') : '"id"';
+        conflict = resolution[1] === 'ignore'
+          ? ` ON CONFLICT (${target}) DO NOTHING`
+          : ` ON CONFLICT (${target}) DO UPDATE SET ${columns.map(c => `${quoteIdent(c)} = EXCLUDED.${quoteIdent(c)}`).join(', ')}`;
+      }
+
+      sql = columns.length === 0
+        ? `INSERT INTO ${quoteIdent(table)} DEFAULT VALUES RETURNING *`
+        : `INSERT INTO ${quoteIdent(table)} (${list}) SELECT ${list} FROM jsonb_populate_recordset(NULL::${quoteIdent(table)}, ${source}::jsonb)${conflict} RETURNING *`;
+    } else if (method === 'PATCH') {
+      const source = query.param(JSON.stringify(body || {}));
+      const assignments = Object.keys(body || {}).map(c =>
+        `${quoteIdent(c)} = (SELECT patch.${quoteIdent(c)} FROM jsonb_populate_record(NULL::${quoteIdent(table)}, ${source}::jsonb) AS patch)`);
+      sql = `UPDATE ${quoteIdent(table)} SET ${assignments.join(', ')}${query.where(own.filters)} RETURNING *`;
+    } else {
+      sql = `DELETE FROM ${quoteIdent(table)}${query.where(own.filters)} RETURNING *`;
+    }
+
+    const rows = (await db.query(`WITH changed AS (${sql}) SELECT coalesce(jsonb_agg(to_jsonb(changed)), '[]'::jsonb) AS rows FROM changed`, query.params)).rows[0].rows;
+    const representation = /return=representation/.test(headers.prefer || '');
+    return {
+      rows: representation ? await shape(table, rows, parseSelect(own.options.select), embedded) : null,
+      total: rows.length
+    };
+  };
+
+  const rpc = async (name, body) => {
+    const functions = (await db.query(`
+      SELECT p.proretset AS set_returning, t.typname AS return_type,
+             coalesce(p.proargnames, '{}') AS names,
+             ARRAY(SELECT format_type(x, NULL) FROM unnest(p.proargtypes) x) AS types
+      FROM pg_proc p
+      JOIN pg_type t ON t.oid = p.prorettype
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      WHERE p.proname = $1 AND n.nspname = 'public'
+    `, [name])).rows;
+
+    if (functions.length === 0) {
+      throw Object.assign(new Error(`Could not find the function public.${name}`), { code: 'PGRST202' });
+    }
+
+    const args = Object.keys(body || {});
+    const fn = functions.find(candidate => args.every(arg => candidate.names.includes(arg))) || functions[0];
+    const definitions = args.map(arg => `${quoteIdent(arg)} ${fn.types[fn.names.indexOf(arg)]}`).join(', ');
+    const call = `${quoteIdent(name)}(${args.map(arg => `${quoteIdent(arg)} => a.${quoteIdent(arg)}`).join(', ')})`;
+    const from = args.length > 0 ? ` FROM jsonb_to_record($1::jsonb) AS a(${definitions})` : '';
+    const params = args.length > 0 ? [JSON.stringify(body)] : [];
+
+    if (fn.set_returning) {
+      const sql = args.length > 0
+        ? `SELECT r.* FROM jsonb_to_record($1::jsonb) AS a(${definitions}), LATERAL ${call} r`
+        : `SELECT * FROM ${call}`;
+      return await queryRows(sql, params);
+    }
+
+    const result = await db.query(`SELECT to_jsonb(${call}) AS value${from}`, params);
+    return fn.return_type === 'void' ? null : result.rows[0].value;
+  };
+
+  const send = (res, status, payload, extraHeaders = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...extraHeaders });
+    res.end(payload === undefined ? '' : JSON.stringify(payload));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const raw = Buffer.concat(chunks).toString();
+      const body = raw && raw !== 'undefined' ? JSON.parse(raw) : undefined;
+
+      const match = url.pathname.match(/^\/rest\/v1\/(rpc\/)?([^/]+)$/);
+      if (!match) return send(res, 404, { code: 'PGRST125', message: `Invalid path ${url.pathname}`, details: null, hint: null });
+
+      const [, isRpc, name] = match;
+      const headers = { prefer: [].concat(req.headers.prefer || []).join(',') };
+      const wantsObject = (req.headers.accept || '').includes('application/vnd.pgrst.object+json');
+
+      if (isRpc) {
+        return send(res, 200, await rpc(name, body));
+      }
+
+      let rows;
+      let total;
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        ({ rows, total } = await read(name, url, headers));
+      } else {
+        ({ rows, total } = await write(req.method, name, url, headers, body));
+      }
+
+      const contentRange = { 'Content-Range': `0-${Math.max((rows || []).length - 1, 0)}/${total === undefined ? '*' : total}` };
+
+      if (wantsObject && rows) {
+        if (rows.length !== 1) {
+          return send(res, 406, {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned',
+            details: `The result contains ${rows.length} rows`,
+            hint: null
+          });
+        }
+        return send(res, 200, rows[0], contentRange);
+      }
+
+      if (req.method === 'HEAD') return send(res, 200, undefined, contentRange);
+      if (rows === null) return send(res, 201, undefined, contentRange);
+      return send(res, 200, rows, contentRange);
+    } catch (error) {
+      send(res, error.status || httpStatus(error.code), {
+        code: error.code || null,
+        message: error.message,
+        details: error.detail || null,
+        hint: error.hint || null
+      });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startPostgrest };
@@ -0,0 +1,196 @@
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase, insertRow, countRows } = require('./support/database');
+
+// The document write functions of 20261019000700_transactional_document_writes.sql (apply_document_transition
+// as replaced by 20261019002500_versioned_submit.sql), failed on purpose after they wrote the document row.
+
+let database;
+let db;
+let BAPBRepository;
+let BAPPRepository;
+let documentStateMachine;
+let documentVersionService;
+let vendor;
+
+// Make every insert into a table fail, as a broken constraint or a lost connection would
+const failInsertsInto = (table) => db.exec(`
+  CREATE TRIGGER test_fail_insert BEFORE INSERT ON ${table}
+  FOR EACH ROW EXECUTE FUNCTION test_fail_write()
+`);
+
+const auditRowsFor = (entities) => countRows(db, 'audit_logs', 'entity = ANY($1)', [entities]);
+
+before(async () => {
+  database = await startDatabase();
+  db = database.db;
+
+  await db.exec(`
+    CREATE FUNCTION test_fail_write() RETURNS TRIGGER AS $$
+    BEGIN
+      RAISE EXCEPTION 'injected failure on %', TG_TABLE_NAME;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  BAPBRepository = require('../src/repositories/BAPBRepository');
+  BAPPRepository = require('../src/repositories/BAPPRepository');
+  documentStateMachine = require('../src/services/documentStateMachine');
+  documentVersionService = require('../src/services/documentVersionService');
+
+  vendor = await insertRow(db, 'users', {
+    email: 'vendor.barang@example.com',
+    password: 'x',
+    name: 'Vendor Barang',
+    role: 'vendor_barang'
+  });
+});
+
+afterEach(async () => {
+  for (const table of ['bapb_items', 'bapp_work_items', 'document_status_transitions', 'document_versions', 'bapb_approvals']) {
+    await db.exec(`DROP TRIGGER IF EXISTS test_fail_insert ON ${table}`);
+  }
+});
+
+after(async () => {
+  await database.stop();
+});
+
+const createBAPB = (number) => BAPBRepository.createWithItems(
+  { bapb_number: number, vendor_id: vendor.id, order_number: 'PO-1', status: 'draft' },
+  [
+    { itemName: 'Cement', quantityOrdered: 10, quantityReceived: 10, unit: 'sack', condition: 'good' },
+    { itemName: 'Sand', quantityOrdered: 5, quantityReceived: 5, unit: 'm3', condition: 'good' }
+  ]
+);
+
+describe('create_document_with_children', () => {
+  test('creates the document, its children and their audit entries', async () => {
+    const bapb = await createBAPB('BAPB/TEST/0001');
+
+    assert.equal(bapb.items.length, 2);
+    assert.equal(await countRows(db, 'bapb_items', 'bapb_id = $1', [bapb.id]), 2);
+    assert.equal(await countRows(db, 'audit_logs', "entity = 'bapb' AND entity_id = $1", [bapb.id]), 1);
+  });
+
+  test('leaves no BAPB, items or audit entries when an item insert fails', async () => {
+    await failInsertsInto('bapb_items');
+    const auditBefore = await auditRowsFor(['bapb', 'bapb_items']);
+
+    await assert.rejects(createBAPB('BAPB/TEST/0002'), { message: /injected failure on bapb_items/ });
+
+    assert.equal(await countRows(db, 'bapb', 'bapb_number = $1', ['BAPB/TEST/0002']), 0);
+    assert.equal(await countRows(db, 'bapb_items', 'bapb_id NOT IN (SELECT id FROM bapb)'), 0);
+    assert.equal(await auditRowsFor(['bapb', 'bapb_items']), auditBefore);
+  });
+
+  test('leaves no BAPP, work items or audit entries when a work item insert fails', async () => {
+    await failInsertsInto('bapp_work_items');
+    const auditBefore = await auditRowsFor(['bapp', 'bapp_work_items']);
+
+    await assert.rejects(
+      BAPPRepository.createWithWorkItems(
+        { bapp_number: 'BAPP/TEST/0001', vendor_id: vendor.id, project_name: 'Warehouse', status: 'draft' },
+        [{ workItemName: 'Foundation', plannedProgress: 100, actualProgress: 100, unit: '%' }]
+      ),
+      { message: /injected failure on bapp_work_items/ }
+    );
+
+    assert.equal(await countRows(db, 'bapp', 'bapp_number = $1', ['BAPP/TEST/0001']), 0);
+    assert.equal(await countRows(db, 'bapp_work_items'), 0);
+    assert.equal(await auditRowsFor(['bapp', 'bapp_work_items']), auditBefore);
+  });
+});
+
+describe('update_document_with_children', () => {
+  test('keeps the header and the old items when inserting the new items fails', async () => {
+    const bapb = await createBAPB('BAPB/TEST/0003');
+    const itemsBefore = (await db.query('SELECT id, item_name FROM bapb_items WHERE bapb_id = $1 ORDER BY item_name', [bapb.id])).rows;
+    const auditBefore = await auditRowsFor(['bapb', 'bapb_items']);
+
+    await failInsertsInto('bapb_items');
+
+    await assert.rejects(
+      BAPBRepository.updateWithItems(
+        bapb.id,
+        { notes: 'Changed' },
+        [{ itemName: 'Gravel', quantityOrdered: 1, quantityReceived: 1, unit: 'm3', condition: 'good' }],
+        { expected: { status: 'draft' } }
+      ),
+      { message: /injected failure on bapb_items/ }
+    );
+
+    const { rows: [header] } = await db.query('SELECT notes FROM bapb WHERE id = $1', [bapb.id]);
+    assert.equal(header.notes, null);
+    assert.deepEqual(
+      (await db.query('SELECT id, item_name FROM bapb_items WHERE bapb_id = $1 ORDER BY item_name', [bapb.id])).rows,
+      itemsBefore
+    );
+    assert.equal(await auditRowsFor(['bapb', 'bapb_items']), auditBefore);
+  });
+});
+
+describe('apply_document_transition', () => {
+  const submit = async (bapb) => {
+    const document = await BAPBRepository.findByIdWithRelations(bapb.id);
+    return await documentStateMachine.transition('BAPB', document, 'submit', {
+      user: vendor,
+      data: { version: 1 },
+      version: documentVersionService.buildVersion('BAPB', document, 1, vendor)
+    });
+  };
+
+  test('changes the status and stores the transition and the version together', async () => {
+    const bapb = await createBAPB('BAPB/TEST/0004');
+
+    const result = await submit(bapb);
+
+    assert.equal(result.document.status, 'submitted');
+    assert.equal(result.version.version_number, 1);
+    assert.equal(await countRows(db, 'document_status_transitions', "document_id = $1 AND action = 'submit'", [bapb.id]), 1);
+    assert.equal(await countRows(db, 'document_versions', 'document_id = $1', [bapb.id]), 1);
+    assert.equal(await countRows(db, 'audit_logs', "entity = 'document_versions' AND after_data->>'document_id' = $1", [bapb.id]), 1);
+  });
+
+  for (const table of ['document_status_transitions', 'document_versions']) {
+    test(`leaves the status, transition log, version and audit untouched when the ${table} insert fails`, async () => {
+      const bapb = await createBAPB(`BAPB/TEST/${table}`);
+      const auditBefore = await countRows(db, 'audit_logs');
+
+      await failInsertsInto(table);
+
+      await assert.rejects(submit(bapb), { message: new RegExp(`injected failure on ${table}`) });
+
+      const { rows: [row] } = await db.query('SELECT status, version FROM bapb WHERE id = $1', [bapb.id]);
+      assert.equal(row.status, 'draft');
+      assert.equal(row.version, 0);
+      assert.equal(await countRows(db, 'document_status_transitions', 'document_id = $1', [bapb.id]), 0);
+      assert.equal(await countRows(db, 'document_versions', 'document_id = $1', [bapb.id]), 0);
+      assert.equal(await countRows(db, 'audit_logs'), auditBefore);
+    });
+  }
+
+  test('leaves the status untouched when the approval record insert fails', async () => {
+    const bapb = await createBAPB('BAPB/TEST/0005');
+    await submit(bapb);
+    const document = await BAPBRepository.findByIdWithRelations(bapb.id);
+    const auditBefore = await countRows(db, 'audit_logs');
+
+    await failInsertsInto('bapb_approvals');
+
+    await assert.rejects(
+      documentStateMachine.transition('BAPB', document, 'reject', {
+        system: true,
+        data: { rejection_reason: 'Wrong quantities' },
+        approval: { approver_id: null, action: 'rejected', notes: 'Wrong quantities' }
+      }),
+      { message: /injected failure on bapb_approvals/ }
+    );
+
+    const { rows: [row] } = await db.query('SELECT status, rejection_reason FROM bapb WHERE id = $1', [bapb.id]);
+    assert.equal(row.status, 'submitted');
+    assert.equal(row.rejection_reason, null);
+    assert.equal(await countRows(db, 'document_status_transitions', "document_id = $1 AND action = 'reject'", [bapb.id]), 0);
+    assert.equal(await countRows(db, 'audit_logs'), auditBefore);
+  });
+});
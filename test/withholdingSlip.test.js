@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { startDatabase, insertRow } = require('./support/database');
+
+let database;
+let baseUrl;
+let server;
+let users;
+let bapbOfVendorB;
+let slipOfVendorB;
+
+const tokenFor = (user) => jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const getSlip = (paymentId, user) => fetch(`${baseUrl}/api/payment/logs/${paymentId}/withholding-slip`, {
+  headers: { Authorization: `Bearer ${tokenFor(user)}` }
+});
+
+const getReadiness = (documentId, user) => fetch(`${baseUrl}/api/payment/bapb/${documentId}/readiness?type=BAPB`, {
+  headers: { Authorization: `Bearer ${tokenFor(user)}` }
+});
+
+before(async () => {
+  database = await startDatabase();
+
+  const paymentRoutes = require('../src/routes/paymentRoutes');
+  const { errorHandler } = require('../src/utils/errorHandler');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payment', paymentRoutes);
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  users = {};
+  for (const role of ['vendor', 'vendor_barang', 'vendor_jasa', 'finance_checker', 'approver']) {
+    users[role] = await insertRow(database.db, 'users', {
+      email: `${role}@example.com`,
+      password: 'x',
+      name: role,
+      role
+    });
+  }
+  users.vendorB = await insertRow(database.db, 'users', {
+    email: 'vendor.b@example.com',
+    password: 'x',
+    name: 'Vendor B',
+    role: 'vendor_barang',
+    company: 'PT Vendor B'
+  });
+
+  bapbOfVendorB = await insertRow(database.db, 'bapb', {
+    bapb_number: 'BAPB/2026/0001',
+    vendor_id: users.vendorB.id,
+    status: 'approved'
+  });
+
+  slipOfVendorB = await insertRow(database.db, 'payment_logs', {
+    document_type: 'BAPB',
+    document_id: bapbOfVendorB.id,
+    document_number: bapbOfVendorB.bapb_number,
+    vendor_id: users.vendorB.id,
+    amount: 9800000,
+    status: 'settled',
+    transaction_id: 'TRX-0001',
+    dpp: 10000000,
+    pph_type: 'PPH23',
+    pph_rate: 2,
+    pph_amount: 200000,
+    withholding_slip_number: 'BP/PPH23/2026/0001'
+  });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.stop();
+});
+
+for (const role of ['vendor', 'vendor_barang', 'vendor_jasa']) {
+  test(`${role} cannot download the withholding slip of another vendor's payment`, async () => {
+    const res = await getSlip(slipOfVendorB.id, users[role]);
+
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).message, 'Not authorized to access this payment');
+  });
+}
+
+test('roles outside finance and vendors cannot download withholding slips', async () => {
+  const res = await getSlip(slipOfVendorB.id, users.approver);
+
+  assert.equal(res.status, 403);
+});
+
+test('the vendor that was paid downloads its own withholding slip', async () => {
+  const res = await getSlip(slipOfVendorB.id, users.vendorB);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  await res.arrayBuffer();
+});
+
+test('finance downloads any withholding slip', async () => {
+  const res = await getSlip(slipOfVendorB.id, users.finance_checker);
+
+  assert.equal(res.status, 200);
+  await res.arrayBuffer();
+});
+
+// Readiness carries the vendor's tax profile (NPWP)
+test('vendors cannot check the payment readiness of another vendor\'s document', async () => {
+  const res = await getReadiness(bapbOfVendorB.id, users.vendor_barang);
+
+  assert.equal(res.status, 403);
+});
+
+test('roles outside finance and vendors cannot check payment readiness', async () => {
+  const res = await getReadiness(bapbOfVendorB.id, users.approver);
+
+  assert.equal(res.status, 403);
+});